@@ -10,9 +10,20 @@ const fs = require('fs');
 
 // Worker pool imports
 const { Coordinator } = require('./workers/coordinator');
-const { scanPage, discoverPages, closeBrowser } = require('./workers/scanner');
+const { scanPage, scanFlow, discoverPages, closeBrowser } = require('./workers/scanner');
 const { analyzePage, setLLMConfig, getLLMConfig } = require('./workers/analyzer');
-const { synthesize } = require('./workers/synthesizer');
+const { synthesize, synthesizeTokens } = require('./workers/synthesizer');
+const { createUrlRules } = require('./workers/urls');
+const { resolveViewports } = require('./workers/viewports');
+const { resolveVariants } = require('./workers/variants');
+const { normalizeStabilize } = require('./workers/stabilize');
+const { mergeRedirectedPages } = require('./workers/redirects');
+const { hreflangIndex } = require('./workers/structured');
+const { buildCatalog } = require('./workers/components');
+const { normalizeCrops, locateCrop } = require('./workers/crops');
+const { normalizeInteractions } = require('./workers/interactions');
+const { normalizeFlows } = require('./workers/flows');
+const { AUTH_DIR, validateAuthConfig, saveAuthConfig, deleteAuthConfig, describeAuth } = require('./workers/auth');
 
 const app = express();
 app.use(cors());
@@ -30,9 +41,10 @@ const coordinator = new Coordinator({
   capturesDir: BASE_DIR,
   poolConfig: {
     scan: { concurrency: 4, timeout: 60000, retries: 2 },
+    flow: { concurrency: 2, timeout: 300000, retries: 1 },
     analyze: { concurrency: 2, timeout: 120000, retries: 1 },
     synthesize: { concurrency: 1, timeout: 300000, retries: 1 },
-    discover: { concurrency: 2, timeout: 30000, retries: 1 }
+    discover: { concurrency: 2, timeout: 300000, retries: 1 }
   }
 });
 
@@ -40,6 +52,7 @@ const coordinator = new Coordinator({
 coordinator.registerHandlers({
   discover: discoverPages,
   scan: scanPage,
+  flow: scanFlow,
   analyze: analyzePage,
   synthesize: synthesize
 });
@@ -56,6 +69,11 @@ let captureSession = {
   error: null
 };
 
+// Drop the auth config a discover keeps for its capture (file and cached session)
+function discardSessionAuth(authFile) {
+  if (authFile) deleteAuthConfig(AUTH_DIR, path.basename(authFile, '.json'));
+}
+
 // Static files
 app.use('/captures', express.static(BASE_DIR));
 
@@ -111,6 +129,19 @@ app.post('/api/projects', async (req, res) => {
     
     const sitesList = sites.map(s => typeof s === 'string' ? { url: s } : s);
     
+    try {
+      createUrlRules(config);
+      if (config.viewports) resolveViewports(config.viewports);
+      resolveVariants(config.variants);
+      normalizeStabilize(config.stabilize);
+      normalizeCrops(config.crops);
+      normalizeInteractions(config.interactions);
+      normalizeFlows(config.flows);
+      if (config.auth) validateAuthConfig(config.auth);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    
     const project = await coordinator.createProject({
       sites: sitesList,
       ...config
@@ -131,6 +162,42 @@ app.get('/api/projects/:projectId/status', (req, res) => {
   res.json(status);
 });
 
+// Set login script or stored session for project (credentials never returned)
+app.put('/api/projects/:projectId/auth', async (req, res) => {
+  try {
+    await coordinator.getAllProjects();
+    if (!coordinator.getProject(req.params.projectId)) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    try {
+      validateAuthConfig(req.body);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    
+    const project = await coordinator.setProjectAuth(req.params.projectId, req.body);
+    res.json({ success: true, auth: project.auth });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove project auth
+app.delete('/api/projects/:projectId/auth', async (req, res) => {
+  try {
+    await coordinator.getAllProjects();
+    if (!coordinator.getProject(req.params.projectId)) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    await coordinator.clearProjectAuth(req.params.projectId);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Start discovery for project
 app.post('/api/projects/:projectId/discover', async (req, res) => {
   try {
@@ -301,6 +368,21 @@ app.post('/api/projects/:projectId/analyze', async (req, res) => {
   }
 });
 
+// Cropped screenshot of one element (?site=host&page=slug|path&viewport=name)
+app.get('/api/projects/:projectId/elements/:elementId', (req, res) => {
+  const projectDir = path.join(BASE_DIR, req.params.projectId);
+  if (!fs.existsSync(projectDir)) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  
+  const { site, page, viewport } = req.query;
+  const filepath = locateCrop(projectDir, req.params.elementId, { site, page, viewport });
+  if (!filepath) {
+    return res.status(404).json({ error: 'No crop for this element' });
+  }
+  res.sendFile(filepath);
+});
+
 app.get('/api/projects/:projectId/:filename', (req, res) => {
   const filepath = path.join(BASE_DIR, req.params.projectId, req.params.filename);
   if (fs.existsSync(filepath)) {
@@ -314,6 +396,7 @@ app.delete('/api/projects/:projectId', (req, res) => {
   const projectPath = path.join(BASE_DIR, req.params.projectId);
   if (fs.existsSync(projectPath)) {
     fs.rmSync(projectPath, { recursive: true, force: true });
+    deleteAuthConfig(AUTH_DIR, path.basename(req.params.projectId));
     res.json({ success: true });
   } else {
     res.status(404).json({ error: 'Project not found' });
@@ -332,6 +415,7 @@ app.delete('/api/captures', (req, res) => {
   for (const item of items) {
     const itemPath = path.join(BASE_DIR, item);
     fs.rmSync(itemPath, { recursive: true, force: true });
+    deleteAuthConfig(AUTH_DIR, item);
     deleted++;
   }
 
@@ -346,8 +430,23 @@ app.post('/api/discover', async (req, res) => {
     return res.status(400).json({ error: 'URL required' });
   }
   
+  try {
+    createUrlRules(options);
+    if (options.auth) validateAuthConfig(options.auth);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  
   const hostname = new URL(url).hostname;
   
+  // A new discover replaces the last one, and its auth with it
+  if (captureSession.status !== 'capturing') discardSessionAuth(captureSession.authFile);
+  
+  // Session auth is kept for the capture that follows this discover, one file per discover
+  const authFile = options.auth
+    ? saveAuthConfig(AUTH_DIR, `session_${hostname.replace(/[^a-z0-9-]/gi, '-')}_${Date.now()}`, options.auth)
+    : null;
+  
   captureSession = {
     project: null,
     site: hostname,
@@ -355,7 +454,9 @@ app.post('/api/discover', async (req, res) => {
     pages: [],
     status: 'crawling',
     progress: 0,
-    error: null
+    error: null,
+    auth: describeAuth(options.auth),
+    authFile
   };
   
   try {
@@ -363,17 +464,31 @@ app.post('/api/discover', async (req, res) => {
       site: url,
       options: {
         maxDepth: options.maxDepth || 3,
-        maxPages: options.maxPages || 50
+        maxPages: options.maxPages || 50,
+        useSitemap: options.useSitemap !== false,
+        respectRobots: options.respectRobots !== false,
+        crawlDelay: options.crawlDelay || 0,
+        maxRequestsPerSecond: options.maxRequestsPerSecond || 0,
+        include: options.include || [],
+        exclude: options.exclude || [],
+        keepParams: options.keepParams || [],
+        stripParams: options.stripParams || [],
+        spa: options.spa === true,
+        checkLinks: options.checkLinks !== false,
+        maxLinkChecks: options.maxLinkChecks,
+        authFile
       }
     });
     
     captureSession.pages = result.pages;
+    captureSession.crawlDelay = result.crawlDelay;
     captureSession.status = 'discovered';
     
     res.json({ success: true, pages: result.pages });
   } catch (err) {
     captureSession.status = 'error';
     captureSession.error = err.message;
+    discardSessionAuth(authFile);
     res.status(500).json({ error: err.message });
   }
 });
@@ -394,13 +509,47 @@ app.post('/api/capture', async (req, res) => {
   const projectId = `${hostname.replace(/\./g, '-')}_${timestamp}_${Date.now()}`;
   const projectDir = path.join(BASE_DIR, projectId);
   
+  // Named viewport matrix (desktop + mobile when not given), media variants, stabilization
+  let variants;
+  let stabilize;
+  let crops;
+  let interactions;
+  let flows;
+  try {
+    if (options.viewports?.length > 0) resolveViewports(options.viewports);
+    variants = resolveVariants(options.variants).map(v => v.name);
+    stabilize = normalizeStabilize(options.stabilize);
+    crops = normalizeCrops(options.crops);
+    interactions = normalizeInteractions(options.interactions);
+    flows = normalizeFlows(options.flows);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  
   fs.mkdirSync(projectDir, { recursive: true });
   
   const config = {
+    viewports: options.viewports?.length > 0 ? options.viewports : null,
+    variants,
+    stabilize,
+    focusOrder: options.focusOrder === true,
+    crops,
+    interactions,
+    flows,
     desktop: options.desktop !== false,
     mobile: options.mobile !== false,
     scrollDelay: options.scrollDelay || 150,
-    rubric: options.rubric || null
+    overlays: {
+      auto: options.overlays?.auto !== false,
+      click: options.overlays?.click || [],
+      hide: options.overlays?.hide || []
+    },
+    rubric: options.rubric || null,
+    respectRobots: options.respectRobots !== false,
+    // Explicit delay wins over the site's Crawl-delay
+    crawlDelay: options.crawlDelay || (useDiscovered ? captureSession.crawlDelay : 0) || 0,
+    maxRequestsPerSecond: options.maxRequestsPerSecond || 0,
+    authFile: useDiscovered ? captureSession.authFile : null
   };
   
   const pages = useDiscovered ? captureSession.pages : [];
@@ -427,7 +576,7 @@ app.post('/api/capture', async (req, res) => {
     captureSession.status = 'error';
     captureSession.error = err.message;
     console.error('Capture error:', err);
-  });
+  }).finally(() => discardSessionAuth(config.authFile));
 });
 
 // Parallel capture using worker pool (4x faster than sequential)
@@ -443,6 +592,9 @@ async function runParallelCapture(baseUrl, config, projectId, projectDir) {
   // Track job results
   const jobResults = new Map();
   
+  // Viewport sizes as captured, for the plugin's card layout
+  let viewports = [];
+  
   // Event handlers for progress tracking
   const onComplete = (job) => {
     if (job.payload?.projectId !== projectId || job.type !== 'scan') return;
@@ -453,24 +605,62 @@ async function runParallelCapture(baseUrl, config, projectId, projectDir) {
     
     // Find and update page
     const page = pages.find(p => p.path === pagePath);
-    if (page && job.result) {
+    if (page && job.result?.skipped) {
+      page.status = 'skipped';
+      console.log(`- [${completedJobs}/${totalPages}] ${page.slug} skipped (${job.result.skipped})`);
+    } else if (page && job.result) {
       page.status = 'done';
       
-      // Copy screenshots to project directory
-      if (job.result.screenshots?.desktop) {
-        const filename = `${siteSlug}_${page.slug}_desktop.png`;
+      // Copy screenshots to project directory, one per viewport
+      page.screenshots = {};
+      for (const [name, screenshotPath] of Object.entries(job.result.screenshots || {})) {
+        const filename = `${siteSlug}_${page.slug}_${name}.png`;
         try {
-          fs.copyFileSync(job.result.screenshots.desktop, path.join(projectDir, filename));
-          page.desktopFile = filename;
+          fs.copyFileSync(screenshotPath, path.join(projectDir, filename));
+          page.screenshots[name] = filename;
         } catch (e) { console.error(`Copy error: ${e.message}`); }
       }
       
-      if (job.result.screenshots?.mobile) {
-        const filename = `${siteSlug}_${page.slug}_mobile.png`;
-        try {
-          fs.copyFileSync(job.result.screenshots.mobile, path.join(projectDir, filename));
-          page.mobileFile = filename;
-        } catch (e) { console.error(`Copy error: ${e.message}`); }
+      // Legacy fields read by older plugin builds
+      if (page.screenshots.desktop) page.desktopFile = page.screenshots.desktop;
+      if (page.screenshots.mobile) page.mobileFile = page.screenshots.mobile;
+      
+      if (job.result.viewports) {
+        viewports = job.result.viewports;
+      }
+      
+      // Dark mode / reduced motion / forced colors passes
+      for (const [variant, captured] of Object.entries(job.result.variants || {})) {
+        const copied = {};
+        for (const [name, screenshotPath] of Object.entries(captured.screenshots)) {
+          const filename = `${siteSlug}_${page.slug}_${name}_${variant}.png`;
+          try {
+            fs.copyFileSync(screenshotPath, path.join(projectDir, filename));
+            copied[name] = filename;
+          } catch (e) { console.error(`Copy error: ${e.message}`); }
+        }
+        page.variants = page.variants || {};
+        page.variants[variant] = { screenshots: copied, elements: captured.elements, masks: captured.masks || [] };
+      }
+      
+      // Open menus, hovered nav, expanded accordions
+      for (const [state, captured] of Object.entries(job.result.states || {})) {
+        const copied = {};
+        for (const [name, screenshotPath] of Object.entries(captured.screenshots)) {
+          const filename = `${siteSlug}_${page.slug}_${name}_${state}.png`;
+          try {
+            fs.copyFileSync(screenshotPath, path.join(projectDir, filename));
+            copied[name] = filename;
+          } catch (e) { console.error(`Copy error: ${e.message}`); }
+        }
+        page.states = page.states || {};
+        page.states[state] = {
+          steps: captured.steps,
+          screenshots: copied,
+          elements: captured.elements,
+          masks: captured.masks || [],
+          errors: captured.errors || []
+        };
       }
       
       if (job.result.extracted) {
@@ -480,6 +670,74 @@ async function runParallelCapture(baseUrl, config, projectId, projectDir) {
       // Save element positions for annotations
       if (job.result.elements && job.result.elements.length > 0) {
         page.elements = job.result.elements;
+        
+        // Element crops go in crops/, referenced relative to sitemap.json
+        const copiedCrops = new Map();
+        for (const element of page.elements) {
+          for (const [name, cropPath] of Object.entries(element.crops || {})) {
+            if (!copiedCrops.has(cropPath)) {
+              const filename = `crops/${siteSlug}_${path.basename(cropPath)}`;
+              try {
+                fs.mkdirSync(path.join(projectDir, 'crops'), { recursive: true });
+                fs.copyFileSync(cropPath, path.join(projectDir, filename));
+                copiedCrops.set(cropPath, filename);
+              } catch (e) {
+                console.error(`Copy error: ${e.message}`);
+                copiedCrops.set(cropPath, null);
+              }
+            }
+            if (copiedCrops.get(cropPath)) {
+              element.crops[name] = copiedCrops.get(cropPath);
+            } else {
+              delete element.crops[name];
+            }
+          }
+        }
+      }
+      
+      // Banners clicked or widgets hidden before the screenshots
+      if (job.result.overlays?.length > 0) {
+        page.overlays = job.result.overlays;
+      }
+      
+      // Failed requests and JS errors, next to the link check from discovery
+      if (job.result.health) {
+        page.health = { ...page.health, ...job.result.health };
+      }
+      
+      // Core Web Vitals and page weight from the first load
+      if (job.result.performance) {
+        page.performance = job.result.performance;
+      }
+      
+      // ARIA snapshot and WCAG violations
+      if (job.result.accessibility) {
+        page.accessibility = job.result.accessibility;
+      }
+      
+      // Keyboard focus order and focus indicators
+      if (job.result.focusOrder) {
+        page.focusOrder = job.result.focusOrder;
+      }
+      
+      // Elements hidden, pushed down or reordered on narrower viewports
+      if (job.result.layoutChanges) {
+        page.layoutChanges = job.result.layoutChanges;
+      }
+      
+      // Colors, typography, radii and spacing in use
+      if (job.result.tokens) {
+        page.tokens = job.result.tokens;
+      }
+      
+      // HTTP status, redirects, canonical and noindex
+      if (job.result.http) {
+        page.http = job.result.http;
+      }
+      
+      // Masked / hidden regions, drawn as hatched areas in Figma
+      if (job.result.masks?.length > 0) {
+        page.masks = job.result.masks;
       }
       
       console.log(`✓ [${completedJobs}/${totalPages}] ${page.slug} (${job.result.elements?.length || 0} elements)`);
@@ -502,9 +760,83 @@ async function runParallelCapture(baseUrl, config, projectId, projectDir) {
     captureSession.progress = Math.round((completedJobs / totalPages) * 100);
   };
   
+  // User flows: one job each, steps copied in flow order
+  const flowResults = new Map();
+  const onFlowComplete = (job) => {
+    if (job.payload?.projectId !== projectId || job.type !== 'flow') return;
+    
+    const { flow } = job.payload;
+    const result = job.result || {};
+    const steps = (result.steps || []).map(step => {
+      const copied = {};
+      for (const [name, screenshotPath] of Object.entries(step.screenshots)) {
+        const filename = `${siteSlug}_flow-${flow.name}_${step.index}_${name}.png`;
+        try {
+          fs.copyFileSync(screenshotPath, path.join(projectDir, filename));
+          copied[name] = filename;
+        } catch (e) { console.error(`Copy error: ${e.message}`); }
+      }
+      return {
+        index: step.index,
+        name: step.name,
+        url: step.url,
+        urls: step.urls,
+        actions: step.actions,
+        screenshots: copied,
+        elements: step.elements,
+        masks: step.masks || []
+      };
+    });
+    
+    flowResults.set(flow.name, {
+      name: flow.name,
+      start: result.flow?.start || flow.start,
+      viewports: result.viewports || [],
+      skipped: result.skipped || null,
+      steps,
+      errors: result.errors || []
+    });
+    console.log(`✓ Flow ${flow.name}: ${steps.length}/${flow.steps.length} steps` +
+      (result.errors?.length > 0 ? ` (${result.errors.length} failed runs)` : ''));
+  };
+  
+  const onFlowFailed = (job, error) => {
+    if (job.payload?.projectId !== projectId || job.type !== 'flow') return;
+    
+    const { flow } = job.payload;
+    flowResults.set(flow.name, {
+      name: flow.name,
+      start: flow.start,
+      viewports: [],
+      skipped: null,
+      steps: [],
+      errors: [{ viewport: null, step: null, error: error.message }]
+    });
+    console.error(`✗ Flow ${flow.name}: ${error.message}`);
+  };
+  
   // Subscribe to events
   coordinator.pool.on('job:complete', onComplete);
   coordinator.pool.on('job:failed', onFailed);
+  coordinator.pool.on('job:complete', onFlowComplete);
+  coordinator.pool.on('job:failed', onFlowFailed);
+  
+  const options = {
+    viewports: config.viewports,
+    variants: config.variants,
+    stabilize: config.stabilize,
+    focusOrder: config.focusOrder,
+    crops: config.crops,
+    interactions: config.interactions,
+    captureDesktop: config.desktop,
+    captureMobile: config.mobile,
+    scrollDelay: config.scrollDelay,
+    overlays: config.overlays,
+    respectRobots: config.respectRobots,
+    crawlDelay: config.crawlDelay,
+    maxRequestsPerSecond: config.maxRequestsPerSecond,
+    authFile: config.authFile
+  };
   
   try {
     // Queue ALL pages for parallel processing
@@ -521,16 +853,20 @@ async function runParallelCapture(baseUrl, config, projectId, projectDir) {
           parent: page.parent,
           slug: page.slug
         },
-        options: {
-          captureDesktop: config.desktop,
-          captureMobile: config.mobile,
-          scrollDelay: config.scrollDelay
-        }
+        options
       }, { priority: page.depth }); // Higher depth = lower priority
     }
     
+    // Each flow runs as one job alongside the page scans
+    for (const flow of config.flows) {
+      coordinator.pool.addJob('flow', { projectId, site: baseUrl, flow, options }, { priority: 2 });
+    }
+    
     // Wait for all scan jobs to complete
     await coordinator.pool.waitForType(projectId, 'scan');
+    if (config.flows.length > 0) {
+      await coordinator.pool.waitForType(projectId, 'flow');
+    }
     
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
     console.log(`\n✨ Complete: ${totalPages} pages in ${elapsed}s (${(elapsed / totalPages).toFixed(2)}s/page)\n`);
@@ -539,6 +875,14 @@ async function runParallelCapture(baseUrl, config, projectId, projectDir) {
     // Cleanup event listeners
     coordinator.pool.off('job:complete', onComplete);
     coordinator.pool.off('job:failed', onFailed);
+    coordinator.pool.off('job:complete', onFlowComplete);
+    coordinator.pool.off('job:failed', onFlowFailed);
+  }
+  
+  // Pages that redirect to another captured page become aliases of it
+  const sitemapPages = mergeRedirectedPages(pages, baseUrl);
+  if (sitemapPages.length < pages.length) {
+    console.log(`↪ Merged ${pages.length - sitemapPages.length} redirected page(s)`);
   }
   
   // Save sitemap.json with timing info and rubric
@@ -549,7 +893,16 @@ async function runParallelCapture(baseUrl, config, projectId, projectDir) {
     captured_at: now.toISOString().split('T')[0],
     captured_at_time: now.toTimeString().slice(0, 5),
     rubric: captureSession.config?.rubric || null,
-    pages: pages,
+    viewports: viewports,
+    variants: captureSession.config?.variants || [],
+    states: (captureSession.config?.interactions || []).map(state => state.name),
+    // Site-wide design token inventory with near-duplicate values
+    tokens: synthesizeTokens(sitemapPages),
+    // Components seen more than once, with an example per variant
+    components: buildCatalog(sitemapPages),
+    pages: sitemapPages,
+    // Multi-step journeys, laid out left to right in Figma
+    flows: (captureSession.config?.flows || []).map(flow => flowResults.get(flow.name)).filter(Boolean),
     timing: {
       total: elapsed + 's',
       mode: 'parallel',
@@ -567,14 +920,14 @@ async function runParallelCapture(baseUrl, config, projectId, projectDir) {
   
   // Auto-run analysis if rubric provided or elements extracted
   const hasRubric = captureSession.config?.rubric;
-  const hasElements = pages.some(p => p.elements && p.elements.length > 0);
+  const hasElements = sitemapPages.some(p => p.elements && p.elements.length > 0);
   
   if (hasRubric || hasElements) {
     console.log('\n🔍 Running analysis...');
     captureSession.status = 'analyzing';
     
     try {
-      await runAnalysis(projectDir, pages, captureSession.config?.rubric, captureSession.site);
+      await runAnalysis(projectDir, sitemapPages, captureSession.config?.rubric, captureSession.site);
       console.log('✓ Analysis complete - saved to analysis.json\n');
     } catch (err) {
       console.error('Analysis error:', err.message);
@@ -593,6 +946,9 @@ async function runAnalysis(projectDir, pages, rubric, site) {
     pages: []
   };
   
+  // Alternates of every captured page, for hreflang return-link checks
+  const alternates = hreflangIndex(pages);
+  
   for (const page of pages) {
     if (page.status !== 'done') continue;
     
@@ -606,6 +962,12 @@ async function runAnalysis(projectDir, pages, rubric, site) {
         },
         extracted: page.extracted || {},
         elements: page.elements || [],
+        performance: page.performance || null,
+        health: page.health || null,
+        accessibility: page.accessibility || null,
+        focusOrder: page.focusOrder || null,
+        layoutChanges: page.layoutChanges || null,
+        hreflangIndex: alternates,
         rubric: rubric
       });
       
@@ -682,10 +1044,13 @@ function getWebUI() {
     .page-depth { background: #eee; padding: 2px 8px; border-radius: 10px; font-size: 11px; color: #666; min-width: 20px; text-align: center; }
     .page-title { flex: 1; font-weight: 500; }
     .page-path { color: #888; font-size: 12px; }
+    .page-source { background: #f0f7ff; color: #0055aa; padding: 2px 8px; border-radius: 10px; font-size: 10px; }
     .page-status { font-size: 11px; min-width: 80px; text-align: right; }
     .page-status.pending { color: #888; }
     .page-status.capturing { color: #856404; font-weight: 500; }
     .page-status.done { color: #28a745; }
+    .page-status.skipped { color: #888; font-style: italic; }
+    .page-status.errors { color: #dc3545; }
     .figma-section { background: #f0f7ff; border: 1px solid #007AFF33; }
     code { background: #eee; padding: 2px 6px; border-radius: 4px; font-size: 13px; }
     .hint { font-size: 11px; color: #888; margin-top: -12px; margin-bottom: 16px; }
@@ -751,6 +1116,9 @@ function getWebUI() {
             <input type="number" id="maxPages" value="50" min="1" max="100">
           </div>
         </div>
+        <div class="checkbox-row">
+          <label><input type="checkbox" id="spa"> Single-page app (click through client-side navigation)</label>
+        </div>
         <button id="discoverBtn" onclick="discoverPages()" style="width: 100%;">🔍 Discover Pages</button>
       </div>
       
@@ -766,12 +1134,57 @@ function getWebUI() {
           <label><input type="checkbox" id="desktop" checked> Desktop (3840px)</label>
           <label><input type="checkbox" id="mobile" checked> Mobile (780px)</label>
         </div>
+        <div class="checkbox-row">
+          <label><input type="checkbox" class="variant" value="dark"> Dark mode</label>
+          <label><input type="checkbox" class="variant" value="reduced-motion"> Reduced motion</label>
+          <label><input type="checkbox" class="variant" value="forced-colors"> Forced colors</label>
+        </div>
+        <div class="checkbox-row">
+          <label><input type="checkbox" id="freezeAnimations"> Freeze animations</label>
+          <label><input type="checkbox" id="pauseVideos"> Pause videos</label>
+          <label><input type="checkbox" id="focusOrder"> Keyboard focus order</label>
+          <label><input type="checkbox" id="elementCrops"> Element crops</label>
+        </div>
         <div class="row">
           <div>
             <label>Scroll Delay (ms)</label>
             <input type="number" id="scrollDelay" value="150" min="50" max="500">
             <p class="hint">Time to wait for lazy-loaded content</p>
           </div>
+          <div>
+            <label>Max Requests / Second</label>
+            <input type="number" id="maxRequestsPerSecond" value="0" min="0" max="20" step="0.5">
+            <p class="hint">Per host, 0 = unlimited (robots.txt Crawl-delay still applies)</p>
+          </div>
+        </div>
+        <div class="row">
+          <div>
+            <label>Mask Selectors</label>
+            <input type="text" id="maskSelectors" placeholder=".ad-slot, .timestamp">
+            <p class="hint">Comma-separated, painted over in screenshots</p>
+          </div>
+          <div>
+            <label>Fixed Clock</label>
+            <input type="text" id="clock" placeholder="2025-01-15T09:00:00Z">
+            <p class="hint">Date the page sees, empty = real time</p>
+          </div>
+        </div>
+        <div class="row">
+          <div>
+            <label>Menu Button Selector</label>
+            <input type="text" id="menuButton" placeholder="button.hamburger">
+            <p class="hint">Clicked at mobile for an extra "menu-open" capture</p>
+          </div>
+          <div>
+            <label>Expand Selector</label>
+            <input type="text" id="expandSelector" placeholder=".faq summary">
+            <p class="hint">Every match is clicked for an "expanded" capture</p>
+          </div>
+        </div>
+        <div>
+          <label>User Flows</label>
+          <textarea id="flows" rows="4" placeholder="name: signup&#10;start: /pricing&#10;steps:&#10;  - name: Pricing&#10;  - name: Sign up&#10;    actions: [{ action: click, selector: a.signup }]"></textarea>
+          <p class="hint">YAML or JSON flow file; each step is captured and laid out left to right in Figma</p>
         </div>
         
         <div class="section-divider">
@@ -1011,7 +1424,8 @@ function getWebUI() {
             url, 
             options: {
               maxDepth: parseInt(document.getElementById('maxDepth').value),
-              maxPages: parseInt(document.getElementById('maxPages').value)
+              maxPages: parseInt(document.getElementById('maxPages').value),
+              spa: document.getElementById('spa').checked
             }
           })
         });
@@ -1050,14 +1464,17 @@ function getWebUI() {
           '<span class="page-depth">' + p.depth + '</span>' +
           '<span class="page-title">' + escapeHtml(p.title) + '</span>' +
           '<span class="page-path">' + p.path + '</span>' +
-          '<span class="page-status ' + (p.status || 'pending') + '">' + getStatusText(p) + '</span>' +
+          (p.source ? '<span class="page-source">' + p.source + '</span>' : '') +
+          '<span class="page-status ' + (p.status === 'done' && p.health?.errorCount ? 'errors' : (p.status || 'pending')) + '">' + getStatusText(p) + '</span>' +
         '</div>'
       ).join('');
     }
     
     function getStatusText(page) {
       if (page.status === 'capturing') return '⏳ Capturing...';
+      if (page.status === 'done' && page.health?.errorCount) return '⚠ Done (' + page.health.errorCount + ' errors)';
       if (page.status === 'done') return '✓ Done';
+      if (page.status === 'skipped') return 'Skipped (robots.txt)';
       return 'Pending';
     }
     
@@ -1065,6 +1482,20 @@ function getWebUI() {
       return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
     }
     
+    // Interaction states from the menu and expand fields
+    function getInteractions() {
+      const interactions = [];
+      const menuButton = document.getElementById('menuButton').value.trim();
+      const expandSelector = document.getElementById('expandSelector').value.trim();
+      if (menuButton) {
+        interactions.push({ name: 'menu-open', viewports: ['mobile'], steps: [{ action: 'click', selector: menuButton }] });
+      }
+      if (expandSelector) {
+        interactions.push({ name: 'expanded', steps: [{ action: 'click', selector: expandSelector, all: true }] });
+      }
+      return interactions;
+    }
+
     async function startCapture() {
       document.getElementById('captureBtn').disabled = true;
       document.getElementById('progressCard').style.display = 'block';
@@ -1073,7 +1504,7 @@ function getWebUI() {
       const url = document.getElementById('url').value.trim();
       const rubric = document.getElementById('rubric').value.trim();
       
-      await fetch('/api/capture', {
+      const res = await fetch('/api/capture', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
@@ -1081,12 +1512,32 @@ function getWebUI() {
           options: {
             desktop: document.getElementById('desktop').checked,
             mobile: document.getElementById('mobile').checked,
+            variants: Array.from(document.querySelectorAll('.variant:checked')).map(cb => cb.value),
+            stabilize: {
+              freezeAnimations: document.getElementById('freezeAnimations').checked,
+              pauseVideos: document.getElementById('pauseVideos').checked,
+              clock: document.getElementById('clock').value.trim() || null,
+              mask: document.getElementById('maskSelectors').value.split(',').map(s => s.trim()).filter(Boolean)
+            },
+            focusOrder: document.getElementById('focusOrder').checked,
+            crops: document.getElementById('elementCrops').checked,
+            interactions: getInteractions(),
+            flows: document.getElementById('flows').value.trim() || null,
             scrollDelay: parseInt(document.getElementById('scrollDelay').value),
+            maxRequestsPerSecond: parseFloat(document.getElementById('maxRequestsPerSecond').value) || 0,
             rubric: rubric || null
           }
         })
       });
       
+      // Invalid options (e.g. a flow file that doesn't parse) never start a capture
+      if (!res.ok) {
+        const data = await res.json();
+        document.getElementById('statusText').textContent = '✗ ' + data.error;
+        document.getElementById('captureBtn').disabled = false;
+        return;
+      }
+      
       pollInterval = setInterval(pollStatus, 300);
     }
     
@@ -17,7 +17,11 @@ const COLORS = {
   // Hotspot severity colors
   good: { r: 0.2, g: 0.78, b: 0.35 },      // Green
   warning: { r: 1, g: 0.76, b: 0.03 },     // Yellow
-  issue: { r: 0.94, g: 0.27, b: 0.27 }     // Red
+  issue: { r: 0.94, g: 0.27, b: 0.27 },    // Red
+  // Masked / hidden regions
+  mask: { r: 0.45, g: 0.45, b: 0.5 },
+  // Keyboard focus order
+  focus: { r: 0.4, g: 0.27, b: 0.93 }      // Purple
 };
 
 // State
@@ -30,8 +34,7 @@ let cardHeight = 0;
 // Current page state
 let currentCard = null;
 let currentPage = null;
-let desktopTiles = [];
-let mobileTiles = [];
+let viewportTiles = {};
 
 figma.showUI(__html__, { width: 320, height: 480 });
 
@@ -51,6 +54,20 @@ figma.ui.onmessage = async (msg) => {
       await handleFinishPage();
     } else if (msg.type === 'finalize') {
       await handleFinalize();
+    } else if (msg.type === 'start-flows') {
+      await handleStartFlows(msg.site, msg.flows);
+    } else if (msg.type === 'add-flow-step') {
+      await handleAddFlowStep(msg.step);
+    } else if (msg.type === 'finish-flows') {
+      figma.ui.postMessage({ type: 'flows-done', count: flowSlots.length });
+    } else if (msg.type === 'create-styles') {
+      await handleCreateStyles(msg.site, msg.tokens);
+    } else if (msg.type === 'start-components') {
+      await handleStartComponents(msg.site, msg.components);
+    } else if (msg.type === 'add-component-example') {
+      await handleAddComponentExample(msg.example);
+    } else if (msg.type === 'finish-components') {
+      figma.ui.postMessage({ type: 'components-done', count: catalogSlots.length });
     }
   } catch (err) {
     console.error(err);
@@ -77,19 +94,23 @@ async function handleStart(site) {
 
 async function handleStartPage(page, pageIndex, totalPages) {
   currentPage = page;
-  desktopTiles = [];
-  mobileTiles = [];
+  viewportTiles = {};
   
   // Store elements and insights for hotspot drawing
   currentPage.elements = page.elements || [];
   currentPage.insights = page.insights || [];
+  // Element crops for the insights panel: { [elementId]: { bytes, width, height } }
+  currentPage.crops = page.crops || {};
   
   // Calculate card size from first page
   if (pageIndex === 0) {
-    const desktopW = page.desktopWidth || 300;
-    const desktopH = page.desktopHeight || 200;
-    const mobileW = page.mobileWidth || 90;
-    const mobileH = page.mobileHeight || 200;
+    // Screenshots sit side by side in viewport order
+    const viewports = page.viewports && page.viewports.length > 0
+      ? page.viewports
+      : [{ width: 300, height: 200 }];
+    const screenshotsW = viewports.reduce((sum, vp) => sum + vp.width, 0) +
+      SCREENSHOT_GAP * (viewports.length - 1);
+    const screenshotsH = Math.max(...viewports.map(vp => vp.height));
     
     // Count insights with element refs for panel sizing (max 5 shown)
     const linkedInsights = (page.insights || []).filter(i => i.elementRef).length;
@@ -98,8 +119,8 @@ async function handleStartPage(page, pageIndex, totalPages) {
       ? INSIGHTS_PANEL_PADDING * 2 + maxInsights * INSIGHTS_PANEL_ROW_HEIGHT + 24 // +24 for header
       : 0;
     
-    cardWidth = CARD_PADDING * 2 + desktopW + SCREENSHOT_GAP + mobileW;
-    cardHeight = CARD_PADDING * 2 + 50 + Math.max(desktopH, mobileH) + panelHeight;
+    cardWidth = CARD_PADDING * 2 + screenshotsW;
+    cardHeight = CARD_PADDING * 2 + 50 + screenshotsH + panelHeight;
   }
 
   // Grid layout position
@@ -140,6 +161,70 @@ async function handleStartPage(page, pageIndex, totalPages) {
   url.y = CARD_PADDING + 24;
   currentCard.appendChild(url);
 
+  // Badges next to the title for redirected and non-200 pages
+  let badgeX = CARD_PADDING + title.width + 8;
+  const addBadge = (text, color) => {
+    const badge = figma.createFrame();
+    badge.name = 'Badge';
+    badge.layoutMode = 'HORIZONTAL';
+    badge.primaryAxisSizingMode = 'AUTO';
+    badge.counterAxisSizingMode = 'AUTO';
+    badge.paddingLeft = badge.paddingRight = 6;
+    badge.paddingTop = badge.paddingBottom = 2;
+    badge.cornerRadius = 4;
+    badge.fills = [{ type: 'SOLID', color }];
+    const label = figma.createText();
+    label.characters = text;
+    label.fontSize = 11;
+    label.fontName = { family: "Inter", style: "Bold" };
+    label.fills = [{ type: 'SOLID', color: COLORS.cardBg }];
+    badge.appendChild(label);
+    badge.x = badgeX;
+    badge.y = CARD_PADDING + 1;
+    currentCard.appendChild(badge);
+    badgeX += badge.width + 6;
+  };
+
+  const http = page.http;
+  if (http) {
+    if (http.status && http.status !== 200) {
+      addBadge(String(http.status), http.status >= 400 ? COLORS.issue : COLORS.warning);
+    }
+    if (http.redirected) {
+      const hops = http.redirectChain.length;
+      addBadge('↪ ' + (hops > 0 ? http.redirectChain[0].status + ' ' : '') + pathOf(http.finalUrl), COLORS.warning);
+    }
+  }
+
+  // Notes next to the URL
+  let noteX = CARD_PADDING + url.width + 12;
+  const addNote = (text, color) => {
+    const note = figma.createText();
+    note.characters = text;
+    note.fontSize = 12;
+    note.fontName = { family: "Inter", style: "Regular" };
+    note.fills = [{ type: 'SOLID', color }];
+    note.x = noteX;
+    note.y = CARD_PADDING + 24;
+    currentCard.appendChild(note);
+    noteX += note.width + 12;
+  };
+
+  // Flag pages modified before capture (banners clicked, widgets hidden)
+  if (page.overlays && page.overlays.length > 0) {
+    addNote('Overlays dismissed: ' + page.overlays.length, COLORS.url);
+  }
+
+  // Flag pages with errors or broken links
+  const health = page.health || {};
+  const brokenLinks = health.links ? health.links.broken.length : 0;
+  if (health.errorCount || brokenLinks) {
+    const parts = [];
+    if (health.errorCount) parts.push(health.errorCount + (health.errorCount === 1 ? ' error' : ' errors'));
+    if (brokenLinks) parts.push(brokenLinks + (brokenLinks === 1 ? ' broken link' : ' broken links'));
+    addNote('⚠ ' + parts.join(', '), COLORS.issue);
+  }
+
   frame.appendChild(currentCard);
   
   figma.ui.postMessage({ type: 'page-ready' });
@@ -158,25 +243,16 @@ async function handleAddTile(tile) {
   }];
   
   // Store tile with position info and original dimensions
-  if (tile.imageType === 'desktop') {
-    desktopTiles.push({ 
-      rect, 
-      x: tile.x, 
-      y: tile.y, 
-      totalWidth: tile.totalWidth, 
-      totalHeight: tile.totalHeight,
-      originalWidth: tile.originalWidth,
-      originalHeight: tile.originalHeight
-    });
-  } else {
-    mobileTiles.push({ 
-      rect, 
-      x: tile.x, 
-      y: tile.y, 
-      totalWidth: tile.totalWidth, 
-      totalHeight: tile.totalHeight 
-    });
-  }
+  if (!viewportTiles[tile.imageType]) viewportTiles[tile.imageType] = [];
+  viewportTiles[tile.imageType].push({ 
+    rect, 
+    x: tile.x, 
+    y: tile.y, 
+    totalWidth: tile.totalWidth, 
+    totalHeight: tile.totalHeight,
+    originalWidth: tile.originalWidth,
+    originalHeight: tile.originalHeight
+  });
   
   figma.ui.postMessage({ type: 'tile-added' });
 }
@@ -185,68 +261,55 @@ async function handleFinishPage() {
   const screenshotY = CARD_PADDING + 50;
   let screenshotX = CARD_PADDING;
   
-  // Assemble desktop image
-  if (desktopTiles.length > 0) {
-    const nodes = desktopTiles.map(t => {
+  // Assemble one image per viewport, left to right
+  const placed = [];
+  for (const vp of currentPage.viewports || []) {
+    const tiles = viewportTiles[vp.name];
+    if (!tiles || tiles.length === 0) continue;
+    
+    const nodes = tiles.map(t => {
       t.rect.x = t.x;
       t.rect.y = t.y;
       return t.rect;
     });
     
-    let desktopImg;
-    if (nodes.length === 1) {
-      desktopImg = nodes[0];
-      desktopImg.name = 'Desktop';
-    } else {
-      desktopImg = figma.group(nodes, figma.currentPage);
-      desktopImg.name = 'Desktop';
-    }
+    const img = nodes.length === 1 ? nodes[0] : figma.group(nodes, figma.currentPage);
+    img.name = vp.name.charAt(0).toUpperCase() + vp.name.slice(1);
+    img.x = screenshotX;
+    img.y = screenshotY;
+    currentCard.appendChild(img);
     
-    desktopImg.x = screenshotX;
-    desktopImg.y = screenshotY;
-    currentCard.appendChild(desktopImg);
+    // Scale = displayed size / captured viewport width
+    // Element and mask positions are in CSS pixels of that viewport
+    const displayedWidth = tiles[0].totalWidth;
+    const originalWidth = vp.viewportWidth || tiles[0].originalWidth || displayedWidth;
     
-    screenshotX += desktopTiles[0].totalWidth + SCREENSHOT_GAP;
+    placed.push({ viewport: vp, tiles, x: screenshotX, scale: displayedWidth / originalWidth });
+    screenshotX += tiles[0].totalWidth + SCREENSHOT_GAP;
   }
   
-  // Assemble mobile image
-  if (mobileTiles.length > 0) {
-    const nodes = mobileTiles.map(t => {
-      t.rect.x = t.x;
-      t.rect.y = t.y;
-      return t.rect;
-    });
-    
-    let mobileImg;
-    if (nodes.length === 1) {
-      mobileImg = nodes[0];
-      mobileImg.name = 'Mobile';
-    } else {
-      mobileImg = figma.group(nodes, figma.currentPage);
-      mobileImg.name = 'Mobile';
-    }
-    
-    mobileImg.x = screenshotX;
-    mobileImg.y = screenshotY;
-    currentCard.appendChild(mobileImg);
+  // Hatch regions that were masked or hidden during capture
+  for (const shot of placed) {
+    drawMasks(currentCard, currentPage.masks || [], shot.viewport.name, shot.x, screenshotY, shot.scale);
+  }
+  
+  // Number the keyboard focus order on the viewport it was walked in
+  for (const shot of placed) {
+    drawFocusOrder(currentCard, currentPage.focusOrder, shot.viewport.name, shot.x, screenshotY, shot.scale);
   }
   
   // Draw hotspot markers for insights with element references
+  // (on the first viewport, the one elements are numbered from)
   let hotspotMapping = [];
-  if (currentPage.insights && currentPage.insights.length > 0 && desktopTiles.length > 0) {
-    // Scale = displayed size / original captured size
-    // Elements positions are in original captured coordinates
-    const displayedWidth = desktopTiles[0].totalWidth;
-    const originalWidth = desktopTiles[0].originalWidth || displayedWidth;
-    const scale = displayedWidth / originalWidth;
-    
-    hotspotMapping = drawHotspots(currentCard, currentPage, screenshotY, CARD_PADDING, scale);
+  const primary = placed[0];
+  if (currentPage.insights && currentPage.insights.length > 0 && primary) {
+    hotspotMapping = drawHotspots(currentCard, currentPage, screenshotY, primary.x, primary.scale, primary.viewport.name);
   }
   
   // Draw insights panel below screenshots
-  if (hotspotMapping.length > 0 && desktopTiles.length > 0) {
-    const screenshotBottom = screenshotY + desktopTiles[0].totalHeight;
-    drawInsightsPanel(currentCard, hotspotMapping, screenshotBottom + 16, cardWidth);
+  if (hotspotMapping.length > 0) {
+    const screenshotBottom = screenshotY + primary.tiles[0].totalHeight;
+    drawInsightsPanel(currentCard, hotspotMapping, screenshotBottom + 16, cardWidth, currentPage.crops);
   }
   
   // Store for repositioning
@@ -336,6 +399,262 @@ async function handleFinalize() {
   figma.ui.postMessage({ type: 'done', count: pages.length });
 }
 
+// Local Paint and Text styles from the site's token inventory
+// Near-duplicates are left out so they don't become part of the system;
+// styles whose name already exists are kept as they are.
+const MAX_PAINT_STYLES = 48;
+const MAX_TEXT_STYLES = 24;
+const WEIGHT_NAMES = {
+  100: 'Thin', 200: 'ExtraLight', 300: 'Light', 400: 'Regular', 500: 'Medium',
+  600: 'SemiBold', 700: 'Bold', 800: 'ExtraBold', 900: 'Black'
+};
+
+async function handleCreateStyles(site, tokens) {
+  if (!tokens) {
+    figma.ui.postMessage({ type: 'error', message: 'No design tokens in this capture' });
+    return;
+  }
+  
+  const duplicates = new Set();
+  for (const group of tokens.nearDuplicates || []) {
+    for (const similar of group.similar) duplicates.add(`${group.kind}|${similar.value}`);
+  }
+  const uses = (entry) => `${entry.count} uses on ${entry.pages} page${entry.pages === 1 ? '' : 's'} of ${site}`;
+  
+  // Paint styles, foldered by where the color is mostly used
+  const paintNames = new Set((await figma.getLocalPaintStylesAsync()).map(s => s.name));
+  let paints = 0;
+  const colors = tokens.colors.filter(c => !duplicates.has(`colors|${c.value}`)).slice(0, MAX_PAINT_STYLES);
+  for (const color of colors) {
+    const roles = [['Text', color.text || 0], ['Background', color.background || 0], ['Border', color.border || 0]];
+    const role = roles.sort((a, b) => b[1] - a[1])[0][0];
+    const name = `Colors/${role}/${color.value}`;
+    if (paintNames.has(name)) continue;
+    
+    const hex = color.value.replace('#', '');
+    const channel = (i) => parseInt(hex.slice(i * 2, i * 2 + 2), 16) / 255;
+    const style = figma.createPaintStyle();
+    style.name = name;
+    style.paints = [{ type: 'SOLID', color: { r: channel(0), g: channel(1), b: channel(2) }, opacity: hex.length === 8 ? channel(3) : 1 }];
+    style.description = uses(color);
+    paints++;
+  }
+  
+  // Text styles in the captured font when it's available, Inter otherwise
+  const available = await figma.listAvailableFontsAsync();
+  const normalize = (value) => value.toLowerCase().replace(/[\s-]/g, '');
+  const findFont = (family, weight) => {
+    const style = normalize(WEIGHT_NAMES[Math.round(weight / 100) * 100] || 'Regular');
+    for (const name of [family, 'Inter']) {
+      const match = available.find(f => normalize(f.fontName.family) === normalize(name) && normalize(f.fontName.style) === style);
+      if (match) return match.fontName;
+    }
+    return { family: 'Inter', style: 'Regular' };
+  };
+  
+  const textNames = new Set((await figma.getLocalTextStylesAsync()).map(s => s.name));
+  let texts = 0;
+  const textStyles = tokens.textStyles.filter(t => t.fontSize && !duplicates.has(`fontSizes|${t.fontSize}`)).slice(0, MAX_TEXT_STYLES);
+  for (const entry of textStyles) {
+    const fontName = findFont(entry.fontFamily, entry.fontWeight);
+    const lineHeight = entry.lineHeight === 'normal' ? '' : ` / ${entry.lineHeight}`;
+    const name = `Text/${entry.fontFamily}/${entry.fontSize}${lineHeight} ${WEIGHT_NAMES[entry.fontWeight] || entry.fontWeight}`;
+    if (textNames.has(name)) continue;
+    
+    await figma.loadFontAsync(fontName);
+    const style = figma.createTextStyle();
+    style.name = name;
+    style.fontName = fontName;
+    style.fontSize = entry.fontSize;
+    style.lineHeight = entry.lineHeight === 'normal' ? { unit: 'AUTO' } : { unit: 'PIXELS', value: entry.lineHeight };
+    style.description = fontName.family === entry.fontFamily
+      ? uses(entry)
+      : `${uses(entry)}. ${entry.fontFamily} is not installed, using ${fontName.family}`;
+    texts++;
+  }
+  
+  figma.ui.postMessage({ type: 'styles-done', paints, texts });
+}
+
+// Component catalog on its own Figma page: a row per component with a
+// slot per variant. Cropped examples arrive one at a time, like tiles.
+const CATALOG_GAP = 32;
+let catalogSlots = [];
+
+async function handleStartComponents(site, components) {
+  await figma.loadFontAsync({ family: "Inter", style: "Bold" });
+  await figma.loadFontAsync({ family: "Inter", style: "Regular" });
+  
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  
+  const catalogPage = figma.createPage();
+  catalogPage.name = `Components - ${site}`;
+  catalogSlots = [];
+  
+  const column = autoFrame('Component Catalog', 'VERTICAL', CATALOG_GAP);
+  column.paddingLeft = column.paddingRight = column.paddingTop = column.paddingBottom = 48;
+  column.fills = [{ type: 'SOLID', color: { r: 0.95, g: 0.95, b: 0.95 } }];
+  catalogPage.appendChild(column);
+  
+  for (const component of components) {
+    const row = autoFrame(component.name, 'VERTICAL', 8);
+    row.paddingLeft = row.paddingRight = row.paddingTop = row.paddingBottom = CARD_PADDING;
+    row.fills = [{ type: 'SOLID', color: COLORS.cardBg }];
+    row.strokes = [{ type: 'SOLID', color: COLORS.cardStroke }];
+    row.cornerRadius = 8;
+    
+    row.appendChild(textLabel(component.name.charAt(0).toUpperCase() + component.name.slice(1), 16, 'Bold', COLORS.title));
+    const classes = component.classes.length > 0 ? ' · .' + component.classes.join(' .') : '';
+    row.appendChild(textLabel(`${component.kind} · ${plural(component.instances, 'instance')} on ${plural(component.pages, 'page')}${classes}`,
+      12, 'Regular', COLORS.url));
+    
+    // One slot per variant, captioned with how it differs from the first
+    const variants = autoFrame('Variants', 'HORIZONTAL', 24);
+    variants.paddingTop = 8;
+    const slots = component.variants.map(variant => {
+      const slot = autoFrame(variant.id, 'VERTICAL', 6);
+      const differences = [`${variant.count}× on ${plural(variant.pages, 'page')}`];
+      if (variant.modifiers.length > 0) differences.push(variant.modifiers.map(m => '+' + m).join(' '));
+      if (variant.structureDiffers) differences.push('different structure');
+      if (variant.width) {
+        differences.push(variant.width[0] === variant.width[1] ? `${variant.width[0]}px wide` : `${variant.width[0]}–${variant.width[1]}px wide`);
+      }
+      slot.appendChild(textLabel(differences.join(' · '), 11, 'Regular', COLORS.title));
+      slot.appendChild(textLabel(variant.example.path || '/', 11, 'Regular', COLORS.url));
+      variants.appendChild(slot);
+      return slot;
+    });
+    row.appendChild(variants);
+    column.appendChild(row);
+    catalogSlots.push(slots);
+  }
+  
+  figma.ui.postMessage({ type: 'components-ready' });
+}
+
+async function handleAddComponentExample(example) {
+  const slot = catalogSlots[example.componentIndex] && catalogSlots[example.componentIndex][example.variantIndex];
+  if (slot && example.bytes) {
+    const rect = figma.createRectangle();
+    rect.name = 'Example';
+    rect.resize(example.width, example.height);
+    rect.fills = [{
+      type: 'IMAGE',
+      imageHash: figma.createImage(new Uint8Array(example.bytes)).hash,
+      scaleMode: 'FILL'
+    }];
+    rect.strokes = [{ type: 'SOLID', color: COLORS.cardStroke }];
+    slot.insertChild(0, rect);
+  }
+  
+  figma.ui.postMessage({ type: 'component-example-added' });
+}
+
+// User flows below the sitemap: a row per flow, steps left to right with
+// arrows between them. Step screenshots arrive one at a time, like examples.
+const FLOW_GAP = 200;
+const FLOW_ARROW_LENGTH = 64;
+let flowSlots = [];
+
+async function handleStartFlows(site, flows) {
+  await figma.loadFontAsync({ family: "Inter", style: "Bold" });
+  await figma.loadFontAsync({ family: "Inter", style: "Regular" });
+  
+  const column = autoFrame(`Flows - ${site}`, 'VERTICAL', CATALOG_GAP);
+  column.paddingLeft = column.paddingRight = column.paddingTop = column.paddingBottom = 48;
+  column.fills = [{ type: 'SOLID', color: { r: 0.95, g: 0.95, b: 0.95 } }];
+  figma.currentPage.appendChild(column);
+  flowSlots = [];
+  
+  for (const flow of flows) {
+    const row = autoFrame(flow.name, 'VERTICAL', 8);
+    row.paddingLeft = row.paddingRight = row.paddingTop = row.paddingBottom = CARD_PADDING;
+    row.fills = [{ type: 'SOLID', color: COLORS.cardBg }];
+    row.strokes = [{ type: 'SOLID', color: COLORS.cardStroke }];
+    row.cornerRadius = 8;
+    
+    row.appendChild(textLabel(flow.name, 16, 'Bold', COLORS.title));
+    row.appendChild(textLabel(`${flow.steps.length} step${flow.steps.length === 1 ? '' : 's'} from ${pathOf(flow.start)}`,
+      12, 'Regular', COLORS.url));
+    // Where a run stopped, per viewport
+    for (const error of flow.errors) {
+      const where = error.step ? `Step ${error.step} (${error.name}) on ${error.viewport}: ` : '';
+      row.appendChild(textLabel(`✗ ${where}${error.error}`, 12, 'Regular', COLORS.issue));
+    }
+    
+    const steps = autoFrame('Steps', 'HORIZONTAL', 16);
+    steps.paddingTop = 8;
+    steps.counterAxisAlignItems = 'CENTER';
+    const slots = flow.steps.map((step, index) => {
+      if (index > 0) {
+        const arrow = figma.createLine();
+        arrow.name = 'Arrow';
+        arrow.resize(FLOW_ARROW_LENGTH, 0);
+        arrow.strokes = [{ type: 'SOLID', color: COLORS.connector }];
+        arrow.strokeWeight = 2;
+        arrow.strokeCap = 'ARROW_LINES';
+        steps.appendChild(arrow);
+      }
+      const slot = autoFrame(step.name, 'VERTICAL', 6);
+      slot.appendChild(textLabel(`${step.index}. ${step.name}`, 12, 'Bold', COLORS.title));
+      slot.appendChild(textLabel(pathOf(step.url || ''), 11, 'Regular', COLORS.url));
+      steps.appendChild(slot);
+      return slot;
+    });
+    row.appendChild(steps);
+    column.appendChild(row);
+    flowSlots.push(slots);
+  }
+  
+  // Below the sitemap frame, when there is one
+  if (frame) {
+    column.x = frame.x;
+    column.y = frame.y + frame.height + FLOW_GAP;
+  }
+  
+  figma.ui.postMessage({ type: 'flows-ready' });
+}
+
+async function handleAddFlowStep(step) {
+  const slot = flowSlots[step.flowIndex] && flowSlots[step.flowIndex][step.stepIndex];
+  if (slot && step.bytes) {
+    const rect = figma.createRectangle();
+    rect.name = 'Screenshot';
+    rect.resize(step.width, step.height);
+    rect.fills = [{
+      type: 'IMAGE',
+      imageHash: figma.createImage(new Uint8Array(step.bytes)).hash,
+      scaleMode: 'FILL'
+    }];
+    rect.strokes = [{ type: 'SOLID', color: COLORS.cardStroke }];
+    slot.insertChild(0, rect);
+  }
+  
+  figma.ui.postMessage({ type: 'flow-step-added' });
+}
+
+// Auto-layout frame that hugs its children
+function autoFrame(name, direction, spacing) {
+  const node = figma.createFrame();
+  node.name = name;
+  node.layoutMode = direction;
+  node.primaryAxisSizingMode = 'AUTO';
+  node.counterAxisSizingMode = 'AUTO';
+  node.itemSpacing = spacing;
+  node.fills = [];
+  return node;
+}
+
+// Inter text node (fonts must be loaded)
+function textLabel(text, size, style, color) {
+  const node = figma.createText();
+  node.characters = text;
+  node.fontSize = size;
+  node.fontName = { family: "Inter", style };
+  node.fills = [{ type: 'SOLID', color }];
+  return node;
+}
+
 function createConnector(x1, y1, x2, y2) {
   const midY = y1 + (y2 - y1) / 2;
   const lines = [];
@@ -384,9 +703,15 @@ function getBounds(nodes) {
   return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
 }
 
+// Path and query of an absolute URL ('https://a.com/x?y' -> '/x?y')
+function pathOf(url) {
+  const match = /^[a-z]+:\/\/[^/]+(.*)$/i.exec(url);
+  return match ? (match[1] || '/') : url;
+}
+
 // Draw hotspot markers for insights on the card
 // Returns array of { num, insight, element } for panel
-function drawHotspots(card, page, screenshotY, offsetX, scale) {
+function drawHotspots(card, page, screenshotY, offsetX, scale, viewport) {
   const elements = page.elements || [];
   const insights = page.insights || [];
   const mapping = [];
@@ -399,12 +724,13 @@ function drawHotspots(card, page, screenshotY, offsetX, scale) {
   let markerNum = 1;
   for (const insight of elementInsights) {
     const element = elements.find(el => el.id === insight.elementRef);
-    if (!element || !element.desktop) continue;
+    const box = element && element[viewport];
+    if (!box) continue;
     
     // Scale element position to match displayed screenshot size
-    const scaledX = element.desktop.x * scale;
-    const scaledY = element.desktop.y * scale;
-    const scaledW = element.desktop.width * scale;
+    const scaledX = box.x * scale;
+    const scaledY = box.y * scale;
+    const scaledW = box.width * scale;
     
     // Position marker at top-right of element
     const markerX = offsetX + scaledX + scaledW - 8;
@@ -455,8 +781,113 @@ function drawHotspots(card, page, screenshotY, offsetX, scale) {
   return mapping;
 }
 
-// Draw insights panel below screenshots (max 5 shown)
-function drawInsightsPanel(card, mapping, startY, cardWidth) {
+// Draw masked and hidden regions of one screenshot as hatched boxes
+function drawMasks(card, masks, viewport, offsetX, screenshotY, scale) {
+  for (const mask of masks) {
+    const box = mask[viewport];
+    if (!box) continue;
+    
+    const w = Math.max(1, box.width * scale);
+    const h = Math.max(1, box.height * scale);
+    
+    const region = figma.createFrame();
+    region.name = `${mask.mode === 'hide' ? 'Hidden' : 'Masked'}: ${mask.selector}`;
+    region.x = offsetX + box.x * scale;
+    region.y = screenshotY + box.y * scale;
+    region.resize(w, h);
+    region.clipsContent = true;
+    region.fills = [{ type: 'SOLID', color: COLORS.mask, opacity: 0.2 }];
+    region.strokes = [{ type: 'SOLID', color: COLORS.mask }];
+    region.strokeWeight = 1;
+    region.dashPattern = [4, 4];
+    
+    // Diagonal hatching, at most ~60 lines per region
+    const spacing = Math.max(8, (w + h) / 60);
+    for (let offset = spacing; offset < w + h; offset += spacing) {
+      const line = figma.createLine();
+      line.resize((w + h) * Math.SQRT2, 0);
+      line.x = offset;
+      line.y = 0;
+      line.rotation = -135;
+      line.strokes = [{ type: 'SOLID', color: COLORS.mask, opacity: 0.6 }];
+      line.strokeWeight = 1;
+      region.appendChild(line);
+    }
+    
+    card.appendChild(region);
+  }
+}
+
+// Draw the focus order as numbered stops joined by arrows, grouped so it
+// can be hidden; stops without a visible focus indicator are red
+function drawFocusOrder(card, focusOrder, viewport, offsetX, screenshotY, scale) {
+  if (!focusOrder || focusOrder.viewport !== viewport) return;
+  const stops = focusOrder.stops.filter(stop => stop.box);
+  if (stops.length === 0) return;
+  
+  const centerOf = (box) => ({
+    x: offsetX + (box.x + box.width / 2) * scale,
+    y: screenshotY + (box.y + box.height / 2) * scale
+  });
+  const nodes = [];
+  
+  // Arrows first, so the markers sit on top
+  for (let i = 1; i < stops.length; i++) {
+    const from = centerOf(stops[i - 1].box);
+    const to = centerOf(stops[i].box);
+    if (from.x === to.x && from.y === to.y) continue;
+    
+    const arrow = figma.createVector();
+    arrow.name = `Focus ${stops[i - 1].index} → ${stops[i].index}`;
+    arrow.vectorNetwork = {
+      vertices: [
+        { x: from.x, y: from.y },
+        { x: to.x, y: to.y, strokeCap: 'ARROW_EQUILATERAL' }
+      ],
+      segments: [{ start: 0, end: 1 }],
+      regions: []
+    };
+    arrow.strokes = [{ type: 'SOLID', color: COLORS.focus, opacity: 0.8 }];
+    arrow.strokeWeight = 2;
+    card.appendChild(arrow);
+    nodes.push(arrow);
+  }
+  
+  for (const stop of stops) {
+    const center = centerOf(stop.box);
+    
+    const marker = figma.createEllipse();
+    marker.name = `Focus ${stop.index}: ${stop.selector}`;
+    marker.resize(18, 18);
+    marker.x = center.x - 9;
+    marker.y = center.y - 9;
+    marker.fills = [{ type: 'SOLID', color: stop.focusVisible === false ? COLORS.issue : COLORS.focus }];
+    marker.strokes = [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 } }];
+    marker.strokeWeight = 1.5;
+    
+    const num = figma.createText();
+    num.characters = String(stop.index);
+    num.fontSize = stop.index > 99 ? 7 : 9;
+    num.fontName = { family: "Inter", style: "Bold" };
+    num.fills = [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 } }];
+    num.textAlignHorizontal = 'CENTER';
+    num.textAlignVertical = 'CENTER';
+    num.resize(18, 18);
+    num.x = marker.x;
+    num.y = marker.y;
+    
+    card.appendChild(marker);
+    card.appendChild(num);
+    nodes.push(marker, num);
+  }
+  
+  const group = figma.group(nodes, card);
+  group.name = focusOrder.trapped ? 'Focus Order (focus trapped)' : 'Focus Order';
+}
+
+// Draw insights panel below screenshots (max 5 shown), with a crop of
+// the referenced element at the end of each row when one was sent
+function drawInsightsPanel(card, mapping, startY, cardWidth, crops = {}) {
   if (mapping.length === 0) return;
   
   const panelX = CARD_PADDING;
@@ -483,7 +914,7 @@ function drawInsightsPanel(card, mapping, startY, cardWidth) {
   
   // Draw each insight row
   for (const item of displayMapping) {
-    const { num, insight } = item;
+    const { num, insight, element } = item;
     const color = COLORS[insight.severity] || COLORS.warning;
     
     // Number badge (small circle)
@@ -528,6 +959,23 @@ function drawInsightsPanel(card, mapping, startY, cardWidth) {
     message.y = currentY + 14;
     card.appendChild(message);
     
+    // Element crop, right-aligned
+    const crop = element && crops[element.id];
+    if (crop && crop.bytes) {
+      const thumb = figma.createRectangle();
+      thumb.name = `Element ${element.id}`;
+      thumb.resize(crop.width, crop.height);
+      thumb.x = panelX + panelWidth - crop.width;
+      thumb.y = currentY + (INSIGHTS_PANEL_ROW_HEIGHT - crop.height) / 2;
+      thumb.fills = [{
+        type: 'IMAGE',
+        imageHash: figma.createImage(new Uint8Array(crop.bytes)).hash,
+        scaleMode: 'FIT'
+      }];
+      thumb.strokes = [{ type: 'SOLID', color: COLORS.cardStroke }];
+      card.appendChild(thumb);
+    }
+    
     currentY += INSIGHTS_PANEL_ROW_HEIGHT;
   }
 }
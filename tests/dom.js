@@ -0,0 +1,109 @@
+/**
+ * Real-DOM pages for testing in-page collectors
+ * HTML is loaded into jsdom and page.evaluate() callbacks run in its
+ * window the way Playwright runs them: the function is serialized, so it
+ * only sees what it defines itself and what the page provides.
+ */
+
+const { JSDOM } = require('jsdom');
+
+/**
+ * Default box for elements without a `data-box="x y width height"` attribute
+ */
+const DEFAULT_BOX = [0, 0, 100, 20];
+
+/**
+ * CSS color (hex, rgb(), rgba() or transparent) as [r, g, b, a], a in 0-255;
+ * null for anything else
+ */
+function parseColor(value) {
+  const color = String(value).trim().toLowerCase();
+  if (color === 'transparent') return [0, 0, 0, 0];
+
+  const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+    return [0, 2, 4].map(i => parseInt(digits.substr(i, 2), 16)).concat(255);
+  }
+
+  const rgb = color.match(/^rgba?\(\s*(\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\s*\)$/);
+  if (rgb) {
+    const alpha = rgb[4] === undefined ? 1 : parseFloat(rgb[4]);
+    return [Number(rgb[1]), Number(rgb[2]), Number(rgb[3]), Math.round(alpha * 255)];
+  }
+  return null;
+}
+
+/**
+ * jsdom has no layout or canvas: give elements and text boxes, hit-test
+ * them in paint order, and give canvases a 1-pixel 2D context that reads
+ * back the last fill color
+ */
+function installLayout(window) {
+  const { document } = window;
+
+  window.Element.prototype.getBoundingClientRect = function () {
+    const [x, y, width, height] = (this.dataset?.box || DEFAULT_BOX.join(' ')).split(/\s+/).map(Number);
+    return { x, y, left: x, top: y, width, height, right: x + width, bottom: y + height };
+  };
+  // Hidden elements (and their descendants) are not rendered
+  window.Element.prototype.getClientRects = function () {
+    return this.closest('[hidden]') ? [] : [this.getBoundingClientRect()];
+  };
+  // Text takes up its parent's box
+  window.Range.prototype.getClientRects = function () {
+    const node = this.startContainer;
+    const el = node.nodeType === window.Node.ELEMENT_NODE ? node : node.parentElement;
+    return el ? el.getClientRects() : [];
+  };
+
+  // Later elements paint over earlier ones; topmost first, as in a browser
+  document.elementsFromPoint = (x, y) => Array.from(document.querySelectorAll('*'))
+    .filter(el => el.getClientRects().length > 0)
+    .filter(el => {
+      const rect = el.getBoundingClientRect();
+      return x >= rect.left && x < rect.right && y >= rect.top && y < rect.bottom;
+    })
+    .reverse();
+  window.scrollTo = () => {};
+
+  window.HTMLCanvasElement.prototype.getContext = function () {
+    let fill = [0, 0, 0, 255];
+    let pixel = [0, 0, 0, 0];
+    return {
+      // Invalid colors are ignored, as in a real canvas
+      set fillStyle(value) {
+        fill = parseColor(value) || fill;
+      },
+      fillRect: () => { pixel = fill; },
+      clearRect: () => { pixel = [0, 0, 0, 0]; },
+      getImageData: () => ({ data: pixel })
+    };
+  };
+}
+
+/**
+ * Page for `html` with evaluate() and addInitScript()
+ * With `layout: true` elements get boxes, hit-testing and canvases work (see installLayout).
+ */
+function createDomPage(html, { url = 'https://example.com/', layout = false } = {}) {
+  const { window } = new JSDOM(html, { url, runScripts: 'outside-only' });
+
+  // Missing from jsdom; enough for ids and classes in tests
+  window.CSS = { escape: (value) => String(value).replace(/[^\w-]/g, '\\$&') };
+  if (layout) installLayout(window);
+
+  // Arguments and results cross the page boundary as JSON, like Playwright's
+  const run = async (fn, arg) => {
+    const result = await window.eval(`(${fn.toString()})`)(arg === undefined ? undefined : JSON.parse(JSON.stringify(arg)));
+    return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+  };
+
+  return {
+    window,
+    evaluate: jest.fn(run),
+    addInitScript: jest.fn(async (fn) => { await run(fn); })
+  };
+}
+
+module.exports = { createDomPage };
@@ -7,6 +7,7 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const { locateCrop } = require('../../workers/crops');
 
 // Create a minimal test app
 function createTestApp(tempDir) {
@@ -50,6 +51,19 @@ function createTestApp(tempDir) {
     }
   });
   
+  app.get('/api/projects/:id/elements/:elementId', (req, res) => {
+    const projectDir = path.join(tempDir, req.params.id);
+    if (!fs.existsSync(projectDir)) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    const { site, page, viewport } = req.query;
+    const filepath = locateCrop(projectDir, req.params.elementId, { site, page, viewport });
+    if (!filepath) {
+      return res.status(404).json({ error: 'No crop for this element' });
+    }
+    res.sendFile(filepath);
+  });
+  
   app.delete('/api/projects/:id', (req, res) => {
     const projectPath = path.join(tempDir, req.params.id);
     if (fs.existsSync(projectPath)) {
@@ -173,6 +187,71 @@ describe('API Endpoints', () => {
     });
   });
 
+  describe('GET /api/projects/:id/elements/:elementId', () => {
+    beforeEach(() => {
+      const projectDir = path.join(tempDir, 'test-project');
+      fs.mkdirSync(path.join(projectDir, 'crops'), { recursive: true });
+      fs.writeFileSync(path.join(projectDir, 'crops', 'home_mobile_el_001.png'), 'mobile crop');
+      fs.writeFileSync(path.join(projectDir, 'crops', 'home_desktop_el_001.png'), 'desktop crop');
+      fs.writeFileSync(path.join(tempDir, 'secret.txt'), 'outside the project');
+      const sitemap = {
+        site: 'example.com',
+        pages: [{
+          slug: 'home',
+          path: '/',
+          elements: [
+            { id: 'el_001', type: 'cta', crops: { desktop: 'crops/home_desktop_el_001.png', mobile: 'crops/home_mobile_el_001.png' } },
+            { id: 'el_002', type: 'form', crops: { desktop: '../secret.txt' } }
+          ]
+        }]
+      };
+      fs.writeFileSync(path.join(projectDir, 'sitemap.json'), JSON.stringify(sitemap));
+    });
+
+    test('returns the crop for the requested viewport', async () => {
+      const res = await request(app).get('/api/projects/test-project/elements/el_001?page=home&viewport=mobile');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('image/png');
+      expect(res.body.toString()).toBe('mobile crop');
+    });
+
+    test('returns 404 for elements without a crop', async () => {
+      const res = await request(app).get('/api/projects/test-project/elements/el_404');
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('No crop for this element');
+    });
+
+    test('does not serve files outside the project', async () => {
+      const res = await request(app).get('/api/projects/test-project/elements/el_002');
+
+      expect(res.status).toBe(404);
+    });
+
+    test('serves crops from any site of a project, or the one asked for', async () => {
+      const projectDir = path.join(tempDir, 'multi-site');
+      for (const site of ['example.com', 'competitor.com']) {
+        const siteDir = path.join(projectDir, `site_${site}`);
+        fs.mkdirSync(path.join(siteDir, 'screenshots', 'crops'), { recursive: true });
+        fs.writeFileSync(path.join(siteDir, 'screenshots', 'crops', 'home_desktop_el_x.png'), `${site} crop`);
+        const elements = [{ id: 'el_x', crops: { desktop: 'screenshots/crops/home_desktop_el_x.png' } }];
+        if (site === 'competitor.com') elements.push({ id: 'el_y', crops: { desktop: 'screenshots/crops/home_desktop_el_x.png' } });
+        fs.writeFileSync(path.join(siteDir, 'sitemap.json'), JSON.stringify({ site, pages: [{ slug: 'home', path: '/', elements }] }));
+      }
+
+      const other = await request(app).get('/api/projects/multi-site/elements/el_y');
+      expect(other.status).toBe(200);
+      expect(other.body.toString()).toBe('competitor.com crop');
+
+      const picked = await request(app).get('/api/projects/multi-site/elements/el_x?site=competitor.com&page=home');
+      expect(picked.body.toString()).toBe('competitor.com crop');
+
+      const missing = await request(app).get('/api/projects/multi-site/elements/el_y?site=example.com');
+      expect(missing.status).toBe(404);
+    });
+  });
+
   describe('DELETE /api/projects/:id', () => {
     test('deletes existing project', async () => {
       const projectDir = path.join(tempDir, 'to-delete');
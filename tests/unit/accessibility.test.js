@@ -0,0 +1,184 @@
+/**
+ * Tests for WCAG checks (workers/accessibility.js)
+ * The Node side runs against stubbed results, the in-page rules against a real DOM.
+ */
+
+const { createDomPage } = require('../dom');
+const { A11Y_RULES, IMPACT_SEVERITY, auditAccessibility, accessibilityElements } = require('../../workers/accessibility');
+
+function createFakePage(failures, snapshot = '- main:\n  - heading "Home" [level=1]') {
+  return {
+    locator: jest.fn(() => ({
+      ariaSnapshot: jest.fn(async () => {
+        if (snapshot instanceof Error) throw snapshot;
+        return snapshot;
+      })
+    })),
+    evaluate: jest.fn(async () => failures)
+  };
+}
+
+const box = { x: 10, y: 200, width: 120, height: 40 };
+
+describe('A11Y_RULES', () => {
+  test('covers the built-in rule set', () => {
+    expect(Object.keys(A11Y_RULES)).toEqual([
+      'image-alt', 'label', 'link-name', 'button-name', 'duplicate-id', 'landmark-one-main',
+      'landmark-unique', 'heading-order', 'html-has-lang', 'html-lang-valid', 'tabindex', 'aria-hidden-focus'
+    ]);
+  });
+
+  test('gives every rule an impact with a severity, a WCAG reference and a fix', () => {
+    for (const rule of Object.values(A11Y_RULES)) {
+      expect(IMPACT_SEVERITY[rule.impact]).toBeDefined();
+      expect(rule.wcag).toMatch(/^\d\.\d\.\d/);
+      expect(rule.fix).toBeTruthy();
+    }
+  });
+});
+
+describe('auditAccessibility', () => {
+  test('returns the snapshot and violations with rule details', async () => {
+    const page = createFakePage({
+      'image-alt': { count: 3, nodes: [{ selector: 'img.logo', text: '<img class="logo">', box }] },
+      'html-has-lang': { count: 1, nodes: [] }
+    });
+
+    const audit = await auditAccessibility(page);
+
+    expect(page.locator).toHaveBeenCalledWith('body');
+    expect(page.evaluate).toHaveBeenCalledWith(expect.any(Function), { maxNodes: 10 });
+    expect(audit.snapshot).toContain('heading "Home"');
+    expect(audit.rules).toEqual(Object.keys(A11Y_RULES));
+    expect(audit.violations).toEqual([
+      { rule: 'image-alt', ...A11Y_RULES['image-alt'], count: 3, nodes: [{ selector: 'img.logo', text: '<img class="logo">', box }] },
+      { rule: 'html-has-lang', ...A11Y_RULES['html-has-lang'], count: 1, nodes: [] }
+    ]);
+  });
+
+  test('truncates very large snapshots', async () => {
+    const audit = await auditAccessibility(createFakePage({}, 'x'.repeat(60000)));
+
+    expect(audit.snapshot.length).toBeLessThan(51000);
+    expect(audit.snapshot).toMatch(/# \.\.\.truncated$/);
+  });
+
+  test('keeps running the rules when the snapshot fails', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const audit = await auditAccessibility(createFakePage(null, new Error('Timeout')));
+
+    expect(audit.snapshot).toBeNull();
+    expect(audit.violations).toEqual([]);
+    warn.mockRestore();
+  });
+
+  test('fails loudly when Playwright has no ariaSnapshot', async () => {
+    const page = { locator: () => ({}), evaluate: jest.fn(async () => ({})) };
+
+    await expect(auditAccessibility(page)).rejects.toThrow(TypeError);
+  });
+
+  test('ignores unknown rule ids', async () => {
+    const audit = await auditAccessibility(createFakePage({ 'color-contrast': { count: 1, nodes: [] } }));
+    expect(audit.violations).toEqual([]);
+  });
+});
+
+describe('in-page rules', () => {
+  /**
+   * Violations by rule for a page, with the selectors of the offending nodes
+   */
+  async function violationsFor(body, lang = 'en') {
+    const page = createDomPage(`<html lang="${lang}"><body>${body}</body></html>`, { layout: true });
+    page.locator = () => ({ ariaSnapshot: async () => '' });
+
+    const audit = await auditAccessibility(page);
+    return Object.fromEntries(audit.violations.map(v => [v.rule, v.nodes.map(node => node.selector)]));
+  }
+
+  test('passes a labeled page with one main and ordered headings', async () => {
+    expect(await violationsFor(`
+      <header><h1>Shop</h1></header>
+      <main>
+        <h2>Deals</h2>
+        <img src="/sale.png" alt="Summer sale">
+        <img src="/divider.png" alt="">
+        <label for="q">Search</label><input id="q" type="search">
+        <h3>Shoes</h3>
+      </main>
+      <footer>Contact</footer>`)).toEqual({});
+  });
+
+  test('flags images without alt text unless decorative or hidden', async () => {
+    const violations = await violationsFor(`<main>
+      <img id="hero" src="/hero.png">
+      <img src="/spacer.png" role="presentation">
+      <img src="/icon.png" aria-label="Cart">
+      <div aria-hidden="true"><img src="/bg.png"></div>
+      <img src="/lazy.png" hidden>
+      <div id="chart" role="img"></div>
+    </main>`);
+
+    expect(violations['image-alt']).toEqual(['#hero', '#chart']);
+  });
+
+  test('flags form controls without a label', async () => {
+    const violations = await violationsFor(`<main>
+      <input id="email" type="email" placeholder="Email">
+      <label>Name <input id="name"></label>
+      <input aria-labelledby="phone-label" id="phone"><span id="phone-label">Phone</span>
+      <select id="country"></select>
+      <input type="hidden" name="token">
+      <input type="submit">
+    </main>`);
+
+    expect(violations.label).toEqual(['#email', '#country']);
+  });
+
+  test('flags headings that skip a level', async () => {
+    const violations = await violationsFor(`<main>
+      <h1>Title</h1>
+      <h3 id="skip">Skipped h2</h3>
+      <h4>Fine</h4>
+      <h2>Back up</h2>
+      <div role="heading" aria-level="4" id="aria-skip">Skipped h3</div>
+    </main>`);
+
+    expect(violations['heading-order']).toEqual(['#skip', '#aria-skip']);
+  });
+
+  test('requires exactly one main and one page-level header and footer', async () => {
+    const missing = await violationsFor('<div>No landmarks</div>');
+    expect(missing['landmark-one-main']).toEqual([]);
+
+    const violations = await violationsFor(`
+      <header>Site</header>
+      <main><article><header>Post header</header><footer>Post footer</footer></article></main>
+      <main id="second">Again</main>
+      <footer>Site</footer>
+      <div role="contentinfo" id="extra-footer">Legal</div>`);
+
+    expect(violations['landmark-one-main']).toEqual(['#second']);
+    expect(violations['landmark-unique']).toEqual(['#extra-footer']);
+  });
+});
+
+describe('accessibilityElements', () => {
+  test('adds an element per offending node with a box', () => {
+    const audit = {
+      violations: [
+        { rule: 'link-name', impact: 'serious', nodes: [{ selector: 'a.icon', text: '<a class="icon">', box }, { selector: 'a.hidden', text: '', box: null }] },
+        { rule: 'tabindex', impact: 'serious', nodes: [{ selector: '#promo', text: '<div id="promo">', box }] }
+      ]
+    };
+
+    expect(accessibilityElements(audit, 'laptop')).toMatchObject([
+      { id: expect.stringMatching(/^el_a11y_[0-9a-f]{8}$/), type: 'a11y', rule: 'link-name', impact: 'serious', selector: 'a.icon', text: '<a class="icon">', laptop: box },
+      { id: expect.stringMatching(/^el_a11y_[0-9a-f]{8}$/), type: 'a11y', rule: 'tabindex', impact: 'serious', selector: '#promo', text: '<div id="promo">', laptop: box }
+    ]);
+  });
+
+  test('returns nothing without an audit', () => {
+    expect(accessibilityElements(null, 'desktop')).toEqual([]);
+  });
+});
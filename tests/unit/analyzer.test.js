@@ -251,6 +251,398 @@ describe('createBasicAnalysis', () => {
   });
 });
 
+describe('createBasicAnalysis performance insights', () => {
+  const pageData = { path: '/', extracted: {} };
+  const elements = [
+    { id: 'el_lcp', type: 'lcp', selector: 'img.hero' },
+    { id: 'el_shift_001', type: 'layout-shift', selector: 'div.banner' }
+  ];
+  const perfInsights = (analysis) => analysis.insights.filter(i => i.category === 'performance');
+
+  test('adds no performance insights or score without metrics', () => {
+    const analysis = createBasicAnalysis(pageData);
+
+    expect(perfInsights(analysis)).toEqual([]);
+    expect(analysis.scores.performance).toBeUndefined();
+  });
+
+  test('reports fast pages as good', () => {
+    const analysis = createBasicAnalysis(pageData, {
+      elements,
+      performance: { lcp: 1200, cls: 0.02, tbt: 50, ttfb: 200, transferSize: 500000, requestCount: 30 }
+    });
+
+    expect(perfInsights(analysis).map(i => [i.severity, i.elementRef])).toEqual([
+      ['good', 'el_lcp'],
+      ['good', null]
+    ]);
+    expect(analysis.scores.performance).toBe(100);
+  });
+
+  test('links slow LCP and layout shifts to their elements', () => {
+    const analysis = createBasicAnalysis(pageData, {
+      elements,
+      performance: { lcp: 3100, cls: 0.3, tbt: 900, ttfb: 2000 }
+    });
+    const insights = perfInsights(analysis);
+
+    expect(insights[0]).toMatchObject({ severity: 'warning', elementRef: 'el_lcp', message: expect.stringContaining('3.1s') });
+    expect(insights[1]).toMatchObject({ severity: 'issue', elementRef: 'el_shift_001', message: expect.stringContaining('CLS 0.3') });
+    expect(insights[2]).toMatchObject({ severity: 'issue', message: expect.stringContaining('900ms') });
+    expect(insights[3]).toMatchObject({ severity: 'issue', message: expect.stringContaining('TTFB 2000ms') });
+    expect(analysis.scores.performance).toBe(25);
+  });
+
+  test('flags very slow LCP without an element', () => {
+    const analysis = createBasicAnalysis(pageData, { performance: { lcp: 6000, cls: 0.15 } });
+
+    expect(perfInsights(analysis).map(i => [i.severity, i.elementRef])).toEqual([
+      ['issue', null],
+      ['warning', null]
+    ]);
+  });
+
+  test('flags heavy pages and many requests', () => {
+    const heavy = createBasicAnalysis(pageData, {
+      performance: {
+        transferSize: 8 * 1024 * 1024,
+        requestCount: 150,
+        largestResources: [{ url: 'https://example.com/hero.mp4', type: 'video', transferSize: 6000000 }]
+      }
+    });
+    const insights = perfInsights(heavy);
+
+    expect(insights[0]).toMatchObject({ severity: 'issue', suggestion: expect.stringContaining('hero.mp4') });
+    expect(insights[1]).toMatchObject({ severity: 'warning', message: '150 requests on load' });
+
+    const medium = perfInsights(createBasicAnalysis(pageData, { performance: { transferSize: 4 * 1024 * 1024 } }));
+    expect(medium).toEqual([
+      expect.objectContaining({ severity: 'warning', suggestion: 'Compress images and remove unused scripts' })
+    ]);
+  });
+});
+
+describe('createBasicAnalysis structured data insights', () => {
+  const seo = (extracted, options) => createBasicAnalysis({ path: '/', extracted }, options)
+    .insights.filter(i => i.category === 'seo' && !/title|meta description/i.test(i.message));
+  const social = {
+    openGraph: { 'og:title': 'Home', 'og:description': 'About us', 'og:image': 'https://example.com/og.png' },
+    twitter: { 'twitter:card': 'summary_large_image' }
+  };
+
+  test('skips checks for pages scanned before structured data extraction', () => {
+    expect(seo({ meta: {} })).toEqual([]);
+  });
+
+  test('flags invalid and incomplete structured data', () => {
+    const insights = seo({
+      structuredData: [
+        { format: 'json-ld', types: [], properties: {}, error: 'Unexpected token }' },
+        { format: 'json-ld', types: ['Product'], properties: { name: 'Widget' } },
+        { format: 'microdata', types: ['Organization'], properties: { name: 'Acme' } },
+        { format: 'json-ld', types: ['BreadcrumbList'], properties: { itemListElement: [{}] } }
+      ]
+    });
+
+    expect(insights.map(i => [i.severity, i.message])).toEqual([
+      ['issue', 'Invalid json-ld block: Unexpected token }'],
+      ['issue', 'Product structured data is missing required properties: offers|review|aggregateRating'],
+      ['warning', 'Organization structured data lacks recommended properties: url, logo'],
+      ['good', 'Valid structured data: BreadcrumbList']
+    ]);
+  });
+
+  test('suggests structured data when there is none', () => {
+    expect(seo({ structuredData: [] }).map(i => i.message)).toEqual(['No structured data']);
+  });
+
+  test('validates hreflang, including return links from captured pages', () => {
+    const hreflang = {
+      url: 'https://example.com/en',
+      alternates: [
+        { lang: 'english', href: 'https://example.com/en' },
+        { lang: 'fr', href: 'https://example.com/fr' },
+        { lang: 'fr', href: 'https://example.com/fr-ca' }
+      ]
+    };
+    const hreflangIndex = new Map([['https://example.com/fr', [{ lang: 'fr', href: 'https://example.com/fr' }]]]);
+
+    const insights = seo({ hreflang }, { hreflangIndex });
+    expect(insights.map(i => i.severity)).toEqual(['issue', 'issue', 'issue', 'warning']);
+    expect(insights[0].message).toBe('Invalid hreflang codes: english');
+    expect(insights[1].message).toBe('Duplicate hreflang entries: fr');
+    expect(insights[2]).toMatchObject({ message: 'hreflang without return links from 1 alternate(s)', suggestion: 'Link back from https://example.com/fr' });
+    expect(insights[3].message).toBe('No x-default hreflang');
+
+    const notSelf = seo({ hreflang: { url: 'https://example.com/de', alternates: [{ lang: 'x-default', href: 'https://example.com/' }] } });
+    expect(notSelf.map(i => i.message)).toEqual(['hreflang alternates do not include this page']);
+  });
+
+  test('checks social tags and icons', () => {
+    expect(seo({ social, icons: { favicon: 'https://example.com/favicon.ico', manifest: null } })).toEqual([]);
+
+    const insights = seo({
+      social: { openGraph: { 'og:title': 'Home' }, twitter: {} },
+      icons: { favicon: null, manifest: { url: 'https://example.com/site.webmanifest', error: 'HTTP 404' } }
+    });
+    expect(insights.map(i => i.message)).toEqual([
+      'Missing Open Graph tags: og:description, og:image',
+      'No Twitter card tag',
+      'No favicon',
+      'Web app manifest could not be loaded (HTTP 404)'
+    ]);
+  });
+});
+
+describe('createBasicAnalysis accessibility insights', () => {
+  const pageData = { path: '/', extracted: {} };
+  const rules = ['image-alt', 'label', 'heading-order'];
+  const violation = (rule, impact, count = 1) => ({ rule, impact, wcag: '1.1.1', help: `${rule} help`, fix: `${rule} fix`, count, nodes: [] });
+  const a11yInsights = (analysis) => analysis.insights.filter(i => i.category === 'accessibility');
+
+  test('adds no insights or score without an audit', () => {
+    const analysis = createBasicAnalysis(pageData);
+    expect(a11yInsights(analysis)).toEqual([]);
+    expect(analysis.scores.accessibility).toBeUndefined();
+  });
+
+  test('reports a clean audit as good', () => {
+    const analysis = createBasicAnalysis(pageData, { accessibility: { rules, violations: [] } });
+
+    expect(a11yInsights(analysis)).toEqual([
+      expect.objectContaining({ severity: 'good', message: 'Passes 3 automated WCAG checks' })
+    ]);
+    expect(analysis.scores.accessibility).toBe(100);
+  });
+
+  test('turns violations into insights linked to their elements', () => {
+    const analysis = createBasicAnalysis(pageData, {
+      elements: [{ id: 'el_a11y_001', type: 'a11y', rule: 'image-alt' }],
+      accessibility: { rules, violations: [violation('image-alt', 'critical', 4), violation('heading-order', 'moderate')] }
+    });
+
+    expect(a11yInsights(analysis)).toEqual([
+      expect.objectContaining({ severity: 'issue', message: 'image-alt help (4, WCAG 1.1.1)', suggestion: 'image-alt fix', elementRef: 'el_a11y_001' }),
+      expect.objectContaining({ severity: 'warning', message: 'heading-order help (1, WCAG 1.1.1)', elementRef: null })
+    ]);
+    expect(analysis.scores.accessibility).toBe(75);
+  });
+
+  test('answers accessibility rubric lines from the checks', () => {
+    const analysis = createBasicAnalysis(pageData, {
+      accessibility: { rules, violations: [violation('image-alt', 'critical')] },
+      rubric: '- Look for alt text on images\n- Check heading hierarchy (single H1)\n- Check color contrast ratios'
+    });
+    const matched = analysis.insights.filter(i => i.rubricMatch);
+
+    expect(matched).toEqual([
+      expect.objectContaining({ severity: 'issue', message: 'Fails: image-alt help', rubricMatch: '- Look for alt text on images' }),
+      expect.objectContaining({ severity: 'good', rubricMatch: '- Check heading hierarchy (single H1)' })
+    ]);
+  });
+
+  test('never scores below zero', () => {
+    const violations = Array.from({ length: 6 }, () => violation('label', 'critical'));
+    expect(createBasicAnalysis(pageData, { accessibility: { rules, violations } }).scores.accessibility).toBe(0);
+  });
+});
+
+describe('createBasicAnalysis contrast insights', () => {
+  const pageData = { path: '/', extracted: {} };
+  const text = (id, ratio, overrides = {}) => ({
+    id,
+    type: 'text',
+    text: `Text ${id}`,
+    contrast: { ratio, required: 4.5, foreground: '#999999', background: '#ffffff', backgroundImage: false, aa: ratio >= 4.5, aaa: ratio >= 7, ...overrides }
+  });
+  const contrastInsights = (analysis) => analysis.insights.filter(i => i.message.includes('contrast'));
+
+  test('links each low-contrast element, worst first', () => {
+    const analysis = createBasicAnalysis(pageData, {
+      elements: [text('el_text_001', 3.2), text('el_text_002', 12), text('el_text_003', 2.1, { backgroundImage: true })]
+    });
+
+    expect(contrastInsights(analysis)).toEqual([
+      expect.objectContaining({ severity: 'warning', category: 'accessibility', elementRef: 'el_text_003' }),
+      expect.objectContaining({
+        severity: 'issue',
+        message: 'Low contrast text "Text el_text_001" (3.2:1, needs 4.5:1, WCAG 1.4.3)',
+        suggestion: 'Adjust #999999 on #ffffff to at least 4.5:1',
+        elementRef: 'el_text_001'
+      })
+    ]);
+  });
+
+  test('summarizes elements beyond the per-page limit', () => {
+    const elements = Array.from({ length: 12 }, (_, i) => text(`el_text_${i}`, 3));
+    const insights = contrastInsights(createBasicAnalysis(pageData, { elements }));
+
+    expect(insights).toHaveLength(11);
+    expect(insights[10].message).toBe('2 more text elements below AA contrast');
+  });
+
+  test('reports passing text as good, noting AAA', () => {
+    const analysis = createBasicAnalysis(pageData, { elements: [text('el_text_001', 5), text('el_text_002', 9)] });
+
+    expect(contrastInsights(analysis)).toEqual([
+      expect.objectContaining({ severity: 'good', message: 'All 2 text elements meet AA contrast', suggestion: expect.stringContaining('1 below AAA') })
+    ]);
+  });
+
+  test('lowers the accessibility score and answers contrast rubric lines', () => {
+    const analysis = createBasicAnalysis(pageData, {
+      elements: [text('el_text_001', 3.2)],
+      accessibility: { rules: ['label'], violations: [] },
+      rubric: '- Check color contrast ratios'
+    });
+
+    expect(analysis.scores.accessibility).toBe(90);
+    expect(analysis.insights.find(i => i.rubricMatch)).toEqual(expect.objectContaining({
+      severity: 'issue', message: '1 text element below AA contrast', elementRef: 'el_text_001'
+    }));
+  });
+});
+
+describe('createBasicAnalysis focus order insights', () => {
+  const pageData = { path: '/', extracted: {} };
+  const box = { x: 0, y: 0, width: 50, height: 20 };
+  const focusStop = (index, selector, focusVisible = true) => ({ index, selector, box, focusVisible });
+  const focusInsights = (analysis) => analysis.insights.filter(i => /focus|Tab/.test(i.message));
+
+  test('reports stops without a visible indicator, linked to their element', () => {
+    const analysis = createBasicAnalysis(pageData, {
+      elements: [{ id: 'el_focus_001', type: 'focus', index: 2 }],
+      focusOrder: { viewport: 'desktop', stops: [focusStop(1, 'a.skip'), focusStop(2, 'a.logo', false)], trapped: false }
+    });
+
+    expect(focusInsights(analysis)).toEqual([
+      expect.objectContaining({
+        severity: 'issue',
+        message: '1 focus stop without a visible focus indicator (WCAG 2.4.7)',
+        suggestion: expect.stringContaining('a.logo'),
+        elementRef: 'el_focus_001'
+      })
+    ]);
+  });
+
+  test('reports focus traps and hidden stops', () => {
+    const analysis = createBasicAnalysis(pageData, {
+      accessibility: { rules: ['label'], violations: [] },
+      focusOrder: {
+        viewport: 'desktop',
+        stops: [focusStop(1, 'a.skip'), { index: 2, selector: 'input.trap', box: null, focusVisible: null }, focusStop(3, 'div.editor')],
+        trapped: true
+      }
+    });
+
+    expect(focusInsights(analysis).map(i => [i.severity, i.message])).toEqual([
+      ['issue', 'Keyboard focus gets stuck after div.editor (WCAG 2.1.2)'],
+      ['warning', '1 focus stop on hidden elements']
+    ]);
+    expect(analysis.scores.accessibility).toBe(80);
+  });
+
+  test('reports a clean walk as good and answers keyboard rubric lines', () => {
+    const analysis = createBasicAnalysis(pageData, {
+      focusOrder: { viewport: 'desktop', stops: [focusStop(1, 'a.skip'), focusStop(2, 'a.home')], trapped: false },
+      rubric: '- Verify focus states visibility'
+    });
+
+    expect(analysis.insights).toEqual(expect.arrayContaining([
+      expect.objectContaining({ severity: 'good', message: '2 focus stops, all with a visible indicator' }),
+      expect.objectContaining({ severity: 'good', rubricMatch: '- Verify focus states visibility' })
+    ]));
+  });
+});
+
+describe('createBasicAnalysis responsive insights', () => {
+  const pageData = { path: '/', extracted: {} };
+  const change = (type, overrides = {}) => ({
+    type, element: 'el_5c1d0e7a', elementType: 'cta', label: 'Primary CTA', text: 'Start trial', key: true,
+    viewport: 'mobile', reference: 'desktop', ...overrides
+  });
+  const responsiveInsights = (analysis) => analysis.insights.filter(i => i.category === 'responsive');
+
+  test('reports each layout change against its element', () => {
+    const analysis = createBasicAnalysis(pageData, {
+      layoutChanges: [
+        change('hidden'),
+        change('hidden', { element: 'el_9b04d2aa', elementType: 'trust', label: 'Trust signal', text: '', key: false }),
+        change('below-fold', { y: 900, fold: 844 }),
+        change('reordered', { element: 'el_71c3e0d5', elementType: 'image', label: 'Image', text: '', key: false, from: 3, to: 1 })
+      ]
+    });
+
+    expect(responsiveInsights(analysis).map(i => [i.severity, i.message, i.elementRef])).toEqual([
+      ['issue', 'Primary CTA "Start trial" is hidden at mobile', 'el_5c1d0e7a'],
+      ['warning', 'Trust signal is hidden at mobile', 'el_9b04d2aa'],
+      ['warning', 'Primary CTA "Start trial" drops out of the first screen at mobile (900px, fold at 844px)', 'el_5c1d0e7a'],
+      ['warning', 'Image moves from position 3 to 1 at mobile', 'el_71c3e0d5']
+    ]);
+  });
+
+  test('reports a stable layout as good', () => {
+    expect(responsiveInsights(createBasicAnalysis(pageData, { layoutChanges: [] }))).toEqual([
+      expect.objectContaining({ severity: 'good', message: 'Key elements keep their place on narrower viewports' })
+    ]);
+  });
+
+  test('says nothing when only one viewport was captured', () => {
+    expect(responsiveInsights(createBasicAnalysis(pageData, { layoutChanges: null }))).toEqual([]);
+  });
+});
+
+describe('createBasicAnalysis health insights', () => {
+  const pageData = { path: '/', extracted: {} };
+  const healthInsights = (analysis) => analysis.insights.filter(i => i.category === 'health');
+
+  test('adds nothing without a health report', () => {
+    expect(healthInsights(createBasicAnalysis(pageData))).toEqual([]);
+  });
+
+  test('reports a clean page as good', () => {
+    const analysis = createBasicAnalysis(pageData, {
+      health: { requests: [], console: [], exceptions: [], errorCount: 0, links: { checked: 12, broken: [], redirects: [] } }
+    });
+
+    expect(healthInsights(analysis).map(i => i.severity)).toEqual(['good']);
+  });
+
+  test('flags errors, failed requests and broken links as issues', () => {
+    const analysis = createBasicAnalysis(pageData, {
+      health: {
+        requests: [
+          { url: 'https://example.com/missing.js', status: 404, reason: 'http' },
+          { url: 'https://api.other.com/data', status: null, reason: 'cors' }
+        ],
+        console: [{ text: 'Failed to load resource' }],
+        exceptions: [{ message: 'x is not defined' }],
+        links: {
+          checked: 3,
+          broken: [{ url: 'https://example.com/gone', status: 404 }],
+          redirects: [{ url: 'https://example.com/old', finalUrl: 'https://example.com/new', chain: [{}, {}] }]
+        }
+      }
+    });
+    const insights = healthInsights(analysis);
+
+    expect(insights.map(i => i.severity)).toEqual(['issue', 'issue', 'issue', 'issue', 'warning']);
+    expect(insights[0].message).toBe('1 uncaught JavaScript exception: x is not defined');
+    expect(insights[1].message).toBe('1 console error on load');
+    expect(insights[2].message).toBe('2 failed requests (404, cors)');
+    expect(insights[3].suggestion).toContain('https://example.com/gone');
+    expect(insights[4].suggestion).toBe('Link straight to https://example.com/new');
+  });
+
+  test('ignores single redirects', () => {
+    const analysis = createBasicAnalysis(pageData, {
+      health: { links: { checked: 1, broken: [], redirects: [{ url: 'a', finalUrl: 'b', chain: [{}] }] } }
+    });
+
+    expect(healthInsights(analysis).map(i => i.severity)).toEqual(['good']);
+  });
+});
+
 describe('analyzePage', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -0,0 +1,245 @@
+/**
+ * Tests for Auth helpers (workers/auth.js)
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const {
+  validateAuthConfig,
+  getAuthFile,
+  saveAuthConfig,
+  deleteAuthConfig,
+  describeAuth,
+  resolveStorageState,
+  clearSessionCache
+} = require('../../workers/auth');
+
+const loginAuth = {
+  type: 'login',
+  loginUrl: 'https://app.example.com/login',
+  fields: { '#email': 'qa@example.com', '#password': 'hunter2' },
+  submit: 'button[type=submit]',
+  waitForUrl: '**/dashboard'
+};
+
+/**
+ * Fake browser whose contexts record login steps
+ */
+function createFakeBrowser(storageState = { cookies: [{ name: 'sid', value: 'abc' }], origins: [] }) {
+  const steps = [];
+  const page = {
+    goto: jest.fn(async (url) => steps.push(['goto', url])),
+    fill: jest.fn(async (selector, value) => steps.push(['fill', selector, value])),
+    click: jest.fn(async (selector) => steps.push(['click', selector])),
+    press: jest.fn(async (selector, key) => steps.push(['press', selector, key])),
+    waitForURL: jest.fn(async (url) => steps.push(['waitForURL', url])),
+    waitForSelector: jest.fn(async (selector) => steps.push(['waitForSelector', selector])),
+    waitForLoadState: jest.fn(async () => {}),
+    close: jest.fn()
+  };
+  const context = {
+    newPage: jest.fn(async () => page),
+    storageState: jest.fn(async () => storageState),
+    close: jest.fn()
+  };
+  const browser = { newContext: jest.fn(async () => context) };
+  return { browser, page, context, steps };
+}
+
+describe('validateAuthConfig', () => {
+  test('accepts login scripts', () => {
+    expect(validateAuthConfig(loginAuth)).toBe(loginAuth);
+  });
+
+  test('rejects unknown types', () => {
+    expect(() => validateAuthConfig({ type: 'oauth' })).toThrow('auth.type must be one of');
+    expect(() => validateAuthConfig(null)).toThrow('auth must be an object');
+  });
+
+  test('requires a login URL and fields', () => {
+    expect(() => validateAuthConfig({ ...loginAuth, loginUrl: '/login' })).toThrow('loginUrl');
+    expect(() => validateAuthConfig({ ...loginAuth, fields: {} })).toThrow('auth.fields');
+  });
+
+  test('requires cookies in storage states', () => {
+    expect(() => validateAuthConfig({ type: 'storageState', storageState: {} })).toThrow('cookies array');
+    expect(validateAuthConfig({ type: 'storageState', storageState: { cookies: [], origins: [] } })).toBeTruthy();
+  });
+
+  test('requires name, value and a domain for cookies', () => {
+    expect(() => validateAuthConfig({ type: 'cookies', cookies: [] })).toThrow('non-empty');
+    expect(() => validateAuthConfig({ type: 'cookies', cookies: [{ name: 'sid', value: '1' }] }))
+      .toThrow('url or domain');
+  });
+
+  test('rejects sameSite values a browser would not accept', () => {
+    expect(() => validateAuthConfig({ type: 'cookies', cookies: [{ name: 'sid', value: '1', domain: 'example.com', sameSite: 'sometimes' }] }))
+      .toThrow('cookie "sid" has an invalid sameSite "sometimes"');
+  });
+});
+
+describe('describeAuth', () => {
+  test('leaves out credentials', () => {
+    expect(describeAuth(loginAuth)).toEqual({ type: 'login', loginUrl: 'https://app.example.com/login' });
+    expect(describeAuth({ type: 'cookies', cookies: [{ name: 'sid', value: 'secret' }] })).toEqual({ type: 'cookies' });
+    expect(describeAuth(null)).toBeNull();
+  });
+});
+
+describe('auth config storage', () => {
+  let authDir;
+
+  beforeEach(() => {
+    authDir = path.join(os.tmpdir(), `auth-test-${Date.now()}`);
+  });
+
+  afterEach(() => {
+    fs.rmSync(authDir, { recursive: true, force: true });
+  });
+
+  test('saves configs readable only by the owner', () => {
+    const authFile = saveAuthConfig(authDir, 'proj_1', loginAuth);
+
+    expect(authFile).toBe(getAuthFile(authDir, 'proj_1'));
+    expect(JSON.parse(fs.readFileSync(authFile, 'utf-8'))).toEqual(loginAuth);
+    if (process.platform !== 'win32') {
+      expect(fs.statSync(authFile).mode & 0o777).toBe(0o600);
+    }
+  });
+
+  test('does not save invalid configs', () => {
+    expect(() => saveAuthConfig(authDir, 'proj_1', { type: 'login' })).toThrow();
+    expect(fs.existsSync(getAuthFile(authDir, 'proj_1'))).toBe(false);
+  });
+
+  test('deletes configs', () => {
+    saveAuthConfig(authDir, 'proj_1', loginAuth);
+
+    expect(deleteAuthConfig(authDir, 'proj_1')).toBe(true);
+    expect(deleteAuthConfig(authDir, 'proj_1')).toBe(false);
+  });
+});
+
+describe('resolveStorageState', () => {
+  let authDir;
+
+  beforeEach(() => {
+    authDir = path.join(os.tmpdir(), `auth-test-${Date.now()}`);
+    clearSessionCache();
+  });
+
+  afterEach(() => {
+    fs.rmSync(authDir, { recursive: true, force: true });
+  });
+
+  test('returns undefined without an auth file', async () => {
+    expect(await resolveStorageState(createFakeBrowser().browser, null)).toBeUndefined();
+  });
+
+  test('uses imported storage states as-is', async () => {
+    const storageState = { cookies: [{ name: 'sid', value: '1', domain: 'example.com', path: '/' }], origins: [] };
+    const authFile = saveAuthConfig(authDir, 'p', { type: 'storageState', storageState });
+
+    expect(await resolveStorageState(createFakeBrowser().browser, authFile)).toEqual(storageState);
+  });
+
+  test('fills in missing cookie fields', async () => {
+    const authFile = saveAuthConfig(authDir, 'p', {
+      type: 'cookies',
+      cookies: [{ name: 'sid', value: 42, url: 'https://app.example.com/' }]
+    });
+
+    const { cookies } = await resolveStorageState(createFakeBrowser().browser, authFile);
+    expect(cookies).toEqual([{
+      name: 'sid',
+      value: '42',
+      domain: 'app.example.com',
+      path: '/',
+      expires: -1,
+      httpOnly: false,
+      secure: true,
+      sameSite: 'Lax'
+    }]);
+  });
+
+  test('maps sameSite values from browser-extension exports', async () => {
+    const cookie = (name, sameSite) => ({ name, value: '1', domain: '.example.com', sameSite });
+    const authFile = saveAuthConfig(authDir, 'p', {
+      type: 'cookies',
+      cookies: [cookie('a', 'no_restriction'), cookie('b', 'unspecified'), cookie('c', 'lax'), cookie('d', 'strict'), cookie('e', 'None')]
+    });
+
+    const { cookies } = await resolveStorageState(createFakeBrowser().browser, authFile);
+    expect(cookies.map(c => c.sameSite)).toEqual(['None', 'Lax', 'Lax', 'Strict', 'None']);
+  });
+
+  test('runs login scripts and captures the session', async () => {
+    const fake = createFakeBrowser();
+    const authFile = saveAuthConfig(authDir, 'p', loginAuth);
+
+    const state = await resolveStorageState(fake.browser, authFile, { userAgent: 'UA' });
+
+    expect(state.cookies[0].name).toBe('sid');
+    expect(fake.browser.newContext).toHaveBeenCalledWith({ userAgent: 'UA' });
+    expect(fake.steps).toEqual([
+      ['goto', 'https://app.example.com/login'],
+      ['fill', '#email', 'qa@example.com'],
+      ['fill', '#password', 'hunter2'],
+      ['click', 'button[type=submit]'],
+      ['waitForURL', '**/dashboard']
+    ]);
+    expect(fake.context.close).toHaveBeenCalled();
+  });
+
+  test('presses Enter without a submit selector and supports regex URLs', async () => {
+    const fake = createFakeBrowser();
+    const authFile = saveAuthConfig(authDir, 'p', {
+      ...loginAuth,
+      submit: undefined,
+      waitForUrl: 'regex:/(dashboard|home)$'
+    });
+
+    await resolveStorageState(fake.browser, authFile);
+
+    expect(fake.page.press).toHaveBeenCalledWith('#password', 'Enter');
+    expect(fake.page.waitForURL.mock.calls[0][0]).toBeInstanceOf(RegExp);
+  });
+
+  test('logs in once for parallel scans', async () => {
+    const fake = createFakeBrowser();
+    const authFile = saveAuthConfig(authDir, 'p', loginAuth);
+
+    await Promise.all([
+      resolveStorageState(fake.browser, authFile),
+      resolveStorageState(fake.browser, authFile),
+      resolveStorageState(fake.browser, authFile)
+    ]);
+
+    expect(fake.browser.newContext).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports failed logins and retries next time', async () => {
+    const fake = createFakeBrowser();
+    fake.page.waitForURL.mockRejectedValueOnce(new Error('Timeout 30000ms exceeded'));
+    const authFile = saveAuthConfig(authDir, 'p', loginAuth);
+
+    await expect(resolveStorageState(fake.browser, authFile))
+      .rejects.toThrow('Login failed at https://app.example.com/login: Timeout');
+    expect(fake.context.close).toHaveBeenCalled();
+
+    await resolveStorageState(fake.browser, authFile);
+    expect(fake.browser.newContext).toHaveBeenCalledTimes(2);
+  });
+
+  test('saving a config drops the cached session', async () => {
+    const fake = createFakeBrowser();
+    const authFile = saveAuthConfig(authDir, 'p', loginAuth);
+    await resolveStorageState(fake.browser, authFile);
+
+    saveAuthConfig(authDir, 'p', { ...loginAuth, fields: { '#email': 'other@example.com' } });
+    await resolveStorageState(fake.browser, authFile);
+
+    expect(fake.browser.newContext).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Tests for text contrast (workers/color.js)
+ * Contrast math runs on stubbed samples, in-page sampling against a real DOM.
+ */
+
+const { createDomPage } = require('../dom');
+const {
+  CONTRAST_THRESHOLDS,
+  contrastRatio,
+  isLargeText,
+  measureContrast,
+  extractTextContrast
+} = require('../../workers/color');
+
+const sample = (overrides = {}) => ({
+  order: 0,
+  selector: 'p',
+  text: 'Body copy',
+  box: { x: 0, y: 0, width: 100, height: 20 },
+  color: [0, 0, 0, 1],
+  layers: [],
+  backgroundImage: false,
+  fontSize: 16,
+  fontWeight: 400,
+  ...overrides
+});
+
+describe('contrastRatio', () => {
+  test('ranges from 1 to 21', () => {
+    expect(contrastRatio([0, 0, 0], [255, 255, 255])).toBeCloseTo(21, 5);
+    expect(contrastRatio([255, 255, 255], [0, 0, 0])).toBeCloseTo(21, 5);
+    expect(contrastRatio([119, 119, 119], [119, 119, 119])).toBe(1);
+  });
+
+  test('matches known pairs', () => {
+    expect(contrastRatio([118, 118, 118], [255, 255, 255])).toBeCloseTo(4.54, 2);
+    expect(contrastRatio([0, 102, 204], [255, 255, 255])).toBeCloseTo(5.57, 2);
+  });
+});
+
+describe('isLargeText', () => {
+  test('uses 18pt, or 14pt bold', () => {
+    expect(isLargeText(24, 400)).toBe(true);
+    expect(isLargeText(19, 700)).toBe(true);
+    expect(isLargeText(19, 600)).toBe(false);
+    expect(isLargeText(16, 700)).toBe(false);
+  });
+});
+
+describe('measureContrast', () => {
+  test('reports AA and AAA against the size threshold', () => {
+    expect(measureContrast(sample({ color: [118, 118, 118, 1] }))).toEqual({
+      ratio: 4.54,
+      foreground: '#767676',
+      background: '#ffffff',
+      backgroundImage: false,
+      fontSize: 16,
+      fontWeight: 400,
+      large: false,
+      required: CONTRAST_THRESHOLDS.aa.normal,
+      aa: true,
+      aaa: false
+    });
+
+    const large = measureContrast(sample({ color: [148, 148, 148, 1], fontSize: 32 }));
+    expect(large).toMatchObject({ large: true, required: 3, aa: true, aaa: false });
+  });
+
+  test('composites translucent backgrounds over the page', () => {
+    const contrast = measureContrast(sample({
+      color: [255, 255, 255, 1],
+      layers: [[0, 0, 0, 0.5], [0, 0, 255, 0.2]]
+    }));
+
+    expect(contrast.background).toBe('#666680');
+    expect(contrast.ratio).toBe(5.56);
+  });
+
+  test('fades translucent text into the background', () => {
+    const contrast = measureContrast(sample({ color: [0, 0, 0, 0.4], layers: [[255, 255, 255, 1]] }));
+
+    expect(contrast.foreground).toBe('#999999');
+    expect(contrast.aa).toBe(false);
+  });
+
+  test('flags text over a background image', () => {
+    expect(measureContrast(sample({ backgroundImage: true })).backgroundImage).toBe(true);
+  });
+});
+
+describe('extractTextContrast', () => {
+  test('returns text elements in document order', async () => {
+    const page = {
+      evaluate: jest.fn().mockResolvedValue([
+        sample({ order: 1, selector: 'p.muted', text: 'Muted', color: [187, 187, 187, 1] }),
+        sample({ order: 0, selector: 'h1', text: 'Welcome' })
+      ])
+    };
+
+    const elements = await extractTextContrast(page, 'desktop');
+
+    expect(page.evaluate).toHaveBeenCalledWith(expect.any(Function), { maxSamples: 500 });
+    expect(elements.map(el => [el.id, el.selector, el.contrast.aa])).toEqual([
+      [expect.stringMatching(/^el_text_[0-9a-f]{8}$/), 'h1', true],
+      [expect.stringMatching(/^el_text_[0-9a-f]{8}$/), 'p.muted', false]
+    ]);
+    expect(elements[0]).toMatchObject({ type: 'text', text: 'Welcome', desktop: { x: 0, y: 0, width: 100, height: 20 } });
+  });
+
+  test('keeps failing elements first on long pages', async () => {
+    const samples = Array.from({ length: 250 }, (_, i) => sample({ order: i, selector: `p.n${i}` }));
+    samples[240].color = [200, 200, 200, 1];
+    const page = { evaluate: jest.fn().mockResolvedValue(samples) };
+
+    const elements = await extractTextContrast(page, 'mobile');
+
+    expect(elements).toHaveLength(200);
+    expect(elements.at(-1)).toMatchObject({ selector: 'p.n240', contrast: { aa: false } });
+    expect(elements.at(-2).selector).toBe('p.n198');
+  });
+
+  test('returns nothing when sampling fails', async () => {
+    expect(await extractTextContrast({ evaluate: async () => null }, 'desktop')).toEqual([]);
+  });
+});
+
+describe('in-page sampling', () => {
+  const styles = `<style>
+    * { background-color: transparent; background-image: none; opacity: 1; color: #000000; font-size: 16px; font-weight: 400 }
+  </style>`;
+
+  test('composites nested backgrounds from the text up to the first opaque one', async () => {
+    const page = createDomPage(`<html><head>${styles}<style>
+      section { background-color: #000000 }
+      .card { background-color: rgba(255, 255, 255, 0.5) }
+      .card p { color: #ffffff }
+    </style></head><body data-box="0 0 1000 800">
+      <section data-box="0 0 1000 400">
+        <div class="card" data-box="20 20 400 200"><p data-box="40 40 200 20">On the card</p></div>
+      </section>
+    </body></html>`, { layout: true });
+
+    const [element] = await extractTextContrast(page, 'desktop');
+
+    expect(element).toMatchObject({ text: 'On the card', desktop: { x: 40, y: 40, width: 200, height: 20 } });
+    expect(element.contrast).toMatchObject({ foreground: '#ffffff', background: '#808080', aa: false });
+  });
+
+  test('looks through transparent backgrounds to the page', async () => {
+    const page = createDomPage(`<html><head>${styles}<style>
+      .dark { background-color: #1a1a1a }
+      .dark p { color: #ffffff; background-color: transparent }
+    </style></head><body data-box="0 0 1000 800">
+      <div class="dark" data-box="0 0 1000 100"><p data-box="20 20 200 20">Light on dark</p></div>
+      <div data-box="0 200 1000 100"><p data-box="20 220 200 20">Dark on white</p></div>
+      <p data-box="20 400 200 20" hidden>Hidden</p>
+    </body></html>`, { layout: true });
+
+    const elements = await extractTextContrast(page, 'desktop');
+
+    expect(elements.map(el => [el.text, el.contrast.foreground, el.contrast.background, el.contrast.aaa])).toEqual([
+      ['Light on dark', '#ffffff', '#1a1a1a', true],
+      ['Dark on white', '#000000', '#ffffff', true]
+    ]);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Tests for component detection (workers/components.js)
+ * IDs and the catalog run on stubbed instances, fingerprinting against a real DOM.
+ */
+
+const { createDomPage } = require('../dom');
+const { componentId, extractComponents, buildCatalog } = require('../../workers/components');
+
+const CARD = 'div(img,div(h3,p),a)';
+
+const instance = (overrides = {}) => ({
+  kind: 'repeated',
+  name: 'card',
+  fingerprint: CARD,
+  structure: 'div(img,div(h3,p),a(span))',
+  classes: ['card'],
+  selector: 'div.card',
+  text: 'Plan',
+  repeat: 3,
+  box: { x: 0, y: 400, width: 320, height: 240 },
+  ...overrides
+});
+
+/**
+ * Component element as stored on a sitemap page
+ */
+const element = (id, overrides = {}) => {
+  const { box, ...rest } = instance(overrides);
+  return { id, type: 'component', component: componentId(rest.kind, rest.fingerprint), ...rest, desktop: box };
+};
+
+describe('componentId', () => {
+  test('is stable for the same kind and structure', () => {
+    expect(componentId('repeated', CARD)).toMatch(/^cmp_[0-9a-f]{8}$/);
+    expect(componentId('repeated', CARD)).toBe(componentId('repeated', CARD));
+    expect(componentId('section', CARD)).not.toBe(componentId('repeated', CARD));
+  });
+});
+
+describe('extractComponents', () => {
+  test('returns component elements with a box for the viewport', async () => {
+    const page = { evaluate: jest.fn().mockResolvedValue([instance({ kind: 'footer', name: 'footer', fingerprint: 'footer(div(ul,p))' }), instance()]) };
+
+    const elements = await extractComponents(page, 'mobile');
+
+    expect(page.evaluate).toHaveBeenCalledWith(expect.any(Function), { maxInstances: 100, minWidth: 60, minHeight: 30, minTags: 3 });
+    expect(elements[0]).toMatchObject({ id: expect.stringMatching(/^el_cmp_[0-9a-f]{8}$/), type: 'component', kind: 'footer', component: componentId('footer', 'footer(div(ul,p))') });
+    expect(elements[1]).toEqual({
+      id: `el_cmp_${elements[1].identity}`,
+      identity: expect.stringMatching(/^[0-9a-f]{8}$/),
+      type: 'component',
+      component: componentId('repeated', CARD),
+      kind: 'repeated',
+      name: 'card',
+      fingerprint: CARD,
+      structure: 'div(img,div(h3,p),a(span))',
+      classes: ['card'],
+      selector: 'div.card',
+      text: 'Plan',
+      repeat: 3,
+      mobile: { x: 0, y: 400, width: 320, height: 240 }
+    });
+  });
+
+  test('returns nothing when detection fails', async () => {
+    expect(await extractComponents({ evaluate: async () => null }, 'desktop')).toEqual([]);
+  });
+});
+
+describe('in-page detection', () => {
+  /**
+   * [kind, name, fingerprint, repeat] for each instance found in `body`
+   */
+  async function detect(body) {
+    const page = createDomPage(`<html><body>${body}</body></html>`, { layout: true });
+    const elements = await extractComponents(page, 'desktop');
+    return elements.map(el => [el.kind, el.name, el.fingerprint, el.repeat]);
+  }
+
+  test('finds a card grid and the sections around it', async () => {
+    const card = (name, x) => `<div class="plan card" data-box="${x} 200 300 240">
+      <img src="/${name}.png"><div><h3>${name}</h3><p>For teams</p></div><a href="/buy">Buy</a>
+    </div>`;
+
+    expect(await detect(`<main>
+      <section id="plans" data-box="0 0 1200 600">
+        <h2>Plans</h2>
+        <div class="grid" data-box="0 200 1200 240">${card('Starter', 0)}${card('Pro', 320)}${card('Team', 640)}</div>
+      </section>
+      <section class="faq" data-box="0 600 1200 300"><h2>Questions</h2><p>Answers</p></section>
+      <p data-box="0 900 1200 20">Too small</p>
+    </main>`)).toEqual([
+      ['section', 'pricing', 'section(h2,div(div))', 1],
+      ['section', 'faq', 'section(h2,p)', 1],
+      ['repeated', 'pricing', CARD, 3],
+      ['repeated', 'pricing', CARD, 3],
+      ['repeated', 'pricing', CARD, 3]
+    ]);
+  });
+
+  test('skips repeated blocks inside repeated blocks', async () => {
+    const post = (title) => `<article data-box="0 0 600 200">
+      <h3>${title}</h3>
+      <ul class="tags">
+        <li data-box="0 0 80 40"><a href="/tag/a"><span>a</span></a></li>
+        <li data-box="0 0 80 40"><a href="/tag/b"><span>b</span></a></li>
+      </ul>
+    </article>`;
+
+    expect(await detect(`<main>
+      <h1>Blog</h1>
+      <div class="posts" data-box="0 0 1200 400">${post('First')}${post('Second')}</div>
+    </main>`)).toEqual([
+      ['section', 'post', 'div(article(h3,ul))', 1],
+      ['repeated', 'post', 'article(h3,ul(li))', 2],
+      ['repeated', 'post', 'article(h3,ul(li))', 2]
+    ]);
+  });
+
+  test('records header and nav landmarks and leaves their contents to them', async () => {
+    const item = (label) => `<li data-box="0 0 100 40"><a href="/${label}"><span>${label}</span></a></li>`;
+
+    expect(await detect(`
+      <header data-box="0 0 1200 80">
+        <div class="logo">Acme</div>
+        <nav data-box="400 0 600 80"><ul>${item('docs')}${item('pricing')}${item('blog')}</ul></nav>
+      </header>
+      <main><p>Content</p></main>
+      <div role="navigation" data-box="0 1000 1200 40"><nav data-box="0 1000 600 40"><a href="/a">A</a></nav></div>
+      <nav hidden data-box="0 0 0 0"><a href="/x">X</a></nav>`)).toEqual([
+      ['header', 'header', 'header(div,nav(ul))', 1],
+      ['nav', 'nav', 'nav(ul(li))', 1],
+      ['nav', 'nav', 'div(nav(a))', 1]
+    ]);
+  });
+});
+
+describe('buildCatalog', () => {
+  const pages = [
+    {
+      path: '/',
+      slug: 'home',
+      elements: [
+        { id: 'el_001', type: 'cta', text: 'Buy', desktop: { x: 0, y: 0, width: 10, height: 10 } },
+        element('el_cmp_001', { kind: 'header', name: 'header', fingerprint: 'header(a,nav(ul))', classes: ['site-header'] }),
+        element('el_cmp_002', { classes: ['card', 'card--featured'], box: { x: 0, y: 400, width: 360, height: 260 } }),
+        element('el_cmp_003'),
+        element('el_cmp_004', { kind: 'section', name: 'hero', fingerprint: 'section(h1,p,a)' })
+      ]
+    },
+    {
+      path: '/pricing',
+      slug: 'pricing',
+      elements: [
+        element('el_cmp_001', { kind: 'header', name: 'header', fingerprint: 'header(a,nav(ul))', classes: ['site-header'] }),
+        element('el_cmp_002', { structure: 'div(img,div(h3,p,ul(li)),a(span))', box: { x: 0, y: 300, width: 300, height: 400 } })
+      ]
+    }
+  ];
+
+  test('lists components seen more than once, most widespread first', () => {
+    const catalog = buildCatalog(pages);
+
+    expect(catalog.map(c => [c.name, c.pages, c.instances])).toEqual([
+      ['card', 2, 3],
+      ['header', 2, 2]
+    ]);
+    expect(catalog[1]).toMatchObject({ id: componentId('header', 'header(a,nav(ul))'), kind: 'header', paths: ['/', '/pricing'], classes: ['site-header'] });
+  });
+
+  test('splits variants by modifier classes and structure', () => {
+    const [card] = buildCatalog(pages);
+
+    expect(card.classes).toEqual(['card']);
+    expect(card.variants).toEqual([
+      {
+        id: `${card.id}_v1`,
+        modifiers: ['card--featured'],
+        structureDiffers: false,
+        count: 1,
+        pages: 1,
+        width: [360, 360],
+        example: { path: '/', slug: 'home', element: 'el_cmp_002', boxes: { desktop: { x: 0, y: 400, width: 360, height: 260 } } }
+      },
+      expect.objectContaining({ modifiers: [], structureDiffers: false, count: 1, example: expect.objectContaining({ element: 'el_cmp_003' }) }),
+      expect.objectContaining({ modifiers: [], structureDiffers: true, width: [300, 300], example: expect.objectContaining({ slug: 'pricing' }) })
+    ]);
+  });
+
+  test('groups identical instances into one variant', () => {
+    const [card] = buildCatalog([{ path: '/', slug: 'home', elements: [element('el_cmp_001'), element('el_cmp_002', { box: { x: 340, y: 400, width: 300, height: 240 } })] }]);
+
+    expect(card.variants).toHaveLength(1);
+    expect(card.variants[0]).toMatchObject({ count: 2, pages: 1, width: [300, 320] });
+  });
+
+  test('handles pages without elements', () => {
+    expect(buildCatalog([{ path: '/' }])).toEqual([]);
+    expect(buildCatalog(undefined)).toEqual([]);
+  });
+});
@@ -6,6 +6,7 @@ const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const { Coordinator, PROJECT_STATUS } = require('../../workers/coordinator');
+const { validateHreflang } = require('../../workers/structured');
 
 describe('Coordinator', () => {
   let coordinator;
@@ -92,6 +93,14 @@ describe('Coordinator', () => {
       expect(project.config.maxPagesPerSite).toBe(50);
       expect(project.config.captureDesktop).toBe(true);
       expect(project.config.captureMobile).toBe(true);
+      expect(project.config.respectRobots).toBe(true);
+      expect(project.config.crawlDelay).toBe(0);
+      expect(project.config.overlays).toEqual({ auto: true, click: [], hide: [] });
+      expect(project.config.viewports).toBeNull();
+      expect(project.config.variants).toEqual([]);
+      expect(project.config.interactions).toEqual([]);
+      expect(project.config.flows).toEqual([]);
+      expect(project.config.stabilize).toMatchObject({ freezeAnimations: false, clock: null, mask: [] });
     });
 
     test('stores project in memory', async () => {
@@ -167,6 +176,7 @@ describe('Coordinator', () => {
       const handlers = {
         discover: jest.fn(),
         scan: jest.fn(),
+        flow: jest.fn(),
         analyze: jest.fn(),
         synthesize: jest.fn()
       };
@@ -175,6 +185,7 @@ describe('Coordinator', () => {
 
       expect(coordinator.pool.handlers.discover).toBe(handlers.discover);
       expect(coordinator.pool.handlers.scan).toBe(handlers.scan);
+      expect(coordinator.pool.handlers.flow).toBe(handlers.flow);
       expect(coordinator.pool.handlers.analyze).toBe(handlers.analyze);
       expect(coordinator.pool.handlers.synthesize).toBe(handlers.synthesize);
     });
@@ -214,12 +225,134 @@ describe('Coordinator', () => {
       expect(discoverJobs).toHaveLength(2);
     });
 
+    test('passes URL rules to discover jobs', async () => {
+      const project = await coordinator.createProject({
+        sites: [{ url: 'https://example.com' }],
+        exclude: ['/blog/**'],
+        keepParams: ['lang']
+      });
+
+      await coordinator.startDiscovery(project.id);
+
+      const [discoverJob] = coordinator.pool.getProjectJobs(project.id);
+      expect(discoverJob.payload.options).toMatchObject({
+        include: [],
+        exclude: ['/blog/**'],
+        keepParams: ['lang'],
+        stripParams: []
+      });
+    });
+
+    test('turns on SPA discovery only when asked', async () => {
+      const app = await coordinator.createProject({ sites: [{ url: 'https://app.example.com' }], spa: true });
+      const site = await coordinator.createProject({ sites: [{ url: 'https://example.com' }] });
+
+      await coordinator.startDiscovery(app.id);
+      await coordinator.startDiscovery(site.id);
+
+      expect(coordinator.pool.getProjectJobs(app.id)[0].payload.options.spa).toBe(true);
+      expect(coordinator.pool.getProjectJobs(site.id)[0].payload.options.spa).toBe(false);
+    });
+
+    test('checks links during discovery unless disabled', async () => {
+      const project = await coordinator.createProject({
+        sites: [{ url: 'https://example.com' }],
+        maxLinkChecks: 100
+      });
+      const quiet = await coordinator.createProject({
+        sites: [{ url: 'https://example.org' }],
+        checkLinks: false
+      });
+
+      await coordinator.startDiscovery(project.id);
+      await coordinator.startDiscovery(quiet.id);
+
+      expect(coordinator.pool.getProjectJobs(project.id)[0].payload.options).toMatchObject({ checkLinks: true, maxLinkChecks: 100 });
+      expect(coordinator.pool.getProjectJobs(quiet.id)[0].payload.options).toMatchObject({ checkLinks: false, maxLinkChecks: 500 });
+    });
+
     test('throws for unknown project', async () => {
       await expect(coordinator.startDiscovery('unknown'))
         .rejects.toThrow('Project not found');
     });
   });
 
+  describe('project auth', () => {
+    const auth = {
+      type: 'login',
+      loginUrl: 'https://example.com/login',
+      fields: { '#user': 'qa', '#pass': 'secret-password' }
+    };
+    let authDir;
+
+    beforeEach(() => {
+      authDir = path.join(tempDir, '.auth');
+      coordinator.authDir = authDir;
+    });
+
+    test('stores credentials outside the manifest', async () => {
+      const project = await coordinator.createProject({
+        sites: [{ url: 'https://example.com' }],
+        auth
+      });
+
+      expect(project.auth).toEqual({ type: 'login', loginUrl: 'https://example.com/login' });
+      expect(project.config.auth).toBeUndefined();
+
+      const manifest = fs.readFileSync(path.join(tempDir, project.id, 'manifest.json'), 'utf-8');
+      expect(manifest).not.toContain('secret-password');
+      expect(fs.existsSync(path.join(authDir, `${project.id}.json`))).toBe(true);
+    });
+
+    test('rejects invalid auth before creating the project', async () => {
+      await expect(coordinator.createProject({
+        sites: [{ url: 'https://example.com' }],
+        auth: { type: 'login' }
+      })).rejects.toThrow('loginUrl');
+      expect(coordinator.projects.size).toBe(0);
+    });
+
+    test('passes the auth file to discover and scan jobs', async () => {
+      const project = await coordinator.createProject({
+        sites: [{ url: 'https://example.com' }],
+        auth
+      });
+
+      await coordinator.startDiscovery(project.id);
+      await coordinator.startScanning(project.id, [
+        { url: 'https://example.com/', path: '/', site: 'https://example.com' }
+      ]);
+
+      const authFile = path.join(authDir, `${project.id}.json`);
+      for (const job of coordinator.pool.getProjectJobs(project.id)) {
+        expect(job.payload.options.authFile).toBe(authFile);
+      }
+    });
+
+    test('sets and clears auth on existing projects', async () => {
+      const project = await coordinator.createProject({
+        sites: [{ url: 'https://example.com' }]
+      });
+      expect(project.auth).toBeNull();
+
+      await coordinator.setProjectAuth(project.id, auth);
+      expect(coordinator.getProject(project.id).auth.type).toBe('login');
+
+      await coordinator.clearProjectAuth(project.id);
+      expect(coordinator.getProject(project.id).auth).toBeNull();
+      expect(fs.existsSync(path.join(authDir, `${project.id}.json`))).toBe(false);
+
+      await coordinator.startDiscovery(project.id);
+      const [discoverJob] = coordinator.pool.getProjectJobs(project.id);
+      expect(discoverJob.payload.options.authFile).toBeNull();
+    });
+
+    test('throws for unknown project', async () => {
+      await expect(coordinator.setProjectAuth('unknown', auth)).rejects.toThrow('Project not found');
+      await expect(coordinator.clearProjectAuth('unknown')).rejects.toThrow('Project not found');
+    });
+  });
+
   describe('startScanning', () => {
     test('updates project status to scanning', async () => {
       const project = await coordinator.createProject({
@@ -267,6 +400,223 @@ describe('Coordinator', () => {
       const siteDir = path.join(tempDir, project.id, 'site_example.com');
       expect(fs.existsSync(siteDir)).toBe(true);
     });
+
+    test('passes robots.txt settings and crawl delay to scan jobs', async () => {
+      const project = await coordinator.createProject({
+        sites: [{ url: 'https://example.com' }],
+        maxRequestsPerSecond: 2
+      });
+
+      await coordinator.startScanning(project.id, [
+        { url: 'https://example.com/', path: '/', site: 'https://example.com', crawlDelay: 5 }
+      ]);
+
+      const [scanJob] = coordinator.pool.getProjectJobs(project.id).filter(j => j.type === 'scan');
+      expect(scanJob.payload.options).toMatchObject({
+        respectRobots: true,
+        crawlDelay: 5,
+        maxRequestsPerSecond: 2
+      });
+    });
+
+    test('passes overlay rules to scan jobs', async () => {
+      const project = await coordinator.createProject({
+        sites: [{ url: 'https://example.com' }],
+        overlays: { hide: ['.sticky-promo'] }
+      });
+
+      await coordinator.startScanning(project.id, [
+        { url: 'https://example.com/', path: '/', site: 'https://example.com' }
+      ]);
+
+      const [scanJob] = coordinator.pool.getProjectJobs(project.id).filter(j => j.type === 'scan');
+      expect(scanJob.payload.options.overlays).toEqual({ auto: true, click: [], hide: ['.sticky-promo'] });
+    });
+
+    test('passes viewports, variants, stabilization and interactions to scan jobs', async () => {
+      const viewports = ['desktop', 'tablet', { name: 'iPhone 15' }];
+      const project = await coordinator.createProject({
+        sites: [{ url: 'https://example.com' }],
+        viewports,
+        variants: ['dark'],
+        stabilize: { freezeAnimations: true, mask: ['.ad-slot'] },
+        interactions: [{ name: 'Menu open', viewports: ['mobile'], steps: [{ action: 'click', selector: 'button.menu' }] }]
+      });
+
+      await coordinator.startScanning(project.id, [
+        { url: 'https://example.com/', path: '/', site: 'https://example.com' }
+      ]);
+
+      const [scanJob] = coordinator.pool.getProjectJobs(project.id).filter(j => j.type === 'scan');
+      expect(scanJob.payload.options.viewports).toEqual(viewports);
+      expect(scanJob.payload.options.variants).toEqual(['dark']);
+      expect(scanJob.payload.options.stabilize).toMatchObject({ freezeAnimations: true, mask: ['.ad-slot'] });
+      expect(scanJob.payload.options.interactions).toEqual([
+        { name: 'menu-open', pages: [], viewports: ['mobile'], steps: [{ action: 'click', selector: 'button.menu' }] }
+      ]);
+    });
+
+    test('passes scan errors, discovered link checks, WCAG results and focus order to analysis', async () => {
+      const project = await coordinator.createProject({
+        sites: [{ url: 'https://example.com' }]
+      });
+      const links = { checked: 2, broken: [{ url: 'https://example.com/gone', status: 404 }], redirects: [] };
+
+      await coordinator.startScanning(project.id, [
+        { url: 'https://example.com/', path: '/', site: 'https://example.com', health: { links } }
+      ]);
+      const [scanJob] = coordinator.pool.getProjectJobs(project.id).filter(j => j.type === 'scan');
+      expect(scanJob.payload.page.health).toEqual({ links });
+
+      scanJob.status = 'complete';
+      scanJob.result = {
+        extracted: {},
+        elements: [],
+        health: { requests: [], console: [], exceptions: [], errorCount: 0 },
+        accessibility: { snapshot: '- main', rules: ['label'], violations: [] },
+        focusOrder: { viewport: 'desktop', stops: [], complete: true, trapped: false, truncated: false },
+        layoutChanges: []
+      };
+      await coordinator.checkPhaseCompletion(project.id);
+
+      const [analyzeJob] = coordinator.pool.getProjectJobs(project.id).filter(j => j.type === 'analyze');
+      expect(analyzeJob.payload.health).toEqual({ requests: [], console: [], exceptions: [], errorCount: 0, links });
+      expect(analyzeJob.payload.accessibility).toEqual({ snapshot: '- main', rules: ['label'], violations: [] });
+      expect(analyzeJob.payload.focusOrder).toMatchObject({ viewport: 'desktop', complete: true });
+      expect(analyzeJob.payload.layoutChanges).toEqual([]);
+    });
+
+    test('analyzes once every page is scanned, with the hreflang alternates of all of them', async () => {
+      const project = await coordinator.createProject({
+        sites: [{ url: 'https://example.com' }]
+      });
+      await coordinator.startScanning(project.id, [
+        { url: 'https://example.com/', path: '/', site: 'https://example.com' },
+        { url: 'https://example.com/fr/', path: '/fr/', site: 'https://example.com' }
+      ]);
+      const [en, fr] = coordinator.pool.getProjectJobs(project.id).filter(j => j.type === 'scan');
+      const hreflang = (url, alternates) => ({ extracted: { hreflang: { url, alternates } }, elements: [] });
+
+      en.status = 'complete';
+      en.result = hreflang('https://example.com/', [{ lang: 'en', href: 'https://example.com/' }, { lang: 'fr', href: 'https://example.com/fr/' }]);
+      await coordinator.checkPhaseCompletion(project.id);
+      expect(coordinator.pool.getProjectJobs(project.id).filter(j => j.type === 'analyze')).toHaveLength(0);
+
+      // The French page does not link back to the English one
+      fr.status = 'complete';
+      fr.result = hreflang('https://example.com/fr/', [{ lang: 'fr', href: 'https://example.com/fr/' }]);
+      await coordinator.checkPhaseCompletion(project.id);
+
+      const analyzeJobs = coordinator.pool.getProjectJobs(project.id).filter(j => j.type === 'analyze');
+      expect(analyzeJobs).toHaveLength(2);
+      const { hreflangIndex } = analyzeJobs[0].payload;
+      expect(analyzeJobs[1].payload.hreflangIndex).toBe(hreflangIndex);
+      expect([...hreflangIndex.keys()]).toHaveLength(2);
+
+      expect(validateHreflang(en.result.extracted.hreflang, hreflangIndex).missingReturn).toEqual(['https://example.com/fr/']);
+    });
+
+    test('writes each site sitemap with redirected pages merged', async () => {
+      const project = await coordinator.createProject({
+        sites: [{ url: 'https://example.com' }]
+      });
+      await coordinator.startScanning(project.id, [
+        { url: 'https://example.com/', path: '/', slug: 'home', site: 'https://example.com' },
+        { url: 'https://example.com/old-pricing', path: '/old-pricing', slug: 'old-pricing', parent: 'home', site: 'https://example.com' },
+        { url: 'https://example.com/pricing', path: '/pricing', slug: 'pricing', parent: 'home', site: 'https://example.com' }
+      ]);
+      const http = (requestedUrl, finalUrl, redirectChain = []) => ({ requestedUrl, finalUrl, status: 200, redirectChain });
+      const finals = {
+        '/': http('https://example.com/', 'https://example.com/'),
+        '/old-pricing': http('https://example.com/old-pricing', 'https://example.com/pricing', [{ url: 'https://example.com/old-pricing', status: 301 }]),
+        '/pricing': http('https://example.com/pricing', 'https://example.com/pricing')
+      };
+      for (const job of coordinator.pool.getProjectJobs(project.id).filter(j => j.type === 'scan')) {
+        job.status = 'complete';
+        job.result = {
+          page: job.payload.page,
+          screenshots: { desktop: `/tmp/captures/site/screenshots/${job.payload.page.slug}_desktop.png` },
+          elements: [
+            { id: 'el_cta', crops: { desktop: `/tmp/captures/site/screenshots/crops/${job.payload.page.slug}_desktop_el_cta.png` } },
+            { id: 'el_logo' }
+          ],
+          http: finals[job.payload.page.path],
+          timing: { total: 1 }
+        };
+      }
+      await coordinator.checkPhaseCompletion(project.id);
+
+      const sitemap = JSON.parse(fs.readFileSync(path.join(tempDir, project.id, 'site_example.com', 'sitemap.json'), 'utf8'));
+      expect(sitemap).toMatchObject({ site: 'example.com', role: 'primary' });
+      expect(sitemap.pages.map(p => p.slug)).toEqual(['home', 'pricing']);
+      expect(sitemap.pages[1]).toMatchObject({
+        status: 'done',
+        screenshots: { desktop: 'screenshots/pricing_desktop.png' },
+        elements: [{ id: 'el_cta', crops: { desktop: 'screenshots/crops/pricing_desktop_el_cta.png' } }, { id: 'el_logo' }],
+        aliases: [{ path: '/old-pricing', url: 'https://example.com/old-pricing', status: 301 }]
+      });
+      expect(sitemap.pages[1].timing).toBeUndefined();
+    });
+
+    test('queues one job per flow on the primary site', async () => {
+      const project = await coordinator.createProject({
+        sites: [{ url: 'https://example.com' }, { url: 'https://competitor.com' }],
+        flows: ['name: Sign up\nstart: /pricing\nsteps:\n  - name: Pricing\n  - actions: [{ action: click, selector: a.signup }]']
+      });
+
+      await coordinator.startScanning(project.id, [
+        { url: 'https://example.com/', path: '/', site: 'https://example.com', crawlDelay: 2 },
+        { url: 'https://competitor.com/', path: '/', site: 'https://competitor.com' }
+      ]);
+
+      const flowJobs = coordinator.pool.getProjectJobs(project.id).filter(j => j.type === 'flow');
+      expect(flowJobs).toHaveLength(1);
+      expect(flowJobs[0].payload).toMatchObject({
+        site: 'https://example.com',
+        flow: { name: 'sign-up', start: '/pricing', steps: [{ name: 'Pricing', actions: [] }, { name: 'Step 2' }] },
+        options: { crawlDelay: 2, respectRobots: true }
+      });
+      expect(coordinator.getProject(project.id).progress.flowTotal).toBe(1);
+    });
+
+    test('waits for flows before moving on to analysis', async () => {
+      const project = await coordinator.createProject({
+        sites: [{ url: 'https://example.com' }],
+        flows: [{ name: 'search', start: '/', steps: [{ name: 'Home' }] }]
+      });
+      await coordinator.startScanning(project.id, [
+        { url: 'https://example.com/', path: '/', site: 'https://example.com' }
+      ]);
+      const jobs = coordinator.pool.getProjectJobs(project.id);
+      const scanJob = jobs.find(j => j.type === 'scan');
+      const flowJob = jobs.find(j => j.type === 'flow');
+
+      scanJob.status = 'complete';
+      scanJob.result = { elements: [] };
+      await coordinator.checkPhaseCompletion(project.id);
+      expect(coordinator.getProject(project.id).status).toBe(PROJECT_STATUS.SCANNING);
+
+      flowJob.status = 'failed';
+      await coordinator.checkPhaseCompletion(project.id);
+      expect(coordinator.getProject(project.id).status).toBe(PROJECT_STATUS.ANALYZING);
+    });
+
+    test('does not analyze pages skipped because of robots.txt', async () => {
+      const project = await coordinator.createProject({
+        sites: [{ url: 'https://example.com' }]
+      });
+      await coordinator.startScanning(project.id, [
+        { url: 'https://example.com/private', path: '/private', site: 'https://example.com' }
+      ]);
+      const [scanJob] = coordinator.pool.getProjectJobs(project.id).filter(j => j.type === 'scan');
+      scanJob.status = 'complete';
+      scanJob.result = { skipped: 'robots.txt' };
+      await coordinator.checkPhaseCompletion(project.id);
+
+      expect(coordinator.getProject(project.id).error).toBe('No pages scanned');
+      const analyzeJobs = coordinator.pool.getProjectJobs(project.id).filter(j => j.type === 'analyze');
+      expect(analyzeJobs).toHaveLength(0);
+    });
   });
 
   describe('getPoolStatus', () => {
@@ -0,0 +1,210 @@
+/**
+ * Tests for element crops (workers/crops.js)
+ * Screenshots are stubbed; these cover options, file naming and lookup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { MAX_CROPS, normalizeCrops, cropElements, findCrop, locateCrop } = require('../../workers/crops');
+
+const box = (x, y, width = 200, height = 48) => ({ x, y, width, height });
+
+/**
+ * Fake page: screenshot() returns PNG bytes, evaluate() the "WebP" encoding
+ */
+const createPage = () => ({
+  viewportSize: () => ({ width: 1440, height: 900 }),
+  screenshot: jest.fn(async () => Buffer.from('png')),
+  evaluate: jest.fn(async () => Buffer.from('webp').toString('base64'))
+});
+
+describe('normalizeCrops', () => {
+  test('defaults to PNG', () => {
+    expect(normalizeCrops(true)).toEqual({ format: 'png' });
+    expect(normalizeCrops({})).toEqual({ format: 'png' });
+  });
+
+  test('accepts a format name or object', () => {
+    expect(normalizeCrops('webp')).toEqual({ format: 'webp' });
+    expect(normalizeCrops({ format: 'webp' })).toEqual({ format: 'webp' });
+  });
+
+  test('is off by default', () => {
+    expect(normalizeCrops(undefined)).toBeNull();
+    expect(normalizeCrops(false)).toBeNull();
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => normalizeCrops('gif')).toThrow('crops.format must be png or webp, got "gif"');
+  });
+});
+
+describe('cropElements', () => {
+  let dir;
+  const fileFor = (element, format) => path.join(dir, `home_desktop_${element.id}.${format}`);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crops-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('saves a PNG per element and records it on the element', async () => {
+    const page = createPage();
+    const elements = [
+      { id: 'el_001', type: 'cta', desktop: box(100, 2000) },
+      { id: 'el_002', type: 'form', desktop: box(-10, 300, 1600, 400), mobile: box(0, 0) }
+    ];
+
+    expect(await cropElements(page, elements, 'desktop', fileFor, { format: 'png' }, { animations: 'disabled' })).toBe(2);
+
+    expect(page.screenshot).toHaveBeenCalledWith({ animations: 'disabled', clip: box(100, 2000), fullPage: true, type: 'png' });
+    expect(page.screenshot).toHaveBeenCalledWith(expect.objectContaining({ clip: box(0, 300, 1440, 400) }));
+    expect(elements[0].crops).toEqual({ desktop: fileFor(elements[0], 'png') });
+    expect(fs.readFileSync(elements[0].crops.desktop, 'utf8')).toBe('png');
+    expect(page.evaluate).not.toHaveBeenCalled();
+  });
+
+  test('re-encodes as WebP in the page', async () => {
+    const page = createPage();
+    const elements = [{ id: 'el_001', type: 'cta', desktop: box(0, 0), crops: { mobile: 'mobile.webp' } }];
+
+    await cropElements(page, elements, 'desktop', fileFor, { format: 'webp' });
+
+    expect(page.evaluate).toHaveBeenCalledWith(expect.any(Function), { png: Buffer.from('png').toString('base64'), quality: 0.9 });
+    expect(elements[0].crops).toEqual({ mobile: 'mobile.webp', desktop: fileFor(elements[0], 'webp') });
+    expect(fs.readFileSync(elements[0].crops.desktop, 'utf8')).toBe('webp');
+  });
+
+  test('skips passing text, tiny and off-viewport elements', async () => {
+    const page = createPage();
+    const elements = [
+      { id: 'el_txt_001', type: 'text', contrast: { aa: true }, desktop: box(0, 0) },
+      { id: 'el_txt_002', type: 'text', contrast: { aa: false }, desktop: box(0, 100) },
+      { id: 'el_001', type: 'cta', desktop: box(0, 200, 2, 2) },
+      { id: 'el_002', type: 'cta', mobile: box(0, 0) }
+    ];
+
+    expect(await cropElements(page, elements, 'desktop', fileFor, { format: 'png' })).toBe(1);
+    expect(elements.filter(el => el.crops).map(el => el.id)).toEqual(['el_txt_002']);
+  });
+
+  test('shares one file between elements with the same box', async () => {
+    const page = createPage();
+    const elements = [
+      { id: 'el_001', type: 'form', desktop: box(0, 500) },
+      { id: 'el_002', type: 'cta', desktop: box(0, 500) }
+    ];
+
+    expect(await cropElements(page, elements, 'desktop', fileFor, { format: 'png' })).toBe(1);
+    expect(page.screenshot).toHaveBeenCalledTimes(1);
+    expect(elements[1].crops.desktop).toBe(elements[0].crops.desktop);
+  });
+
+  test('stops at MAX_CROPS', async () => {
+    const page = createPage();
+    const elements = Array.from({ length: MAX_CROPS + 5 }, (_, i) => ({ id: `el_${i}`, type: 'cta', desktop: box(0, i * 50) }));
+
+    expect(await cropElements(page, elements, 'desktop', fileFor, { format: 'png' })).toBe(MAX_CROPS);
+  });
+
+  test('warns and carries on when a screenshot fails', async () => {
+    const page = createPage();
+    page.screenshot.mockRejectedValueOnce(new Error('Target closed'));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const elements = [
+      { id: 'el_001', type: 'cta', desktop: box(0, 0) },
+      { id: 'el_002', type: 'cta', desktop: box(0, 100) }
+    ];
+
+    expect(await cropElements(page, elements, 'desktop', fileFor, { format: 'png' })).toBe(1);
+    expect(elements[0].crops).toBeUndefined();
+    expect(warn).toHaveBeenCalledWith('Crop failed for el_001 (desktop): Target closed');
+    warn.mockRestore();
+  });
+});
+
+describe('findCrop', () => {
+  const pages = [
+    { slug: 'home', path: '/', elements: [{ id: 'el_001', crops: { desktop: 'crops/home_desktop.png', mobile: 'crops/home_mobile.png' } }] },
+    { slug: 'pricing', path: '/pricing', elements: [{ id: 'el_001', crops: { mobile: 'crops/pricing_mobile.png' } }, { id: 'el_002' }] }
+  ];
+
+  test('finds the first page and viewport by default', () => {
+    expect(findCrop(pages, 'el_001')).toEqual({ page: 'home', viewport: 'desktop', file: 'crops/home_desktop.png' });
+  });
+
+  test('filters by page slug or path and viewport', () => {
+    expect(findCrop(pages, 'el_001', { page: '/pricing' })).toEqual({ page: 'pricing', viewport: 'mobile', file: 'crops/pricing_mobile.png' });
+    expect(findCrop(pages, 'el_001', { viewport: 'mobile' }).file).toBe('crops/home_mobile.png');
+    expect(findCrop(pages, 'el_001', { page: 'pricing', viewport: 'desktop' })).toBeNull();
+  });
+
+  test('returns null for elements without crops', () => {
+    expect(findCrop(pages, 'el_002')).toBeNull();
+    expect(findCrop(undefined, 'el_001')).toBeNull();
+  });
+});
+
+describe('locateCrop', () => {
+  let dir;
+
+  /**
+   * Sitemap in `sitemapDir` (relative to the project) with a crop file for each element
+   */
+  const writeSitemap = (sitemapDir, site, crops) => {
+    const base = path.join(dir, sitemapDir);
+    const elements = Object.entries(crops).map(([id, file]) => {
+      fs.mkdirSync(path.dirname(path.join(base, file)), { recursive: true });
+      fs.writeFileSync(path.join(base, file), `${site} ${id}`);
+      return { id, crops: { desktop: file } };
+    });
+    fs.writeFileSync(path.join(base, 'sitemap.json'), JSON.stringify({ site, pages: [{ slug: 'home', path: '/', elements }] }));
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crops-test-'));
+    fs.mkdirSync(path.join(dir, 'site_example.com'));
+    fs.mkdirSync(path.join(dir, 'site_competitor.com'));
+    writeSitemap('site_example.com', 'example.com', { el_a: 'screenshots/crops/home_desktop_el_a.png' });
+    writeSitemap('site_competitor.com', 'competitor.com', {
+      el_a: 'screenshots/crops/home_desktop_el_a.png',
+      el_b: 'screenshots/crops/home_desktop_el_b.png'
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('searches every site when none is given', () => {
+    expect(fs.readFileSync(locateCrop(dir, 'el_b'), 'utf8')).toBe('competitor.com el_b');
+  });
+
+  test('picks the site by hostname or URL', () => {
+    expect(fs.readFileSync(locateCrop(dir, 'el_a', { site: 'competitor.com' }), 'utf8')).toBe('competitor.com el_a');
+    expect(fs.readFileSync(locateCrop(dir, 'el_a', { site: 'https://example.com/' }), 'utf8')).toBe('example.com el_a');
+    expect(locateCrop(dir, 'el_b', { site: 'example.com' })).toBeNull();
+  });
+
+  test('reads a sitemap at the project root', () => {
+    writeSitemap('.', 'capture.example.com', { el_c: 'crops/home_desktop_el_c.png' });
+
+    expect(locateCrop(dir, 'el_c', { page: '/', viewport: 'desktop' })).toBe(path.join(dir, 'crops', 'home_desktop_el_c.png'));
+  });
+
+  test('returns null for missing files and paths outside the project', () => {
+    fs.rmSync(path.join(dir, 'site_example.com', 'screenshots'), { recursive: true });
+    const sitemapPath = path.join(dir, 'site_competitor.com', 'sitemap.json');
+    fs.writeFileSync(sitemapPath, JSON.stringify({
+      site: 'competitor.com',
+      pages: [{ slug: 'home', elements: [{ id: 'el_d', crops: { desktop: '../../outside.png' } }] }]
+    }));
+
+    expect(locateCrop(dir, 'el_a', { site: 'example.com' })).toBeNull();
+    expect(locateCrop(dir, 'el_d')).toBeNull();
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for user flows (workers/flows.js)
+ * Capturing a flow is covered by the scanner tests.
+ */
+
+const { MAX_FLOW_STEPS, parseFlows, normalizeFlows, flowStartUrl } = require('../../workers/flows');
+
+const SIGNUP_YAML = `
+name: Sign up
+start: /pricing
+viewports: desktop
+steps:
+  - name: Pricing
+  - name: Form
+    actions:
+      - { action: click, selector: "a[href='/signup']" }
+  - name: Welcome
+    actions:
+      - action: fill
+        selector: "#email"
+        value: qa@example.com
+      - { action: click, selector: "button[type=submit]" }
+      - { action: wait, selector: .welcome }
+`;
+
+const search = (overrides = {}) => ({
+  name: 'search',
+  start: '/',
+  steps: [{ name: 'Home' }],
+  ...overrides
+});
+
+describe('parseFlows', () => {
+  test('reads YAML and JSON, one flow or a list', () => {
+    expect(parseFlows(SIGNUP_YAML)).toEqual([expect.objectContaining({ name: 'Sign up', start: '/pricing' })]);
+    expect(parseFlows(JSON.stringify([search(), search({ name: 'checkout' })]))).toHaveLength(2);
+    expect(parseFlows('flows:\n  - name: a\n  - name: b')).toEqual([{ name: 'a' }, { name: 'b' }]);
+  });
+
+  test('rejects files that are not flows', () => {
+    expect(() => parseFlows('name: [unclosed')).toThrow('Invalid flow file:');
+    expect(() => parseFlows('just text')).toThrow('Invalid flow file: expected a flow or a list of flows');
+  });
+});
+
+describe('normalizeFlows', () => {
+  test('fills in defaults and validates actions', () => {
+    expect(normalizeFlows([SIGNUP_YAML, search()])).toEqual([
+      {
+        name: 'sign-up',
+        start: '/pricing',
+        viewports: ['desktop'],
+        steps: [
+          { name: 'Pricing', actions: [] },
+          { name: 'Form', actions: [{ action: 'click', selector: "a[href='/signup']" }] },
+          {
+            name: 'Welcome',
+            actions: [
+              { action: 'fill', selector: '#email', value: 'qa@example.com' },
+              { action: 'click', selector: 'button[type=submit]' },
+              { action: 'wait', selector: '.welcome' }
+            ]
+          }
+        ]
+      },
+      { name: 'search', start: '/', viewports: null, steps: [{ name: 'Home', actions: [] }] }
+    ]);
+  });
+
+  test('accepts a whole flow file', () => {
+    expect(normalizeFlows(SIGNUP_YAML).map(f => f.name)).toEqual(['sign-up']);
+    expect(normalizeFlows(undefined)).toEqual([]);
+  });
+
+  test('names unnamed steps by position', () => {
+    const [flow] = normalizeFlows([search({ steps: [{}, { actions: [{ action: 'press', key: 'Enter' }] }] })]);
+    expect(flow.steps.map(s => s.name)).toEqual(['Step 1', 'Step 2']);
+  });
+
+  test('rejects invalid flows', () => {
+    expect(() => normalizeFlows({})).toThrow('flows must be an array');
+    expect(() => normalizeFlows([search({ name: '' })])).toThrow('Each flow needs a name');
+    expect(() => normalizeFlows([search(), search()])).toThrow('Duplicate flow "search"');
+    expect(() => normalizeFlows([search({ start: '' })])).toThrow('Flow "search" needs a start path or URL');
+    expect(() => normalizeFlows([search({ steps: [] })])).toThrow('Flow "search" needs steps');
+    const tooLong = Array.from({ length: MAX_FLOW_STEPS + 1 }, () => ({}));
+    expect(() => normalizeFlows([search({ steps: tooLong })])).toThrow(`more than ${MAX_FLOW_STEPS} steps`);
+  });
+
+  test('reports the step and action of an invalid action', () => {
+    expect(() => normalizeFlows([search({ steps: [{}, { actions: 'click' }] })]))
+      .toThrow('Flow "search" step 2: actions must be an array');
+    expect(() => normalizeFlows([search({ steps: [{}, { actions: [{ action: 'click', selector: 'a' }, { action: 'fill', selector: '#q' }] }] })]))
+      .toThrow('Flow "search" step 2 action 2: fill needs a value');
+  });
+});
+
+describe('flowStartUrl', () => {
+  test('resolves paths against the site and keeps absolute URLs', () => {
+    expect(flowStartUrl({ start: '/pricing?plan=pro' }, 'https://example.com')).toBe('https://example.com/pricing?plan=pro');
+    expect(flowStartUrl({ start: 'https://shop.example.com/' }, 'https://example.com')).toBe('https://shop.example.com/');
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests for the keyboard focus walk (workers/focus.js)
+ * In-page focus handling is stubbed; these cover the walk itself.
+ */
+
+const { walkFocusOrder, focusElements } = require('../../workers/focus');
+
+const stop = (selector, rect = { x: 10, y: 20, width: 100, height: 30 }) => ({
+  selector,
+  tag: 'a',
+  role: null,
+  text: selector,
+  box: rect && { x: rect.x, y: rect.y + 400, width: rect.width, height: rect.height },
+  rect
+});
+
+/**
+ * Page whose Tab presses land on `focusSequence` in turn; screenshots
+ * differ while focused unless the stop is listed in `noIndicator`
+ */
+function createFakePage(focusSequence, noIndicator = []) {
+  let current = -1;
+  let focused = true;
+  const actions = [];
+  return {
+    actions,
+    keyboard: { press: jest.fn() },
+    waitForTimeout: jest.fn(),
+    viewportSize: () => ({ width: 1280, height: 800 }),
+    evaluate: jest.fn(async (fn, arg) => {
+      // Installing the identity helpers takes no argument
+      if (arg === undefined) return;
+      if (typeof arg === 'number') {
+        current++;
+        return focusSequence[current] ?? null;
+      }
+      actions.push(arg);
+      focused = arg !== 'blur';
+    }),
+    screenshot: jest.fn(async () => {
+      const selector = focusSequence[current].selector;
+      return Buffer.from(focused && !noIndicator.includes(selector) ? `${selector} ring` : selector);
+    })
+  };
+}
+
+describe('walkFocusOrder', () => {
+  test('records each stop until focus leaves the page', async () => {
+    const page = createFakePage([stop('a.skip'), stop('a.home')], ['a.home']);
+
+    const result = await walkFocusOrder(page, 'desktop');
+
+    expect(result).toEqual({
+      viewport: 'desktop',
+      stops: [
+        { index: 1, selector: 'a.skip', tag: 'a', role: null, text: 'a.skip', box: { x: 10, y: 420, width: 100, height: 30 }, focusVisible: true },
+        { index: 2, selector: 'a.home', tag: 'a', role: null, text: 'a.home', box: { x: 10, y: 420, width: 100, height: 30 }, focusVisible: false }
+      ],
+      complete: true,
+      trapped: false,
+      truncated: false
+    });
+    expect(page.keyboard.press).toHaveBeenCalledTimes(3);
+    expect(page.keyboard.press).toHaveBeenCalledWith('Tab');
+    expect(page.actions).toEqual(['start', 'blur', 'focus', 'blur', 'focus']);
+  });
+
+  test('compares the element with padding, inside the viewport', async () => {
+    const page = createFakePage([stop('a.edge', { x: 1270, y: 2, width: 40, height: 20 })]);
+
+    await walkFocusOrder(page, 'desktop');
+
+    expect(page.screenshot).toHaveBeenCalledWith({
+      clip: { x: 1264, y: 0, width: 16, height: 28 },
+      animations: 'disabled',
+      caret: 'hide'
+    });
+  });
+
+  test('skips the comparison for hidden stops', async () => {
+    const page = createFakePage([stop('input.honeypot', null)]);
+
+    const result = await walkFocusOrder(page, 'desktop');
+
+    expect(result.stops[0]).toMatchObject({ box: null, focusVisible: null });
+    expect(page.screenshot).not.toHaveBeenCalled();
+  });
+
+  test('treats wrapping to the first stop as complete', async () => {
+    const result = await walkFocusOrder(createFakePage([stop('a.one'), stop('a.two'), { repeat: 0 }]), 'desktop');
+    expect(result).toMatchObject({ complete: true, trapped: false });
+    expect(result.stops).toHaveLength(2);
+  });
+
+  test('detects focus returning to an earlier stop', async () => {
+    const result = await walkFocusOrder(createFakePage([stop('a.one'), stop('div.modal'), stop('button.close'), { repeat: 1 }]), 'desktop');
+    expect(result).toMatchObject({ complete: false, trapped: true });
+  });
+
+  test('stops after maxStops', async () => {
+    const sequence = Array.from({ length: 5 }, (_, i) => stop(`a.n${i}`));
+    const result = await walkFocusOrder(createFakePage(sequence), 'desktop', { maxStops: 3 });
+
+    expect(result.stops).toHaveLength(3);
+    expect(result).toMatchObject({ complete: false, truncated: true });
+  });
+});
+
+describe('focusElements', () => {
+  test('adds an element per visible stop without a focus indicator', () => {
+    const box = { x: 0, y: 0, width: 50, height: 20 };
+    const focusOrder = {
+      viewport: 'laptop',
+      stops: [
+        { index: 1, selector: 'a.skip', text: 'Skip', box, focusVisible: true },
+        { index: 2, selector: 'a.logo', text: 'Home', box, focusVisible: false },
+        { index: 3, selector: 'input.hidden', text: '', box: null, focusVisible: null }
+      ]
+    };
+
+    expect(focusElements(focusOrder)).toMatchObject([
+      { id: expect.stringMatching(/^el_focus_[0-9a-f]{8}$/), type: 'focus', index: 2, selector: 'a.logo', text: 'Home', laptop: box }
+    ]);
+    expect(focusElements(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * Tests for page health (workers/health.js)
+ * Page events and link requests are faked.
+ */
+
+const {
+  MAX_ENTRIES,
+  classifyFailure,
+  watchPageHealth,
+  checkLink,
+  checkLinks,
+  linkReport
+} = require('../../workers/health');
+
+/**
+ * Page with on/off and an emit() helper
+ */
+function createFakePage() {
+  const listeners = {};
+  return {
+    listeners,
+    on: jest.fn((event, fn) => (listeners[event] = listeners[event] || []).push(fn)),
+    off: jest.fn((event, fn) => { listeners[event] = listeners[event].filter(l => l !== fn); }),
+    emit: (event, arg) => (listeners[event] || []).forEach(fn => fn(arg))
+  };
+}
+
+const response = (url, status, statusText = '') => ({
+  url: () => url,
+  status: () => status,
+  statusText: () => statusText,
+  request: () => ({ method: () => 'GET', resourceType: () => 'script' })
+});
+
+const failedRequest = (url, errorText) => ({
+  url: () => url,
+  method: () => 'GET',
+  resourceType: () => 'fetch',
+  failure: () => ({ errorText })
+});
+
+const consoleMessage = (type, text) => ({
+  type: () => type,
+  text: () => text,
+  location: () => ({ url: 'https://example.com/app.js' })
+});
+
+/**
+ * APIRequestContext serving { url: status | [status, location] }, 200 otherwise
+ */
+function createFakeRequest(routes) {
+  const calls = [];
+  return {
+    calls,
+    fetch: jest.fn(async (url, options) => {
+      calls.push([options.method, url]);
+      const route = routes[url];
+      if (route instanceof Error) throw route;
+      const [status, location] = [].concat(typeof route === 'function' ? route(options) : route || 200);
+      return { status: () => status, headers: () => (location ? { location } : {}), dispose: jest.fn() };
+    })
+  };
+}
+
+describe('classifyFailure', () => {
+  test('ignores aborted requests', () => {
+    expect(classifyFailure('net::ERR_ABORTED')).toBeNull();
+    expect(classifyFailure('NS_BINDING_ABORTED')).toBeNull();
+  });
+
+  test('separates blocked requests from other failures', () => {
+    expect(classifyFailure('net::ERR_BLOCKED_BY_CLIENT')).toBe('blocked');
+    expect(classifyFailure('net::ERR_CONNECTION_REFUSED')).toBe('failed');
+  });
+});
+
+describe('watchPageHealth', () => {
+  let page;
+  let watcher;
+
+  beforeEach(() => {
+    page = createFakePage();
+    watcher = watchPageHealth(page);
+  });
+
+  test('records 4xx/5xx responses and ignores the rest', () => {
+    page.emit('response', response('https://example.com/', 200));
+    page.emit('response', response('https://example.com/old', 301));
+    page.emit('response', response('https://example.com/missing.png', 404, 'Not Found'));
+    page.emit('response', response('https://api.example.com/data', 503));
+
+    expect(watcher.stop().requests).toEqual([
+      { url: 'https://example.com/missing.png', method: 'GET', resourceType: 'script', status: 404, reason: 'http', error: 'Not Found' },
+      { url: 'https://api.example.com/data', method: 'GET', resourceType: 'script', status: 503, reason: 'http', error: null }
+    ]);
+  });
+
+  test('records failed and blocked requests but not aborted ones', () => {
+    page.emit('requestfailed', failedRequest('https://ads.example.net/tag.js', 'net::ERR_BLOCKED_BY_CLIENT'));
+    page.emit('requestfailed', failedRequest('https://cdn.example.com/font.woff2', 'net::ERR_CONNECTION_REFUSED'));
+    page.emit('requestfailed', failedRequest('https://example.com/video.mp4', 'net::ERR_ABORTED'));
+
+    expect(watcher.stop().requests.map(r => [r.url, r.reason])).toEqual([
+      ['https://ads.example.net/tag.js', 'blocked'],
+      ['https://cdn.example.com/font.woff2', 'failed']
+    ]);
+  });
+
+  test('marks CORS failures whichever event arrives first', () => {
+    const corsError = (url) => `Access to fetch at '${url}' from origin 'https://example.com' has been blocked by CORS policy`;
+
+    page.emit('requestfailed', failedRequest('https://api.other.com/a', 'net::ERR_FAILED'));
+    page.emit('console', consoleMessage('error', corsError('https://api.other.com/a')));
+    page.emit('console', consoleMessage('error', corsError('https://api.other.com/b')));
+    page.emit('requestfailed', failedRequest('https://api.other.com/b', 'net::ERR_FAILED'));
+
+    const report = watcher.stop();
+    expect(report.requests.map(r => r.reason)).toEqual(['cors', 'cors']);
+    expect(report.console).toHaveLength(2);
+  });
+
+  test('records console errors and uncaught exceptions once each', () => {
+    const error = new Error('x is not defined');
+    error.stack = 'ReferenceError: x is not defined\n    at init (https://example.com/app.js:1:10)';
+
+    page.emit('console', consoleMessage('warning', 'Deprecated API'));
+    page.emit('console', consoleMessage('error', 'Failed to load resource'));
+    page.emit('console', consoleMessage('error', 'Failed to load resource'));
+    page.emit('pageerror', error);
+    page.emit('pageerror', error);
+
+    const report = watcher.stop();
+    expect(report.console).toEqual([{ text: 'Failed to load resource', url: 'https://example.com/app.js' }]);
+    expect(report.exceptions).toEqual([{ message: 'x is not defined', stack: 'at init (https://example.com/app.js:1:10)' }]);
+    expect(report.errorCount).toBe(2);
+  });
+
+  test('caps each list', () => {
+    for (let i = 0; i < MAX_ENTRIES + 10; i++) {
+      page.emit('pageerror', new Error(`error ${i}`));
+    }
+    expect(watcher.stop().exceptions).toHaveLength(MAX_ENTRIES);
+  });
+
+  test('stop() removes every listener', () => {
+    watcher.stop();
+    expect(page.off).toHaveBeenCalledTimes(4);
+    for (const list of Object.values(page.listeners)) {
+      expect(list).toEqual([]);
+    }
+  });
+});
+
+describe('checkLink', () => {
+  test('returns the status of a working link', async () => {
+    const request = createFakeRequest({});
+    expect(await checkLink(request, 'https://example.com/about')).toEqual({
+      url: 'https://example.com/about', status: 200, finalUrl: 'https://example.com/about', chain: [], error: null
+    });
+    expect(request.fetch).toHaveBeenCalledWith('https://example.com/about', expect.objectContaining({ method: 'HEAD', maxRedirects: 0 }));
+  });
+
+  test('follows redirect chains hop by hop', async () => {
+    const request = createFakeRequest({
+      'https://example.com/old': [301, '/older'],
+      'https://example.com/older': [302, 'https://www.example.com/new'],
+      'https://www.example.com/new': 404
+    });
+
+    const result = await checkLink(request, 'https://example.com/old');
+    expect(result).toMatchObject({ status: 404, finalUrl: 'https://www.example.com/new' });
+    expect(result.chain).toEqual([
+      { url: 'https://example.com/old', status: 301 },
+      { url: 'https://example.com/older', status: 302 }
+    ]);
+  });
+
+  test('retries with GET when HEAD is not allowed', async () => {
+    const request = createFakeRequest({
+      'https://example.com/form': (options) => (options.method === 'HEAD' ? 405 : 200)
+    });
+
+    expect((await checkLink(request, 'https://example.com/form')).status).toBe(200);
+    expect(request.calls).toEqual([['HEAD', 'https://example.com/form'], ['GET', 'https://example.com/form']]);
+  });
+
+  test('reports network errors without a status', async () => {
+    const request = createFakeRequest({
+      'https://down.example.com/': new Error('getaddrinfo ENOTFOUND down.example.com\nCall log: ...')
+    });
+
+    expect(await checkLink(request, 'https://down.example.com/')).toMatchObject({
+      status: null,
+      error: 'getaddrinfo ENOTFOUND down.example.com'
+    });
+  });
+
+  test('gives up on redirect loops', async () => {
+    const request = createFakeRequest({
+      'https://example.com/a': [302, '/b'],
+      'https://example.com/b': [302, '/a']
+    });
+
+    const result = await checkLink(request, 'https://example.com/a');
+    expect(result.status).toBeNull();
+    expect(result.error).toMatch(/More than \d+ redirects/);
+  });
+});
+
+describe('checkLinks', () => {
+  test('checks each URL once up to maxChecks', async () => {
+    const request = createFakeRequest({});
+    const urls = ['https://example.com/a', 'https://example.com/b', 'https://example.com/a', 'https://example.com/c'];
+
+    const results = await checkLinks(request, urls, { maxChecks: 2 });
+    expect(Array.from(results.keys())).toEqual(['https://example.com/a', 'https://example.com/b']);
+    expect(request.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('ignores undefined options', async () => {
+    const request = createFakeRequest({});
+    const results = await checkLinks(request, ['https://example.com/a'], { maxChecks: undefined });
+    expect(results.size).toBe(1);
+  });
+
+  test('checks one at a time with a crawl delay', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const request = {
+      fetch: jest.fn(async () => {
+        maxActive = Math.max(maxActive, ++active);
+        await new Promise(resolve => setTimeout(resolve, 1));
+        active--;
+        return { status: () => 200, headers: () => ({}), dispose: async () => {} };
+      })
+    };
+
+    await checkLinks(request, ['https://example.com/a', 'https://example.com/b', 'https://example.com/c'], { interval: 1 });
+    expect(maxActive).toBe(1);
+  });
+
+  test('handles an empty list', async () => {
+    const results = await checkLinks(createFakeRequest({}), []);
+    expect(results.size).toBe(0);
+  });
+});
+
+describe('linkReport', () => {
+  const results = new Map([
+    ['https://example.com/', { status: 200, finalUrl: 'https://example.com/', chain: [], error: null }],
+    ['https://example.com/gone', { status: 410, finalUrl: 'https://example.com/gone', chain: [], error: null }],
+    ['https://down.example.com/', { status: null, finalUrl: 'https://down.example.com/', chain: [], error: 'ENOTFOUND' }],
+    ['https://example.com/old', {
+      status: 200,
+      finalUrl: 'https://example.com/new',
+      chain: [{ url: 'https://example.com/old', status: 301 }],
+      error: null
+    }]
+  ]);
+
+  test('lists broken links and redirects for a page', () => {
+    const report = linkReport([
+      'https://example.com/', 'https://example.com/gone', 'https://down.example.com/', 'https://example.com/old', 'https://example.com/'
+    ], results);
+
+    expect(report.checked).toBe(4);
+    expect(report.broken).toEqual([
+      { url: 'https://example.com/gone', status: 410, error: null },
+      { url: 'https://down.example.com/', status: null, error: 'ENOTFOUND' }
+    ]);
+    expect(report.redirects).toEqual([{
+      url: 'https://example.com/old',
+      finalUrl: 'https://example.com/new',
+      status: 200,
+      chain: [{ url: 'https://example.com/old', status: 301 }]
+    }]);
+  });
+
+  test('skips links that were not checked', () => {
+    expect(linkReport(['https://example.com/unchecked'], results)).toEqual({ checked: 0, broken: [], redirects: [] });
+  });
+});
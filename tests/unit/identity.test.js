@@ -0,0 +1,80 @@
+/**
+ * Tests for element fingerprints and IDs (workers/identity.js)
+ */
+
+const { fnv1a, structuralPath, elementFingerprint, assignElementIds } = require('../../workers/identity');
+
+const cta = (overrides = {}) => ({
+  id: 'el_001',
+  type: 'cta',
+  text: 'Start free trial',
+  selector: '#pricing > div.plan:nth-of-type(2) > a.btn',
+  desktop: { x: 480, y: 1620, width: 160, height: 44 },
+  ...overrides
+});
+
+describe('fnv1a', () => {
+  test('hashes to 8 hex digits', () => {
+    expect(fnv1a('')).toBe('811c9dc5');
+    expect(fnv1a('a')).toBe('e40c292c');
+    expect(fnv1a('header|nav')).toMatch(/^[0-9a-f]{8}$/);
+  });
+});
+
+describe('structuralPath', () => {
+  test('drops :nth-of-type() from a CSS path', () => {
+    expect(structuralPath('#pricing > div.plan:nth-of-type(2) > a.btn:nth-of-type(10)')).toBe('#pricing > div.plan > a.btn');
+    expect(structuralPath(undefined)).toBe('');
+  });
+});
+
+describe('elementFingerprint', () => {
+  test('ignores boxes, sibling positions, whitespace and case', () => {
+    const moved = cta({
+      text: '  Start FREE\ntrial ',
+      selector: '#pricing > div.plan:nth-of-type(3) > a.btn',
+      desktop: { x: 0, y: 2400, width: 320, height: 48 }
+    });
+    expect(elementFingerprint(moved)).toBe(elementFingerprint(cta()));
+  });
+
+  test('changes with type, text, path, frame, shadow host and occurrence', () => {
+    const base = elementFingerprint(cta());
+    [
+      cta({ type: 'heading' }),
+      cta({ text: 'Buy now' }),
+      cta({ selector: '#hero > a.btn' }),
+      cta({ frame: '#checkout' }),
+      cta({ shadowHost: 'main > buy-button' })
+    ].forEach(element => expect(elementFingerprint(element)).not.toBe(base));
+    expect(elementFingerprint(cta(), 1)).not.toBe(base);
+  });
+});
+
+describe('assignElementIds', () => {
+  test('derives IDs from the fingerprint and keeps the prefix', () => {
+    const elements = assignElementIds([
+      cta(),
+      { id: 'el_text_001', type: 'text', text: 'Fine print', selector: 'p.note' },
+      { id: 'el_cmp_001', type: 'component', text: '', selector: 'footer', fingerprint: 'footer(div,p)' }
+    ]);
+
+    expect(elements[0]).toMatchObject({ id: `el_${elementFingerprint(cta())}`, identity: elementFingerprint(cta()) });
+    expect(elements[1].id).toMatch(/^el_text_[0-9a-f]{8}$/);
+    expect(elements[2]).toMatchObject({ id: expect.stringMatching(/^el_cmp_[0-9a-f]{8}$/), fingerprint: 'footer(div,p)' });
+  });
+
+  test('is the same on every run and independent of sequential IDs', () => {
+    const first = assignElementIds([cta(), cta({ id: 'el_002', text: 'Contact sales' })]).map(el => el.id);
+    const second = assignElementIds([cta({ id: 'el_007' }), cta({ id: 'el_008', text: 'Contact sales' })]).map(el => el.id);
+
+    expect(second).toEqual(first);
+  });
+
+  test('tells identical elements apart by their order', () => {
+    const elements = assignElementIds([cta(), cta({ id: 'el_002' }), cta({ id: 'el_003' })]);
+
+    expect(new Set(elements.map(el => el.id)).size).toBe(3);
+    expect(elements[1].identity).toBe(elementFingerprint(cta(), 1));
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Tests for interaction states (workers/interactions.js)
+ * Locators are stubbed; these cover validation, page matching and steps.
+ */
+
+const { normalizeInteractions, interactionsFor, runSteps } = require('../../workers/interactions');
+
+const menu = (overrides = {}) => ({
+  name: 'menu-open',
+  steps: [{ action: 'click', selector: 'button.hamburger' }],
+  ...overrides
+});
+
+/**
+ * Fake page whose locators record what was done to them
+ */
+const createPage = (visible = [true]) => {
+  const calls = [];
+  const target = (selector, index = 0) => ({
+    isVisible: async () => visible[index] !== false,
+    click: jest.fn(async (options) => calls.push(['click', selector, index, options])),
+    hover: jest.fn(async (options) => calls.push(['hover', selector, options])),
+    press: jest.fn(async (key) => calls.push(['press', selector, key])),
+    fill: jest.fn(async (value) => calls.push(['fill', selector, value])),
+    selectOption: jest.fn(async (value) => calls.push(['select', selector, value])),
+    setChecked: jest.fn(async (checked) => calls.push(['check', selector, checked]))
+  });
+  return {
+    calls,
+    locator: (selector) => ({
+      first: () => target(selector),
+      nth: (index) => target(selector, index),
+      count: async () => visible.length
+    }),
+    keyboard: { press: jest.fn(async (key) => calls.push(['keyboard', key])) },
+    url: () => 'https://example.com/pricing',
+    goto: jest.fn(async (url) => calls.push(['goto', url])),
+    waitForSelector: jest.fn(async (selector) => calls.push(['waitFor', selector])),
+    waitForTimeout: jest.fn()
+  };
+};
+
+describe('normalizeInteractions', () => {
+  test('fills in defaults and slugifies names', () => {
+    expect(normalizeInteractions([
+      menu({ name: 'Menu Open', viewports: 'Mobile' }),
+      { name: 'faq', pages: '/faq', steps: [{ action: 'click', selector: ' .faq summary ', all: true }, { action: 'wait', ms: 400 }] }
+    ])).toEqual([
+      { name: 'menu-open', pages: [], viewports: ['mobile'], steps: [{ action: 'click', selector: 'button.hamburger' }] },
+      { name: 'faq', pages: ['/faq'], viewports: null, steps: [{ action: 'click', selector: '.faq summary', all: true }, { action: 'wait', ms: 400 }] }
+    ]);
+  });
+
+  test('is empty by default', () => {
+    expect(normalizeInteractions(undefined)).toEqual([]);
+  });
+
+  test('rejects invalid states', () => {
+    expect(() => normalizeInteractions({})).toThrow('interactions must be an array');
+    expect(() => normalizeInteractions([menu({ name: '' })])).toThrow('Each interaction needs a name');
+    expect(() => normalizeInteractions([menu({ name: 'dark' })])).toThrow('Interaction name "dark" is taken by a variant');
+    expect(() => normalizeInteractions([menu(), menu()])).toThrow('Duplicate interaction "menu-open"');
+    expect(() => normalizeInteractions([menu({ steps: [] })])).toThrow('Interaction "menu-open" needs steps');
+    expect(() => normalizeInteractions([menu({ pages: ['regex:('] })])).toThrow('Invalid URL pattern');
+  });
+
+  test('rejects invalid steps', () => {
+    const step = (s) => () => normalizeInteractions([menu({ steps: [{ action: 'wait', ms: 100 }, s] })]);
+    expect(step({ action: 'scroll' })).toThrow('Interaction "menu-open" step 2: action must be click, hover, press, wait, fill, select, check, goto');
+    expect(step({ action: 'hover' })).toThrow('step 2: hover needs a selector');
+    expect(step({ action: 'click', selector: '  ' })).toThrow('step 2: selector must be a non-empty string');
+    expect(step({ action: 'press' })).toThrow('step 2: press needs a key');
+    expect(step({ action: 'wait' })).toThrow('step 2: wait needs ms or a selector');
+    expect(step({ action: 'fill', selector: '#email' })).toThrow('step 2: fill needs a value');
+    expect(step({ action: 'check' })).toThrow('step 2: check needs a selector');
+    expect(step({ action: 'goto', url: ' ' })).toThrow('step 2: goto needs a url');
+  });
+
+  test('keeps form and navigation fields', () => {
+    const [state] = normalizeInteractions([menu({ steps: [
+      { action: 'fill', selector: '#qty', value: 2 },
+      { action: 'select', selector: '#size', value: ['s', 'm'] },
+      { action: 'check', selector: '#gift', checked: false },
+      { action: 'goto', url: ' /cart ' }
+    ] })]);
+    expect(state.steps).toEqual([
+      { action: 'fill', selector: '#qty', value: '2' },
+      { action: 'select', selector: '#size', value: ['s', 'm'] },
+      { action: 'check', selector: '#gift', checked: false },
+      { action: 'goto', url: '/cart' }
+    ]);
+  });
+});
+
+describe('interactionsFor', () => {
+  const states = normalizeInteractions([menu(), { name: 'faq', pages: ['/faq', '/help/**'], steps: [{ action: 'press', key: 'End' }] }]);
+
+  test('matches page paths against the state patterns', () => {
+    expect(interactionsFor(states, '/').map(s => s.name)).toEqual(['menu-open']);
+    expect(interactionsFor(states, '/help/billing').map(s => s.name)).toEqual(['menu-open', 'faq']);
+    expect(interactionsFor(undefined, '/')).toEqual([]);
+  });
+});
+
+describe('runSteps', () => {
+  test('runs each step and waits for it to settle', async () => {
+    const page = createPage();
+
+    const failed = await runSteps(page, [
+      { action: 'hover', selector: 'nav li' },
+      { action: 'click', selector: 'button.hamburger' },
+      { action: 'press', key: 'ArrowDown', selector: 'nav a' },
+      { action: 'press', key: 'Escape' },
+      { action: 'wait', selector: 'nav.drawer' },
+      { action: 'wait', ms: 500 }
+    ]);
+
+    expect(failed).toBeNull();
+    expect(page.calls).toEqual([
+      ['hover', 'nav li', { timeout: 5000 }],
+      ['click', 'button.hamburger', 0, { timeout: 5000 }],
+      ['press', 'nav a', 'ArrowDown'],
+      ['keyboard', 'Escape'],
+      ['waitFor', 'nav.drawer']
+    ]);
+    expect(page.waitForTimeout.mock.calls).toEqual([[300], [300], [300], [300], [500]]);
+  });
+
+  test('fills forms and navigates relative to the current page', async () => {
+    const page = createPage();
+
+    expect(await runSteps(page, [
+      { action: 'fill', selector: '#email', value: 'a@b.co' },
+      { action: 'select', selector: '#plan', value: 'pro' },
+      { action: 'check', selector: '#terms' },
+      { action: 'goto', url: '/checkout?step=2' }
+    ])).toBeNull();
+    expect(page.calls).toEqual([
+      ['fill', '#email', 'a@b.co'],
+      ['select', '#plan', 'pro'],
+      ['check', '#terms', true],
+      ['goto', 'https://example.com/checkout?step=2']
+    ]);
+  });
+
+  test('clicks every visible match with all', async () => {
+    const page = createPage([true, false, true]);
+
+    expect(await runSteps(page, [{ action: 'click', selector: 'summary', all: true }])).toBeNull();
+    expect(page.calls.map(call => call[2])).toEqual([0, 2]);
+  });
+
+  test('reports the first failing step', async () => {
+    const page = createPage([false]);
+    page.waitForSelector.mockRejectedValueOnce(new Error('Timeout 5000ms exceeded.\n=== logs ==='));
+
+    expect(await runSteps(page, [{ action: 'wait', selector: 'nav.drawer' }, { action: 'press', key: 'Tab' }])).toEqual({
+      step: 1, action: 'wait', selector: 'nav.drawer', error: 'Timeout 5000ms exceeded.'
+    });
+    expect(await runSteps(page, [{ action: 'click', selector: 'summary', all: true }])).toEqual({
+      step: 1, action: 'click', selector: 'summary', error: 'No visible element matches summary'
+    });
+    expect(page.keyboard.press).not.toHaveBeenCalled();
+  });
+});
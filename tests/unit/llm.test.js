@@ -254,6 +254,126 @@ describe('buildAnalysisPrompt', () => {
     expect(prompt).toContain('https://example.com/');
     expect(prompt).toContain('Unknown'); // Default title
   });
+
+  test('includes performance metrics when provided', () => {
+    const prompt = buildAnalysisPrompt({ url: 'https://example.com/' }, {
+      performance: { lcp: 3100, cls: 0.12, transferSize: 2048, requestCount: 42 }
+    });
+
+    expect(prompt).toContain('LCP: 3100ms, CLS: 0.12, TBT: unknown');
+    expect(prompt).toContain('2048 bytes in 42 requests');
+  });
+
+  test('summarizes structured data, hreflang and social tags', () => {
+    const prompt = buildAnalysisPrompt({
+      url: 'https://example.com/',
+      extracted: {
+        structuredData: [{ format: 'json-ld', types: ['Organization'], properties: {} }],
+        hreflang: { url: 'https://example.com/', alternates: [{ lang: 'en' }, { lang: 'fr' }] },
+        social: { openGraph: { 'og:title': 'Home' }, twitter: {} }
+      }
+    });
+
+    expect(prompt).toContain('Schema.org types: Organization (json-ld)');
+    expect(prompt).toContain('hreflang: en, fr');
+    expect(prompt).toContain('Open Graph tags: og:title');
+    expect(prompt).toContain('Twitter card: none');
+  });
+
+  test('lists WCAG violations when checks ran', () => {
+    const prompt = buildAnalysisPrompt({ url: 'https://example.com/' }, {
+      accessibility: { rules: ['image-alt', 'label'], violations: [{ rule: 'image-alt', impact: 'critical', wcag: '1.1.1', count: 2 }] }
+    });
+    expect(prompt).toContain('AUTOMATED WCAG CHECKS (2 rules):\n- image-alt (critical, WCAG 1.1.1): 2');
+
+    const clean = buildAnalysisPrompt({ url: 'https://example.com/' }, { accessibility: { rules: ['label'], violations: [] } });
+    expect(clean).toContain('- No violations');
+  });
+
+  test('summarizes text contrast and lists only failing text elements', () => {
+    const text = (id, ratio) => ({
+      id, type: 'text', text: id, contrast: { ratio, required: 4.5, foreground: '#aaaaaa', background: '#ffffff', aa: ratio >= 4.5, aaa: ratio >= 7 }
+    });
+    const prompt = buildAnalysisPrompt({ url: 'https://example.com/' }, {
+      elements: [{ id: 'el_001', type: 'cta', text: 'Buy' }, text('el_text_001', 2.32), text('el_text_002', 5)]
+    });
+
+    expect(prompt).toContain('TEXT CONTRAST (2 elements, 2 below AAA):\n- el_text_001: 2.32:1 (needs 4.5:1), #aaaaaa on #ffffff');
+    expect(prompt).toContain('"id": "el_text_001"');
+    expect(prompt).not.toContain('"id": "el_text_002"');
+  });
+
+  test('notes elements inside iframes and shadow roots', () => {
+    const prompt = buildAnalysisPrompt({ url: 'https://example.com/' }, {
+      elements: [
+        { id: 'el_001', type: 'form', frame: 'iframe#checkout' },
+        { id: 'el_002', type: 'cta', text: 'Buy', shadowHost: 'buy-button' }
+      ]
+    });
+
+    expect(prompt).toContain('"frame": "iframe#checkout"');
+    expect(prompt).toContain('"shadowHost": "buy-button"');
+    expect(prompt.match(/"frame"/g)).toHaveLength(1);
+  });
+
+  test('lists component instances with the detected components', () => {
+    const prompt = buildAnalysisPrompt({ url: 'https://example.com/' }, {
+      elements: [
+        { id: 'el_001', type: 'cta', text: 'Buy' },
+        { id: 'el_cmp_001', type: 'component', kind: 'footer', name: 'footer', repeat: 1, text: '' },
+        { id: 'el_cmp_002', type: 'component', kind: 'repeated', name: 'pricing', repeat: 3, text: 'Starter $9' }
+      ]
+    });
+
+    expect(prompt).toContain('INSTANCES (reference by ID in insights):\n- el_cmp_001: footer (footer)\n- el_cmp_002: pricing (repeated, 3 in a row) "Starter $9"');
+    expect(prompt).not.toContain('"id": "el_cmp_001"');
+  });
+
+  test('lists the keyboard focus order when walked', () => {
+    const prompt = buildAnalysisPrompt({ url: 'https://example.com/' }, {
+      focusOrder: {
+        viewport: 'desktop',
+        stops: [{ index: 1, selector: 'a.skip', focusVisible: true }, { index: 2, selector: 'a.logo', focusVisible: false }],
+        trapped: true,
+        truncated: false
+      }
+    });
+
+    expect(prompt).toContain('KEYBOARD FOCUS ORDER (2 stops, focus trapped):\n1. a.skip\n2. a.logo (no visible focus)');
+  });
+
+  test('lists layout changes on narrower viewports', () => {
+    const prompt = buildAnalysisPrompt({ url: 'https://example.com/' }, {
+      layoutChanges: [
+        { type: 'hidden', element: 'el_5c1d0e7a', label: 'Form', text: 'Newsletter', viewport: 'mobile', reference: 'desktop' },
+        { type: 'below-fold', element: 'el_9b04d2aa', label: 'Primary CTA', text: 'Start trial', viewport: 'mobile', reference: 'desktop', y: 900, fold: 844 },
+        { type: 'reordered', element: 'el_71c3e0d5', label: 'Image', text: '', viewport: 'mobile', reference: 'desktop', from: 3, to: 1 }
+      ]
+    });
+
+    expect(prompt).toContain([
+      'RESPONSIVE LAYOUT CHANGES (compared with desktop; category "responsive"):',
+      '- el_5c1d0e7a Form "Newsletter": hidden at mobile',
+      '- el_9b04d2aa Primary CTA "Start trial": below the first screen at mobile (y 900, fold 844)',
+      '- el_71c3e0d5 Image: position 3 -> 1 at mobile'
+    ].join('\n'));
+    expect(prompt).toContain('|health|responsive>');
+  });
+
+  test('includes the health report when provided', () => {
+    const prompt = buildAnalysisPrompt({ url: 'https://example.com/' }, {
+      health: {
+        requests: [{ url: 'https://example.com/missing.js', status: 404 }],
+        console: [],
+        exceptions: [{ message: 'x is not defined' }],
+        links: { checked: 4, broken: [{ url: 'https://example.com/gone' }], redirects: [] }
+      }
+    });
+
+    expect(prompt).toContain('HEALTH:');
+    expect(prompt).toContain('Failed requests: 1, console errors: 0, uncaught exceptions: 1');
+    expect(prompt).toContain('Broken links: 1, redirected links: 0');
+  });
 });
 
 describe('buildSynthesisPrompt', () => {
@@ -273,6 +393,39 @@ describe('buildSynthesisPrompt', () => {
     expect(prompt).toContain('75');
     expect(prompt).toContain('80');
   });
+
+  test('lists the component catalog', () => {
+    const prompt = buildSynthesisPrompt({
+      site: 'example.com',
+      pages: [],
+      components: [{ name: 'header', kind: 'header', instances: 4, pages: 4, variants: [{}] }, { name: 'card', kind: 'repeated', instances: 9, pages: 2, variants: [{}, {}] }]
+    });
+
+    expect(prompt).toContain('COMPONENT CATALOG (2 components):\n- header (header): 4 instances on 4 pages, 1 variant\n- card (repeated): 9 instances on 2 pages, 2 variants');
+  });
+
+  test('summarizes design tokens', () => {
+    const siteData = {
+      site: 'example.com',
+      pages: [],
+      tokens: {
+        pages: 3,
+        colors: [{}, {}, {}],
+        greys: ['#ffffff'],
+        fontFamilies: [{}],
+        fontSizes: [{}, {}],
+        radii: [],
+        spacing: [{}],
+        nearDuplicates: [{}]
+      }
+    };
+
+    const prompt = buildSynthesisPrompt(siteData);
+
+    expect(prompt).toContain('DESIGN TOKENS (3 pages):');
+    expect(prompt).toContain('3 colors (1 greys), 1 font families, 2 font sizes');
+    expect(prompt).toContain('1 groups of near-duplicate values');
+  });
 });
 
 describe('buildComparisonPrompt', () => {
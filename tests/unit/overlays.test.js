@@ -0,0 +1,128 @@
+/**
+ * Tests for overlay dismissal (workers/overlays.js)
+ * In-page detection is stubbed: page.evaluate answers by call order.
+ */
+
+const { dismissOverlays, CONSENT_SELECTORS, WIDGET_SELECTORS } = require('../../workers/overlays');
+
+/**
+ * Fake page
+ * visible: selectors whose locator is visible
+ * present: selectors document.querySelector would find
+ * consentText: text of the accept button found by the text fallback
+ * modal: result of the in-page modal search
+ */
+function createFakePage({ visible = [], present = [], consentText = null, modal = null } = {}) {
+  const clicked = [];
+  const page = {
+    locator: jest.fn((selector) => ({
+      first: () => ({
+        isVisible: async () => visible.includes(selector),
+        click: async () => { clicked.push(selector); }
+      })
+    })),
+    evaluate: jest.fn(async (fn, arg) => {
+      // hideElements passes the selector list
+      if (Array.isArray(arg)) return arg.filter(s => present.includes(s));
+      const source = fn.toString();
+      if (source.includes('acceptText')) return consentText;
+      if (source.includes('closeText')) return modal;
+      return null;
+    }),
+    addStyleTag: jest.fn(async () => {}),
+    keyboard: { press: jest.fn(async () => {}) },
+    waitForTimeout: jest.fn(async () => {})
+  };
+  return { page, clicked };
+}
+
+describe('dismissOverlays', () => {
+  test('does nothing on a clean page', async () => {
+    const { page } = createFakePage();
+
+    expect(await dismissOverlays(page)).toEqual([]);
+    expect(page.addStyleTag).not.toHaveBeenCalled();
+    expect(page.waitForTimeout).not.toHaveBeenCalled();
+  });
+
+  test('clicks the first visible consent manager button', async () => {
+    const { page, clicked } = createFakePage({
+      visible: ['#onetrust-accept-btn-handler', '.cc-allow']
+    });
+
+    const actions = await dismissOverlays(page);
+
+    expect(clicked).toEqual(['#onetrust-accept-btn-handler']);
+    expect(actions).toEqual([
+      { action: 'click', selector: '#onetrust-accept-btn-handler', reason: 'consent' }
+    ]);
+    expect(page.waitForTimeout).toHaveBeenCalled();
+  });
+
+  test('falls back to accept buttons inside consent containers', async () => {
+    const { page } = createFakePage({ consentText: 'Accept all' });
+
+    const actions = await dismissOverlays(page);
+    expect(actions).toEqual([{ action: 'click', selector: null, text: 'Accept all', reason: 'consent' }]);
+  });
+
+  test('closes modals, pressing Escape when there is no close button', async () => {
+    let { page } = createFakePage({ modal: { selector: '#newsletter', method: 'click' } });
+    expect(await dismissOverlays(page)).toEqual([{ action: 'click', selector: '#newsletter', reason: 'modal' }]);
+
+    ({ page } = createFakePage({ modal: { selector: null, method: 'escape' } }));
+    expect(await dismissOverlays(page)).toEqual([{ action: 'escape', selector: null, reason: 'modal' }]);
+    expect(page.keyboard.press).toHaveBeenCalledWith('Escape');
+  });
+
+  test('hides chat widgets that are on the page', async () => {
+    const { page } = createFakePage({ present: ['#intercom-container'] });
+
+    const actions = await dismissOverlays(page);
+
+    expect(actions).toEqual([{ action: 'hide', selector: '#intercom-container', reason: 'chat' }]);
+    expect(page.addStyleTag.mock.calls[0][0].content).toContain('#intercom-container');
+    expect(page.addStyleTag.mock.calls[0][0].content).toContain('display: none !important');
+  });
+
+  test('applies project click and hide selectors', async () => {
+    const { page, clicked } = createFakePage({
+      visible: ['.promo-close'],
+      present: ['.sticky-bar']
+    });
+
+    const actions = await dismissOverlays(page, {
+      click: ['.promo-close', '.missing'],
+      hide: ['.sticky-bar', '.absent']
+    });
+
+    expect(clicked).toEqual(['.promo-close']);
+    expect(actions).toEqual([
+      { action: 'click', selector: '.promo-close', reason: 'project' },
+      { action: 'hide', selector: '.sticky-bar', reason: 'project' }
+    ]);
+  });
+
+  test('skips detection when auto is false', async () => {
+    const { page, clicked } = createFakePage({
+      visible: [CONSENT_SELECTORS[0]],
+      present: [WIDGET_SELECTORS[0]],
+      modal: { selector: null, method: 'escape' }
+    });
+
+    expect(await dismissOverlays(page, { auto: false })).toEqual([]);
+    expect(clicked).toEqual([]);
+  });
+
+  test('ignores click failures', async () => {
+    const { page } = createFakePage();
+    page.locator.mockImplementation(() => ({
+      first: () => ({
+        isVisible: async () => true,
+        click: async () => { throw new Error('Element is detached'); }
+      })
+    }));
+
+    expect(await dismissOverlays(page, { click: ['.gone'], auto: false })).toEqual([]);
+  });
+});
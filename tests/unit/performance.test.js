@@ -0,0 +1,135 @@
+/**
+ * Tests for performance metrics (workers/performance.js)
+ */
+
+const { createDomPage } = require('../dom');
+const {
+  THRESHOLDS,
+  installVitalsObserver,
+  collectPerformance,
+  performanceElements,
+  rateMetric
+} = require('../../workers/performance');
+
+const metrics = {
+  ttfb: 120,
+  fcp: 800,
+  lcp: 2100,
+  cls: 0.04,
+  tbt: 90,
+  transferSize: 1200000,
+  requestCount: 48,
+  largestResources: [],
+  lcpElement: { selector: 'img.hero', tag: 'img', text: '', url: 'https://example.com/hero.jpg', box: { x: 0, y: 80, width: 1920, height: 600 } },
+  layoutShifts: [
+    { selector: 'div.banner', value: 0.03, box: { x: 0, y: 0, width: 1920, height: 90 } },
+    { selector: 'span.gone', value: 0.01, box: null }
+  ]
+};
+
+describe('rateMetric', () => {
+  test('uses web.dev thresholds', () => {
+    expect(rateMetric('lcp', 2500)).toBe('good');
+    expect(rateMetric('lcp', 2501)).toBe('warning');
+    expect(rateMetric('lcp', 4001)).toBe('issue');
+    expect(rateMetric('cls', 0.05)).toBe('good');
+    expect(rateMetric('cls', 0.3)).toBe('issue');
+  });
+
+  test('has thresholds for each rated metric', () => {
+    expect(Object.keys(THRESHOLDS)).toEqual(['lcp', 'cls', 'tbt', 'ttfb', 'fcp']);
+  });
+});
+
+describe('installVitalsObserver', () => {
+  test('registers an init script that buffers entries', async () => {
+    const page = { addInitScript: jest.fn() };
+    await installVitalsObserver(page);
+
+    const script = page.addInitScript.mock.calls[0][0].toString();
+    expect(script).toContain('largest-contentful-paint');
+    expect(script).toContain('layout-shift');
+    expect(script).toContain('longtask');
+  });
+});
+
+describe('collectPerformance', () => {
+  test('returns what the page reports', async () => {
+    const page = { evaluate: jest.fn(async () => metrics) };
+
+    expect(await collectPerformance(page)).toBe(metrics);
+    // Identity helpers are installed before the collector runs
+    expect(page.evaluate.mock.calls[0][0].name).toBe('defineIdentityHelpers');
+    expect(page.evaluate.mock.calls[1][1]).toEqual({ largest: 5, maxSources: 3 });
+  });
+
+  test('reads vitals and their elements from the page', async () => {
+    const page = createDomPage(`<body>
+      <header id="top"><img class="hero" src="/hero.jpg" data-box="0 80 1280 600"></header>
+      <main><div class="promo-bar" data-box="0 0 1280 40">Sale</div><p>Intro</p><p>Plans</p></main>
+    </body>`, { layout: true });
+    const { window } = page;
+    const doc = window.document;
+
+    // jsdom has no Performance Timeline; entries as the browser reports them
+    window.performance.getEntriesByType = (type) => (type === 'navigation'
+      ? [{ responseStart: 120.4, domContentLoadedEventEnd: 800, loadEventEnd: 1500, transferSize: 20000 }]
+      : [
+        { name: 'https://example.com/app.js', initiatorType: 'script', transferSize: 90000 },
+        { name: 'https://example.com/hero.jpg', initiatorType: 'img', transferSize: 300000 }
+      ]);
+    window.performance.getEntriesByName = () => [{ startTime: 600 }];
+    // What observeVitals() buffers during the load
+    window.__sitemapPerf = {
+      lcp: { element: doc.querySelector('img'), startTime: 2100.2, url: 'https://example.com/hero.jpg' },
+      shifts: [
+        { value: 0.02, startTime: 1000, nodes: [doc.querySelector('.promo-bar')] },
+        { value: 0.01, startTime: 1500, nodes: [doc.querySelectorAll('p')[1].firstChild] },
+        { value: 0.05, startTime: 8000, nodes: [doc.querySelector('.promo-bar')] }
+      ],
+      longTasks: [{ startTime: 500, duration: 200 }, { startTime: 700, duration: 120 }, { startTime: 900, duration: 40 }]
+    };
+
+    const result = await collectPerformance(page);
+
+    expect(result).toMatchObject({
+      ttfb: 120,
+      fcp: 600,
+      lcp: 2100,
+      // Largest session window: the shift 6.5s later starts a new one
+      cls: 0.05,
+      // Only tasks after first paint count, minus 50ms each
+      tbt: 70,
+      transferSize: 410000,
+      requestCount: 3
+    });
+    expect(result.largestResources.map(r => r.type)).toEqual(['img', 'script']);
+    expect(result.lcpElement).toEqual({
+      selector: '#top > img.hero',
+      xpath: '//*[@id="top"]/img',
+      tag: 'img',
+      text: '',
+      url: 'https://example.com/hero.jpg',
+      box: { x: 0, y: 80, width: 1280, height: 600 }
+    });
+    // Shifts add up per element; text nodes count for their parent
+    expect(result.layoutShifts).toEqual([
+      { selector: 'html > body > main > div.promo-bar', xpath: '/html/body/main/div', value: 0.07, box: { x: 0, y: 0, width: 1280, height: 40 } },
+      { selector: 'html > body > main > p:nth-of-type(2)', xpath: '/html/body/main/p[2]', value: 0.01, box: { x: 0, y: 0, width: 100, height: 20 } }
+    ]);
+  });
+});
+
+describe('performanceElements', () => {
+  test('turns the LCP element and shift sources into elements', () => {
+    expect(performanceElements(metrics, 'desktop')).toMatchObject([
+      { id: expect.stringMatching(/^el_lcp_[0-9a-f]{8}$/), type: 'lcp', selector: 'img.hero', text: '', lcp: 2100, desktop: metrics.lcpElement.box },
+      { id: expect.stringMatching(/^el_shift_[0-9a-f]{8}$/), type: 'layout-shift', selector: 'div.banner', text: '', shift: 0.03, desktop: metrics.layoutShifts[0].box }
+    ]);
+  });
+
+  test('skips elements that are no longer on the page', () => {
+    expect(performanceElements({ ...metrics, lcpElement: { selector: 'img', box: null }, layoutShifts: [] }, 'desktop')).toEqual([]);
+    expect(performanceElements(null, 'desktop')).toEqual([]);
+  });
+});
@@ -68,6 +68,23 @@ describe('JobQueue', () => {
       expect(queue.running.has('job_1')).toBe(true);
       expect(queue.pending.length).toBe(0);
     });
+
+    test('skips jobs rejected by filter', () => {
+      queue.add({ id: 'job_1', priority: 1, status: STATUS.PENDING });
+      queue.add({ id: 'job_2', priority: 2, status: STATUS.PENDING });
+
+      const job = queue.getNext(j => j.id !== 'job_1');
+
+      expect(job.id).toBe('job_2');
+      expect(queue.pending).toEqual(['job_1']);
+    });
+
+    test('returns null when filter rejects every job', () => {
+      queue.add({ id: 'job_1', status: STATUS.PENDING });
+
+      expect(queue.getNext(() => false)).toBeNull();
+      expect(queue.pending).toEqual(['job_1']);
+    });
   });
 
   describe('complete', () => {
@@ -143,12 +160,14 @@ describe('WorkerPool', () => {
     test('creates queues for all job types', () => {
       expect(pool.queues.discover).toBeDefined();
       expect(pool.queues.scan).toBeDefined();
+      expect(pool.queues.flow).toBeDefined();
       expect(pool.queues.analyze).toBeDefined();
       expect(pool.queues.synthesize).toBeDefined();
     });
 
     test('uses default config', () => {
       expect(pool.config.scan.concurrency).toBe(4);
+      expect(pool.config.flow.concurrency).toBe(2);
       expect(pool.config.analyze.concurrency).toBe(2);
       expect(pool.config.synthesize.concurrency).toBe(1);
     });
@@ -208,7 +227,7 @@ describe('WorkerPool', () => {
       // Wait for processing
       await new Promise(r => setTimeout(r, 100));
       
-      expect(handler).toHaveBeenCalledWith({ test: 'data' }, expect.objectContaining({ id: job.id }));
+      expect(handler).toHaveBeenCalledWith({ test: 'data' }, expect.objectContaining({ id: job.id }), { waitForHost: expect.any(Function) });
     });
 
     test('marks job complete on success', async () => {
@@ -308,10 +327,147 @@ describe('WorkerPool', () => {
   });
 });
 
+describe('WorkerPool politeness', () => {
+  const scanPayload = (host, path, options = {}) => ({
+    site: `https://${host}`,
+    page: { url: `https://${host}${path}` },
+    options
+  });
+
+  async function recordStarts(pool, payloads, waitMs) {
+    const starts = [];
+    pool.registerHandler('scan', async (payload) => {
+      starts.push({ url: payload.page.url, at: Date.now() });
+      return {};
+    });
+    payloads.forEach(payload => pool.addJob('scan', payload));
+    await new Promise(r => setTimeout(r, waitMs));
+    return starts;
+  }
+
+  test('computes host interval from crawl delay and max requests per second', () => {
+    const pool = new WorkerPool({ scan: { concurrency: 4, timeout: 1000, retries: 0, maxRequestsPerSecond: 4 } });
+    const job = (options) => ({ payload: scanPayload('a.com', '/', options) });
+
+    expect(pool.getHostInterval('scan', job())).toBe(250);
+    expect(pool.getHostInterval('scan', job({ crawlDelay: 2 }))).toBe(2000);
+    expect(pool.getHostInterval('scan', job({ maxRequestsPerSecond: 0 }))).toBe(0);
+    expect(pool.getHostInterval('discover', job())).toBe(0);
+  });
+
+  test('spaces out jobs on the same host', async () => {
+    const pool = new WorkerPool({ scan: { concurrency: 4, timeout: 1000, retries: 0, crawlDelay: 0.15 } });
+    const starts = await recordStarts(pool, [
+      scanPayload('a.com', '/1'),
+      scanPayload('a.com', '/2'),
+      scanPayload('a.com', '/3')
+    ], 600);
+
+    expect(starts).toHaveLength(3);
+    for (let i = 1; i < starts.length; i++) {
+      expect(starts[i].at - starts[i - 1].at).toBeGreaterThanOrEqual(140);
+    }
+  });
+
+  test('does not hold back other hosts', async () => {
+    const pool = new WorkerPool({ scan: { concurrency: 4, timeout: 1000, retries: 0, crawlDelay: 0.3 } });
+    const starts = await recordStarts(pool, [
+      scanPayload('a.com', '/1'),
+      scanPayload('a.com', '/2'),
+      scanPayload('b.com', '/1')
+    ], 100);
+
+    expect(starts.map(s => s.url)).toEqual(['https://a.com/1', 'https://b.com/1']);
+  });
+
+  test('honors per-job crawl delay from robots.txt', async () => {
+    const pool = new WorkerPool({ scan: { concurrency: 4, timeout: 1000, retries: 0 } });
+    const starts = await recordStarts(pool, [
+      scanPayload('a.com', '/1', { crawlDelay: 0.2 }),
+      scanPayload('a.com', '/2', { crawlDelay: 0.2 })
+    ], 100);
+
+    expect(starts).toHaveLength(1);
+    expect(pool.throttleTimer).not.toBeNull();
+  });
+
+  test('runs unthrottled by default', async () => {
+    const pool = new WorkerPool();
+    const starts = await recordStarts(pool, [
+      scanPayload('a.com', '/1'),
+      scanPayload('a.com', '/2')
+    ], 50);
+
+    expect(starts).toHaveLength(2);
+  });
+
+  test('spaces out every request on a host, within and across jobs', async () => {
+    const pool = new WorkerPool({ scan: { concurrency: 4, timeout: 1000, retries: 0, crawlDelay: 0.05 } });
+    const requests = [];
+    pool.registerHandler('scan', async (payload, job, { waitForHost }) => {
+      for (let i = 0; i < 2; i++) {
+        await waitForHost(payload.page.url);
+        requests.push(Date.now());
+      }
+      return {};
+    });
+    pool.addJob('scan', scanPayload('a.com', '/1'));
+    pool.addJob('scan', scanPayload('a.com', '/2'));
+    await new Promise(r => setTimeout(r, 400));
+
+    expect(requests).toHaveLength(4);
+    requests.sort((a, b) => a - b);
+    for (let i = 1; i < requests.length; i++) {
+      expect(requests[i] - requests[i - 1]).toBeGreaterThanOrEqual(45);
+    }
+  });
+
+  test('does not count host waits against the job timeout', async () => {
+    const pool = new WorkerPool({ scan: { concurrency: 4, timeout: 100, retries: 0, crawlDelay: 0.08 } });
+    pool.registerHandler('scan', async (payload, job, { waitForHost }) => {
+      for (let i = 0; i < 3; i++) await waitForHost(payload.page.url);
+      return { done: true };
+    });
+    const job = pool.addJob('scan', scanPayload('a.com', '/'));
+    await new Promise(r => setTimeout(r, 300));
+
+    expect(job.status).toBe(STATUS.COMPLETE);
+  });
+
+  test('gives a timed-out job no more host slots', async () => {
+    const pool = new WorkerPool({ scan: { concurrency: 4, timeout: 50, retries: 0, crawlDelay: 0.01 } });
+    let late;
+    pool.registerHandler('scan', async (payload, job, { waitForHost }) => {
+      await waitForHost(payload.page.url);
+      await new Promise(r => setTimeout(r, 100));
+      late = waitForHost(payload.page.url);
+      return late;
+    });
+    const job = pool.addJob('scan', scanPayload('a.com', '/'));
+    await new Promise(r => setTimeout(r, 200));
+
+    expect(job.status).toBe(STATUS.FAILED);
+    await expect(late).rejects.toThrow('Job timeout');
+  });
+
+  test('keeps delays per job: an unthrottled job neither waits nor lifts another delay', async () => {
+    const pool = new WorkerPool({ scan: { concurrency: 4, timeout: 1000, retries: 0 } });
+    const starts = await recordStarts(pool, [
+      scanPayload('a.com', '/1', { crawlDelay: 0.3 }),
+      scanPayload('a.com', '/2'),
+      scanPayload('a.com', '/3', { crawlDelay: 0.3 })
+    ], 100);
+
+    expect(starts.map(s => s.url)).toEqual(['https://a.com/1', 'https://a.com/2']);
+    expect(pool.getHostWait('scan', { payload: scanPayload('a.com', '/3', { crawlDelay: 0.3 }) })).toBeGreaterThan(0);
+  });
+});
+
 describe('JOB_TYPES', () => {
   test('has all required types', () => {
     expect(JOB_TYPES.DISCOVER).toBe('discover');
     expect(JOB_TYPES.SCAN).toBe('scan');
+    expect(JOB_TYPES.FLOW).toBe('flow');
     expect(JOB_TYPES.ANALYZE).toBe('analyze');
     expect(JOB_TYPES.SYNTHESIZE).toBe('synthesize');
   });
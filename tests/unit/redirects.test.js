@@ -0,0 +1,162 @@
+/**
+ * Tests for redirect and indexing checks (workers/redirects.js)
+ */
+
+const { comparableUrl, redirectChain, pageStatus, mergeRedirectedPages } = require('../../workers/redirects');
+
+/**
+ * Response at the end of a redirect chain: hops = [[url, status], ...]
+ */
+function createResponse(status, hops = [], headers = {}) {
+  let request = null;
+  for (const [url, hopStatus] of hops) {
+    const previous = request;
+    request = {
+      url: () => url,
+      response: async () => ({ status: () => hopStatus }),
+      redirectedFrom: () => previous
+    };
+  }
+  const last = request;
+  return {
+    status: () => status,
+    headers: () => headers,
+    request: () => ({ redirectedFrom: () => last })
+  };
+}
+
+const pageAt = (url) => ({ url: () => url });
+
+describe('comparableUrl', () => {
+  test('ignores hash, default port and trailing slash', () => {
+    expect(comparableUrl('https://example.com:443/about/#team')).toBe('https://example.com/about');
+    expect(comparableUrl('https://example.com')).toBe('https://example.com/');
+  });
+
+  test('keeps the query string', () => {
+    expect(comparableUrl('https://example.com/shop/?lang=fr')).toBe('https://example.com/shop?lang=fr');
+  });
+
+  test('returns invalid URLs unchanged', () => {
+    expect(comparableUrl('not a url')).toBe('not a url');
+  });
+});
+
+describe('redirectChain', () => {
+  test('lists hops oldest first', async () => {
+    const response = createResponse(200, [['http://example.com/old', 301], ['https://example.com/old', 302]]);
+
+    expect(await redirectChain(response)).toEqual([
+      { url: 'http://example.com/old', status: 301 },
+      { url: 'https://example.com/old', status: 302 }
+    ]);
+  });
+
+  test('is empty without redirects', async () => {
+    expect(await redirectChain(createResponse(200))).toEqual([]);
+  });
+});
+
+describe('pageStatus', () => {
+  test('records status and the final URL after redirects', async () => {
+    const response = createResponse(200, [['https://example.com/old', 301]]);
+    const status = await pageStatus(pageAt('https://example.com/new'), response, 'https://example.com/old', {});
+
+    expect(status).toEqual({
+      status: 200,
+      requestedUrl: 'https://example.com/old',
+      finalUrl: 'https://example.com/new',
+      redirected: true,
+      redirectChain: [{ url: 'https://example.com/old', status: 301 }],
+      canonical: null,
+      canonicalMismatch: false,
+      noindex: false,
+      noindexSource: null
+    });
+  });
+
+  test('treats a trailing slash as the same page', async () => {
+    const status = await pageStatus(pageAt('https://example.com/about/'), createResponse(200), 'https://example.com/about', {});
+    expect(status.redirected).toBe(false);
+  });
+
+  test('resolves the canonical and flags mismatches', async () => {
+    const page = pageAt('https://example.com/shop?sort=price');
+
+    const mismatch = await pageStatus(page, createResponse(200), page.url(), { canonical: '/shop' });
+    expect(mismatch).toMatchObject({ canonical: 'https://example.com/shop', canonicalMismatch: true });
+
+    const match = await pageStatus(page, createResponse(200), page.url(), { canonical: 'https://example.com/shop?sort=price' });
+    expect(match.canonicalMismatch).toBe(false);
+  });
+
+  test('detects noindex in meta robots or X-Robots-Tag', async () => {
+    const page = pageAt('https://example.com/');
+
+    expect(await pageStatus(page, createResponse(200), page.url(), { robots: 'noindex, follow' }))
+      .toMatchObject({ noindex: true, noindexSource: 'meta' });
+    expect(await pageStatus(page, createResponse(200, [], { 'x-robots-tag': 'none' }), page.url(), {}))
+      .toMatchObject({ noindex: true, noindexSource: 'header' });
+    expect(await pageStatus(page, createResponse(200), page.url(), { robots: 'index, follow' }))
+      .toMatchObject({ noindex: false });
+  });
+
+  test('handles navigations without a response', async () => {
+    const status = await pageStatus(pageAt('https://example.com/#top'), null, 'https://example.com/', null);
+    expect(status).toMatchObject({ status: null, redirected: false, redirectChain: [] });
+  });
+});
+
+describe('mergeRedirectedPages', () => {
+  const http = (requestedUrl, finalUrl, status = 200, redirectChain = []) => ({ requestedUrl, finalUrl, status, redirectChain });
+
+  test('folds pages that resolve to another page into it', () => {
+    const pages = [
+      { slug: 'home', path: '/', parent: null, http: http('https://example.com/', 'https://example.com/') },
+      { slug: 'old-pricing', path: '/old-pricing', parent: 'home',
+        http: http('https://example.com/old-pricing', 'https://example.com/pricing', 200, [{ url: 'https://example.com/old-pricing', status: 301 }]) },
+      { slug: 'pricing', path: '/pricing', parent: 'home', http: http('https://example.com/pricing', 'https://example.com/pricing') },
+      { slug: 'plans', path: '/plans', parent: 'old-pricing' }
+    ];
+
+    const merged = mergeRedirectedPages(pages, 'https://example.com');
+
+    expect(merged.map(p => p.slug)).toEqual(['home', 'pricing', 'plans']);
+    expect(merged[1].aliases).toEqual([{ path: '/old-pricing', url: 'https://example.com/old-pricing', status: 301 }]);
+    expect(merged[2].parent).toBe('pricing');
+  });
+
+  test('keeps the first page when none was requested at the final URL', () => {
+    const pages = [
+      { slug: 'home', path: '/', parent: null },
+      { slug: 'a', path: '/a', parent: 'home', http: http('https://example.com/a', 'https://example.com/b/') },
+      { slug: 'c', path: '/c', parent: 'a', http: http('https://example.com/c', 'https://example.com/b') }
+    ];
+
+    const merged = mergeRedirectedPages(pages, 'https://example.com');
+
+    expect(merged.map(p => p.slug)).toEqual(['home', 'a']);
+    expect(merged[1].aliases.map(a => a.path)).toEqual(['/c']);
+  });
+
+  test('gives a kept page the parent of the link that led to it', () => {
+    const pages = [
+      { slug: 'home', path: '/', parent: null },
+      { slug: 'old', path: '/old', parent: 'home', http: http('https://example.com/old', 'https://example.com/new') },
+      { slug: 'new', path: '/new', parent: 'old', http: http('https://example.com/new', 'https://example.com/new') }
+    ];
+
+    const merged = mergeRedirectedPages(pages, 'https://example.com');
+    expect(merged.find(p => p.slug === 'new').parent).toBe('home');
+  });
+
+  test('returns the same list when nothing collapses', () => {
+    const pages = [
+      { slug: 'home', path: '/', http: http('https://example.com/', 'https://example.com/') },
+      { slug: 'moved', path: '/moved', http: http('https://example.com/moved', 'https://example.com/elsewhere') }
+    ];
+
+    expect(mergeRedirectedPages(pages, 'https://example.com')).toBe(pages);
+    expect(pages[1].aliases).toBeUndefined();
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for cross-viewport matching and layout changes (workers/responsive.js)
+ */
+
+const { MAX_CHANGES, textSimilarity, pathSimilarity, matchElements, detectLayoutChanges } = require('../../workers/responsive');
+
+const box = (x, y, width = 200, height = 48) => ({ x, y, width, height });
+
+const VIEWPORTS = [
+  { name: 'desktop', width: 1920, height: 1080 },
+  { name: 'mobile', width: 390, height: 844 }
+];
+
+describe('textSimilarity', () => {
+  test('scores shared bigrams, ignoring case and whitespace', () => {
+    expect(textSimilarity('Start  FREE trial', 'start free trial')).toBe(1);
+    expect(textSimilarity('Start your free trial', 'Start free trial')).toBeGreaterThan(0.8);
+    expect(textSimilarity('Buy', 'Contact sales')).toBe(0);
+  });
+
+  test('treats two empty texts as equal', () => {
+    expect(textSimilarity('', undefined)).toBe(1);
+    expect(textSimilarity('', 'Menu')).toBe(0);
+  });
+});
+
+describe('pathSimilarity', () => {
+  test('compares CSS path steps in order, ignoring sibling positions', () => {
+    expect(pathSimilarity('#main > a.buy:nth-of-type(2)', '#main > a.buy')).toBe(1);
+    expect(pathSimilarity('header > nav > a.cta', 'header > div.drawer > nav > a.cta')).toBe(0.75);
+    expect(pathSimilarity('footer > p', '#hero > h1')).toBe(0);
+  });
+});
+
+describe('matchElements', () => {
+  const cta = (id, selector, text, viewport) => ({ id, type: 'cta', selector, text, [viewport]: box(0, 0) });
+
+  test('pairs elements whose text or container changed', () => {
+    const desktop = [
+      cta('el_1', 'header > nav > a.cta', 'Start your free trial', 'desktop'),
+      cta('el_2', '#pricing > a.btn', 'Contact sales', 'desktop')
+    ];
+    const mobile = [
+      cta('el_3', 'header > div.drawer > nav > a.cta', 'Start free trial', 'mobile'),
+      cta('el_4', '#pricing > a.btn', 'Talk to us', 'mobile')
+    ];
+
+    const matches = matchElements(mobile, desktop);
+
+    expect(matches.get(mobile[0])).toBe(desktop[0]);
+    // Same place, different words: not the same button
+    expect(matches.has(mobile[1])).toBe(false);
+  });
+
+  test('uses each candidate once, best match first', () => {
+    const desktop = [cta('el_1', '#hero > a.btn', 'Get started', 'desktop')];
+    const mobile = [cta('el_2', '#hero > a.btn', 'Get started', 'mobile'), cta('el_3', '#hero > a.btn', 'Get started now', 'mobile')];
+
+    const matches = matchElements(mobile, desktop);
+
+    expect(matches.get(mobile[0])).toBe(desktop[0]);
+    expect(matches.has(mobile[1])).toBe(false);
+  });
+
+  test('never pairs across types, frames or shadow roots', () => {
+    const desktop = [cta('el_1', 'a.buy', 'Buy', 'desktop')];
+    const mobile = [
+      { ...cta('el_2', 'a.buy', 'Buy', 'mobile'), type: 'nav' },
+      { ...cta('el_3', 'a.buy', 'Buy', 'mobile'), frame: 'iframe#checkout' },
+      { ...cta('el_4', 'a.buy', 'Buy', 'mobile'), shadowHost: 'buy-button' }
+    ];
+
+    expect(matchElements(mobile, desktop).size).toBe(0);
+  });
+});
+
+describe('detectLayoutChanges', () => {
+  const elements = [
+    { id: 'el_nav', type: 'nav', text: '', desktop: box(0, 0, 1920, 80) },
+    { id: 'el_h1', type: 'heading', level: 1, text: 'Ship faster', desktop: box(100, 100), mobile: box(16, 600) },
+    { id: 'el_img', type: 'image', text: 'Dashboard', desktop: box(1000, 200), mobile: box(0, 100) },
+    { id: 'el_cta', type: 'cta', prominence: 'primary', text: 'Start trial', desktop: box(100, 300), mobile: box(16, 900) },
+    { id: 'el_form', type: 'form', text: 'Newsletter', desktop: box(100, 500) },
+    { id: 'el_logos', type: 'trust', text: '', desktop: box(0, 1500) },
+    { id: 'el_text_1', type: 'text', text: 'Fine print', desktop: box(0, 1800) }
+  ];
+
+  test('reports hidden, below-the-fold and reordered elements', () => {
+    expect(detectLayoutChanges(elements, VIEWPORTS)).toEqual([
+      { type: 'hidden', element: 'el_form', elementType: 'form', label: 'Form', text: 'Newsletter', key: true, viewport: 'mobile', reference: 'desktop' },
+      { type: 'hidden', element: 'el_logos', elementType: 'trust', label: 'Trust signal', text: '', key: false, viewport: 'mobile', reference: 'desktop' },
+      expect.objectContaining({ type: 'below-fold', element: 'el_cta', label: 'Primary CTA', key: true, y: 900, fold: 844 }),
+      expect.objectContaining({ type: 'reordered', element: 'el_img', label: 'Image', from: 2, to: 1 })
+    ]);
+  });
+
+  test('compares against the widest viewport, whatever the capture order', () => {
+    const changes = detectLayoutChanges(elements, [...VIEWPORTS].reverse());
+    expect(changes.map(c => c.element)).toEqual(['el_form', 'el_logos', 'el_cta', 'el_img']);
+  });
+
+  test('treats side-by-side elements that stack as unchanged', () => {
+    const row = [
+      { id: 'el_1', type: 'image', text: 'a', desktop: box(0, 400), mobile: box(0, 400) },
+      { id: 'el_2', type: 'image', text: 'b', desktop: box(600, 403), mobile: box(0, 700) },
+      { id: 'el_3', type: 'image', text: 'c', desktop: box(1200, 398), mobile: box(0, 1000) }
+    ];
+    expect(detectLayoutChanges(row, VIEWPORTS)).toEqual([]);
+  });
+
+  test('never reports images as hidden', () => {
+    // At mobile the hero's top is 1200px, past the scanner's image cut-off,
+    // so it is not extracted there
+    const hero = { id: 'el_hero', type: 'image', text: 'Hero', desktop: box(0, 400, 1200, 600) };
+    const h1 = { id: 'el_h1', type: 'heading', level: 1, text: 'Ship faster', desktop: box(100, 100), mobile: box(16, 100) };
+    expect(detectLayoutChanges([h1, hero], VIEWPORTS)).toEqual([]);
+  });
+
+  test('still reports images whose order changes', () => {
+    const stacked = [
+      { id: 'el_h1', type: 'heading', level: 1, text: 'Ship faster', desktop: box(100, 100), mobile: box(16, 300) },
+      { id: 'el_hero', type: 'image', text: 'Hero', desktop: box(0, 400, 1200, 600), mobile: box(0, 80, 390, 200) }
+    ];
+    expect(detectLayoutChanges(stacked, VIEWPORTS)).toEqual([
+      expect.objectContaining({ type: 'reordered', element: 'el_hero', from: 2, to: 1 })
+    ]);
+  });
+
+  test('skips viewports with no elements and needs two viewports', () => {
+    expect(detectLayoutChanges([elements[1]], VIEWPORTS.concat({ name: 'tablet', width: 820, height: 1180 }))).toEqual([]);
+    expect(detectLayoutChanges(elements, VIEWPORTS.slice(0, 1))).toBeNull();
+    expect(detectLayoutChanges(elements, [])).toBeNull();
+  });
+
+  test('stops at MAX_CHANGES', () => {
+    const many = Array.from({ length: MAX_CHANGES + 5 }, (_, i) => ({ id: `el_${i}`, type: 'trust', text: '', desktop: box(0, i * 100) }));
+    many.push({ id: 'el_shown', type: 'image', text: '', desktop: box(0, 0), mobile: box(0, 0) });
+    expect(detectLayoutChanges(many, VIEWPORTS)).toHaveLength(MAX_CHANGES);
+  });
+});
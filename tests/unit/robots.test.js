@@ -0,0 +1,318 @@
+/**
+ * Tests for Robots helpers (workers/robots.js)
+ */
+
+const zlib = require('zlib');
+const {
+  fetchText,
+  parseRobots,
+  selectGroup,
+  isAllowed,
+  getCrawlDelay,
+  getRobots,
+  clearRobotsCache,
+  parseSitemapXml,
+  fetchSitemapUrls,
+  ROBOTS_TTL,
+  ROBOTS_RETRY
+} = require('../../workers/robots');
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+/**
+ * Serve a fixed set of URLs: { url: body (string or Buffer) }
+ */
+function serve(files) {
+  global.fetch.mockImplementation(async (url) => {
+    if (!(url in files)) {
+      return { ok: false, status: 404, arrayBuffer: async () => new ArrayBuffer(0) };
+    }
+    const body = Buffer.isBuffer(files[url]) ? files[url] : Buffer.from(files[url]);
+    return { ok: true, status: 200, arrayBuffer: async () => body };
+  });
+}
+
+const urlset = (...locs) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${locs.map(loc => `  <url><loc>${loc}</loc></url>`).join('\n')}
+</urlset>`;
+
+const sitemapindex = (...locs) => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${locs.map(loc => `  <sitemap><loc>${loc}</loc></sitemap>`).join('\n')}
+</sitemapindex>`;
+
+describe('parseRobots', () => {
+  test('collects Sitemap entries case-insensitively', () => {
+    const robots = parseRobots([
+      'User-agent: *',
+      'Disallow: /admin',
+      'Sitemap: https://example.com/sitemap.xml',
+      'sitemap:https://example.com/news.xml # news',
+      ''
+    ].join('\r\n'));
+
+    expect(robots.sitemaps).toEqual([
+      'https://example.com/sitemap.xml',
+      'https://example.com/news.xml'
+    ]);
+  });
+
+  test('handles empty input', () => {
+    expect(parseRobots(null).sitemaps).toEqual([]);
+    expect(parseRobots(null).groups).toEqual([]);
+  });
+
+  test('groups consecutive user agents', () => {
+    const robots = parseRobots([
+      'User-agent: Googlebot',
+      'User-agent: Bingbot',
+      'Disallow: /private',
+      'Crawl-delay: 5',
+      'User-agent: *',
+      'Disallow:',
+      'Allow: /'
+    ].join('\n'));
+
+    expect(robots.groups).toEqual([
+      { agents: ['googlebot', 'bingbot'], rules: [{ allow: false, path: '/private' }], crawlDelay: 5 },
+      { agents: ['*'], rules: [{ allow: true, path: '/' }], crawlDelay: null }
+    ]);
+  });
+
+  test('ignores rules before any user agent and invalid crawl delays', () => {
+    const robots = parseRobots('Disallow: /x\nUser-agent: *\nCrawl-delay: soon');
+    expect(robots.groups).toEqual([{ agents: ['*'], rules: [], crawlDelay: null }]);
+  });
+});
+
+describe('robots rules', () => {
+  const robots = parseRobots([
+    'User-agent: *',
+    'Disallow: /admin',
+    'Allow: /admin/public',
+    'Disallow: /*.pdf$',
+    'Disallow: /search?',
+    'Crawl-delay: 2',
+    '',
+    'User-agent: SitemapBot',
+    'Disallow: /',
+    'Crawl-delay: 10',
+    '',
+    'User-agent: sitemapbot',
+    'Allow: /open'
+  ].join('\n'));
+
+  test('falls back to the * group', () => {
+    expect(selectGroup(robots, 'Mozilla/5.0').crawlDelay).toBe(2);
+  });
+
+  test('prefers a matching named agent and combines its groups', () => {
+    const group = selectGroup(robots, 'Mozilla/5.0 (compatible; SitemapBot/1.0)');
+    expect(group.rules).toHaveLength(2);
+    expect(group.crawlDelay).toBe(10);
+  });
+
+  test('disallows matching prefixes', () => {
+    expect(isAllowed(robots, 'Mozilla/5.0', '/admin')).toBe(false);
+    expect(isAllowed(robots, 'Mozilla/5.0', '/admin/users')).toBe(false);
+    expect(isAllowed(robots, 'Mozilla/5.0', '/about')).toBe(true);
+  });
+
+  test('longest matching rule wins', () => {
+    expect(isAllowed(robots, 'Mozilla/5.0', '/admin/public/help')).toBe(true);
+    expect(isAllowed(robots, 'SitemapBot', '/open/page')).toBe(true);
+    expect(isAllowed(robots, 'SitemapBot', '/closed')).toBe(false);
+  });
+
+  test('supports * and $ wildcards and query strings', () => {
+    expect(isAllowed(robots, 'Mozilla/5.0', '/files/guide.pdf')).toBe(false);
+    expect(isAllowed(robots, 'Mozilla/5.0', '/files/guide.pdf?v=2')).toBe(true);
+    expect(isAllowed(robots, 'Mozilla/5.0', '/search?q=shoes')).toBe(false);
+    expect(isAllowed(robots, 'Mozilla/5.0', '/search')).toBe(true);
+  });
+
+  test('always allows robots.txt and empty files', () => {
+    expect(isAllowed(robots, 'SitemapBot', '/robots.txt')).toBe(true);
+    expect(isAllowed(parseRobots(''), 'Mozilla/5.0', '/anything')).toBe(true);
+  });
+
+  test('reads crawl delay for the agent', () => {
+    expect(getCrawlDelay(robots, 'Mozilla/5.0')).toBe(2);
+    expect(getCrawlDelay(parseRobots(''), 'Mozilla/5.0')).toBeNull();
+  });
+});
+
+describe('getRobots', () => {
+  beforeEach(() => {
+    global.fetch.mockReset();
+    clearRobotsCache();
+  });
+
+  test('fetches robots.txt once per origin', async () => {
+    serve({ 'https://example.com/robots.txt': 'User-agent: *\nDisallow: /x' });
+
+    await getRobots('https://example.com');
+    const robots = await getRobots('https://example.com');
+
+    expect(isAllowed(robots, 'Mozilla/5.0', '/x')).toBe(false);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('fetches robots.txt again once the cached copy expires', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    serve({ 'https://example.com/robots.txt': 'User-agent: *\nDisallow: /x' });
+    await getRobots('https://example.com');
+
+    serve({ 'https://example.com/robots.txt': 'User-agent: *\nDisallow:' });
+    now.mockReturnValue(1000 + ROBOTS_TTL - 1);
+    expect(isAllowed(await getRobots('https://example.com'), 'Mozilla/5.0', '/x')).toBe(false);
+
+    now.mockReturnValue(1000 + ROBOTS_TTL);
+    expect(isAllowed(await getRobots('https://example.com'), 'Mozilla/5.0', '/x')).toBe(true);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    now.mockRestore();
+  });
+
+  test('allows everything when robots.txt is unreachable', async () => {
+    global.fetch.mockRejectedValue(new Error('ECONNREFUSED'));
+
+    const robots = await getRobots('https://down.example.com');
+    expect(isAllowed(robots, 'Mozilla/5.0', '/x')).toBe(true);
+  });
+
+  test('allows everything when robots.txt is missing', async () => {
+    serve({});
+
+    const robots = await getRobots('https://example.com');
+    expect(isAllowed(robots, 'Mozilla/5.0', '/x')).toBe(true);
+  });
+
+  test.each([500, 503, 429])('disallows everything on HTTP %i and retries later', async (status) => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    global.fetch.mockResolvedValue({ ok: false, status, arrayBuffer: async () => new ArrayBuffer(0) });
+    expect(isAllowed(await getRobots('https://example.com'), 'Mozilla/5.0', '/x')).toBe(false);
+
+    serve({ 'https://example.com/robots.txt': 'User-agent: *\nDisallow:' });
+    now.mockReturnValue(1000 + ROBOTS_RETRY - 1);
+    expect(isAllowed(await getRobots('https://example.com'), 'Mozilla/5.0', '/x')).toBe(false);
+
+    now.mockReturnValue(1000 + ROBOTS_RETRY);
+    expect(isAllowed(await getRobots('https://example.com'), 'Mozilla/5.0', '/x')).toBe(true);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    now.mockRestore();
+  });
+});
+
+describe('parseSitemapXml', () => {
+  test('parses urlset locations', () => {
+    const result = parseSitemapXml(urlset('https://example.com/', 'https://example.com/about'));
+    expect(result.type).toBe('urlset');
+    expect(result.locs).toEqual(['https://example.com/', 'https://example.com/about']);
+  });
+
+  test('detects sitemap index files', () => {
+    const result = parseSitemapXml(sitemapindex('https://example.com/pages.xml'));
+    expect(result.type).toBe('index');
+    expect(result.locs).toEqual(['https://example.com/pages.xml']);
+  });
+
+  test('decodes entities and CDATA', () => {
+    const result = parseSitemapXml(urlset(
+      'https://example.com/a?x=1&amp;y=2',
+      '<![CDATA[https://example.com/b]]>'
+    ));
+    expect(result.locs).toEqual(['https://example.com/a?x=1&y=2', 'https://example.com/b']);
+  });
+
+  test('handles namespaced tags', () => {
+    const xml = '<sm:urlset><sm:url><sm:loc>https://example.com/x</sm:loc></sm:url></sm:urlset>';
+    expect(parseSitemapXml(xml).locs).toEqual(['https://example.com/x']);
+  });
+});
+
+describe('fetchText', () => {
+  test('returns null for missing resources', async () => {
+    serve({});
+    expect(await fetchText('https://example.com/missing')).toBeNull();
+  });
+
+  test('throws with the status for server errors and 429', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 503, arrayBuffer: async () => new ArrayBuffer(0) });
+    await expect(fetchText('https://example.com/robots.txt')).rejects.toMatchObject({ status: 503 });
+
+    global.fetch.mockResolvedValue({ ok: false, status: 429, arrayBuffer: async () => new ArrayBuffer(0) });
+    await expect(fetchText('https://example.com/robots.txt')).rejects.toMatchObject({ status: 429 });
+  });
+
+  test('gunzips gzipped bodies', async () => {
+    serve({ 'https://example.com/sitemap.xml.gz': zlib.gzipSync('hello') });
+    expect(await fetchText('https://example.com/sitemap.xml.gz')).toBe('hello');
+  });
+});
+
+describe('fetchSitemapUrls', () => {
+  beforeEach(() => {
+    global.fetch.mockReset();
+    clearRobotsCache();
+  });
+
+  test('follows Sitemap entries from robots.txt', async () => {
+    serve({
+      'https://example.com/robots.txt': 'Sitemap: https://example.com/main.xml',
+      'https://example.com/main.xml': urlset('https://example.com/', 'https://example.com/landing')
+    });
+
+    const result = await fetchSitemapUrls('https://example.com/');
+    expect(result.urls).toEqual(['https://example.com/', 'https://example.com/landing']);
+    expect(result.sitemaps).toEqual(['https://example.com/main.xml']);
+  });
+
+  test('falls back to /sitemap.xml without robots.txt', async () => {
+    serve({
+      'https://example.com/sitemap.xml': urlset('https://example.com/hidden')
+    });
+
+    const result = await fetchSitemapUrls('https://example.com/some/page');
+    expect(result.urls).toEqual(['https://example.com/hidden']);
+  });
+
+  test('follows nested and gzipped sitemap index files', async () => {
+    serve({
+      'https://example.com/robots.txt': 'Sitemap: https://example.com/index.xml',
+      'https://example.com/index.xml': sitemapindex(
+        'https://example.com/nested-index.xml',
+        'https://example.com/pages.xml.gz'
+      ),
+      'https://example.com/nested-index.xml': sitemapindex('https://example.com/posts.xml'),
+      'https://example.com/pages.xml.gz': zlib.gzipSync(urlset('https://example.com/pricing')),
+      'https://example.com/posts.xml': urlset('https://example.com/blog/hello')
+    });
+
+    const result = await fetchSitemapUrls('https://example.com/');
+    expect(result.urls.sort()).toEqual([
+      'https://example.com/blog/hello',
+      'https://example.com/pricing'
+    ]);
+  });
+
+  test('does not refetch sitemaps that reference each other', async () => {
+    serve({
+      'https://example.com/robots.txt': 'Sitemap: https://example.com/a.xml',
+      'https://example.com/a.xml': sitemapindex('https://example.com/b.xml'),
+      'https://example.com/b.xml': sitemapindex('https://example.com/a.xml')
+    });
+
+    const result = await fetchSitemapUrls('https://example.com/');
+    expect(result.urls).toEqual([]);
+    expect(result.sitemaps).toEqual(['https://example.com/a.xml', 'https://example.com/b.xml']);
+  });
+
+  test('survives network errors', async () => {
+    global.fetch.mockRejectedValue(new Error('ECONNREFUSED'));
+
+    const result = await fetchSitemapUrls('https://example.com/');
+    expect(result.urls).toEqual([]);
+  });
+});
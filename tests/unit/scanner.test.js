@@ -3,7 +3,74 @@
  * Note: Integration tests require Playwright/browser
  */
 
-const { CONFIG } = require('../../workers/scanner');
+jest.mock('playwright', () => ({
+  chromium: { launch: jest.fn() }
+}));
+
+// Clicking through client-side navigation is covered by the spa tests
+jest.mock('../../workers/spa', () => ({
+  watchClientRoutes: jest.fn(),
+  waitForIdle: jest.fn(),
+  clickThroughNav: jest.fn()
+}));
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { chromium } = require('playwright');
+const { CONFIG, scanPage, scanFlow, discoverPages, mergeElements, prioritizeLinks, closeBrowser } = require('../../workers/scanner');
+const { clearRobotsCache } = require('../../workers/robots');
+const { saveAuthConfig } = require('../../workers/auth');
+const { watchClientRoutes, clickThroughNav } = require('../../workers/spa');
+
+/**
+ * Fake browser serving a fixed link graph: { url: [link, ...] }
+ */
+function createFakeBrowser(linkGraph, titles = {}, statuses = {}) {
+  const visits = [];
+  const checked = [];
+  const page = {
+    currentUrl: null,
+    goto: jest.fn(async (url) => {
+      if (!(url in linkGraph)) throw new Error(`net::ERR_NAME_NOT_RESOLVED ${url}`);
+      page.currentUrl = url;
+      visits.push(url);
+    }),
+    evaluate: jest.fn(async () => linkGraph[page.currentUrl] || []),
+    url: () => page.currentUrl,
+    title: jest.fn(async () => titles[page.currentUrl] || ''),
+    close: jest.fn()
+  };
+  // Link checks: { url: status } or { url: [status, location] }, 200 otherwise
+  const request = {
+    fetch: jest.fn(async (url) => {
+      checked.push(url);
+      const [status, location] = [].concat(statuses[url] || 200);
+      return { status: () => status, headers: () => (location ? { location } : {}), dispose: async () => {} };
+    })
+  };
+  const context = { newPage: jest.fn(async () => page), close: jest.fn(), request };
+  const browser = { newContext: jest.fn(async () => context), close: jest.fn() };
+  return { browser, page, visits, checked };
+}
+
+/**
+ * Serve a fixed set of text files over the mocked fetch: { url: body }
+ */
+function serve(files) {
+  global.fetch.mockImplementation(async (url) => {
+    if (!(url in files)) return { ok: false, status: 404 };
+    return { ok: true, arrayBuffer: async () => Buffer.from(files[url]) };
+  });
+}
+
+const link = (path, extra = {}) => ({
+  url: `https://example.com${path}`,
+  path,
+  text: path.slice(1),
+  inNav: false,
+  ...extra
+});
 
 describe('Scanner CONFIG', () => {
   test('has desktop viewport settings', () => {
@@ -37,14 +104,942 @@ describe('Scanner functions (mocked)', () => {
   test.todo('scanPage captures mobile screenshot');
   test.todo('scanPage extracts content');
   test.todo('scanPage handles page load timeout');
-  test.todo('discoverPages finds navigation links');
-  test.todo('discoverPages respects maxDepth');
-  test.todo('discoverPages respects maxPages');
   test.todo('extractContent gets meta tags');
   test.todo('extractContent gets headings');
   test.todo('extractContent detects components');
 });
 
+describe('prioritizeLinks', () => {
+  test('dedupes by path', () => {
+    const links = prioritizeLinks([link('/about'), link('/about'), link('/blog')]);
+    expect(links.map(l => l.path)).toEqual(['/blog', '/about']);
+  });
+
+  test('puts nav links first, then shorter paths', () => {
+    const links = prioritizeLinks([
+      link('/a/long/path'),
+      link('/contact', { inNav: true }),
+      link('/faq')
+    ]);
+    expect(links.map(l => l.path)).toEqual(['/contact', '/faq', '/a/long/path']);
+  });
+});
+
+describe('discoverPages', () => {
+  const graph = {
+    'https://example.com/': [link('/about', { inNav: true }), link('/products', { inNav: true })],
+    'https://example.com/about': [link('/team'), link('/')],
+    'https://example.com/products': [link('/products/widget'), link('/about')],
+    'https://example.com/team': [link('/careers')],
+    'https://example.com/products/widget': [link('/products/widget/specs')],
+    'https://example.com/careers': [link('/careers/engineer')]
+  };
+
+  let fake;
+
+  beforeEach(async () => {
+    await closeBrowser();
+    fake = createFakeBrowser(graph, { 'https://example.com/': 'Example Home' });
+    chromium.launch.mockResolvedValue(fake.browser);
+    // No robots.txt or sitemap.xml unless a test serves one
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+    clearRobotsCache();
+  });
+
+  test('records click depth and the page each link was found on', async () => {
+    const { pages } = await discoverPages({ site: 'https://example.com/', options: { maxDepth: 3 } });
+    const byPath = Object.fromEntries(pages.map(p => [p.path, p]));
+
+    expect(byPath['/'].title).toBe('Example Home');
+    expect(byPath['/'].depth).toBe(0);
+    expect(byPath['/about']).toMatchObject({ depth: 1, parent: 'home' });
+    // Two path segments, but only two clicks away via /about
+    expect(byPath['/team']).toMatchObject({ depth: 2, parent: 'about', foundOn: 'https://example.com/about' });
+    // One path segment, but three clicks away
+    expect(byPath['/careers']).toMatchObject({ depth: 3, parent: 'team' });
+    expect(byPath['/products/widget']).toMatchObject({ depth: 2, parent: 'products' });
+  });
+
+  test('visits pages breadth-first and never deeper than maxDepth', async () => {
+    const { pages } = await discoverPages({ site: 'https://example.com/', options: { maxDepth: 2 } });
+
+    expect(pages.map(p => p.path)).toEqual([
+      '/', '/about', '/products', '/team', '/products/widget'
+    ]);
+    expect(Math.max(...pages.map(p => p.depth))).toBe(2);
+    // Pages at maxDepth are not opened
+    expect(fake.visits).toEqual([
+      'https://example.com/', 'https://example.com/about', 'https://example.com/products'
+    ]);
+  });
+
+  test('respects maxPages', async () => {
+    const { pages } = await discoverPages({ site: 'https://example.com/', options: { maxPages: 3 } });
+    expect(pages).toHaveLength(3);
+  });
+
+  test('skips pages that fail to load', async () => {
+    fake = createFakeBrowser({
+      'https://example.com/': [link('/broken'), link('/ok')],
+      'https://example.com/ok': [link('/deeper')]
+    });
+    chromium.launch.mockResolvedValue(fake.browser);
+
+    const { pages } = await discoverPages({ site: 'https://example.com/' });
+    expect(pages.map(p => p.path)).toEqual(['/', '/ok', '/broken', '/deeper']);
+  });
+
+  test('tags pages with how they were found', async () => {
+    const { pages } = await discoverPages({ site: 'https://example.com/', options: { maxDepth: 2 } });
+    const byPath = Object.fromEntries(pages.map(p => [p.path, p]));
+
+    expect(byPath['/'].source).toBe('crawl');
+    expect(byPath['/about'].source).toBe('nav');
+    expect(byPath['/team'].source).toBe('crawl');
+  });
+
+  test('merges pages listed only in sitemap.xml', async () => {
+    const sitemap = `<urlset>
+      <url><loc>https://example.com/about</loc></url>
+      <url><loc>https://example.com/products/secret-landing</loc></url>
+      <url><loc>https://example.com/promo</loc></url>
+      <url><loc>https://other.com/elsewhere</loc></url>
+    </urlset>`;
+    serve({ 'https://example.com/sitemap.xml': sitemap });
+
+    const { pages } = await discoverPages({ site: 'https://example.com/', options: { maxDepth: 2 } });
+    const byPath = Object.fromEntries(pages.map(p => [p.path, p]));
+
+    expect(byPath['/about']).toMatchObject({ source: 'nav', inSitemap: true });
+    expect(byPath['/team'].inSitemap).toBe(false);
+    expect(byPath['/promo']).toMatchObject({ source: 'sitemap.xml', depth: 1, parent: 'home' });
+    expect(byPath['/products/secret-landing']).toMatchObject({
+      source: 'sitemap.xml',
+      depth: 2,
+      parent: 'products'
+    });
+    expect(byPath['/elsewhere']).toBeUndefined();
+    // Sitemap-only pages come after crawled ones
+    expect(pages.slice(-2).map(p => p.path)).toEqual(['/promo', '/products/secret-landing']);
+  });
+
+  test('skips sitemap seeding when useSitemap is false', async () => {
+    await discoverPages({ site: 'https://example.com/', options: { useSitemap: false } });
+    const fetched = global.fetch.mock.calls.map(([url]) => url);
+    expect(fetched).toEqual(['https://example.com/robots.txt']);
+  });
+
+  test('skips links disallowed by robots.txt', async () => {
+    serve({ 'https://example.com/robots.txt': 'User-agent: *\nDisallow: /products' });
+
+    const { pages } = await discoverPages({ site: 'https://example.com/', options: { maxDepth: 2 } });
+
+    expect(pages.map(p => p.path)).toEqual(['/', '/about', '/team']);
+    expect(fake.visits).not.toContain('https://example.com/products');
+  });
+
+  test('drops disallowed sitemap URLs', async () => {
+    serve({
+      'https://example.com/robots.txt': 'User-agent: *\nDisallow: /promo',
+      'https://example.com/sitemap.xml': '<urlset><url><loc>https://example.com/promo</loc></url></urlset>'
+    });
+
+    const { pages } = await discoverPages({ site: 'https://example.com/', options: { maxDepth: 1 } });
+    expect(pages.map(p => p.path)).not.toContain('/promo');
+  });
+
+  test('crawls everything when respectRobots is false', async () => {
+    serve({ 'https://example.com/robots.txt': 'User-agent: *\nDisallow: /' });
+
+    const { pages } = await discoverPages({
+      site: 'https://example.com/',
+      options: { maxDepth: 1, respectRobots: false, useSitemap: false }
+    });
+
+    expect(pages.map(p => p.path)).toEqual(['/', '/about', '/products']);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('refuses sites whose homepage is disallowed', async () => {
+    serve({ 'https://example.com/robots.txt': 'User-agent: *\nDisallow: /' });
+
+    await expect(discoverPages({ site: 'https://example.com/' }))
+      .rejects.toThrow('Disallowed by robots.txt');
+    expect(fake.visits).toEqual([]);
+  });
+
+  test('returns the crawl delay and waits between page loads', async () => {
+    serve({ 'https://example.com/robots.txt': 'User-agent: *\nCrawl-delay: 0.05' });
+
+    const started = Date.now();
+    const result = await discoverPages({ site: 'https://example.com/', options: { maxDepth: 2 } });
+
+    expect(result.crawlDelay).toBe(0.05);
+    // Home loads immediately, /about and /products each wait
+    expect(Date.now() - started).toBeGreaterThanOrEqual(90);
+  });
+
+  test('lists pages with kept query params separately', async () => {
+    fake = createFakeBrowser({
+      'https://example.com/': [
+        link('/shop?lang=fr&utm_source=mail', { url: 'https://example.com/shop?lang=fr&utm_source=mail' }),
+        link('/shop?lang=de&sort=asc', { url: 'https://example.com/shop?lang=de&sort=asc' }),
+        link('/shop?lang=fr', { url: 'https://example.com/shop?lang=fr' })
+      ]
+    });
+    chromium.launch.mockResolvedValue(fake.browser);
+
+    const { pages } = await discoverPages({
+      site: 'https://example.com/',
+      options: { maxDepth: 1, keepParams: ['lang'] }
+    });
+
+    expect(pages.map(p => p.path)).toEqual(['/', '/shop?lang=fr', '/shop?lang=de']);
+    expect(pages[1]).toMatchObject({ url: 'https://example.com/shop?lang=fr', slug: 'shop_lang-fr' });
+  });
+
+  test('collapses query strings by default', async () => {
+    fake = createFakeBrowser({
+      'https://example.com/': [
+        link('/shop?page=1', { url: 'https://example.com/shop?page=1' }),
+        link('/shop?page=2', { url: 'https://example.com/shop?page=2' })
+      ]
+    });
+    chromium.launch.mockResolvedValue(fake.browser);
+
+    const { pages } = await discoverPages({ site: 'https://example.com/', options: { maxDepth: 1 } });
+    expect(pages.map(p => p.path)).toEqual(['/', '/shop']);
+  });
+
+  test('neither lists nor crawls excluded pages', async () => {
+    const { pages } = await discoverPages({
+      site: 'https://example.com/',
+      options: { maxDepth: 3, exclude: ['/about/**'] }
+    });
+
+    expect(pages.map(p => p.path)).not.toContain('/about');
+    // /team is only linked from /about
+    expect(pages.map(p => p.path)).not.toContain('/team');
+    expect(fake.visits).not.toContain('https://example.com/about');
+  });
+
+  test('crawls through pages outside the include list without listing them', async () => {
+    const { pages } = await discoverPages({
+      site: 'https://example.com/',
+      options: { maxDepth: 3, include: ['/products/*', '/products/**/specs'] }
+    });
+
+    expect(pages.map(p => p.path)).toEqual(['/', '/products/widget', '/products/widget/specs']);
+    // Parent falls back to the nearest listed page
+    expect(pages[1]).toMatchObject({ depth: 2, parent: 'home', foundOn: 'https://example.com/products' });
+    expect(pages[2]).toMatchObject({ depth: 3, parent: 'products-widget' });
+  });
+
+  test('applies include rules to sitemap-only pages', async () => {
+    serve({
+      'https://example.com/sitemap.xml': `<urlset>
+        <url><loc>https://example.com/products/hidden</loc></url>
+        <url><loc>https://example.com/promo</loc></url>
+      </urlset>`
+    });
+
+    const { pages } = await discoverPages({
+      site: 'https://example.com/',
+      options: { maxDepth: 1, include: ['/products/**'] }
+    });
+
+    expect(pages.map(p => p.path)).toEqual(['/', '/products']);
+  });
+
+  test('rejects invalid URL patterns before crawling', async () => {
+    chromium.launch.mockClear();
+    await expect(discoverPages({ site: 'https://example.com/', options: { include: ['regex:('] } }))
+      .rejects.toThrow('Invalid URL pattern');
+    expect(chromium.launch).not.toHaveBeenCalled();
+  });
+
+  test('reuses the project session in its browser context', async () => {
+    const authDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scanner-auth-'));
+    const storageState = { cookies: [{ name: 'sid', value: '1', domain: 'example.com', path: '/' }], origins: [] };
+    const authFile = saveAuthConfig(authDir, 'p', { type: 'storageState', storageState });
+
+    try {
+      await discoverPages({ site: 'https://example.com/', options: { maxDepth: 1, authFile } });
+    } finally {
+      fs.rmSync(authDir, { recursive: true, force: true });
+    }
+
+    expect(fake.browser.newContext).toHaveBeenCalledWith(expect.objectContaining({ storageState }));
+  });
+
+  test('reports broken links and redirects per page', async () => {
+    fake = createFakeBrowser({
+      'https://example.com/': [link('/about'), link('/gone'), link('/old'), link('/guide.pdf', { file: true })],
+      'https://example.com/about': [link('/')]
+    }, {}, {
+      'https://example.com/gone': 404,
+      'https://example.com/old': [301, '/about'],
+      'https://example.com/guide.pdf': 500
+    });
+    chromium.launch.mockResolvedValue(fake.browser);
+
+    const { pages } = await discoverPages({ site: 'https://example.com/', options: { maxDepth: 2 } });
+    const home = pages.find(p => p.path === '/');
+
+    expect(home.health.links).toEqual({
+      checked: 4,
+      broken: [
+        { url: 'https://example.com/gone', status: 404, error: null },
+        { url: 'https://example.com/guide.pdf', status: 500, error: null }
+      ],
+      redirects: [{
+        url: 'https://example.com/old',
+        finalUrl: 'https://example.com/about',
+        status: 200,
+        chain: [{ url: 'https://example.com/old', status: 301 }]
+      }]
+    });
+    // Files are checked but never opened
+    expect(fake.visits).not.toContain('https://example.com/guide.pdf');
+    expect(pages.find(p => p.path === '/about').health.links).toMatchObject({ checked: 1, broken: [] });
+  });
+
+  test('skips link checks when checkLinks is false', async () => {
+    const { pages } = await discoverPages({ site: 'https://example.com/', options: { maxDepth: 1, checkLinks: false } });
+
+    expect(fake.checked).toEqual([]);
+    expect(pages[0].health).toBeUndefined();
+  });
+
+  test('adds client-side routes and revealed links in spa mode', async () => {
+    clickThroughNav.mockReset().mockResolvedValue({ routes: [], links: [] });
+    clickThroughNav.mockResolvedValueOnce({
+      routes: [
+        { url: 'https://example.com/app/settings', text: 'Settings' },
+        { url: 'https://other.example.org/docs', text: 'Docs' }
+      ],
+      links: [link('/pricing', { inNav: true })]
+    });
+
+    const { pages } = await discoverPages({ site: 'https://example.com/', options: { maxDepth: 1, spa: true } });
+    const byPath = Object.fromEntries(pages.map(p => [p.path, p]));
+
+    expect(watchClientRoutes).toHaveBeenCalledWith(expect.anything(), fake.page);
+    expect(clickThroughNav).toHaveBeenCalledWith(fake.page, 'https://example.com/', expect.any(Function), expect.any(Function));
+    expect(byPath['/app/settings']).toMatchObject({ title: 'Settings', depth: 1, parent: 'home', source: 'spa' });
+    expect(byPath['/pricing']).toMatchObject({ depth: 1, source: 'nav' });
+    expect(pages.some(p => p.url.includes('other.example.org'))).toBe(false);
+  });
+
+  test('only clicks through navigation in spa mode', async () => {
+    clickThroughNav.mockClear();
+    await discoverPages({ site: 'https://example.com/', options: { maxDepth: 1 } });
+    expect(clickThroughNav).not.toHaveBeenCalled();
+  });
+
+  test('fails when the homepage cannot be loaded', async () => {
+    fake = createFakeBrowser({});
+    chromium.launch.mockResolvedValue(fake.browser);
+
+    await expect(discoverPages({ site: 'https://example.com/' })).rejects.toThrow('ERR_NAME_NOT_RESOLVED');
+    expect(fake.page.close).toHaveBeenCalled();
+  });
+});
+
+describe('scanPage robots.txt handling', () => {
+  beforeEach(async () => {
+    await closeBrowser();
+    chromium.launch.mockClear();
+    global.fetch = jest.fn();
+    clearRobotsCache();
+    serve({ 'https://example.com/robots.txt': 'User-agent: *\nDisallow: /private' });
+  });
+
+  test('skips disallowed pages without opening a browser', async () => {
+    const pageInfo = { url: 'https://example.com/private/report', slug: 'private-report' };
+    const result = await scanPage({ projectId: 'p', site: 'example.com', page: pageInfo, options: {} });
+
+    expect(result).toMatchObject({ page: pageInfo, skipped: 'robots.txt', elements: [] });
+    expect(chromium.launch).not.toHaveBeenCalled();
+  });
+});
+
+describe('scanPage viewports', () => {
+  const projectId = `test_viewports_${Date.now()}`;
+  let contexts;
+  let screenshots;
+  let screenshotOptions;
+  let media;
+  let clock;
+  let metrics;
+  let page;
+  let listeners;
+  let a11yFailures;
+  let textSamples;
+  let componentInstances;
+
+  beforeEach(async () => {
+    await closeBrowser();
+    contexts = [];
+    screenshots = [];
+    screenshotOptions = [];
+    media = [];
+    clock = { setFixedTime: jest.fn() };
+    metrics = null;
+    listeners = {};
+    a11yFailures = {};
+    textSamples = [];
+    componentInstances = [];
+
+    // Each viewport reports one shared CTA plus one of its own
+    page = {
+      on: jest.fn((event, fn) => (listeners[event] = listeners[event] || []).push(fn)),
+      off: jest.fn((event, fn) => { listeners[event] = listeners[event].filter(l => l !== fn); }),
+      emit: (event, arg) => (listeners[event] || []).forEach(fn => fn(arg)),
+      url: () => 'https://example.com/',
+      goto: jest.fn(),
+      waitForTimeout: jest.fn(),
+      waitForLoadState: jest.fn(async () => {}),
+      setViewportSize: jest.fn(),
+      viewportSize: () => ({ width: 1280, height: 800 }),
+      keyboard: { press: jest.fn() },
+      emulateMedia: jest.fn(async (options) => media.push(options)),
+      locator: () => ({ first: () => ({ isVisible: async () => false }), ariaSnapshot: async () => '- main' }),
+      evaluate: jest.fn(async (fn, arg) => {
+        if (typeof arg === 'string') {
+          return [
+            { id: 'el_001', type: 'cta', selector: 'a.buy', text: 'Buy', [arg]: { x: 0, y: 0, width: 10, height: 10 } },
+            { id: 'el_002', type: 'nav', selector: `nav.${arg}`, text: '', [arg]: { x: 0, y: 0, width: 5, height: 5 } }
+          ];
+        }
+        // collectPerformance
+        if (arg?.largest) return metrics;
+        // WCAG rules
+        if (arg?.maxNodes) return a11yFailures;
+        // collectTextColors
+        if (arg?.maxSamples) return textSamples;
+        // collectComponents
+        if (arg?.maxInstances) return componentInstances;
+        // collectTokens
+        if (arg?.maxElements) return { elements: 12, colors: [{ value: '#111111', count: 12, text: 12 }] };
+        // measureMasks: one region per mask target
+        if (Array.isArray(arg) && arg[0]?.mode) {
+          return arg.map(({ selector, mode }) => ({ selector, mode, index: 0, box: { x: 0, y: 100, width: 300, height: 250 } }));
+        }
+        return Array.isArray(arg) ? [] : null;
+      }),
+      addStyleTag: jest.fn(),
+      addInitScript: jest.fn(),
+      screenshot: jest.fn(async (options) => {
+        screenshotOptions.push(options);
+        // Element crops are clipped and returned as bytes
+        if (options.clip) return Buffer.from('png');
+        screenshots.push(path.basename(options.path));
+      }),
+      close: jest.fn()
+    };
+    const browser = {
+      newContext: jest.fn(async (options) => {
+        contexts.push(options);
+        return { newPage: async () => page, close: jest.fn(), clock };
+      }),
+      close: jest.fn()
+    };
+    chromium.launch.mockResolvedValue(browser);
+  });
+
+  afterAll(() => {
+    fs.rmSync(path.join(__dirname, '..', '..', 'captures', projectId), { recursive: true, force: true });
+  });
+
+  const scan = (options) => scanPage({
+    projectId,
+    site: 'https://example.com',
+    page: { url: 'https://example.com/', path: '/' },
+    options: { respectRobots: false, scrollDelay: 1, ...options }
+  });
+
+  test('captures desktop and mobile by default', async () => {
+    const result = await scan();
+
+    expect(screenshots).toEqual(['home_desktop.png', 'home_mobile.png']);
+    expect(Object.keys(result.screenshots)).toEqual(['desktop', 'mobile']);
+    expect(result.viewports.map(vp => vp.name)).toEqual(['desktop', 'mobile']);
+    expect(contexts).toHaveLength(1);
+  });
+
+  test('asks the pool for a host slot before every page load', async () => {
+    const order = [];
+    page.goto.mockImplementation(async (url) => { order.push(`goto ${url}`); });
+    const controls = { waitForHost: jest.fn(async (url) => { order.push(`wait ${url}`); }) };
+
+    await scanPage({
+      projectId,
+      site: 'https://example.com',
+      page: { url: 'https://example.com/', path: '/' },
+      options: { respectRobots: false, scrollDelay: 1, variants: ['dark'] }
+    }, {}, controls);
+
+    // Default pass and variant reload
+    expect(order).toEqual(['wait https://example.com/', 'goto https://example.com/', 'wait https://example.com/', 'goto https://example.com/']);
+  });
+
+  test('honors captureMobile false', async () => {
+    const result = await scan({ captureMobile: false });
+    expect(Object.keys(result.screenshots)).toEqual(['desktop']);
+  });
+
+  test('opens a context per user agent and touch setting', async () => {
+    const result = await scan({
+      viewports: ['laptop', 'tablet', { name: 'kiosk', width: 1080, height: 1920, userAgent: 'Kiosk/1.0' }]
+    });
+
+    expect(screenshots).toEqual(['home_laptop.png', 'home_tablet.png', 'home_kiosk.png']);
+    expect(contexts).toHaveLength(3);
+    expect(contexts[1]).toMatchObject({ isMobile: true, hasTouch: true, viewport: { width: 820, height: 1180 } });
+    expect(contexts[2]).toMatchObject({ userAgent: 'Kiosk/1.0', deviceScaleFactor: 1 });
+
+    const cta = result.elements.find(el => el.selector === 'a.buy');
+    expect(Object.keys(cta)).toEqual(expect.arrayContaining(['laptop', 'tablet', 'kiosk']));
+    expect(result.elements).toHaveLength(4);
+  });
+
+  test('captures media variants after the default pass', async () => {
+    const result = await scan({ variants: ['dark', 'reducedMotion'] });
+
+    expect(screenshots).toEqual([
+      'home_desktop.png', 'home_mobile.png',
+      'home_desktop_dark.png', 'home_mobile_dark.png',
+      'home_desktop_reduced-motion.png', 'home_mobile_reduced-motion.png'
+    ]);
+    expect(media).toEqual([
+      { colorScheme: 'dark', reducedMotion: null, forcedColors: null },
+      { colorScheme: null, reducedMotion: 'reduce', forcedColors: null }
+    ]);
+    expect(Object.keys(result.variants)).toEqual(['dark', 'reduced-motion']);
+    expect(Object.keys(result.variants.dark.screenshots)).toEqual(['desktop', 'mobile']);
+    expect(result.variants.dark.elements).toHaveLength(result.elements.length);
+  });
+
+  test('has no variants unless asked', async () => {
+    const result = await scan();
+    expect(result.variants).toEqual({});
+    expect(result.states).toEqual({});
+    expect(media).toEqual([]);
+  });
+
+  test('captures interaction states at their viewports', async () => {
+    const click = jest.fn();
+    page.locator = (selector) => ({
+      first: () => ({ isVisible: async () => false, click: async (options) => click(selector, options) }),
+      ariaSnapshot: async () => '- main'
+    });
+
+    const result = await scan({
+      interactions: [
+        { name: 'Menu open', viewports: ['mobile'], steps: [{ action: 'click', selector: 'button.menu' }] },
+        { name: 'faq', pages: ['/faq'], steps: [{ action: 'click', selector: 'summary', all: true }] }
+      ]
+    });
+
+    expect(screenshots).toEqual(['home_desktop.png', 'home_mobile.png', 'home_mobile_menu-open.png']);
+    expect(click).toHaveBeenCalledWith('button.menu', { timeout: 5000 });
+    expect(page.setViewportSize).toHaveBeenCalledWith({ width: 390, height: 844 });
+    expect(Object.keys(result.states)).toEqual(['menu-open']);
+    expect(result.states['menu-open']).toMatchObject({
+      steps: [{ action: 'click', selector: 'button.menu' }],
+      screenshots: { mobile: expect.stringMatching(/home_mobile_menu-open\.png$/) },
+      errors: []
+    });
+    expect(result.states['menu-open'].elements.every(el => el.mobile && !el.desktop)).toBe(true);
+  });
+
+  test('records failed interaction steps instead of capturing', async () => {
+    page.locator = () => ({
+      first: () => ({ isVisible: async () => false, click: async () => { throw new Error('Timeout 5000ms exceeded.\nCall log: ...'); } }),
+      ariaSnapshot: async () => '- main'
+    });
+
+    const result = await scan({ interactions: [{ name: 'menu-open', steps: [{ action: 'click', selector: 'button.menu' }] }] });
+
+    expect(screenshots).toEqual(['home_desktop.png', 'home_mobile.png']);
+    expect(result.states['menu-open']).toMatchObject({
+      screenshots: {},
+      errors: [
+        { viewport: 'desktop', step: 1, action: 'click', selector: 'button.menu', error: 'Timeout 5000ms exceeded.' },
+        { viewport: 'mobile', step: 1, action: 'click', selector: 'button.menu', error: 'Timeout 5000ms exceeded.' }
+      ]
+    });
+  });
+
+  describe('flows', () => {
+    const signup = {
+      name: 'signup',
+      start: '/pricing',
+      viewports: null,
+      steps: [
+        { name: 'Pricing', actions: [] },
+        { name: 'Sign up', actions: [{ action: 'click', selector: 'a.signup' }] },
+        { name: 'Details', actions: [{ action: 'fill', selector: '#email', value: 'qa@example.com' }] }
+      ]
+    };
+    const runFlow = (flow, options) => scanFlow({
+      projectId,
+      site: 'https://example.com',
+      flow,
+      options: { respectRobots: false, scrollDelay: 1, ...options }
+    });
+
+    test('captures each step in a fresh context per viewport', async () => {
+      const actions = [];
+      page.locator = (selector) => ({
+        first: () => ({
+          click: async () => actions.push(['click', selector]),
+          fill: async (value) => actions.push(['fill', selector, value])
+        })
+      });
+
+      const result = await runFlow(signup);
+
+      expect(page.goto).toHaveBeenCalledWith('https://example.com/pricing', expect.any(Object));
+      expect(screenshots).toEqual([
+        'signup_1_desktop.png', 'signup_2_desktop.png', 'signup_3_desktop.png',
+        'signup_1_mobile.png', 'signup_2_mobile.png', 'signup_3_mobile.png'
+      ]);
+      expect(contexts.map(c => c.viewport)).toEqual([{ width: 1920, height: 1080 }, { width: 390, height: 844 }]);
+      expect(actions).toHaveLength(4);
+      expect(result.flow).toEqual({ name: 'signup', start: 'https://example.com/pricing' });
+      expect(result.steps.map(step => step.name)).toEqual(['Pricing', 'Sign up', 'Details']);
+      expect(result.steps[1]).toMatchObject({
+        index: 2,
+        url: 'https://example.com/',
+        urls: { desktop: 'https://example.com/', mobile: 'https://example.com/' },
+        screenshots: { desktop: expect.stringMatching(/flows\/signup_2_desktop\.png$/), mobile: expect.any(String) }
+      });
+      expect(result.steps[1].elements.find(el => el.selector === 'a.buy')).toMatchObject({ desktop: expect.any(Object), mobile: expect.any(Object) });
+      expect(result.errors).toEqual([]);
+    });
+
+    test('stops a run at the first failed action and keeps earlier steps', async () => {
+      page.locator = () => ({
+        first: () => ({ click: async () => { throw new Error('Timeout 5000ms exceeded.\nCall log: ...'); } })
+      });
+
+      const result = await runFlow({ ...signup, viewports: ['mobile'] });
+
+      expect(screenshots).toEqual(['signup_1_mobile.png']);
+      expect(result.viewports.map(vp => vp.name)).toEqual(['mobile']);
+      expect(result.steps.map(step => step.index)).toEqual([1]);
+      expect(result.errors).toEqual([
+        { viewport: 'mobile', step: 2, name: 'Sign up', action: 'click', selector: 'a.signup', error: 'Timeout 5000ms exceeded.' }
+      ]);
+    });
+  });
+
+  test('freezes the page and masks dynamic regions', async () => {
+    const result = await scan({
+      captureMobile: false,
+      stabilize: { freezeAnimations: true, clock: '2025-01-15T09:00:00Z', mask: ['.ad-slot'], hide: ['.timestamp'] }
+    });
+
+    expect(clock.setFixedTime).toHaveBeenCalledWith(new Date('2025-01-15T09:00:00Z'));
+    expect(screenshotOptions[0]).toMatchObject({ animations: 'disabled', maskColor: '#FF00FF' });
+    expect(screenshotOptions[0].mask).toHaveLength(1);
+    expect(result.masks).toEqual([
+      { selector: '.ad-slot', mode: 'mask', desktop: { x: 0, y: 100, width: 300, height: 250 } },
+      { selector: '.timestamp', mode: 'hide', desktop: { x: 0, y: 100, width: 300, height: 250 } }
+    ]);
+  });
+
+  test('leaves the page alone without stabilize options', async () => {
+    const result = await scan({ captureMobile: false });
+
+    expect(clock.setFixedTime).not.toHaveBeenCalled();
+    expect(screenshotOptions[0]).toEqual({ path: expect.any(String), fullPage: true, type: 'png', animations: 'allow' });
+    expect(result.masks).toEqual([]);
+  });
+
+  test('records performance and adds LCP / layout-shift elements', async () => {
+    metrics = {
+      lcp: 3100,
+      cls: 0.18,
+      lcpElement: { selector: 'img.hero', text: '', box: { x: 0, y: 80, width: 1920, height: 600 } },
+      layoutShifts: [{ selector: 'div.banner', value: 0.15, box: { x: 0, y: 0, width: 1920, height: 90 } }]
+    };
+
+    const result = await scan({ viewports: ['laptop', 'mobile'] });
+
+    expect(result.performance).toBe(metrics);
+    expect(result.elements.slice(-2)).toMatchObject([
+      { id: expect.stringMatching(/^el_lcp_[0-9a-f]{8}$/), type: 'lcp', selector: 'img.hero', text: '', lcp: 3100, laptop: metrics.lcpElement.box },
+      { id: expect.stringMatching(/^el_shift_[0-9a-f]{8}$/), type: 'layout-shift', selector: 'div.banner', text: '', shift: 0.15, laptop: metrics.layoutShifts[0].box }
+    ]);
+  });
+
+  test('records errors from the first load only', async () => {
+    page.goto.mockImplementation(async () => {
+      page.emit('pageerror', new Error('x is not defined'));
+      page.emit('response', {
+        status: () => 404,
+        statusText: () => 'Not Found',
+        url: () => 'https://example.com/missing.js',
+        request: () => ({ method: () => 'GET', resourceType: () => 'script' })
+      });
+    });
+
+    const result = await scan({ variants: ['dark'] });
+
+    expect(result.health).toMatchObject({
+      requests: [{ url: 'https://example.com/missing.js', status: 404, reason: 'http' }],
+      exceptions: [{ message: 'x is not defined' }],
+      errorCount: 2
+    });
+    // Listeners are removed before the variant reload
+    expect(page.off).toHaveBeenCalledTimes(4);
+    expect(listeners.pageerror).toEqual([]);
+  });
+
+  test('runs WCAG checks and adds offending elements', async () => {
+    a11yFailures = {
+      'button-name': { count: 1, nodes: [{ selector: 'button.close', text: '<button class="close">', box: { x: 5, y: 5, width: 20, height: 20 } }] }
+    };
+
+    const result = await scan({ viewports: ['laptop', 'mobile'] });
+
+    expect(result.accessibility).toMatchObject({ snapshot: '- main', violations: [{ rule: 'button-name', count: 1 }] });
+    expect(result.elements.at(-1)).toMatchObject({
+      id: expect.stringMatching(/^el_a11y_[0-9a-f]{8}$/), type: 'a11y', rule: 'button-name', laptop: { x: 5, y: 5, width: 20, height: 20 }
+    });
+  });
+
+  test('adds component instances with boxes at every viewport', async () => {
+    componentInstances = [{
+      kind: 'footer', name: 'footer', fingerprint: 'footer(div,p)', structure: 'footer(div,p)', classes: [],
+      selector: 'footer', text: '', repeat: 1, box: { x: 0, y: 900, width: 1280, height: 200 }
+    }];
+
+    const result = await scan({ viewports: ['laptop', 'mobile'] });
+
+    const components = result.elements.filter(el => el.type === 'component');
+    expect(components).toEqual([expect.objectContaining({
+      id: expect.stringMatching(/^el_cmp_[0-9a-f]{8}$/),
+      kind: 'footer',
+      component: expect.stringMatching(/^cmp_/),
+      laptop: { x: 0, y: 900, width: 1280, height: 200 },
+      mobile: { x: 0, y: 900, width: 1280, height: 200 }
+    })]);
+  });
+
+  test('collects a design token inventory once', async () => {
+    const result = await scan({ viewports: ['laptop', 'mobile'] });
+
+    expect(result.tokens).toEqual({ elements: 12, colors: [{ value: '#111111', count: 12, text: 12 }] });
+    expect(page.evaluate.mock.calls.filter(([, arg]) => arg?.maxElements)).toHaveLength(1);
+  });
+
+  test('walks the focus order at the first viewport when asked', async () => {
+    const result = await scan({ viewports: ['laptop', 'mobile'], focusOrder: true });
+
+    expect(result.focusOrder).toEqual({ viewport: 'laptop', stops: [], complete: true, trapped: false, truncated: false });
+    expect(page.setViewportSize).toHaveBeenLastCalledWith({ width: 1280, height: 800 });
+    expect(page.keyboard.press).toHaveBeenCalledWith('Tab');
+  });
+
+  test('skips the focus walk by default', async () => {
+    const result = await scan();
+
+    expect(result.focusOrder).toBeNull();
+    expect(page.keyboard.press).not.toHaveBeenCalled();
+  });
+
+  test('compares the layout at each narrower viewport', async () => {
+    const result = await scan({ viewports: ['laptop', 'mobile'] });
+
+    // The laptop nav is missing at mobile, but a nav collapsing into a menu isn't reported
+    expect(result.layoutChanges).toEqual([]);
+    expect((await scan({ viewports: ['laptop'] })).layoutChanges).toBeNull();
+  });
+
+  test('adds text elements with contrast at each viewport', async () => {
+    textSamples = [{
+      order: 0, selector: 'p.note', text: 'Fine print', box: { x: 0, y: 40, width: 200, height: 20 },
+      color: [153, 153, 153, 1], layers: [], backgroundImage: false, fontSize: 12, fontWeight: 400
+    }];
+
+    const result = await scan({ viewports: ['laptop', 'mobile'] });
+    const text = result.elements.filter(el => el.type === 'text');
+
+    expect(text).toHaveLength(1);
+    expect(text[0]).toMatchObject({
+      id: expect.stringMatching(/^el_text_[0-9a-f]{8}$/),
+      selector: 'p.note',
+      contrast: { ratio: 2.84, foreground: '#999999', background: '#ffffff', aa: false },
+      laptop: { x: 0, y: 40, width: 200, height: 20 },
+      mobile: { x: 0, y: 40, width: 200, height: 20 }
+    });
+  });
+
+  test('records the status and redirects of the first load', async () => {
+    const hop = { url: () => 'https://example.com/home', response: async () => ({ status: () => 301 }), redirectedFrom: () => null };
+    page.goto.mockResolvedValue({
+      status: () => 200,
+      headers: () => ({ 'x-robots-tag': 'noindex' }),
+      request: () => ({ redirectedFrom: () => hop })
+    });
+
+    const result = await scanPage({
+      projectId,
+      site: 'https://example.com',
+      page: { url: 'https://example.com/home', path: '/home' },
+      options: { respectRobots: false, scrollDelay: 1, captureMobile: false }
+    });
+
+    expect(result.http).toMatchObject({
+      status: 200,
+      requestedUrl: 'https://example.com/home',
+      finalUrl: 'https://example.com/',
+      redirected: true,
+      redirectChain: [{ url: 'https://example.com/home', status: 301 }],
+      noindex: true,
+      noindexSource: 'header'
+    });
+  });
+
+  test('crops elements at each viewport of the default pass', async () => {
+    const result = await scan({ crops: true, variants: ['dark'] });
+
+    const clips = screenshotOptions.filter(options => options.clip);
+    expect(clips).toHaveLength(4);
+    expect(clips[0]).toMatchObject({ clip: { x: 0, y: 0, width: 10, height: 10 }, fullPage: true, type: 'png', animations: 'allow' });
+
+    const cta = result.elements.find(el => el.selector === 'a.buy');
+    expect(Object.keys(cta.crops)).toEqual(['desktop', 'mobile']);
+    expect(path.basename(cta.crops.mobile)).toBe(`home_mobile_${cta.id}.png`);
+    expect(path.basename(path.dirname(cta.crops.mobile))).toBe('crops');
+    expect(fs.existsSync(cta.crops.desktop)).toBe(true);
+    expect(result.variants.dark.elements.every(el => !el.crops)).toBe(true);
+  });
+
+  test('skips crops unless asked', async () => {
+    const result = await scan();
+
+    expect(screenshotOptions.some(options => options.clip)).toBe(false);
+    expect(result.elements.every(el => !el.crops)).toBe(true);
+  });
+
+  test('gives elements the same fingerprint-based ID at every viewport and on every run', async () => {
+    const first = await scan({ viewports: ['laptop', 'mobile'] });
+    const second = await scan({ viewports: ['laptop', 'mobile'] });
+
+    const cta = first.elements.find(el => el.selector === 'a.buy');
+    expect(cta).toMatchObject({ id: `el_${cta.identity}`, laptop: {}, mobile: {} });
+    expect(cta.id).toMatch(/^el_[0-9a-f]{8}$/);
+    expect(second.elements.map(el => el.id)).toEqual(first.elements.map(el => el.id));
+  });
+
+  test('rejects unknown viewports', async () => {
+    await expect(scan({ viewports: ['smartwatch'] })).rejects.toThrow('Unknown viewport "smartwatch"');
+  });
+});
+
+describe('mergeElements', () => {
+  const el = (id, viewport, extra = {}) => ({
+    id,
+    type: 'cta',
+    selector: 'a.buy',
+    text: 'Buy',
+    [viewport]: { x: 0, y: 0, width: 10, height: 10 },
+    ...extra
+  });
+
+  test('combines boxes of the same element across viewports', () => {
+    const merged = mergeElements({
+      desktop: [el('el_001', 'desktop')],
+      tablet: [el('el_001', 'tablet')],
+      mobile: [el('el_001', 'mobile')]
+    });
+
+    expect(merged).toHaveLength(1);
+    expect(merged[0]).toMatchObject({ id: 'el_001', desktop: {}, tablet: {}, mobile: {} });
+  });
+
+  test('keeps repeated elements apart', () => {
+    const merged = mergeElements({
+      desktop: [el('el_001', 'desktop'), el('el_002', 'desktop')],
+      mobile: [el('el_001', 'mobile'), el('el_002', 'mobile')]
+    });
+
+    expect(merged.map(m => [m.id, !!m.mobile])).toEqual([['el_001', true], ['el_002', true]]);
+  });
+
+  test('prefixes elements missing from the first viewport', () => {
+    const merged = mergeElements({
+      desktop: [el('el_001', 'desktop')],
+      tablet: [el('el_001', 'tablet'), el('el_002', 'tablet', { selector: 'button.menu' })]
+    });
+
+    expect(merged.map(m => m.id)).toEqual(['el_001', 'el_tablet_002']);
+  });
+
+  test('keeps elements in different frames and shadow roots apart', () => {
+    const merged = mergeElements({
+      desktop: [el('el_001', 'desktop'), el('el_002', 'desktop', { frame: 'iframe#checkout' })],
+      mobile: [el('el_001', 'mobile', { frame: 'iframe#checkout' }), el('el_002', 'mobile', { shadowHost: 'buy-button' }), el('el_003', 'mobile')]
+    });
+
+    expect(merged.map(m => [m.id, m.frame || m.shadowHost || null, !!m.desktop, !!m.mobile])).toEqual([
+      ['el_001', null, true, true],
+      ['el_002', 'iframe#checkout', true, true],
+      ['el_mobile_002', 'buy-button', false, true]
+    ]);
+  });
+
+  test('matches fingerprinted elements on their identity', () => {
+    const merged = mergeElements({
+      desktop: [el('el_3f2a9c1e', 'desktop', { identity: '3f2a9c1e', selector: 'main > a.buy:nth-of-type(1)' })],
+      mobile: [
+        el('el_3f2a9c1e', 'mobile', { identity: '3f2a9c1e', selector: 'main > a.buy:nth-of-type(2)' }),
+        el('el_9b04d2aa', 'mobile', { identity: '9b04d2aa', selector: 'button.menu' })
+      ]
+    });
+
+    expect(merged.map(m => [m.id, !!m.desktop, !!m.mobile])).toEqual([['el_3f2a9c1e', true, true], ['el_9b04d2aa', false, true]]);
+  });
+
+  test('pairs elements whose text or container changes between viewports', () => {
+    const merged = mergeElements({
+      desktop: [
+        el('el_3f2a9c1e', 'desktop', { identity: '3f2a9c1e', selector: 'header > nav > a.cta', text: 'Start your free trial' }),
+        el('el_5c1d0e7a', 'desktop', { identity: '5c1d0e7a', selector: '#pricing > a.btn', text: 'Contact sales' })
+      ],
+      mobile: [
+        el('el_71c3e0d5', 'mobile', { identity: '71c3e0d5', selector: 'header > div.drawer > nav > a.cta', text: 'Start free trial' }),
+        el('el_9b04d2aa', 'mobile', { identity: '9b04d2aa', selector: 'button.menu', text: 'Menu' })
+      ]
+    });
+
+    expect(merged.map(m => [m.id, !!m.desktop, !!m.mobile])).toEqual([
+      ['el_3f2a9c1e', true, true],
+      ['el_5c1d0e7a', true, false],
+      ['el_9b04d2aa', false, true]
+    ]);
+  });
+
+  test('combines crops across viewports', () => {
+    const merged = mergeElements({
+      desktop: [el('el_001', 'desktop', { crops: { desktop: 'home_desktop_el_001.png' } })],
+      mobile: [el('el_001', 'mobile', { crops: { mobile: 'home_mobile_el_001.png' } })]
+    });
+
+    expect(merged[0].crops).toEqual({ desktop: 'home_desktop_el_001.png', mobile: 'home_mobile_el_001.png' });
+  });
+
+  test('accepts the desktop / mobile pair', () => {
+    const merged = mergeElements([el('el_001', 'desktop')], [el('el_001', 'mobile')]);
+    expect(merged[0]).toMatchObject({ desktop: {}, mobile: {} });
+  });
+});
+
 // Test data structures that scanner should produce
 describe('Scanner output structures', () => {
   const mockScanResult = {
@@ -0,0 +1,133 @@
+/**
+ * Tests for SPA route discovery (workers/spa.js)
+ * The page is a fake app; these cover clicking, routes and getting back.
+ */
+
+const { UNSAFE_LABEL, watchClientRoutes, waitForIdle, clickThroughNav } = require('../../workers/spa');
+
+const HOME = 'https://example.com/';
+
+/**
+ * Fake single-page app: { label: { push: url } | { navigate: url } | { reveal: [links] } }
+ * Clicking pushes a route, changes the URL or opens a menu with more links.
+ */
+const createApp = (targets) => {
+  const state = { url: HOME, pushed: [], menu: [], clicks: [] };
+  const labels = Object.keys(targets);
+  const page = {
+    state,
+    url: () => state.url,
+    evaluate: jest.fn(async (fn, arg) => {
+      // markTargets passes the selectors; takeRoutes passes nothing
+      if (arg) return labels.map((text, index) => ({ index, text }));
+      const routes = state.pushed;
+      state.pushed = [];
+      return routes;
+    }),
+    locator: (selector) => ({
+      first: () => ({
+        click: jest.fn(async () => {
+          const text = labels[Number(selector.match(/"(\d+)"/)[1])];
+          const target = targets[text];
+          state.clicks.push(text);
+          if (target.fail) throw new Error('Element is not visible');
+          if (target.push) {
+            state.pushed.push(target.push);
+            state.url = target.push;
+          }
+          if (target.navigate) state.url = target.navigate;
+          if (target.reveal) state.menu = target.reveal;
+        })
+      })
+    }),
+    goBack: jest.fn(async () => {
+      state.url = HOME;
+    }),
+    goto: jest.fn(async (url) => {
+      state.url = url;
+    }),
+    waitForLoadState: jest.fn(async () => {})
+  };
+  return page;
+};
+
+describe('watchClientRoutes', () => {
+  test('hooks history in every document and closes popups and dialogs', async () => {
+    const context = { addInitScript: jest.fn(), on: jest.fn() };
+    const page = { on: jest.fn() };
+    await watchClientRoutes(context, page);
+
+    expect(context.addInitScript).toHaveBeenCalledWith(expect.any(Function));
+    expect(context.on).toHaveBeenCalledWith('page', expect.any(Function));
+    expect(page.on).toHaveBeenCalledWith('dialog', expect.any(Function));
+
+    const popup = { close: jest.fn().mockResolvedValue() };
+    context.on.mock.calls[0][1](popup);
+    expect(popup.close).toHaveBeenCalled();
+  });
+});
+
+describe('waitForIdle', () => {
+  test('waits for network idle and ignores timeouts', async () => {
+    const page = { waitForLoadState: jest.fn().mockRejectedValue(new Error('Timeout 5000ms exceeded.')) };
+    await expect(waitForIdle(page)).resolves.toBeUndefined();
+    expect(page.waitForLoadState).toHaveBeenCalledWith('networkidle', { timeout: 5000 });
+  });
+});
+
+describe('clickThroughNav', () => {
+  test('records pushed routes and URL changes, returning home after each', async () => {
+    const page = createApp({
+      Settings: { push: 'https://example.com/app/settings' },
+      Reports: { navigate: 'https://example.com/reports' }
+    });
+
+    const { routes, links } = await clickThroughNav(page, HOME, async () => []);
+
+    expect(routes).toEqual([
+      { url: 'https://example.com/app/settings', text: 'Settings' },
+      { url: 'https://example.com/reports', text: 'Reports' }
+    ]);
+    expect(links).toEqual([]);
+    expect(page.state.clicks).toEqual(['Settings', 'Reports']);
+    expect(page.goBack).toHaveBeenCalledTimes(2);
+    expect(page.url()).toBe(HOME);
+  });
+
+  test('collects links revealed by menus that stay on the page', async () => {
+    const menu = [{ url: 'https://example.com/pricing', path: '/pricing', text: 'Pricing', inNav: true }];
+    const page = createApp({ Products: { reveal: menu } });
+
+    const { routes, links } = await clickThroughNav(page, HOME, async () => page.state.menu);
+
+    expect(routes).toEqual([]);
+    expect(links).toEqual(menu);
+  });
+
+  test('reloads the page when history cannot go back', async () => {
+    const page = createApp({ Account: { navigate: 'https://example.com/account' } });
+    page.goBack.mockResolvedValue(null);
+
+    await clickThroughNav(page, HOME, async () => []);
+    expect(page.goto).toHaveBeenCalledWith(HOME, expect.objectContaining({ waitUntil: 'domcontentloaded' }));
+    expect(page.url()).toBe(HOME);
+  });
+
+  test('skips targets that fail to click', async () => {
+    const page = createApp({
+      Hidden: { fail: true },
+      Team: { push: 'https://example.com/team' }
+    });
+
+    const { routes } = await clickThroughNav(page, HOME, async () => []);
+    expect(page.state.clicks).toEqual(['Hidden', 'Team']);
+    expect(routes.map(r => r.url)).toContain('https://example.com/team');
+  });
+});
+
+describe('UNSAFE_LABEL', () => {
+  test('matches labels that end sessions, change data or pay', () => {
+    expect(['Log out', 'Sign Out', 'Delete project', 'Checkout', 'Add to cart'].every(l => UNSAFE_LABEL.test(l))).toBe(true);
+    expect(['Settings', 'Products', 'Payments history'].some(l => UNSAFE_LABEL.test(l))).toBe(false);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Tests for capture stabilization (workers/stabilize.js)
+ */
+
+const { createDomPage } = require('../dom');
+const {
+  FREEZE_CSS,
+  normalizeStabilize,
+  applyClock,
+  stabilizePage,
+  measureMasks,
+  screenshotMaskOptions,
+  mergeMasks
+} = require('../../workers/stabilize');
+
+function createFakePage(regions = []) {
+  return {
+    addStyleTag: jest.fn(async () => {}),
+    evaluate: jest.fn(async (fn, arg) => (arg ? regions : undefined)),
+    locator: jest.fn((selector) => ({ selector }))
+  };
+}
+
+describe('normalizeStabilize', () => {
+  test('defaults to doing nothing', () => {
+    expect(normalizeStabilize()).toEqual({
+      freezeAnimations: false,
+      pauseVideos: false,
+      clock: null,
+      mask: [],
+      hide: [],
+      maskColor: '#FF00FF'
+    });
+    expect(normalizeStabilize(null).clock).toBeNull();
+  });
+
+  test('accepts ISO dates and timestamps for the clock', () => {
+    expect(normalizeStabilize({ clock: '2025-01-15T09:00:00Z' }).clock).toBe('2025-01-15T09:00:00.000Z');
+    expect(normalizeStabilize({ clock: 0 }).clock).toBe('1970-01-01T00:00:00.000Z');
+  });
+
+  test('rejects invalid clocks and selector lists', () => {
+    expect(() => normalizeStabilize({ clock: 'yesterday' })).toThrow('stabilize.clock');
+    expect(() => normalizeStabilize({ mask: '.ad' })).toThrow('stabilize.mask must be an array');
+    expect(() => normalizeStabilize({ hide: ['.ok', ''] })).toThrow('stabilize.hide[1] must be a non-empty selector');
+    expect(() => normalizeStabilize({ mask: [42] })).toThrow('stabilize.mask[0] must be a non-empty selector');
+  });
+});
+
+describe('applyClock', () => {
+  test('fixes the time only when a clock is set', async () => {
+    const context = { clock: { setFixedTime: jest.fn() } };
+
+    await applyClock(context, normalizeStabilize());
+    expect(context.clock.setFixedTime).not.toHaveBeenCalled();
+
+    await applyClock(context, normalizeStabilize({ clock: '2025-01-15T09:00:00Z' }));
+    expect(context.clock.setFixedTime).toHaveBeenCalledWith(new Date('2025-01-15T09:00:00Z'));
+  });
+});
+
+describe('stabilizePage', () => {
+  test('injects the freeze stylesheet and stops animations', async () => {
+    const page = createFakePage();
+    await stabilizePage(page, normalizeStabilize({ freezeAnimations: true }));
+
+    expect(page.addStyleTag).toHaveBeenCalledWith({ content: FREEZE_CSS });
+    expect(page.evaluate.mock.calls[0][0].toString()).toContain('getAnimations');
+  });
+
+  test('pauses videos', async () => {
+    const page = createFakePage();
+    await stabilizePage(page, normalizeStabilize({ pauseVideos: true }));
+
+    expect(page.addStyleTag).not.toHaveBeenCalled();
+    expect(page.evaluate.mock.calls[0][0].toString()).toContain('video');
+  });
+
+  test('hides selectors without changing layout', async () => {
+    const page = createFakePage();
+    await stabilizePage(page, normalizeStabilize({ hide: ['.timestamp', '.ticker'] }));
+
+    expect(page.addStyleTag.mock.calls[0][0].content).toBe('.timestamp,\n.ticker { visibility: hidden !important; }');
+  });
+
+  test('skips hide selectors the browser cannot parse', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const page = createDomPage('<p class="clock">09:00</p>');
+    page.addStyleTag = jest.fn(async () => {});
+
+    await stabilizePage(page, normalizeStabilize({ hide: ['.clock', '.ticker >', '.ticker'] }));
+    await stabilizePage(page, normalizeStabilize({ hide: ['.ticker >'] }));
+
+    expect(page.addStyleTag).toHaveBeenCalledTimes(1);
+    expect(page.addStyleTag.mock.calls[0][0].content).toBe('.clock,\n.ticker { visibility: hidden !important; }');
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toContain('".ticker >"');
+    warn.mockRestore();
+  });
+
+  test('does nothing without a config', async () => {
+    const page = createFakePage();
+    await stabilizePage(page, null);
+    expect(page.evaluate).not.toHaveBeenCalled();
+  });
+});
+
+describe('masks', () => {
+  test('measures mask and hide targets', async () => {
+    const page = createFakePage([{ selector: '.ad', mode: 'mask', index: 0, box: {} }]);
+
+    const regions = await measureMasks(page, normalizeStabilize({ mask: ['.ad'], hide: ['.clock'] }));
+
+    expect(regions).toHaveLength(1);
+    expect(page.evaluate.mock.calls[0][1]).toEqual([
+      { selector: '.ad', mode: 'mask' },
+      { selector: '.clock', mode: 'hide' }
+    ]);
+    expect(await measureMasks(page, normalizeStabilize())).toEqual([]);
+  });
+
+  test('builds screenshot mask options', async () => {
+    const page = createFakePage();
+
+    expect(await screenshotMaskOptions(page, normalizeStabilize())).toEqual({});
+    expect(await screenshotMaskOptions(page, normalizeStabilize({ mask: ['.ad'], maskColor: '#000' }))).toEqual({
+      mask: [{ selector: '.ad' }],
+      maskColor: '#000'
+    });
+  });
+
+  test('leaves selectors the browser cannot parse out of the masks', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const page = createDomPage('<div class="banner-ad"></div>');
+    page.locator = jest.fn((selector) => ({ selector }));
+
+    expect(await screenshotMaskOptions(page, normalizeStabilize({ mask: ['.banner-ad', '>>> .x'] }))).toEqual({
+      mask: [{ selector: '.banner-ad' }],
+      maskColor: '#FF00FF'
+    });
+    expect(await screenshotMaskOptions(page, normalizeStabilize({ mask: ['>>> .x'] }))).toEqual({});
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+
+  test('merges regions across viewports', () => {
+    const box = (x) => ({ x, y: 0, width: 10, height: 10 });
+
+    expect(mergeMasks({
+      desktop: [
+        { selector: '.ad', mode: 'mask', index: 0, box: box(1) },
+        { selector: '.ad', mode: 'mask', index: 1, box: box(2) }
+      ],
+      mobile: [{ selector: '.ad', mode: 'mask', index: 0, box: box(3) }]
+    })).toEqual([
+      { selector: '.ad', mode: 'mask', desktop: box(1), mobile: box(3) },
+      { selector: '.ad', mode: 'mask', desktop: box(2) }
+    ]);
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Tests for structured data and hreflang checks (workers/structured.js)
+ */
+
+const { createDomPage } = require('../dom');
+const {
+  SCHEMA_RULES,
+  extractStructuredData,
+  validateStructuredData,
+  hreflangIndex,
+  validateHreflang
+} = require('../../workers/structured');
+
+describe('extractStructuredData', () => {
+  test('collects in the page with an item cap', async () => {
+    const data = { structuredData: [], hreflang: { url: 'https://example.com/', alternates: [] } };
+    const page = { evaluate: jest.fn().mockResolvedValue(data) };
+
+    expect(await extractStructuredData(page)).toBe(data);
+    expect(page.evaluate).toHaveBeenCalledWith(expect.any(Function), { maxItems: 20 });
+  });
+
+  test('reads JSON-LD, microdata, RDFa, alternates, social tags and icons from the page', async () => {
+    const page = createDomPage(`<html><head>
+      <link rel="icon" href="/icon.png">
+      <link rel="alternate" hreflang="fr" href="/fr/pricing">
+      <meta property="og:title" content="Pricing">
+      <meta name="twitter:card" content="summary">
+      <meta name="theme-color" content="#0055ff">
+      <script type="application/ld+json">
+        { "@context": "https://schema.org", "@graph": [{ "@type": "Organization", "name": "Acme", "logo": "/logo.png" }] }
+      </script>
+      <script type="application/ld+json">{ broken</script>
+    </head><body>
+      <div itemscope itemtype="https://schema.org/Product">
+        <span itemprop="name">Pro plan</span>
+        <div itemprop="offers" itemscope itemtype="https://schema.org/Offer"><meta itemprop="price" content="29"></div>
+      </div>
+      <div vocab="https://schema.org/" typeof="Event">
+        <span property="name">Launch</span> <time property="startDate" datetime="2026-11-01">Nov 1</time>
+      </div>
+    </body></html>`, { url: 'https://example.com/pricing' });
+
+    const data = await extractStructuredData(page);
+
+    expect(data.structuredData).toEqual([
+      { format: 'json-ld', types: ['Organization'], properties: { name: 'Acme', logo: '/logo.png' } },
+      { format: 'json-ld', types: [], properties: {}, error: expect.any(String) },
+      {
+        format: 'microdata',
+        types: ['Product'],
+        properties: { name: 'Pro plan', offers: { types: ['Offer'], properties: { price: '29' } } }
+      },
+      { format: 'rdfa', types: ['Event'], properties: { name: 'Launch', startDate: '2026-11-01' } }
+    ]);
+    expect(data.hreflang).toEqual({
+      url: 'https://example.com/pricing',
+      alternates: [{ lang: 'fr', href: 'https://example.com/fr/pricing' }]
+    });
+    expect(data.social).toEqual({ openGraph: { 'og:title': 'Pricing' }, twitter: { 'twitter:card': 'summary' } });
+    expect(data.icons).toEqual({ favicon: 'https://example.com/icon.png', appleTouchIcon: null, themeColor: '#0055ff', manifest: null });
+  });
+
+  test('requests /favicon.ico and the manifest outside the page', async () => {
+    const page = createDomPage('<html><head><link rel="manifest" href="/app.webmanifest"></head></html>');
+    const responses = {
+      'https://example.com/favicon.ico': { ok: () => true, status: () => 200 },
+      'https://example.com/app.webmanifest': {
+        ok: () => true,
+        status: () => 200,
+        json: async () => ({ name: 'Example', short_name: 'Ex', start_url: '/', display: 'standalone', icons: [{}, {}] })
+      }
+    };
+    page.request = {
+      fetch: jest.fn(async (url) => responses[url]),
+      get: jest.fn(async (url) => responses[url])
+    };
+    page.window.fetch = jest.fn();
+
+    const { icons } = await extractStructuredData(page);
+
+    expect(page.request.fetch).toHaveBeenCalledWith('https://example.com/favicon.ico', { method: 'HEAD', timeout: 3000 });
+    expect(page.window.fetch).not.toHaveBeenCalled();
+    expect(icons.favicon).toBe('https://example.com/favicon.ico');
+    expect(icons.manifest).toEqual({
+      url: 'https://example.com/app.webmanifest',
+      error: null,
+      name: 'Example',
+      shortName: 'Ex',
+      startUrl: '/',
+      display: 'standalone',
+      themeColor: null,
+      icons: 2
+    });
+  });
+
+  test('reports a missing favicon and an unreadable manifest', async () => {
+    const page = createDomPage('<html><head><link rel="manifest" href="/app.webmanifest"></head></html>');
+    const notFound = { ok: () => false, status: () => 404 };
+    page.request = { fetch: jest.fn(async () => notFound), get: jest.fn(async () => notFound) };
+
+    const { icons } = await extractStructuredData(page);
+
+    expect(icons.favicon).toBeNull();
+    expect(icons.manifest).toEqual({ url: 'https://example.com/app.webmanifest', error: 'HTTP 404' });
+  });
+});
+
+describe('validateStructuredData', () => {
+  test('reports missing required and recommended properties', () => {
+    const [product] = validateStructuredData([
+      { format: 'json-ld', types: ['Product'], properties: { name: 'Widget', image: '' } }
+    ]);
+
+    expect(product).toEqual({
+      format: 'json-ld',
+      type: 'Product',
+      error: null,
+      missing: ['offers|review|aggregateRating'],
+      missingRecommended: ['image', 'description', 'brand']
+    });
+  });
+
+  test('accepts any one of alternative properties', () => {
+    const [product] = validateStructuredData([
+      { format: 'microdata', types: ['Product'], properties: { name: 'Widget', aggregateRating: { types: ['AggregateRating'] } } }
+    ]);
+    expect(product.missing).toEqual([]);
+  });
+
+  test('checks each known type of an item and skips unknown ones', () => {
+    const results = validateStructuredData([
+      { format: 'rdfa', types: ['LocalBusiness', 'Organization', 'Thing'], properties: { name: 'Cafe', url: 'https://cafe.example' } }
+    ]);
+
+    expect(results.map(r => [r.type, r.missing])).toEqual([
+      ['LocalBusiness', ['address']],
+      ['Organization', []]
+    ]);
+  });
+
+  test('treats empty arrays as missing', () => {
+    const [breadcrumbs] = validateStructuredData([
+      { format: 'json-ld', types: ['BreadcrumbList'], properties: { itemListElement: [] } }
+    ]);
+    expect(breadcrumbs.missing).toEqual(['itemListElement']);
+  });
+
+  test('passes parse errors through', () => {
+    expect(validateStructuredData([{ format: 'json-ld', types: [], properties: {}, error: 'Unexpected token }' }])).toEqual([
+      { format: 'json-ld', type: null, error: 'Unexpected token }', missing: [], missingRecommended: [] }
+    ]);
+  });
+
+  test('handles missing input', () => {
+    expect(validateStructuredData(undefined)).toEqual([]);
+  });
+
+  test('has rules for common rich result types', () => {
+    expect(Object.keys(SCHEMA_RULES)).toEqual(expect.arrayContaining(['Product', 'Article', 'BreadcrumbList', 'FAQPage', 'Organization']));
+  });
+});
+
+describe('hreflang', () => {
+  const en = {
+    url: 'https://example.com/en/',
+    alternates: [
+      { lang: 'en', href: 'https://example.com/en/' },
+      { lang: 'fr', href: 'https://example.com/fr/' },
+      { lang: 'de', href: 'https://example.com/de/' },
+      { lang: 'x-default', href: 'https://example.com/en/' }
+    ]
+  };
+  const fr = {
+    url: 'https://example.com/fr/',
+    alternates: [
+      { lang: 'fr', href: 'https://example.com/fr/' },
+      { lang: 'en', href: 'https://example.com/en' }
+    ]
+  };
+  const de = {
+    url: 'https://example.com/de/',
+    alternates: [{ lang: 'de', href: 'https://example.com/de/' }]
+  };
+  const index = hreflangIndex([
+    { extracted: { hreflang: en } },
+    { extracted: { hreflang: fr } },
+    { extracted: { hreflang: de } },
+    { extracted: { hreflang: { url: 'https://example.com/about', alternates: [] } } },
+    { extracted: null }
+  ]);
+
+  test('indexes pages that declare alternates', () => {
+    expect(Array.from(index.keys())).toEqual(['https://example.com/en', 'https://example.com/fr', 'https://example.com/de']);
+  });
+
+  test('finds captured alternates without a return link', () => {
+    expect(validateHreflang(en, index)).toEqual({
+      invalid: [],
+      duplicates: [],
+      missingSelf: false,
+      missingXDefault: false,
+      missingReturn: ['https://example.com/de/']
+    });
+  });
+
+  test('flags invalid codes, duplicates, no self link and no x-default', () => {
+    const result = validateHreflang({
+      url: 'https://example.com/uk/',
+      alternates: [
+        { lang: 'en-UK-london', href: 'https://example.com/uk/other' },
+        { lang: 'en-GB', href: 'https://example.com/gb/' },
+        { lang: 'en-gb', href: 'https://example.com/gb2/' }
+      ]
+    });
+
+    expect(result).toEqual({
+      invalid: ['en-UK-london'],
+      duplicates: ['en-gb'],
+      missingSelf: true,
+      missingXDefault: true,
+      missingReturn: []
+    });
+  });
+
+  test('reports nothing for pages without alternates', () => {
+    expect(validateHreflang(null)).toEqual({
+      invalid: [], duplicates: [], missingSelf: false, missingXDefault: false, missingReturn: []
+    });
+  });
+});
@@ -6,7 +6,9 @@ const {
   createBasicSynthesis, 
   createBasicComparison,
   synthesizeSite,
-  compareSites
+  compareSites,
+  synthesizeTokens,
+  tokenInconsistencies
 } = require('../../workers/synthesizer');
 
 // Mock the LLM module
@@ -219,6 +221,73 @@ describe('createBasicSynthesis', () => {
     expect(result.siteWide.overallScore).toBe(50);
     expect(result.siteWide.patterns.commonComponents).toEqual([]);
   });
+
+  test('adds catalog components found on most pages', () => {
+    const siteData = {
+      pages: [
+        { extracted: { components: { footer: true } } },
+        { extracted: { components: { footer: true } } },
+        { extracted: { components: { footer: false } } }
+      ],
+      components: [
+        { name: 'footer', pages: 3 },
+        { name: 'card', pages: 2 },
+        { name: 'pricing', pages: 1 }
+      ]
+    };
+
+    const result = createBasicSynthesis(siteData);
+
+    expect(result.siteWide.patterns.commonComponents).toEqual(['footer', 'card']);
+  });
+
+  test('lists design token inconsistencies', () => {
+    const tokens = synthesizeTokens([
+      { tokens: { colors: [{ value: '#333333', count: 9 }, { value: '#343434', count: 2 }] } }
+    ]);
+
+    const result = createBasicSynthesis({ pages: [], tokens });
+
+    expect(result.siteWide.patterns.inconsistencies).toEqual(['2 near-duplicate colors around #333333: #343434']);
+  });
+});
+
+describe('synthesizeTokens', () => {
+  test('merges page inventories', () => {
+    const tokens = synthesizeTokens([
+      { tokens: { fontSizes: [{ value: 16, count: 3 }, { value: 15, count: 1 }] } },
+      { path: '/about' },
+      { tokens: { fontSizes: [{ value: 16, count: 2 }] } }
+    ]);
+
+    expect(tokens.pages).toBe(2);
+    expect(tokens.fontSizes).toEqual([{ value: 16, count: 5, pages: 2 }, { value: 15, count: 1, pages: 1 }]);
+    expect(tokens.nearDuplicates).toEqual([{ kind: 'fontSizes', value: 16, count: 6, similar: [{ value: 15, count: 1 }] }]);
+    expect(tokens.greys).toEqual([]);
+  });
+
+  test('returns null without tokens', () => {
+    expect(synthesizeTokens([{ path: '/' }])).toBeNull();
+    expect(synthesizeTokens(undefined)).toBeNull();
+  });
+});
+
+describe('tokenInconsistencies', () => {
+  test('flags a large grey palette', () => {
+    const colors = Array.from({ length: 10 }, (_, i) => ({ value: `#${(i * 20 + 40).toString(16).repeat(3)}`, count: 1 }));
+    const findings = tokenInconsistencies(synthesizeTokens([{ tokens: { colors } }]));
+
+    expect(findings[0]).toBe('10 different greys (a palette rarely needs more than 8)');
+  });
+
+  test('formats lengths in pixels', () => {
+    const tokens = synthesizeTokens([{ tokens: { spacing: [{ value: 24, count: 8 }, { value: 23, count: 1 }, { value: 25, count: 1 }] } }]);
+    expect(tokenInconsistencies(tokens)).toEqual(['3 near-duplicate spacing values around 24px: 23px, 25px']);
+  });
+
+  test('returns nothing without tokens', () => {
+    expect(tokenInconsistencies(null)).toEqual([]);
+  });
 });
 
 describe('createBasicComparison', () => {
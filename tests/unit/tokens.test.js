@@ -0,0 +1,131 @@
+/**
+ * Tests for design token inventories (workers/tokens.js)
+ */
+
+const { createDomPage } = require('../dom');
+const { extractTokens, mergeTokens, colorDistance, nearDuplicates, greys } = require('../../workers/tokens');
+
+const inventory = (overrides = {}) => ({
+  elements: 10,
+  colors: [],
+  fontFamilies: [],
+  fontSizes: [],
+  fontWeights: [],
+  lineHeights: [],
+  radii: [],
+  spacing: [],
+  textStyles: [],
+  ...overrides
+});
+
+describe('extractTokens', () => {
+  test('collects in the page with an element cap', async () => {
+    const tokens = inventory();
+    const page = { evaluate: jest.fn().mockResolvedValue(tokens) };
+
+    expect(await extractTokens(page)).toBe(tokens);
+    expect(page.evaluate).toHaveBeenCalledWith(expect.any(Function), { maxElements: 5000 });
+  });
+
+  test('counts computed values of rendered elements', async () => {
+    const page = createDomPage(`<style>
+      * { background-color: transparent }
+      h1 { color: #111111; font-family: "Inter", sans-serif; font-size: 32px; font-weight: 700; line-height: 40px; margin-bottom: 16px }
+      p { color: #333; font-family: Inter; font-size: 16px; font-weight: 400; line-height: 24px; margin-bottom: 16px }
+      .card { background-color: #f5f5f5; border-top: 1px solid #dddddd; border-top-left-radius: 8px; padding-left: 24px }
+    </style>
+    <h1>Pricing</h1>
+    <div class="card"><p>Starter</p><p>Pro</p></div>
+    <p hidden>Hidden</p>`, { layout: true });
+
+    const tokens = await extractTokens(page);
+
+    expect(tokens.elements).toBe(4);
+    expect(tokens.colors).toEqual([
+      { value: '#333333', count: 2, text: 2 },
+      { value: '#111111', count: 1, text: 1 },
+      { value: '#f5f5f5', count: 1, background: 1 },
+      { value: '#dddddd', count: 1, border: 1 }
+    ]);
+    // Text properties only come from elements with their own text
+    expect(tokens.fontFamilies).toEqual([{ value: 'Inter', count: 3 }]);
+    expect(tokens.textStyles).toEqual([
+      { fontFamily: 'Inter', fontSize: 16, fontWeight: 400, lineHeight: 24, count: 2 },
+      { fontFamily: 'Inter', fontSize: 32, fontWeight: 700, lineHeight: 40, count: 1 }
+    ]);
+    expect(tokens.radii).toEqual([{ value: 8, count: 1 }]);
+    expect(tokens.spacing).toEqual([{ value: 16, count: 3 }, { value: 24, count: 1 }]);
+  });
+});
+
+describe('mergeTokens', () => {
+  test('adds counts and usage across pages', () => {
+    const merged = mergeTokens([
+      inventory({
+        colors: [{ value: '#111111', count: 5, text: 5 }, { value: '#ffffff', count: 2, background: 2 }],
+        fontSizes: [{ value: 16, count: 4 }],
+        textStyles: [{ fontFamily: 'Inter', fontSize: 16, fontWeight: 400, lineHeight: 24, count: 4 }]
+      }),
+      null,
+      inventory({
+        colors: [{ value: '#ffffff', count: 7, background: 6, border: 1 }],
+        fontSizes: [{ value: 16, count: 1 }, { value: 32, count: 2 }],
+        textStyles: [{ fontFamily: 'Inter', fontSize: 16, fontWeight: 400, lineHeight: 24, count: 1 }]
+      })
+    ]);
+
+    expect(merged.pages).toBe(2);
+    expect(merged.colors).toEqual([
+      { value: '#ffffff', count: 9, background: 8, border: 1, pages: 2 },
+      { value: '#111111', count: 5, text: 5, pages: 1 }
+    ]);
+    expect(merged.fontSizes).toEqual([{ value: 16, count: 5, pages: 2 }, { value: 32, count: 2, pages: 1 }]);
+    expect(merged.textStyles).toEqual([{ fontFamily: 'Inter', fontSize: 16, fontWeight: 400, lineHeight: 24, count: 5, pages: 2 }]);
+    expect(merged.radii).toEqual([]);
+  });
+});
+
+describe('colorDistance', () => {
+  test('is small for colors that look alike', () => {
+    expect(colorDistance('#333333', '#333333')).toBe(0);
+    expect(colorDistance('#333333', '#353535')).toBeLessThan(2);
+    expect(colorDistance('#333333', '#ff0000')).toBeGreaterThan(50);
+  });
+
+  test('keeps colors with different opacity apart', () => {
+    expect(colorDistance('#000000', '#00000080')).toBe(Infinity);
+  });
+});
+
+describe('nearDuplicates', () => {
+  test('groups values around the most used one', () => {
+    const groups = nearDuplicates(inventory({
+      colors: [
+        { value: '#333333', count: 40 },
+        { value: '#343434', count: 3 },
+        { value: '#0066cc', count: 20 },
+        { value: '#313131', count: 1 }
+      ],
+      fontSizes: [{ value: 16, count: 30 }, { value: 15, count: 4 }, { value: 24, count: 6 }],
+      spacing: [{ value: 100, count: 5 }, { value: 96, count: 2 }, { value: 8, count: 9 }],
+      lineHeights: [{ value: 'normal', count: 10 }, { value: 24, count: 8 }]
+    }));
+
+    expect(groups).toEqual([
+      { kind: 'colors', value: '#333333', count: 44, similar: [{ value: '#343434', count: 3 }, { value: '#313131', count: 1 }] },
+      { kind: 'fontSizes', value: 16, count: 34, similar: [{ value: 15, count: 4 }] },
+      { kind: 'spacing', value: 100, count: 7, similar: [{ value: 96, count: 2 }] }
+    ]);
+  });
+
+  test('handles a missing inventory', () => {
+    expect(nearDuplicates(null)).toEqual([]);
+  });
+});
+
+describe('greys', () => {
+  test('lists opaque neutral colors', () => {
+    const colors = ['#ffffff', '#f5f5f5', '#1a1a1a', '#0066cc', '#00000080', '#f5f0e6'].map(value => ({ value, count: 1 }));
+    expect(greys(inventory({ colors }))).toEqual(['#ffffff', '#f5f5f5', '#1a1a1a']);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Tests for URL rules (workers/urls.js)
+ */
+
+const {
+  compilePattern,
+  createUrlRules,
+  normalizeUrl,
+  isExcluded,
+  isIncluded,
+  slugify
+} = require('../../workers/urls');
+
+describe('compilePattern', () => {
+  test('* matches within a single path segment', () => {
+    const pattern = compilePattern('/products/*');
+    expect(pattern.test('/products/widget')).toBe(true);
+    expect(pattern.test('/products/widget/specs')).toBe(false);
+    expect(pattern.test('/products')).toBe(false);
+  });
+
+  test('** matches across segments', () => {
+    const pattern = compilePattern('/docs/**/install');
+    expect(pattern.test('/docs/v2/guides/install')).toBe(true);
+    expect(pattern.test('/docs/install')).toBe(false);
+  });
+
+  test('trailing /** also matches the parent path', () => {
+    const pattern = compilePattern('/blog/**');
+    expect(pattern.test('/blog')).toBe(true);
+    expect(pattern.test('/blog/2024/hello')).toBe(true);
+    expect(pattern.test('/blogroll')).toBe(false);
+  });
+
+  test('treats regex characters in globs literally', () => {
+    const pattern = compilePattern('/search?q=*');
+    expect(pattern.test('/search?q=shoes')).toBe(true);
+    expect(pattern.test('/searchXq=shoes')).toBe(false);
+  });
+
+  test('adds a leading slash to globs', () => {
+    expect(compilePattern('about').test('/about')).toBe(true);
+  });
+
+  test('compiles regex: patterns', () => {
+    const pattern = compilePattern('regex:^/(en|fr)/products/\\d+$');
+    expect(pattern.test('/fr/products/42')).toBe(true);
+    expect(pattern.test('/de/products/42')).toBe(false);
+  });
+
+  test('throws on invalid patterns', () => {
+    expect(() => compilePattern('regex:(')).toThrow('Invalid URL pattern');
+    expect(() => compilePattern('')).toThrow('Invalid URL pattern');
+    expect(() => compilePattern(42)).toThrow('Invalid URL pattern');
+  });
+});
+
+describe('normalizeUrl', () => {
+  test('drops the query string and hash by default', () => {
+    expect(normalizeUrl('https://example.com/shop?page=2#top')).toEqual({
+      url: 'https://example.com/shop',
+      path: '/shop'
+    });
+  });
+
+  test('keeps listed params, sorted', () => {
+    const rules = createUrlRules({ keepParams: ['lang', 'category'] });
+    expect(normalizeUrl('https://example.com/shop?sort=asc&lang=fr&category=shoes', rules)).toEqual({
+      url: 'https://example.com/shop?category=shoes&lang=fr',
+      path: '/shop?category=shoes&lang=fr'
+    });
+  });
+
+  test('always strips tracking params', () => {
+    const rules = createUrlRules({ keepParams: ['*'] });
+    const { path } = normalizeUrl('https://example.com/?utm_source=x&gclid=1&fbclid=2&color=red', rules);
+    expect(path).toBe('/?color=red');
+  });
+
+  test('strips extra params', () => {
+    const rules = createUrlRules({ keepParams: ['*'], stripParams: ['session*'] });
+    expect(normalizeUrl('https://example.com/a?sessionid=9&id=1', rules).path).toBe('/a?id=1');
+  });
+
+  test('accepts a single keepParams string', () => {
+    const rules = createUrlRules({ keepParams: 'lang' });
+    expect(normalizeUrl('https://example.com/a?lang=de&x=1', rules).path).toBe('/a?lang=de');
+  });
+});
+
+describe('include and exclude rules', () => {
+  test('includes everything without rules', () => {
+    const rules = createUrlRules();
+    expect(isIncluded(rules, '/anything')).toBe(true);
+    expect(isExcluded(rules, '/anything')).toBe(false);
+  });
+
+  test('exclude wins over include', () => {
+    const rules = createUrlRules({ include: ['/products/**'], exclude: ['/products/archive/**'] });
+    expect(isIncluded(rules, '/products/shoes')).toBe(true);
+    expect(isIncluded(rules, '/products/archive/2019')).toBe(false);
+    expect(isIncluded(rules, '/about')).toBe(false);
+    expect(isExcluded(rules, '/about')).toBe(false);
+  });
+
+  test('matches patterns against the path without and with query', () => {
+    const rules = createUrlRules({ exclude: ['/shop', '/search?q=*'] });
+    expect(isExcluded(rules, '/shop?lang=fr')).toBe(true);
+    expect(isExcluded(rules, '/search?q=shoes')).toBe(true);
+    expect(isExcluded(rules, '/search')).toBe(false);
+  });
+
+  test('reports invalid patterns', () => {
+    expect(() => createUrlRules({ exclude: ['regex:[a-'] })).toThrow('Invalid URL pattern');
+  });
+});
+
+describe('slugify', () => {
+  test('joins path segments', () => {
+    expect(slugify('/products/widget')).toBe('products-widget');
+    expect(slugify('/')).toBe('home');
+  });
+
+  test('appends kept query params', () => {
+    expect(slugify('/shop?category=Shoes&lang=fr')).toBe('shop_category-shoes_lang-fr');
+    expect(slugify('/?lang=fr')).toBe('home_lang-fr');
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Tests for capture variants (workers/variants.js)
+ */
+
+const { MEDIA_VARIANTS, resolveVariants } = require('../../workers/variants');
+
+describe('resolveVariants', () => {
+  test('returns nothing by default', () => {
+    expect(resolveVariants()).toEqual([]);
+    expect(resolveVariants([])).toEqual([]);
+  });
+
+  test('resets the other media features for each variant', () => {
+    expect(resolveVariants(['dark', 'forced-colors'])).toEqual([
+      { name: 'dark', media: { colorScheme: 'dark', reducedMotion: null, forcedColors: null } },
+      { name: 'forced-colors', media: { colorScheme: null, reducedMotion: null, forcedColors: 'active' } }
+    ]);
+  });
+
+  test('accepts camelCase and lowercase spellings', () => {
+    expect(resolveVariants(['reducedMotion', 'forcedcolors', 'Dark']).map(v => v.name))
+      .toEqual(['reduced-motion', 'forced-colors', 'dark']);
+  });
+
+  test('drops duplicates', () => {
+    expect(resolveVariants(['dark', 'dark'])).toHaveLength(1);
+  });
+
+  test('rejects unknown variants', () => {
+    expect(() => resolveVariants(['sepia'])).toThrow('Unknown variant "sepia"');
+    expect(() => resolveVariants('dark')).toThrow('variants must be an array');
+  });
+
+  test('covers color scheme, motion and forced colors', () => {
+    expect(Object.keys(MEDIA_VARIANTS)).toEqual(['dark', 'reduced-motion', 'forced-colors']);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests for viewport presets (workers/viewports.js)
+ */
+
+jest.mock('playwright', () => ({
+  devices: {
+    'iPhone 15': {
+      userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)',
+      viewport: { width: 393, height: 659 },
+      deviceScaleFactor: 3,
+      isMobile: true,
+      hasTouch: true
+    }
+  }
+}));
+
+const {
+  VIEWPORT_PRESETS,
+  DEFAULT_VIEWPORTS,
+  viewportName,
+  resolveViewport,
+  resolveViewports,
+  groupByContext
+} = require('../../workers/viewports');
+
+describe('viewportName', () => {
+  test('makes names safe for filenames', () => {
+    expect(viewportName('iPhone 15 Pro Max')).toBe('iphone-15-pro-max');
+    expect(viewportName('4K')).toBe('4k');
+  });
+});
+
+describe('resolveViewport', () => {
+  test('resolves presets', () => {
+    expect(resolveViewport('tablet')).toEqual({
+      name: 'tablet',
+      width: 820,
+      height: 1180,
+      deviceScaleFactor: 2,
+      userAgent: null,
+      isMobile: true,
+      hasTouch: true
+    });
+  });
+
+  test('keeps desktop and mobile at their original sizes', () => {
+    expect(VIEWPORT_PRESETS.desktop).toMatchObject({ width: 1920, height: 1080 });
+    expect(VIEWPORT_PRESETS.mobile).toMatchObject({ width: 390, height: 844 });
+  });
+
+  test('resolves Playwright devices case-insensitively', () => {
+    expect(resolveViewport('iphone 15')).toMatchObject({
+      name: 'iphone-15',
+      width: 393,
+      deviceScaleFactor: 3,
+      isMobile: true,
+      hasTouch: true,
+      userAgent: expect.stringContaining('iPhone')
+    });
+  });
+
+  test('lets objects override preset and device settings', () => {
+    expect(resolveViewport({ name: 'Phone Landscape', device: 'iPhone 15', width: 659, height: 393 }))
+      .toMatchObject({ name: 'phone-landscape', width: 659, height: 393, deviceScaleFactor: 3 });
+    expect(resolveViewport({ name: 'laptop', hasTouch: true })).toMatchObject({ width: 1280, hasTouch: true });
+  });
+
+  test('accepts custom sizes', () => {
+    expect(resolveViewport({ name: 'wide', width: 2560, height: 1440 }))
+      .toMatchObject({ deviceScaleFactor: 1, isMobile: false, hasTouch: false });
+  });
+
+  test('rejects unknown names and bad sizes', () => {
+    expect(() => resolveViewport('smartwatch')).toThrow('Unknown viewport "smartwatch"');
+    expect(() => resolveViewport({ name: 'tiny', width: -1, height: 10 })).toThrow('needs a positive width and height');
+    expect(() => resolveViewport({})).toThrow('needs a name or device');
+  });
+});
+
+describe('resolveViewports', () => {
+  test('defaults to desktop and mobile', () => {
+    expect(resolveViewports().map(vp => vp.name)).toEqual(DEFAULT_VIEWPORTS);
+  });
+
+  test('rejects duplicate names', () => {
+    expect(() => resolveViewports(['tablet', { name: 'Tablet', width: 800, height: 600 }]))
+      .toThrow('Duplicate viewport name "tablet"');
+  });
+});
+
+describe('groupByContext', () => {
+  test('shares a context between viewports that only differ in size', () => {
+    const groups = groupByContext(resolveViewports(['desktop', 'laptop', 'mobile']), 'UA');
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].contextOptions).toEqual({
+      viewport: { width: 1920, height: 1080 },
+      deviceScaleFactor: 2,
+      userAgent: 'UA',
+      isMobile: false,
+      hasTouch: false
+    });
+    expect(groups[0].viewports.map(vp => vp.name)).toEqual(['desktop', 'laptop', 'mobile']);
+  });
+
+  test('splits on user agent, scale and touch', () => {
+    const groups = groupByContext(resolveViewports(['desktop', 'tablet', '4k', 'iPhone 15']), 'UA');
+    expect(groups.map(g => g.viewports.map(vp => vp.name))).toEqual([['desktop'], ['tablet'], ['4k'], ['iphone-15']]);
+  });
+});
@@ -0,0 +1,302 @@
+/**
+ * Accessibility - ARIA snapshot and built-in WCAG checks
+ * /workers/accessibility.js
+ *
+ * A small, fast subset of what axe-core checks. Automated rules find
+ * roughly a third of real issues; they don't replace manual testing.
+ */
+
+const { installIdentity, assignElementIds } = require('./identity');
+
+/**
+ * Characters of the ARIA snapshot kept per page
+ */
+const MAX_SNAPSHOT = 50000;
+
+/**
+ * Offending elements kept per rule (counts include all of them)
+ */
+const MAX_NODES = 10;
+
+/**
+ * Rules, named after their axe-core equivalents
+ */
+const A11Y_RULES = {
+  'image-alt': {
+    impact: 'critical', wcag: '1.1.1',
+    help: 'Images without alt text',
+    fix: 'Add alt text, or alt="" for decorative images'
+  },
+  label: {
+    impact: 'critical', wcag: '1.3.1, 4.1.2',
+    help: 'Form fields without a label',
+    fix: 'Associate a <label>, or add aria-label / aria-labelledby (placeholders are not labels)'
+  },
+  'link-name': {
+    impact: 'serious', wcag: '2.4.4',
+    help: 'Links without text',
+    fix: 'Give icon links visible text or an aria-label'
+  },
+  'button-name': {
+    impact: 'critical', wcag: '4.1.2',
+    help: 'Buttons without text',
+    fix: 'Give icon buttons visible text or an aria-label'
+  },
+  'duplicate-id': {
+    impact: 'minor', wcag: '4.1.1',
+    help: 'Duplicate id attributes',
+    fix: 'Make ids unique; labels and ARIA references resolve to the first match only'
+  },
+  'landmark-one-main': {
+    impact: 'moderate', wcag: '1.3.1',
+    help: 'Page does not have exactly one main landmark',
+    fix: 'Wrap the primary content in a single <main>'
+  },
+  'landmark-unique': {
+    impact: 'moderate', wcag: '1.3.1',
+    help: 'Repeated top-level banner or contentinfo landmarks',
+    fix: 'Keep one page-level <header> and <footer>, or label repeated landmarks'
+  },
+  'heading-order': {
+    impact: 'moderate', wcag: '1.3.1',
+    help: 'Heading levels skipped',
+    fix: 'Step down one level at a time (h2 -> h3), style with CSS instead'
+  },
+  'html-has-lang': {
+    impact: 'serious', wcag: '3.1.1',
+    help: 'Page has no lang attribute',
+    fix: 'Add lang to <html> (lang="en")'
+  },
+  'html-lang-valid': {
+    impact: 'serious', wcag: '3.1.1',
+    help: 'Page lang attribute is not a valid language code',
+    fix: 'Use a BCP 47 code such as "en" or "fr-CA"'
+  },
+  tabindex: {
+    impact: 'serious', wcag: '2.4.3',
+    help: 'Positive tabindex changes the focus order',
+    fix: 'Use tabindex="0" or "-1" and order the DOM instead'
+  },
+  'aria-hidden-focus': {
+    impact: 'serious', wcag: '4.1.2',
+    help: 'Focusable elements inside aria-hidden content',
+    fix: 'Remove them from the tab order (tabindex="-1" or inert) or unhide the content'
+  }
+};
+
+/**
+ * Insight severity per impact
+ */
+const IMPACT_SEVERITY = {
+  critical: 'issue',
+  serious: 'issue',
+  moderate: 'warning',
+  minor: 'warning'
+};
+
+/**
+ * Runs in the page: { rule: { count, nodes: [{ selector, text, box }] } }
+ * Rules without failures are left out.
+ */
+function checkPage({ maxNodes }) {
+  const results = {};
+  const fail = (rule, el) => {
+    results[rule] = results[rule] || { count: 0, nodes: [] };
+    results[rule].count++;
+    if (!el || results[rule].nodes.length >= maxNodes) return;
+    results[rule].nodes.push({ selector: selectorFor(el), xpath: xpathFor(el), text: (el.outerHTML || '').substring(0, 120), box: boxFor(el) });
+  };
+
+  const { selector: selectorFor, xpath: xpathFor } = window.__sitemapIdentity;
+  const boxFor = (el) => {
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return null;
+    return {
+      x: Math.round(rect.left + window.scrollX),
+      y: Math.round(rect.top + window.scrollY),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height)
+    };
+  };
+  const isRendered = (el) => {
+    if (el.getClientRects().length === 0) return false;
+    return getComputedStyle(el).visibility !== 'hidden';
+  };
+  const isHiddenFromAT = (el) => !!el.closest('[aria-hidden="true"]') || !isRendered(el);
+  const isPresentational = (el) => ['presentation', 'none'].includes(el.getAttribute('role'));
+
+  // Accessible name, roughly following the accname algorithm
+  const textOf = (value) => (value || '').replace(/\s+/g, ' ').trim();
+  const nameOf = (el, useContent) => {
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = textOf(labelledBy.split(/\s+/).map(id => document.getElementById(id)?.textContent || '').join(' '));
+      if (text) return text;
+    }
+    const ariaLabel = textOf(el.getAttribute('aria-label'));
+    if (ariaLabel) return ariaLabel;
+    if (el.labels && el.labels.length > 0) {
+      const text = textOf(Array.from(el.labels).map(label => label.textContent).join(' '));
+      if (text) return text;
+    }
+    if (useContent) {
+      const text = textOf(el.innerText) || textOf(Array.from(el.querySelectorAll('img[alt], [aria-label], svg title'))
+        .map(node => node.getAttribute('alt') || node.getAttribute('aria-label') || node.textContent).join(' '));
+      if (text) return text;
+    }
+    return textOf(el.getAttribute('title'));
+  };
+
+  // image-alt
+  document.querySelectorAll('img, input[type="image"], [role="img"]').forEach(el => {
+    if (isHiddenFromAT(el) || isPresentational(el)) return;
+    const hasName = el.tagName === 'IMG' || el.tagName === 'INPUT'
+      ? el.hasAttribute('alt') || !!nameOf(el, false)
+      : !!nameOf(el, false);
+    if (!hasName) fail('image-alt', el);
+  });
+
+  // label
+  document.querySelectorAll('input, select, textarea').forEach(el => {
+    if (['hidden', 'submit', 'button', 'reset', 'image'].includes(el.type) || isHiddenFromAT(el)) return;
+    if (!nameOf(el, false)) fail('label', el);
+  });
+
+  // link-name
+  document.querySelectorAll('a[href]').forEach(el => {
+    if (isHiddenFromAT(el)) return;
+    if (!nameOf(el, true)) fail('link-name', el);
+  });
+
+  // button-name
+  document.querySelectorAll('button, [role="button"], input[type="submit"], input[type="button"], input[type="reset"]').forEach(el => {
+    if (isHiddenFromAT(el)) return;
+    // Submit and reset inputs have a default label
+    if (el.tagName === 'INPUT' && (textOf(el.value) || el.type !== 'button')) return;
+    if (!nameOf(el, true)) fail('button-name', el);
+  });
+
+  // duplicate-id
+  const byId = new Map();
+  document.querySelectorAll('[id]').forEach(el => {
+    if (!el.id) return;
+    byId.set(el.id, (byId.get(el.id) || []).concat(el));
+  });
+  for (const els of byId.values()) {
+    if (els.length > 1) fail('duplicate-id', els[1]);
+  }
+
+  // landmark-one-main / landmark-unique (page-level header/footer are banner/contentinfo)
+  const mains = Array.from(document.querySelectorAll('main, [role="main"]')).filter(isRendered);
+  if (mains.length !== 1) fail('landmark-one-main', mains[1] || null);
+  const sectioning = 'article, aside, main, nav, section';
+  for (const [selector, role] of [['header', 'banner'], ['footer', 'contentinfo']]) {
+    const landmarks = Array.from(document.querySelectorAll(`${selector}, [role="${role}"]`))
+      .filter(el => isRendered(el) && (el.getAttribute('role') === role || !el.parentElement.closest(sectioning)));
+    if (landmarks.length > 1) fail('landmark-unique', landmarks[1]);
+  }
+
+  // heading-order
+  let previous = 0;
+  document.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]').forEach(el => {
+    if (isHiddenFromAT(el)) return;
+    const level = el.getAttribute('role') === 'heading'
+      ? parseInt(el.getAttribute('aria-level'), 10) || 2
+      : parseInt(el.tagName[1], 10);
+    if (previous > 0 && level > previous + 1) fail('heading-order', el);
+    previous = level;
+  });
+
+  // html-has-lang / html-lang-valid
+  const lang = (document.documentElement.getAttribute('lang') || '').trim();
+  if (!lang) fail('html-has-lang', null);
+  else if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(lang)) fail('html-lang-valid', null);
+
+  // tabindex
+  document.querySelectorAll('[tabindex]').forEach(el => {
+    if (parseInt(el.getAttribute('tabindex'), 10) > 0) fail('tabindex', el);
+  });
+
+  // aria-hidden-focus
+  const focusable = 'a[href], button, input, select, textarea, [tabindex], [contenteditable="true"]';
+  document.querySelectorAll('[aria-hidden="true"]').forEach(hidden => {
+    for (const el of [hidden, ...hidden.querySelectorAll(focusable)]) {
+      if (!el.matches(focusable) || el.disabled || el.getAttribute('tabindex') === '-1' || el.closest('[inert]')) continue;
+      if (isRendered(el)) fail('aria-hidden-focus', el);
+    }
+  });
+
+  return results;
+}
+
+/**
+ * ARIA snapshot of the page (YAML, as Playwright's toMatchAriaSnapshot uses)
+ * Needs Playwright 1.49+; a missing API is thrown rather than read as an
+ * empty snapshot. Pages that time out or detach get null.
+ */
+async function captureAriaSnapshot(page) {
+  let snapshot;
+  try {
+    snapshot = await page.locator('body').ariaSnapshot({ timeout: 10000 });
+  } catch (error) {
+    if (error instanceof TypeError) throw error;
+    console.warn(`ARIA snapshot failed: ${error.message}`);
+    return null;
+  }
+  return snapshot.length > MAX_SNAPSHOT ? `${snapshot.substring(0, MAX_SNAPSHOT)}\n# ...truncated` : snapshot;
+}
+
+/**
+ * Run the WCAG rules on a loaded page
+ * Boxes are document-relative, in the current viewport's CSS pixels.
+ *
+ * Returns {
+ *   snapshot,
+ *   rules: [ruleId],  // rules that ran
+ *   violations: [{ rule, impact, wcag, help, fix, count, nodes: [{ selector, xpath, text, box }] }]
+ * }
+ */
+async function auditAccessibility(page) {
+  const snapshot = await captureAriaSnapshot(page);
+  await installIdentity(page);
+  const failures = (await page.evaluate(checkPage, { maxNodes: MAX_NODES })) || {};
+
+  const violations = Object.entries(failures)
+    .filter(([rule]) => A11Y_RULES[rule])
+    .map(([rule, { count, nodes }]) => ({ rule, ...A11Y_RULES[rule], count, nodes }));
+
+  return { snapshot, rules: Object.keys(A11Y_RULES), violations };
+}
+
+/**
+ * Elements for offending nodes, so insights can reference them as
+ * hotspots. Boxes are keyed by `viewport`; IDs are fingerprint-based
+ * (`el_a11y_…`).
+ */
+function accessibilityElements(audit, viewport) {
+  if (!audit) return [];
+  const elements = [];
+  for (const violation of audit.violations) {
+    for (const node of violation.nodes) {
+      if (!node.box) continue;
+      elements.push({
+        id: 'el_a11y',
+        type: 'a11y',
+        rule: violation.rule,
+        impact: violation.impact,
+        selector: node.selector,
+        xpath: node.xpath,
+        text: node.text,
+        [viewport]: node.box
+      });
+    }
+  }
+  return assignElementIds(elements);
+}
+
+module.exports = {
+  A11Y_RULES,
+  IMPACT_SEVERITY,
+  auditAccessibility,
+  accessibilityElements
+};
@@ -4,6 +4,9 @@
  */
 
 const { LLMProvider, buildAnalysisPrompt, parseResponse } = require('./llm');
+const { rateMetric } = require('./performance');
+const { validateStructuredData, validateHreflang } = require('./structured');
+const { IMPACT_SEVERITY } = require('./accessibility');
 
 // Default LLM config
 let llmConfig = {
@@ -26,6 +29,26 @@ function getLLMConfig() {
   return { ...llmConfig };
 }
 
+/**
+ * Rubric keywords answered by WCAG rules (see accessibility.js)
+ */
+const RUBRIC_A11Y_RULES = {
+  'alt text': ['image-alt'],
+  'label': ['label', 'button-name'],
+  'heading': ['heading-order'],
+  'keyboard': ['tabindex', 'aria-hidden-focus'],
+  'focus': ['tabindex', 'aria-hidden-focus'],
+  'landmark': ['landmark-one-main', 'landmark-unique'],
+  'language': ['html-has-lang', 'html-lang-valid']
+};
+
+/**
+ * Low-contrast text elements reported individually (worst first)
+ */
+const MAX_CONTRAST_INSIGHTS = 10;
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
 /**
  * Analyze a single page
  * @param {Object} payload - Analysis payload
@@ -34,10 +57,16 @@ function getLLMConfig() {
  * @param {Object} payload.page - Page info
  * @param {Object} payload.extracted - Extracted content
  * @param {Array} payload.elements - Extracted elements with positions
+ * @param {Object} payload.performance - Core Web Vitals and load metrics
+ * @param {Object} payload.health - Failed requests, console errors, link check
+ * @param {Object} payload.accessibility - ARIA snapshot and WCAG violations
+ * @param {Object} payload.focusOrder - Keyboard focus stops (optional scan phase)
+ * @param {Array} payload.layoutChanges - Elements hidden, pushed down or reordered on narrower viewports
+ * @param {Map} payload.hreflangIndex - hreflangIndex() of the capture, for return-link checks
  * @param {string} payload.rubric - Custom evaluation rubric
  */
 async function analyzePage(payload, job) {
-  const { projectId, site, page, extracted, elements, rubric } = payload;
+  const { projectId, site, page, extracted, elements, performance, health, accessibility, focusOrder, layoutChanges, hreflangIndex, rubric } = payload;
   
   // Build page data for analysis
   const pageData = {
@@ -54,12 +83,12 @@ async function analyzePage(payload, job) {
   const available = await llm.isAvailable();
   if (!available) {
     console.warn('LLM not available, returning basic analysis');
-    const basic = createBasicAnalysis(pageData, { elements, rubric });
+    const basic = createBasicAnalysis(pageData, { elements, performance, health, accessibility, focusOrder, layoutChanges, hreflangIndex, rubric });
     return { ...basic, site, page: page.path };
   }
   
   // Build and send prompt with rubric and elements
-  const prompt = buildAnalysisPrompt(pageData, { rubric, elements });
+  const prompt = buildAnalysisPrompt(pageData, { rubric, elements, performance, health, accessibility, focusOrder, layoutChanges });
   
   try {
     const response = await llm.complete(prompt, {
@@ -83,7 +112,7 @@ async function analyzePage(payload, job) {
   } catch (error) {
     console.error('Analysis failed:', error.message);
     // Return basic analysis on failure
-    const basic = createBasicAnalysis(pageData, { elements, rubric });
+    const basic = createBasicAnalysis(pageData, { elements, performance, health, accessibility, focusOrder, layoutChanges, hreflangIndex, rubric });
     return { ...basic, site, page: page.path };
   }
 }
@@ -93,7 +122,7 @@ async function analyzePage(payload, job) {
  * Generates insights referencing elements when available
  */
 function createBasicAnalysis(pageData, options = {}) {
-  const { elements, rubric } = options;
+  const { elements, performance, health, accessibility, focusOrder, layoutChanges, hreflangIndex, rubric } = options;
   const extracted = pageData.extracted || {};
   const meta = extracted.meta || {};
   const headings = extracted.headings || {};
@@ -159,6 +188,72 @@ function createBasicAnalysis(pageData, options = {}) {
     addInsight('good', 'seo', 'Has meta description', 'Consider A/B testing different descriptions');
   }
   
+  // Structured data (rich result requirements)
+  if (extracted.structuredData) {
+    const checks = validateStructuredData(extracted.structuredData);
+    for (const check of checks.filter(c => c.error)) {
+      addInsight('issue', 'seo', `Invalid ${check.format} block: ${check.error}`, 'Fix the JSON syntax so search engines can read it');
+    }
+    for (const check of checks.filter(c => c.missing.length > 0)) {
+      addInsight('issue', 'seo', `${check.type} structured data is missing required properties: ${check.missing.join(', ')}`,
+        'Add the missing properties to qualify for rich results');
+    }
+    for (const check of checks.filter(c => !c.error && c.missing.length === 0 && c.missingRecommended.length > 0)) {
+      addInsight('warning', 'seo', `${check.type} structured data lacks recommended properties: ${check.missingRecommended.join(', ')}`,
+        'Add them for richer search results');
+    }
+    const complete = checks.filter(c => !c.error && c.missing.length === 0 && c.missingRecommended.length === 0);
+    if (complete.length > 0) {
+      addInsight('good', 'seo', `Valid structured data: ${[...new Set(complete.map(c => c.type))].join(', ')}`,
+        'Test changes with the Rich Results Test');
+    } else if (extracted.structuredData.length === 0) {
+      addInsight('warning', 'seo', 'No structured data', 'Describe the page with schema.org JSON-LD (Organization, Product, Article, ...)');
+    }
+  }
+  
+  // hreflang alternates (return links need the other language versions in the capture)
+  if (extracted.hreflang?.alternates?.length > 0) {
+    const hreflang = validateHreflang(extracted.hreflang, hreflangIndex);
+    if (hreflang.invalid.length > 0) {
+      addInsight('issue', 'seo', `Invalid hreflang codes: ${hreflang.invalid.join(', ')}`, 'Use ISO 639-1 languages with optional ISO 3166-1 regions (en-GB)');
+    }
+    if (hreflang.duplicates.length > 0) {
+      addInsight('issue', 'seo', `Duplicate hreflang entries: ${hreflang.duplicates.join(', ')}`, 'List each language once');
+    }
+    if (hreflang.missingReturn.length > 0) {
+      addInsight('issue', 'seo', `hreflang without return links from ${hreflang.missingReturn.length} alternate(s)`,
+        `Link back from ${hreflang.missingReturn.slice(0, 3).join(', ')}`);
+    }
+    if (hreflang.missingSelf) {
+      addInsight('warning', 'seo', 'hreflang alternates do not include this page', 'Add a self-referencing hreflang link');
+    }
+    if (hreflang.missingXDefault) {
+      addInsight('warning', 'seo', 'No x-default hreflang', 'Add x-default for visitors whose language is not listed');
+    }
+  }
+  
+  // Social previews
+  if (extracted.social) {
+    const og = extracted.social.openGraph || {};
+    const missingOg = ['og:title', 'og:description', 'og:image'].filter(tag => !og[tag]);
+    if (missingOg.length > 0) {
+      addInsight('warning', 'seo', `Missing Open Graph tags: ${missingOg.join(', ')}`, 'Add them so shared links show a title, text and image');
+    }
+    if (!extracted.social.twitter?.['twitter:card']) {
+      addInsight('warning', 'seo', 'No Twitter card tag', 'Add <meta name="twitter:card" content="summary_large_image">');
+    }
+  }
+  
+  // Icons
+  if (extracted.icons) {
+    if (!extracted.icons.favicon) {
+      addInsight('warning', 'seo', 'No favicon', 'Add a favicon; it appears in tabs and mobile search results');
+    }
+    if (extracted.icons.manifest?.error) {
+      addInsight('warning', 'seo', `Web app manifest could not be loaded (${extracted.icons.manifest.error})`, `Check ${extracted.icons.manifest.url}`);
+    }
+  }
+  
   // Heading insights with element references
   if (elements && elements.length > 0) {
     const h1Elements = elements.filter(el => el.type === 'heading' && el.level === 1);
@@ -219,6 +314,200 @@ function createBasicAnalysis(pageData, options = {}) {
     }
   }
   
+  // Performance insights (LCP and layout-shift elements become hotspots)
+  let performanceScore = null;
+  if (performance) {
+    const lcpEl = elements?.find(el => el.type === 'lcp');
+    const shiftEl = elements?.find(el => el.type === 'layout-shift');
+    const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+    const penalty = { good: 0, warning: 15, issue: 30 };
+    performanceScore = 100;
+    
+    if (performance.lcp !== null && performance.lcp !== undefined) {
+      const rating = rateMetric('lcp', performance.lcp);
+      performanceScore -= penalty[rating];
+      const messages = {
+        good: `Largest Contentful Paint is fast (${seconds(performance.lcp)})`,
+        warning: `Largest Contentful Paint needs improvement (${seconds(performance.lcp)})`,
+        issue: `Largest Contentful Paint is slow (${seconds(performance.lcp)})`
+      };
+      addInsight(rating, 'performance', messages[rating],
+        rating === 'good' ? 'Keep the LCP element lightweight' : 'Preload and compress the LCP element, avoid lazy-loading it',
+        lcpEl?.id);
+    }
+    
+    if (performance.cls !== null && performance.cls !== undefined) {
+      const rating = rateMetric('cls', performance.cls);
+      performanceScore -= penalty[rating];
+      if (rating === 'good') {
+        addInsight('good', 'performance', `Layout is stable (CLS ${performance.cls})`, 'Keep reserving space for late content');
+      } else {
+        addInsight(rating, 'performance', `Content shifts while loading (CLS ${performance.cls})`,
+          'Set width/height on media and reserve space for banners and embeds', shiftEl?.id);
+      }
+    }
+    
+    if (performance.tbt !== null && performance.tbt !== undefined) {
+      const rating = rateMetric('tbt', performance.tbt);
+      performanceScore -= penalty[rating];
+      if (rating !== 'good') {
+        addInsight(rating, 'performance', `Main thread blocked for ${performance.tbt}ms during load`,
+          'Split long JavaScript tasks and defer non-critical scripts');
+      }
+    }
+    
+    if (performance.ttfb !== null && performance.ttfb !== undefined && rateMetric('ttfb', performance.ttfb) !== 'good') {
+      addInsight(rateMetric('ttfb', performance.ttfb), 'performance', `Slow server response (TTFB ${performance.ttfb}ms)`,
+        'Cache HTML at the edge or speed up server rendering');
+    }
+    
+    const megabytes = (performance.transferSize || 0) / (1024 * 1024);
+    if (megabytes > 3) {
+      const largest = performance.largestResources?.[0];
+      addInsight(megabytes > 6 ? 'issue' : 'warning', 'performance', `Heavy page (${megabytes.toFixed(1)} MB transferred)`,
+        largest ? `Start with the largest resource: ${largest.url}` : 'Compress images and remove unused scripts');
+    }
+    
+    if (performance.requestCount > 100) {
+      addInsight('warning', 'performance', `${performance.requestCount} requests on load`, 'Bundle assets and drop unused third-party tags');
+    }
+    
+    performanceScore = Math.max(0, performanceScore);
+  }
+  
+  // Health insights: anything broken on the page is an issue
+  if (health) {
+    const exceptions = health.exceptions || [];
+    const consoleErrors = health.console || [];
+    const failed = health.requests || [];
+    const broken = health.links?.broken || [];
+    const redirects = (health.links?.redirects || []).filter(r => r.chain.length > 1);
+    
+    if (exceptions.length > 0) {
+      addInsight('issue', 'health', `${plural(exceptions.length, 'uncaught JavaScript exception')}: ${exceptions[0].message}`,
+        'Fix the script errors; parts of the page may not work');
+    }
+    if (consoleErrors.length > 0) {
+      addInsight('issue', 'health', `${plural(consoleErrors.length, 'console error')} on load`,
+        `Start with: ${consoleErrors[0].text.substring(0, 120)}`);
+    }
+    if (failed.length > 0) {
+      const first = failed[0];
+      addInsight('issue', 'health', `${plural(failed.length, 'failed request')} (${[...new Set(failed.map(r => r.status || r.reason))].join(', ')})`,
+        `Fix or remove ${first.url}`);
+    }
+    if (broken.length > 0) {
+      addInsight('issue', 'health', `${plural(broken.length, 'broken link')} on this page`,
+        `Update or remove links to ${broken.slice(0, 3).map(l => l.url).join(', ')}`);
+    }
+    if (redirects.length > 0) {
+      addInsight('warning', 'health', `${plural(redirects.length, 'link')} through multi-hop redirect chains`,
+        `Link straight to ${redirects[0].finalUrl}`);
+    }
+    if (exceptions.length + consoleErrors.length + failed.length + broken.length === 0) {
+      addInsight('good', 'health', 'No errors, failed requests or broken links', 'Keep monitoring after releases');
+    }
+  }
+  
+  // WCAG checks: one insight per failing rule, linked to its first element
+  let accessibilityScore = null;
+  if (accessibility) {
+    const penalty = { critical: 20, serious: 10, moderate: 5, minor: 2 };
+    accessibilityScore = 100;
+    for (const violation of accessibility.violations) {
+      accessibilityScore -= penalty[violation.impact];
+      const el = elements?.find(e => e.type === 'a11y' && e.rule === violation.rule);
+      addInsight(IMPACT_SEVERITY[violation.impact], 'accessibility', `${violation.help} (${violation.count}, WCAG ${violation.wcag})`,
+        violation.fix, el?.id);
+    }
+    accessibilityScore = Math.max(0, accessibilityScore);
+    if (accessibility.violations.length === 0) {
+      addInsight('good', 'accessibility', `Passes ${accessibility.rules.length} automated WCAG checks`,
+        'Automated checks catch only part of the issues; test with a keyboard and screen reader');
+    }
+  }
+  
+  // Text contrast: one insight per element below AA, so each gets a hotspot
+  const textElements = (elements || []).filter(el => el.type === 'text' && el.contrast);
+  const lowContrast = textElements.filter(el => !el.contrast.aa).sort((a, b) => a.contrast.ratio - b.contrast.ratio);
+  if (textElements.length > 0) {
+    for (const el of lowContrast.slice(0, MAX_CONTRAST_INSIGHTS)) {
+      const { ratio, required, foreground, background, backgroundImage } = el.contrast;
+      addInsight(backgroundImage ? 'warning' : 'issue', 'accessibility',
+        `Low contrast text "${el.text.substring(0, 40)}" (${ratio}:1, needs ${required}:1, WCAG 1.4.3)`,
+        backgroundImage
+          ? 'Text is over a background image; check it against the image or add a solid backdrop'
+          : `Adjust ${foreground} on ${background} to at least ${required}:1`,
+        el.id);
+    }
+    if (lowContrast.length > MAX_CONTRAST_INSIGHTS) {
+      addInsight('issue', 'accessibility', `${plural(lowContrast.length - MAX_CONTRAST_INSIGHTS, 'more text element')} below AA contrast`,
+        'Review the text colors in the palette');
+    }
+    if (lowContrast.length === 0) {
+      const belowAaa = textElements.filter(el => !el.contrast.aaa).length;
+      addInsight('good', 'accessibility', `All ${plural(textElements.length, 'text element')} meet AA contrast`,
+        belowAaa > 0 ? `${belowAaa} below AAA; raise contrast where text is small or dense` : 'Text also meets AAA');
+    }
+    if (accessibilityScore !== null && lowContrast.length > 0) {
+      accessibilityScore = Math.max(0, accessibilityScore - 10);
+    }
+  }
+  
+  // Keyboard walk: focus traps and stops without a visible indicator
+  const unseenFocus = focusOrder ? focusOrder.stops.filter(stop => stop.focusVisible === false) : [];
+  if (focusOrder) {
+    const stops = focusOrder.stops;
+    if (focusOrder.trapped) {
+      const last = stops[stops.length - 1];
+      addInsight('issue', 'accessibility', `Keyboard focus gets stuck after ${last ? last.selector : 'the first stop'} (WCAG 2.1.2)`,
+        'Let Tab and Shift+Tab move out of every widget, or close it with Escape');
+    }
+    if (unseenFocus.length > 0) {
+      const el = elements?.find(e => e.type === 'focus');
+      addInsight('issue', 'accessibility', `${plural(unseenFocus.length, 'focus stop')} without a visible focus indicator (WCAG 2.4.7)`,
+        `Add a :focus-visible outline to ${unseenFocus[0].selector} and similar controls, don't remove it with outline: none`, el?.id);
+    }
+    const hidden = stops.filter(stop => !stop.box);
+    if (hidden.length > 0) {
+      addInsight('warning', 'accessibility', `${plural(hidden.length, 'focus stop')} on hidden elements`,
+        `Take ${hidden[0].selector} out of the tab order while it's hidden (tabindex="-1" or inert)`);
+    }
+    if (stops.length === 0) {
+      addInsight('warning', 'accessibility', 'Nothing on the page can be reached with Tab', 'Use links, buttons and form fields instead of clickable divs');
+    } else if (!focusOrder.trapped && unseenFocus.length === 0 && hidden.length === 0) {
+      addInsight('good', 'accessibility', `${plural(stops.length, 'focus stop')}, all with a visible indicator`,
+        'Check that the order follows the visual layout');
+    }
+    if (accessibilityScore !== null) {
+      accessibilityScore = Math.max(0, accessibilityScore - (focusOrder.trapped ? 20 : 0) - (unseenFocus.length > 0 ? 10 : 0));
+    }
+  }
+  
+  // Layout changes on narrower viewports: one insight per change, so each gets a hotspot
+  if (layoutChanges) {
+    for (const change of layoutChanges) {
+      const name = `${change.label}${change.text ? ` "${change.text.substring(0, 40)}"` : ''}`;
+      if (change.type === 'hidden') {
+        addInsight(change.key ? 'issue' : 'warning', 'responsive', `${name} is hidden at ${change.viewport}`,
+          change.key ? `Keep it on small screens, or offer the same action near the top of the ${change.viewport} layout`
+            : `Check that ${change.viewport} visitors don't need it`,
+          change.element);
+      } else if (change.type === 'below-fold') {
+        addInsight('warning', 'responsive', `${name} drops out of the first screen at ${change.viewport} (${change.y}px, fold at ${change.fold}px)`,
+          'Shorten or collapse what comes before it on small screens', change.element);
+      } else if (change.type === 'reordered') {
+        addInsight('warning', 'responsive', `${name} moves from position ${change.from} to ${change.to} at ${change.viewport}`,
+          `Check the ${change.viewport} order still reads well; keyboard and screen reader order follows the DOM, not the layout`,
+          change.element);
+      }
+    }
+    if (layoutChanges.length === 0) {
+      addInsight('good', 'responsive', 'Key elements keep their place on narrower viewports',
+        'Check the mobile layout by hand for tap targets and spacing');
+    }
+  }
+  
   // Rubric-based insights (basic matching)
   if (rubric) {
     const rubricLines = rubric.split('\n').filter(line => line.trim().startsWith('-'));
@@ -252,6 +541,44 @@ function createBasicAnalysis(pageData, options = {}) {
         }
       }
       
+      // Accessibility criteria answered by the WCAG checks
+      if (accessibility) {
+        const rules = Object.entries(RUBRIC_A11Y_RULES)
+          .filter(([keyword]) => criterion.includes(keyword))
+          .flatMap(([, ruleIds]) => ruleIds);
+        if (rules.length > 0) {
+          const failing = accessibility.violations.filter(v => rules.includes(v.rule));
+          if (failing.length > 0) {
+            const el = elements?.find(e => e.type === 'a11y' && e.rule === failing[0].rule);
+            addInsight('issue', 'accessibility', `Fails: ${failing.map(v => v.help.toLowerCase()).join('; ')}`, failing[0].fix, el?.id, line.trim());
+          } else {
+            addInsight('good', 'accessibility', 'Automated checks found no problems', 'Confirm manually', null, line.trim());
+          }
+        }
+      }
+      
+      // Keyboard criteria answered by the focus walk
+      if (focusOrder && (criterion.includes('keyboard') || criterion.includes('focus'))) {
+        if (focusOrder.trapped) {
+          addInsight('issue', 'accessibility', 'Keyboard focus gets stuck', 'Fix the focus trap', null, line.trim());
+        } else if (unseenFocus.length > 0) {
+          addInsight('issue', 'accessibility', `${plural(unseenFocus.length, 'focus stop')} without a visible indicator`,
+            'Add :focus-visible styles', elements?.find(e => e.type === 'focus')?.id, line.trim());
+        } else {
+          addInsight('good', 'accessibility', `Tab reaches ${plural(focusOrder.stops.length, 'stop')} with visible focus`,
+            'Check the order against the layout', null, line.trim());
+        }
+      }
+      
+      if (criterion.includes('contrast') && textElements.length > 0) {
+        if (lowContrast.length > 0) {
+          addInsight('issue', 'accessibility', `${plural(lowContrast.length, 'text element')} below AA contrast`,
+            `Worst is ${lowContrast[0].contrast.ratio}:1; aim for 4.5:1 (3:1 for large text)`, lowContrast[0].id, line.trim());
+        } else {
+          addInsight('good', 'accessibility', 'All text meets AA contrast', 'Check text over images manually', null, line.trim());
+        }
+      }
+      
       if (criterion.includes('pricing')) {
         if (components.pricing) {
           addInsight('good', 'conversion', 'Pricing section detected', 'Ensure pricing is clear and transparent', null, line.trim());
@@ -279,7 +606,9 @@ function createBasicAnalysis(pageData, options = {}) {
       content: contentScore,
       structure: structureScore,
       ux: uxScore,
-      seo: seoScore
+      seo: seoScore,
+      ...(performanceScore !== null && { performance: performanceScore }),
+      ...(accessibilityScore !== null && { accessibility: accessibilityScore })
     },
     insights,
     analysis: {
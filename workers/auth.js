@@ -0,0 +1,258 @@
+/**
+ * Auth - project login scripts and stored browser sessions
+ * /workers/auth.js
+ *
+ * Auth configs hold credentials, so they live in their own directory
+ * (never under /captures, which is served statically) and only the
+ * file path travels in job payloads.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Default directory for auth configs
+ */
+const AUTH_DIR = path.join(__dirname, '..', '.auth');
+
+const AUTH_TYPES = ['login', 'storageState', 'cookies'];
+
+/**
+ * Cookie sameSite values, lowercased, as Playwright expects them
+ * (browser-extension exports use no_restriction / unspecified)
+ */
+const SAME_SITE = {
+  strict: 'Strict',
+  lax: 'Lax',
+  none: 'None',
+  no_restriction: 'None',
+  unspecified: 'Lax'
+};
+
+/**
+ * Resolved storage states by auth file
+ */
+const sessionCache = new Map();
+
+/**
+ * Validate an auth config, throwing on the first problem
+ *
+ * { type: 'login', loginUrl, fields: { selector: value }, submit, waitForUrl, waitForSelector }
+ * { type: 'storageState', storageState: { cookies, origins } }
+ * { type: 'cookies', cookies: [{ name, value, domain, path }] }
+ */
+function validateAuthConfig(auth) {
+  if (!auth || typeof auth !== 'object') {
+    throw new Error('auth must be an object');
+  }
+  if (!AUTH_TYPES.includes(auth.type)) {
+    throw new Error(`auth.type must be one of: ${AUTH_TYPES.join(', ')}`);
+  }
+
+  if (auth.type === 'login') {
+    try {
+      new URL(auth.loginUrl);
+    } catch {
+      throw new Error('auth.loginUrl must be an absolute URL');
+    }
+    if (!auth.fields || typeof auth.fields !== 'object' || Object.keys(auth.fields).length === 0) {
+      throw new Error('auth.fields must map selectors to values');
+    }
+  }
+
+  if (auth.type === 'storageState') {
+    if (!auth.storageState || !Array.isArray(auth.storageState.cookies)) {
+      throw new Error('auth.storageState must contain a cookies array');
+    }
+  }
+
+  if (auth.type === 'cookies') {
+    if (!Array.isArray(auth.cookies) || auth.cookies.length === 0) {
+      throw new Error('auth.cookies must be a non-empty array');
+    }
+    const invalid = auth.cookies.find(c => !c.name || c.value === undefined || !(c.url || c.domain));
+    if (invalid) {
+      throw new Error('auth.cookies entries need name, value and url or domain');
+    }
+    const badSameSite = auth.cookies.find(c => c.sameSite && !SAME_SITE[String(c.sameSite).toLowerCase()]);
+    if (badSameSite) {
+      throw new Error(`auth.cookies: cookie "${badSameSite.name}" has an invalid sameSite "${badSameSite.sameSite}"`);
+    }
+  }
+
+  return auth;
+}
+
+/**
+ * Path of a project's auth config
+ */
+function getAuthFile(authDir, projectId) {
+  return path.join(authDir, `${projectId}.json`);
+}
+
+/**
+ * Validate and store a project's auth config (owner-readable only)
+ * Returns the file path.
+ */
+function saveAuthConfig(authDir, projectId, auth) {
+  validateAuthConfig(auth);
+
+  const authFile = getAuthFile(authDir, projectId);
+  fs.mkdirSync(authDir, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(authFile, JSON.stringify(auth, null, 2), { mode: 0o600 });
+  sessionCache.delete(authFile);
+  return authFile;
+}
+
+/**
+ * Remove a project's auth config
+ * Returns true if one existed.
+ */
+function deleteAuthConfig(authDir, projectId) {
+  const authFile = getAuthFile(authDir, projectId);
+  sessionCache.delete(authFile);
+  if (!fs.existsSync(authFile)) return false;
+  fs.unlinkSync(authFile);
+  return true;
+}
+
+/**
+ * Public description of an auth config, without credentials
+ */
+function describeAuth(auth) {
+  if (!auth) return null;
+  const summary = { type: auth.type };
+  if (auth.type === 'login') summary.loginUrl = auth.loginUrl;
+  return summary;
+}
+
+/**
+ * Fill in the cookie fields a storage state requires
+ * (cookies exported from browser extensions often only have url or domain,
+ * and spell sameSite their own way)
+ */
+function toStorageCookie(cookie) {
+  if (!cookie.domain && !cookie.url) {
+    throw new Error(`Cookie "${cookie.name}" needs a url or domain`);
+  }
+  let url = null;
+  if (cookie.url) {
+    try {
+      url = new URL(cookie.url);
+    } catch {
+      throw new Error(`Cookie "${cookie.name}" has an invalid url: ${cookie.url}`);
+    }
+  }
+  const sameSite = SAME_SITE[String(cookie.sameSite || 'unspecified').toLowerCase()];
+  if (!sameSite) {
+    throw new Error(`Cookie "${cookie.name}" has an invalid sameSite "${cookie.sameSite}"`);
+  }
+  return {
+    name: cookie.name,
+    value: String(cookie.value),
+    domain: cookie.domain || url.hostname,
+    path: cookie.path || '/',
+    expires: cookie.expires ?? cookie.expirationDate ?? -1,
+    httpOnly: !!cookie.httpOnly,
+    secure: cookie.secure ?? url?.protocol === 'https:',
+    sameSite
+  };
+}
+
+/**
+ * Convert a waitForUrl option to what page.waitForURL() accepts
+ * ('regex:' prefix for regular expressions, globs otherwise)
+ */
+function urlMatcher(pattern) {
+  return pattern.startsWith('regex:') ? new RegExp(pattern.slice('regex:'.length)) : pattern;
+}
+
+/**
+ * Run a scripted login in a fresh context and capture its storage state
+ */
+async function runLogin(browser, auth, contextOptions = {}) {
+  const context = await browser.newContext(contextOptions);
+  const page = await context.newPage();
+
+  try {
+    await page.goto(auth.loginUrl, {
+      waitUntil: 'domcontentloaded',
+      timeout: auth.timeout || 30000
+    });
+
+    const selectors = Object.keys(auth.fields);
+    for (const selector of selectors) {
+      await page.fill(selector, String(auth.fields[selector]));
+    }
+
+    if (auth.submit) {
+      await page.click(auth.submit);
+    } else {
+      await page.press(selectors[selectors.length - 1], 'Enter');
+    }
+
+    if (auth.waitForUrl) {
+      await page.waitForURL(urlMatcher(auth.waitForUrl), { timeout: auth.timeout || 30000 });
+    }
+    if (auth.waitForSelector) {
+      await page.waitForSelector(auth.waitForSelector, { timeout: auth.timeout || 30000 });
+    }
+    if (!auth.waitForUrl && !auth.waitForSelector) {
+      await page.waitForLoadState('networkidle', { timeout: auth.timeout || 30000 }).catch(() => {});
+    }
+
+    return await context.storageState();
+  } catch (error) {
+    throw new Error(`Login failed at ${auth.loginUrl}: ${error.message}`);
+  } finally {
+    await page.close();
+    await context.close();
+  }
+}
+
+/**
+ * Storage state for browser.newContext() from a stored auth config
+ * Login scripts run once per auth file and the session is reused.
+ */
+async function resolveStorageState(browser, authFile, contextOptions = {}) {
+  if (!authFile) return undefined;
+  if (sessionCache.has(authFile)) return sessionCache.get(authFile);
+
+  // Share one login between parallel scans
+  const pending = (async () => {
+    const auth = validateAuthConfig(JSON.parse(fs.readFileSync(authFile, 'utf-8')));
+
+    if (auth.type === 'storageState') return auth.storageState;
+    if (auth.type === 'cookies') return { cookies: auth.cookies.map(toStorageCookie), origins: [] };
+    return runLogin(browser, auth, contextOptions);
+  })();
+
+  sessionCache.set(authFile, pending);
+  try {
+    return await pending;
+  } catch (error) {
+    sessionCache.delete(authFile);
+    throw error;
+  }
+}
+
+/**
+ * Forget resolved sessions (all, or one auth file)
+ */
+function clearSessionCache(authFile) {
+  if (authFile) sessionCache.delete(authFile);
+  else sessionCache.clear();
+}
+
+module.exports = {
+  AUTH_DIR,
+  AUTH_TYPES,
+  validateAuthConfig,
+  getAuthFile,
+  saveAuthConfig,
+  deleteAuthConfig,
+  describeAuth,
+  runLogin,
+  resolveStorageState,
+  clearSessionCache
+};
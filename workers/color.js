@@ -0,0 +1,257 @@
+/**
+ * Color - Text contrast against the effective background
+ * /workers/color.js
+ */
+
+const { installIdentity, assignElementIds } = require('./identity');
+
+/**
+ * Text elements sampled in the page, and kept per viewport
+ */
+const MAX_SAMPLES = 500;
+const MAX_TEXT_ELEMENTS = 200;
+
+/**
+ * Minimum contrast ratios (WCAG 1.4.3 and 1.4.6)
+ */
+const CONTRAST_THRESHOLDS = {
+  aa: { normal: 4.5, large: 3 },
+  aaa: { normal: 7, large: 4.5 }
+};
+
+/**
+ * Page canvas behind everything
+ */
+const WHITE = [255, 255, 255, 1];
+
+/**
+ * Runs in the page: colors behind each element with its own text
+ * Returns [{ order, selector, xpath, text, box, color, layers, backgroundImage, fontSize, fontWeight }]
+ * with colors as [r, g, b, a] and layers listed top-down, ending at the
+ * first opaque one.
+ */
+function collectTextColors({ maxSamples }) {
+  // Any CSS color to sRGB [r, g, b, a], by painting it
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = 1;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const cache = new Map();
+  const toRgba = (value) => {
+    if (!cache.has(value)) {
+      ctx.clearRect(0, 0, 1, 1);
+      ctx.fillStyle = '#000';
+      ctx.fillStyle = value;
+      ctx.fillRect(0, 0, 1, 1);
+      const [r, g, b, a] = ctx.getImageData(0, 0, 1, 1).data;
+      cache.set(value, [r, g, b, Math.round((a / 255) * 1000) / 1000]);
+    }
+    return cache.get(value);
+  };
+
+  const { selector: selectorFor, xpath: xpathFor } = window.__sitemapIdentity;
+
+  // Elements with a text node of their own, in document order
+  const candidates = [];
+  const seen = new Set();
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode() && candidates.length < maxSamples) {
+    const node = walker.currentNode;
+    const el = node.parentElement;
+    if (!el || seen.has(el) || !node.textContent.trim() || el.closest('script, style, noscript, template, svg, select')) continue;
+    seen.add(el);
+
+    const style = getComputedStyle(el);
+    if (style.visibility === 'hidden' || style.display === 'none') continue;
+    const rect = el.getBoundingClientRect();
+    // Skips visually hidden (sr-only) text as well
+    if (rect.width <= 1 || rect.height <= 1) continue;
+
+    const range = document.createRange();
+    range.selectNodeContents(node);
+    const textRect = range.getClientRects()[0];
+    if (!textRect) continue;
+
+    candidates.push({
+      order: candidates.length,
+      el,
+      style,
+      rect,
+      point: { x: textRect.left + textRect.width / 2 + window.scrollX, y: textRect.top + textRect.height / 2 + window.scrollY }
+    });
+  }
+
+  // Backgrounds beneath a point, painted ones first; falls back to ancestors
+  // when the point can't be hit-tested (off screen or pointer-events: none)
+  const stackAt = (el, point) => {
+    const x = point.x - window.scrollX;
+    const y = point.y - window.scrollY;
+    if (x >= 0 && y >= 0 && x < window.innerWidth && y < window.innerHeight) {
+      const stack = document.elementsFromPoint(x, y);
+      const index = stack.indexOf(el);
+      if (index !== -1) return stack.slice(index);
+    }
+    const ancestors = [];
+    for (let node = el; node; node = node.parentElement) ancestors.push(node);
+    return ancestors;
+  };
+
+  // Hit-test one viewport-height band at a time, then restore the scroll
+  const startX = window.scrollX;
+  const startY = window.scrollY;
+  candidates.sort((a, b) => a.point.y - b.point.y);
+
+  const samples = candidates.map(({ order, el, style, rect, point }) => {
+    if (point.y < window.scrollY || point.y >= window.scrollY + window.innerHeight) {
+      window.scrollTo({ left: startX, top: Math.max(0, point.y - window.innerHeight / 2), behavior: 'instant' });
+    }
+
+    const layers = [];
+    let backgroundImage = false;
+    for (const node of stackAt(el, point)) {
+      const nodeStyle = getComputedStyle(node);
+      if (nodeStyle.backgroundImage !== 'none') {
+        backgroundImage = true;
+        break;
+      }
+      const layer = toRgba(nodeStyle.backgroundColor);
+      if (layer[3] === 0) continue;
+      layers.push(layer);
+      if (layer[3] === 1) break;
+    }
+
+    // Opacity on the element or its ancestors fades the text
+    const color = toRgba(style.color).slice();
+    for (let node = el; node; node = node.parentElement) {
+      color[3] *= parseFloat(getComputedStyle(node).opacity);
+    }
+
+    return {
+      order,
+      selector: selectorFor(el),
+      xpath: xpathFor(el),
+      text: el.textContent.replace(/\s+/g, ' ').trim().substring(0, 100),
+      box: {
+        x: Math.round(rect.left + startX),
+        y: Math.round(rect.top + startY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      },
+      color,
+      layers,
+      backgroundImage,
+      fontSize: parseFloat(style.fontSize),
+      fontWeight: parseInt(style.fontWeight, 10) || 400
+    };
+  });
+
+  window.scrollTo({ left: startX, top: startY, behavior: 'instant' });
+  return samples;
+}
+
+/**
+ * Alpha-composite `top` over `bottom`
+ */
+function blend(top, bottom) {
+  const alpha = top[3] + bottom[3] * (1 - top[3]);
+  if (alpha === 0) return [0, 0, 0, 0];
+  const channel = (i) => (top[i] * top[3] + bottom[i] * bottom[3] * (1 - top[3])) / alpha;
+  return [channel(0), channel(1), channel(2), alpha];
+}
+
+/**
+ * WCAG relative luminance of an sRGB color
+ */
+function luminance([r, g, b]) {
+  const linear = (value) => {
+    const c = value / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * Contrast ratio between two opaque colors, 1 to 21
+ */
+function contrastRatio(foreground, background) {
+  const [light, dark] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+/**
+ * 18pt, or 14pt bold (1pt = 4/3 CSS px)
+ */
+function isLargeText(fontSize, fontWeight) {
+  return fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+}
+
+const toHex = (color) => `#${color.slice(0, 3).map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * Contrast of one sample: layers are composited over white, then the text
+ * color over the result. With a background image the ratio is measured
+ * against the colors beneath it and may be wrong.
+ */
+function measureContrast(sample) {
+  let background = WHITE;
+  for (const layer of sample.layers.slice().reverse()) {
+    background = blend(layer, background);
+  }
+  const foreground = blend(sample.color, background);
+  const ratio = Math.floor(contrastRatio(foreground, background) * 100) / 100;
+  const large = isLargeText(sample.fontSize, sample.fontWeight);
+  const size = large ? 'large' : 'normal';
+
+  return {
+    ratio,
+    foreground: toHex(foreground),
+    background: toHex(background),
+    backgroundImage: sample.backgroundImage,
+    fontSize: sample.fontSize,
+    fontWeight: sample.fontWeight,
+    large,
+    required: CONTRAST_THRESHOLDS.aa[size],
+    aa: ratio >= CONTRAST_THRESHOLDS.aa[size],
+    aaa: ratio >= CONTRAST_THRESHOLDS.aaa[size]
+  };
+}
+
+/**
+ * `text` elements with contrast data for a loaded page
+ * Elements failing AA are kept first when the page has more than
+ * MAX_TEXT_ELEMENTS; the result is in document order, with
+ * fingerprint-based IDs (`el_text_…`).
+ */
+async function extractTextContrast(page, viewport) {
+  await installIdentity(page);
+  const samples = (await page.evaluate(collectTextColors, { maxSamples: MAX_SAMPLES })) || [];
+  const measured = samples
+    .map(sample => ({ sample, contrast: measureContrast(sample) }))
+    .sort((a, b) => a.sample.order - b.sample.order);
+
+  const failing = measured.filter(m => !m.contrast.aa);
+  const kept = new Set(failing.slice(0, MAX_TEXT_ELEMENTS));
+  for (const m of measured) {
+    if (kept.size >= MAX_TEXT_ELEMENTS) break;
+    kept.add(m);
+  }
+
+  return assignElementIds(measured
+    .filter(m => kept.has(m))
+    .map(m => ({
+      id: 'el_text',
+      type: 'text',
+      text: m.sample.text,
+      selector: m.sample.selector,
+      xpath: m.sample.xpath,
+      contrast: m.contrast,
+      [viewport]: m.sample.box
+    })));
+}
+
+module.exports = {
+  CONTRAST_THRESHOLDS,
+  contrastRatio,
+  isLargeText,
+  measureContrast,
+  extractTextContrast
+};
@@ -0,0 +1,292 @@
+/**
+ * Components - Repeated DOM structures and the cross-page component catalog
+ * /workers/components.js
+ */
+
+const { fnv1a, installIdentity, assignElementIds } = require('./identity');
+
+/**
+ * Component instances recorded per page and viewport
+ */
+const MAX_INSTANCES = 100;
+
+/**
+ * Smallest box (CSS px) worth recording as a component
+ */
+const MIN_SIZE = { width: 60, height: 30 };
+
+/**
+ * Fewest tags in a fingerprint, so bare links and list items don't count
+ */
+const MIN_TAGS = 3;
+
+/**
+ * Catalog limits
+ */
+const MAX_COMPONENTS = 50;
+const MAX_VARIANTS = 6;
+
+/**
+ * Runs in the page: landmarks, top-level sections and groups of sibling
+ * blocks with the same structure (cards, plans, posts)
+ * A fingerprint is the tag tree two levels down, and `structure` three
+ * levels down; runs of identical children collapse, so a list of three
+ * items and one of five look alike.
+ */
+function collectComponents({ maxInstances, minWidth, minHeight, minTags }) {
+  const IGNORED = new Set(['script', 'style', 'noscript', 'template', 'link', 'meta', 'br']);
+  const LANDMARKS = [
+    ['header', 'header, [role="banner"]'],
+    ['footer', 'footer, [role="contentinfo"]'],
+    ['nav', 'nav, [role="navigation"]'],
+    ['sidebar', 'aside, [role="complementary"]']
+  ];
+  const NAMES = [
+    ['pricing', /pric|plan|tier/],
+    ['testimonial', /testimonial|review|quote/],
+    ['product', /product/],
+    ['post', /post|article|blog|news/],
+    ['feature', /feature|benefit/],
+    ['person', /team|member|person|author/],
+    ['faq', /faq|accordion|question/],
+    ['logo', /logo|client|partner/],
+    ['hero', /hero|banner|jumbotron/],
+    ['cta', /cta|call-to-action|signup|newsletter/]
+  ];
+
+  const shape = (el, depth) => {
+    const tag = el.tagName.toLowerCase();
+    if (depth === 0 || tag === 'svg') return tag;
+    const children = [];
+    for (const child of el.children) {
+      if (IGNORED.has(child.tagName.toLowerCase())) continue;
+      const childShape = shape(child, depth - 1);
+      if (children[children.length - 1] !== childShape) children.push(childShape);
+    }
+    return children.length > 0 ? `${tag}(${children.join(',')})` : tag;
+  };
+  const tagCount = (fingerprint) => fingerprint.split(/[(,]/).length;
+  const classesOf = (el) => (typeof el.className === 'string' ? el.className.trim().split(/\s+/) : [])
+    .filter(c => c && !/^[0-9]/.test(c)).slice(0, 6);
+  const nameFor = (el, fallback) => {
+    const hint = `${el.id} ${classesOf(el).join(' ')}`.toLowerCase();
+    const match = NAMES.find(([, pattern]) => pattern.test(hint));
+    if (match) return match[0];
+    return el.tagName === 'ARTICLE' ? 'post' : fallback;
+  };
+  const { selector: selectorFor, xpath: xpathFor } = window.__sitemapIdentity;
+  const visible = (el) => {
+    const rect = el.getBoundingClientRect();
+    if (rect.width < minWidth || rect.height < minHeight) return false;
+    const style = getComputedStyle(el);
+    return style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
+  };
+
+  const instances = [];
+  const taken = new Set();
+  const inside = (el, set) => {
+    for (let node = el.parentElement; node; node = node.parentElement) {
+      if (set.has(node)) return true;
+    }
+    return false;
+  };
+  const add = (el, kind, name, repeat = 1) => {
+    if (instances.length >= maxInstances || taken.has(el)) return;
+    taken.add(el);
+    const rect = el.getBoundingClientRect();
+    instances.push({
+      kind,
+      name,
+      fingerprint: shape(el, 2),
+      structure: shape(el, 3),
+      classes: classesOf(el),
+      selector: selectorFor(el),
+      xpath: xpathFor(el),
+      text: (el.innerText || '').replace(/\s+/g, ' ').trim().substring(0, 60),
+      repeat,
+      box: {
+        x: Math.round(rect.left + window.scrollX),
+        y: Math.round(rect.top + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      }
+    });
+  };
+
+  // Landmarks, outermost only
+  const landmarks = new Set();
+  for (const [kind, selector] of LANDMARKS) {
+    for (const el of document.querySelectorAll(selector)) {
+      if (el.parentElement?.closest(selector) || !visible(el)) continue;
+      landmarks.add(el);
+      add(el, kind, kind);
+    }
+  }
+
+  // Top-level sections: children of <main>, or of the first element
+  // below <body> with more than one child
+  let root = document.querySelector('main, [role="main"]') || document.body;
+  for (;;) {
+    const children = Array.from(root.children).filter(child => !IGNORED.has(child.tagName.toLowerCase()));
+    if (children.length !== 1) break;
+    root = children[0];
+  }
+  const sections = [...root.children, ...document.querySelectorAll('section')];
+  for (const el of sections) {
+    if (landmarks.has(el) || inside(el, landmarks) || !visible(el)) continue;
+    if (el.tagName === 'SECTION' && el.parentElement?.closest('section')) continue;
+    if (tagCount(shape(el, 2)) < minTags) continue;
+    add(el, 'section', nameFor(el, 'section'));
+  }
+
+  // Sibling groups sharing a fingerprint; blocks inside landmarks belong
+  // to the landmark, and repeated blocks inside repeated blocks are skipped
+  const repeated = new Set();
+  for (const parent of document.body.querySelectorAll('*')) {
+    if (instances.length >= maxInstances) break;
+    if (parent.children.length < 2 || landmarks.has(parent) || inside(parent, landmarks)) continue;
+    if (repeated.has(parent) || inside(parent, repeated)) continue;
+
+    const groups = new Map();
+    for (const child of parent.children) {
+      if (IGNORED.has(child.tagName.toLowerCase())) continue;
+      const fingerprint = shape(child, 2);
+      if (tagCount(fingerprint) < minTags || !visible(child)) continue;
+      groups.set(fingerprint, [...(groups.get(fingerprint) || []), child]);
+    }
+    for (const group of groups.values()) {
+      if (group.length < 2) continue;
+      for (const el of group) {
+        repeated.add(el);
+        add(el, 'repeated', nameFor(el, 'card'), group.length);
+      }
+    }
+  }
+
+  return instances;
+}
+
+/**
+ * Site-wide component ID; the same structure gets the same ID on every page
+ */
+function componentId(kind, fingerprint) {
+  return `cmp_${fnv1a(`${kind}|${fingerprint}`)}`;
+}
+
+/**
+ * Component instances on a loaded page as `component` elements
+ * (`el_cmp_…`, fingerprint-based), with the shared `component` ID and a
+ * box for the viewport
+ */
+async function extractComponents(page, viewport) {
+  await installIdentity(page);
+  const instances = await page.evaluate(collectComponents, {
+    maxInstances: MAX_INSTANCES,
+    minWidth: MIN_SIZE.width,
+    minHeight: MIN_SIZE.height,
+    minTags: MIN_TAGS
+  });
+  if (!Array.isArray(instances)) return [];
+
+  return assignElementIds(instances.map(({ box, ...instance }) => ({
+    id: 'el_cmp',
+    type: 'component',
+    component: componentId(instance.kind, instance.fingerprint),
+    ...instance,
+    [viewport]: box
+  })));
+}
+
+/**
+ * Per-viewport boxes of an element
+ */
+function boxesOf(element) {
+  return Object.fromEntries(Object.entries(element).filter(([, value]) =>
+    value && typeof value === 'object' && !Array.isArray(value) && 'width' in value && 'height' in value));
+}
+
+/**
+ * Cross-page catalog of components seen more than once
+ * Instances are grouped by component ID. Classes on every instance are the
+ * component's `classes`; the rest are a variant's `modifiers`. Variants
+ * differ in modifiers or in structure three levels down.
+ *
+ * Returns [{
+ *   id, kind, name, pages, paths, instances, classes,
+ *   variants: [{ id, modifiers, structureDiffers, count, pages,
+ *     width: [min, max], example: { path, slug, element, boxes } }]
+ * }]
+ */
+function buildCatalog(pages) {
+  const byId = new Map();
+  for (const page of pages || []) {
+    for (const element of page.elements || []) {
+      if (element.type !== 'component') continue;
+      if (!byId.has(element.component)) {
+        byId.set(element.component, { id: element.component, kind: element.kind, name: element.name, found: [] });
+      }
+      byId.get(element.component).found.push({ page, element });
+    }
+  }
+
+  const catalog = [];
+  for (const { id, kind, name, found } of byId.values()) {
+    if (found.length < 2) continue;
+
+    const classes = found.reduce((shared, { element }) =>
+      shared.filter(c => (element.classes || []).includes(c)), found[0].element.classes || []);
+
+    const variants = new Map();
+    for (const { page, element } of found) {
+      const modifiers = (element.classes || []).filter(c => !classes.includes(c)).sort();
+      const key = `${element.structure}|${modifiers.join(' ')}`;
+      if (!variants.has(key)) {
+        variants.set(key, {
+          modifiers,
+          structure: element.structure,
+          count: 0,
+          paths: new Set(),
+          widths: [],
+          example: { path: page.path, slug: page.slug, element: element.id, boxes: boxesOf(element) }
+        });
+      }
+      const variant = variants.get(key);
+      variant.count++;
+      variant.paths.add(page.path);
+      const [box] = Object.values(boxesOf(element));
+      if (box) variant.widths.push(box.width);
+    }
+
+    const sorted = Array.from(variants.values()).sort((a, b) => b.count - a.count);
+    const paths = Array.from(new Set(found.map(({ page }) => page.path)));
+    catalog.push({
+      id,
+      kind,
+      name,
+      pages: paths.length,
+      paths,
+      instances: found.length,
+      classes,
+      variants: sorted.slice(0, MAX_VARIANTS).map((variant, i) => ({
+        id: `${id}_v${i + 1}`,
+        modifiers: variant.modifiers,
+        structureDiffers: variant.structure !== sorted[0].structure,
+        count: variant.count,
+        pages: variant.paths.size,
+        width: variant.widths.length > 0 ? [Math.min(...variant.widths), Math.max(...variant.widths)] : null,
+        example: variant.example
+      }))
+    });
+  }
+
+  return catalog
+    .sort((a, b) => b.pages - a.pages || b.instances - a.instances)
+    .slice(0, MAX_COMPONENTS);
+}
+
+module.exports = {
+  MAX_INSTANCES,
+  componentId,
+  extractComponents,
+  buildCatalog
+};
@@ -4,6 +4,13 @@
  */
 
 const { WorkerPool, JOB_TYPES, generateId } = require('./pool');
+const { AUTH_DIR, validateAuthConfig, getAuthFile, saveAuthConfig, deleteAuthConfig, describeAuth } = require('./auth');
+const { normalizeStabilize } = require('./stabilize');
+const { normalizeCrops } = require('./crops');
+const { normalizeInteractions } = require('./interactions');
+const { normalizeFlows } = require('./flows');
+const { hreflangIndex } = require('./structured');
+const { mergeRedirectedPages } = require('./redirects');
 const path = require('path');
 const fs = require('fs').promises;
 
@@ -26,6 +33,7 @@ const PROJECT_STATUS = {
 class Coordinator {
   constructor(options = {}) {
     this.capturesDir = options.capturesDir || './captures';
+    this.authDir = options.authDir || AUTH_DIR;
     this.pool = new WorkerPool(options.poolConfig);
     this.projects = new Map();
     
@@ -37,17 +45,9 @@ class Coordinator {
    * Set up pool event handlers for job flow
    */
   setupEventHandlers() {
-    // When a scan job completes, queue an analyze job
+    // Analyze jobs are queued once every scan is done (see queueAnalysis)
     this.pool.on('job:complete', (job) => {
-      if (job.type === JOB_TYPES.SCAN && job.result) {
-        // Queue analysis for this page
-        this.pool.addJob(JOB_TYPES.ANALYZE, {
-          projectId: job.payload.projectId,
-          site: job.payload.site,
-          page: job.payload.page,
-          extracted: job.result.extracted
-        }, { priority: 3 });
-        
+      if (job.type === JOB_TYPES.SCAN) {
         this.updateProjectStatus(job.payload.projectId);
       }
       
@@ -71,6 +71,9 @@ class Coordinator {
     if (handlers.scan) {
       this.pool.registerHandler(JOB_TYPES.SCAN, handlers.scan);
     }
+    if (handlers.flow) {
+      this.pool.registerHandler(JOB_TYPES.FLOW, handlers.flow);
+    }
     if (handlers.analyze) {
       this.pool.registerHandler(JOB_TYPES.ANALYZE, handlers.analyze);
     }
@@ -83,6 +86,8 @@ class Coordinator {
    * Create a new project
    */
   async createProject(config) {
+    if (config.auth) validateAuthConfig(config.auth);
+    
     const projectId = generateId('proj');
     const timestamp = new Date().toISOString();
     
@@ -93,12 +98,46 @@ class Coordinator {
       config: {
         maxDepth: config.maxDepth || 3,
         maxPagesPerSite: config.maxPagesPerSite || 50,
+        useSitemap: config.useSitemap !== false,
+        respectRobots: config.respectRobots !== false,
+        crawlDelay: config.crawlDelay || 0,
+        maxRequestsPerSecond: config.maxRequestsPerSecond || 0,
+        include: config.include || [],
+        exclude: config.exclude || [],
+        keepParams: config.keepParams || [],
+        stripParams: config.stripParams || [],
+        // Single-page app: wait for idle and click through client-side navigation
+        spa: config.spa === true,
+        // Broken-link and redirect checks after discovery
+        checkLinks: config.checkLinks !== false,
+        maxLinkChecks: config.maxLinkChecks || 500,
+        // Named viewports (presets, device names or sizes); null = desktop + mobile
+        viewports: config.viewports || null,
+        // Extra passes under emulated media: dark, reduced-motion, forced-colors
+        variants: config.variants || [],
+        // Frozen animations, fixed clock and masked regions for comparable captures
+        stabilize: normalizeStabilize(config.stabilize),
+        // Tab through each page and check focus indicators (slower)
+        focusOrder: config.focusOrder === true,
+        // Save a cropped screenshot per element: true (PNG), 'png' or 'webp'
+        crops: normalizeCrops(config.crops),
+        // Steps (click, hover, press, wait) captured as extra page states
+        interactions: normalizeInteractions(config.interactions),
+        // Multi-step journeys (signup, checkout) captured step by step on the primary site
+        flows: normalizeFlows(config.flows),
         captureDesktop: config.captureDesktop !== false,
         captureMobile: config.captureMobile !== false,
         scrollDelay: config.scrollDelay || 150,
+        overlays: {
+          auto: config.overlays?.auto !== false,
+          click: config.overlays?.click || [],
+          hide: config.overlays?.hide || []
+        },
         concurrency: config.concurrency || 4,
         llm: config.llm || { provider: 'ollama', model: 'llama3.2' }
       },
+      // Credentials are stored in authDir, never in the manifest
+      auth: null,
       sites: config.sites.map((site, index) => ({
         url: site.url,
         role: index === 0 ? 'primary' : 'competitor',
@@ -113,6 +152,8 @@ class Coordinator {
         discoverTotal: config.sites.length,
         scanComplete: 0,
         scanTotal: 0,
+        flowComplete: 0,
+        flowTotal: 0,
         analyzeComplete: 0,
         analyzeTotal: 0
       }
@@ -122,6 +163,11 @@ class Coordinator {
     const projectDir = path.join(this.capturesDir, projectId);
     await fs.mkdir(projectDir, { recursive: true });
     
+    if (config.auth) {
+      saveAuthConfig(this.authDir, projectId, config.auth);
+      project.auth = describeAuth(config.auth);
+    }
+    
     // Save manifest
     await this.saveManifest(project);
     
@@ -131,6 +177,41 @@ class Coordinator {
     return project;
   }
 
+  /**
+   * Store or replace a project's auth config
+   */
+  async setProjectAuth(projectId, auth) {
+    const project = this.projects.get(projectId);
+    if (!project) throw new Error(`Project not found: ${projectId}`);
+    
+    saveAuthConfig(this.authDir, projectId, auth);
+    project.auth = describeAuth(auth);
+    
+    await this.saveManifest(project);
+    return project;
+  }
+
+  /**
+   * Remove a project's auth config
+   */
+  async clearProjectAuth(projectId) {
+    const project = this.projects.get(projectId);
+    if (!project) throw new Error(`Project not found: ${projectId}`);
+    
+    deleteAuthConfig(this.authDir, projectId);
+    project.auth = null;
+    
+    await this.saveManifest(project);
+    return project;
+  }
+
+  /**
+   * Auth file passed to scanner jobs, or null
+   */
+  getProjectAuthFile(project) {
+    return project.auth ? getAuthFile(this.authDir, project.id) : null;
+  }
+
   /**
    * Start discovery for all sites in a project
    */
@@ -148,7 +229,19 @@ class Coordinator {
         site: site.url,
         options: {
           maxDepth: project.config.maxDepth,
-          maxPages: project.config.maxPagesPerSite
+          maxPages: project.config.maxPagesPerSite,
+          useSitemap: project.config.useSitemap,
+          respectRobots: project.config.respectRobots,
+          crawlDelay: project.config.crawlDelay,
+          maxRequestsPerSecond: project.config.maxRequestsPerSecond,
+          include: project.config.include,
+          exclude: project.config.exclude,
+          keepParams: project.config.keepParams,
+          stripParams: project.config.stripParams,
+          spa: project.config.spa,
+          checkLinks: project.config.checkLinks,
+          maxLinkChecks: project.config.maxLinkChecks,
+          authFile: this.getProjectAuthFile(project)
         }
       }, { priority: 1 });
     }
@@ -167,6 +260,23 @@ class Coordinator {
     project.status = PROJECT_STATUS.SCANNING;
     project.progress.phase = 'scanning';
     project.progress.scanTotal = pages.length;
+    project.progress.flowTotal = project.config.flows.length;
+    
+    const options = {
+      viewports: project.config.viewports,
+      variants: project.config.variants,
+      stabilize: project.config.stabilize,
+      focusOrder: project.config.focusOrder,
+      crops: project.config.crops,
+      interactions: project.config.interactions,
+      captureDesktop: project.config.captureDesktop,
+      captureMobile: project.config.captureMobile,
+      scrollDelay: project.config.scrollDelay,
+      overlays: project.config.overlays,
+      respectRobots: project.config.respectRobots,
+      maxRequestsPerSecond: project.config.maxRequestsPerSecond,
+      authFile: this.getProjectAuthFile(project)
+    };
     
     // Create site directories and queue scan jobs
     for (const page of pages) {
@@ -184,13 +294,31 @@ class Coordinator {
           url: page.url,
           path: page.path,
           title: page.title,
+          slug: page.slug,
           depth: page.depth,
-          parent: page.parent
+          parent: page.parent,
+          // Link check results from discovery
+          health: page.health
         },
         options: {
-          captureDesktop: project.config.captureDesktop,
-          captureMobile: project.config.captureMobile,
-          scrollDelay: project.config.scrollDelay
+          ...options,
+          // Explicit project delay wins over the site's Crawl-delay
+          crawlDelay: project.config.crawlDelay || page.crawlDelay || 0
+        }
+      }, { priority: 2 });
+    }
+    
+    // Each flow is one job: its steps share a browser session
+    const primary = project.sites[0].url;
+    const primaryPage = pages.find(p => p.site === primary);
+    for (const flow of project.config.flows) {
+      this.pool.addJob(JOB_TYPES.FLOW, {
+        projectId,
+        site: primary,
+        flow,
+        options: {
+          ...options,
+          crawlDelay: project.config.crawlDelay || primaryPage?.crawlDelay || 0
         }
       }, { priority: 2 });
     }
@@ -199,6 +327,77 @@ class Coordinator {
     return project;
   }
 
+  /**
+   * Queue an analyze job per scanned page
+   * Runs after the last scan, so hreflang return links are checked against
+   * the alternates of every page in the project.
+   */
+  queueAnalysis(projectId, scanJobs) {
+    const alternates = hreflangIndex(scanJobs.map(job => job.result));
+    
+    for (const job of scanJobs) {
+      this.pool.addJob(JOB_TYPES.ANALYZE, {
+        projectId,
+        site: job.payload.site,
+        page: job.payload.page,
+        extracted: job.result.extracted,
+        elements: job.result.elements,
+        performance: job.result.performance,
+        accessibility: job.result.accessibility,
+        focusOrder: job.result.focusOrder,
+        layoutChanges: job.result.layoutChanges,
+        // Page errors from the scan plus link checks from discovery
+        health: job.result.health || job.payload.page.health
+          ? { ...job.payload.page.health, ...job.result.health }
+          : null,
+        hreflangIndex: alternates
+      }, { priority: 3 });
+    }
+  }
+
+  /**
+   * Write each site's sitemap.json from its scan results
+   * Pages that redirect to another scanned page become aliases of it,
+   * as in the web UI capture. Screenshot paths are relative to the site folder.
+   */
+  async writeSitemaps(project, scanJobs) {
+    const capturedAt = new Date();
+    
+    for (const site of project.sites) {
+      const siteDir = path.join(this.capturesDir, project.id, `site_${this.sanitizeDomain(site.url)}`);
+      const pages = scanJobs
+        .filter(job => job.payload.site === site.url)
+        .map(job => {
+          const { page, timing, ...result } = job.result;
+          const screenshots = {};
+          for (const [name, file] of Object.entries(result.screenshots || {})) {
+            screenshots[name] = `screenshots/${path.basename(file)}`;
+          }
+          // Crops are saved in screenshots/crops/
+          const elements = (result.elements || []).map(element => {
+            if (!element.crops) return element;
+            const crops = {};
+            for (const [name, file] of Object.entries(element.crops)) {
+              crops[name] = `screenshots/crops/${path.basename(file)}`;
+            }
+            return { ...element, crops };
+          });
+          return { ...job.payload.page, ...result, screenshots, elements, status: result.skipped ? 'skipped' : 'done' };
+        });
+      if (pages.length === 0) continue;
+      
+      const sitemap = {
+        site: new URL(site.url).hostname,
+        url: site.url,
+        role: site.role,
+        captured_at: capturedAt.toISOString().split('T')[0],
+        pages: mergeRedirectedPages(pages, site.url)
+      };
+      await fs.mkdir(siteDir, { recursive: true });
+      await fs.writeFile(path.join(siteDir, 'sitemap.json'), JSON.stringify(sitemap, null, 2));
+    }
+  }
+
   /**
    * Start synthesis after analysis is complete
    */
@@ -231,6 +430,7 @@ class Coordinator {
     const byType = progress.byType || {};
     project.progress.discoverComplete = byType.discover?.complete || 0;
     project.progress.scanComplete = byType.scan?.complete || 0;
+    project.progress.flowComplete = byType.flow?.complete || 0;
     project.progress.analyzeComplete = byType.analyze?.complete || 0;
     
     // Check phase transitions
@@ -248,7 +448,8 @@ class Coordinator {
           if (job.result?.pages) {
             pages.push(...job.result.pages.map(p => ({
               ...p,
-              site: job.payload.site
+              site: job.payload.site,
+              crawlDelay: job.result.crawlDelay
             })));
           }
         }
@@ -263,16 +464,29 @@ class Coordinator {
     }
     
     if (project.status === PROJECT_STATUS.SCANNING) {
-      const scanJobs = this.pool.getProjectJobs(projectId)
-        .filter(j => j.type === JOB_TYPES.SCAN);
+      const jobs = this.pool.getProjectJobs(projectId);
+      const scanJobs = jobs.filter(j => j.type === JOB_TYPES.SCAN);
+      const flowJobs = jobs.filter(j => j.type === JOB_TYPES.FLOW);
       
+      // Flows finish with the page scans
       const allScanned = scanJobs.length > 0 &&
-        scanJobs.every(j => j.status === 'complete' || j.status === 'failed');
+        [...scanJobs, ...flowJobs].every(j => j.status === 'complete' || j.status === 'failed');
       
       if (allScanned) {
+        const complete = scanJobs.filter(j => j.status === 'complete' && j.result);
+        // Pages skipped because of robots.txt have nothing to analyze
+        const scanned = complete.filter(j => !j.result.skipped);
         project.status = PROJECT_STATUS.ANALYZING;
         project.progress.phase = 'analyzing';
-        project.progress.analyzeTotal = scanJobs.filter(j => j.status === 'complete').length;
+        project.progress.analyzeTotal = scanned.length;
+        
+        if (project.progress.analyzeTotal === 0) {
+          project.status = PROJECT_STATUS.FAILED;
+          project.error = 'No pages scanned';
+        } else {
+          this.queueAnalysis(projectId, scanned);
+        }
+        await this.writeSitemaps(project, complete);
       }
     }
     
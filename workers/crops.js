@@ -0,0 +1,178 @@
+/**
+ * Crops - Per-element screenshots saved next to the full-page captures
+ * /workers/crops.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Supported crop formats
+ */
+const CROP_FORMATS = ['png', 'webp'];
+
+/**
+ * Crops per page and viewport, in element order
+ */
+const MAX_CROPS = 150;
+
+/**
+ * Smallest side (CSS px) worth cropping, and the tallest crop
+ */
+const MIN_CROP_SIZE = 4;
+const MAX_CROP_HEIGHT = 4000;
+
+/**
+ * WebP encoder quality (0-1)
+ */
+const WEBP_QUALITY = 0.9;
+
+/**
+ * Validate the crops option
+ * Accepts true (PNG), a format name or { format }. Returns null when
+ * crops are off.
+ */
+function normalizeCrops(crops) {
+  if (!crops) return null;
+  const format = crops === true ? 'png' : typeof crops === 'string' ? crops : crops.format || 'png';
+  if (!CROP_FORMATS.includes(format)) {
+    throw new Error(`crops.format must be ${CROP_FORMATS.join(' or ')}, got "${format}"`);
+  }
+  return { format };
+}
+
+/**
+ * Screenshot clip for an element box (document coordinates), kept
+ * inside the page width; null when the element is too small
+ */
+function clipFor(box, viewportSize) {
+  if (!box) return null;
+  const x = Math.max(0, box.x);
+  const y = Math.max(0, box.y);
+  const right = viewportSize ? Math.min(box.x + box.width, viewportSize.width) : box.x + box.width;
+  const width = right - x;
+  const height = Math.min(box.y + box.height - y, MAX_CROP_HEIGHT);
+  if (width < MIN_CROP_SIZE || height < MIN_CROP_SIZE) return null;
+  return { x, y, width, height };
+}
+
+/**
+ * Runs in the page: PNG (base64) re-encoded as WebP (base64)
+ * Playwright only encodes PNG and JPEG. createImageBitmap is not subject
+ * to the page's CSP, unlike data: URLs.
+ */
+async function encodeWebp({ png, quality }) {
+  const bytes = Uint8Array.from(atob(png), c => c.charCodeAt(0));
+  const bitmap = await createImageBitmap(new Blob([bytes], { type: 'image/png' }));
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  const webp = new Uint8Array(await (await canvas.convertToBlob({ type: 'image/webp', quality })).arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < webp.length; i += 0x8000) {
+    binary += String.fromCharCode(...webp.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Save a crop of each element at one viewport
+ * Sets element.crops = { [viewport]: file } and returns the number of
+ * files written. Text elements that meet AA contrast are skipped
+ * (insights don't reference them); elements with the same box share a
+ * file. screenshotOptions carries the full-page screenshot's masks and
+ * animation setting.
+ */
+async function cropElements(page, elements, viewport, fileFor, { format }, screenshotOptions = {}) {
+  const filesByClip = new Map();
+  let saved = 0;
+
+  for (const element of elements) {
+    if (saved >= MAX_CROPS) break;
+    if (element.type === 'text' && element.contrast?.aa !== false) continue;
+    const clip = clipFor(element[viewport], page.viewportSize());
+    if (!clip) continue;
+    const key = `${clip.x},${clip.y},${clip.width},${clip.height}`;
+    if (filesByClip.has(key)) {
+      element.crops = { ...element.crops, [viewport]: filesByClip.get(key) };
+      continue;
+    }
+
+    const file = fileFor(element, format);
+    try {
+      const png = await page.screenshot({ ...screenshotOptions, clip, fullPage: true, type: 'png' });
+      const bytes = format === 'webp'
+        ? Buffer.from(await page.evaluate(encodeWebp, { png: png.toString('base64'), quality: WEBP_QUALITY }), 'base64')
+        : png;
+      await fs.promises.writeFile(file, bytes);
+      element.crops = { ...element.crops, [viewport]: file };
+      filesByClip.set(key, file);
+      saved++;
+    } catch (error) {
+      console.warn(`Crop failed for ${element.id} (${viewport}): ${error.message}`);
+    }
+  }
+
+  return saved;
+}
+
+/**
+ * Crop file for an element in a sitemap
+ * page is a slug or path (defaults to the first page with the element),
+ * viewport defaults to the first viewport the element was cropped at.
+ * Returns { page, viewport, file } or null.
+ */
+function findCrop(pages, elementId, { page, viewport } = {}) {
+  for (const candidate of pages || []) {
+    if (page && candidate.slug !== page && candidate.path !== page) continue;
+    const element = (candidate.elements || []).find(el => el.id === elementId);
+    if (!element?.crops) continue;
+    const name = viewport || Object.keys(element.crops)[0];
+    if (!element.crops[name]) continue;
+    return { page: candidate.slug, viewport: name, file: element.crops[name] };
+  }
+  return null;
+}
+
+/**
+ * Crop file for an element in a capture folder
+ * Projects have a sitemap per site_* folder, web UI captures one at the
+ * root; crop paths are relative to their sitemap. `site` (hostname or URL)
+ * picks a sitemap, otherwise the first one with a crop of the element wins.
+ * Returns the absolute path of an existing file inside projectDir, or null.
+ */
+function locateCrop(projectDir, elementId, { site, page, viewport } = {}) {
+  let host = site;
+  try {
+    host = new URL(site).hostname;
+  } catch {
+    // Already a hostname
+  }
+
+  const dirs = fs.readdirSync(projectDir, { withFileTypes: true })
+    .filter(d => d.isDirectory() && d.name.startsWith('site_'))
+    .map(d => path.join(projectDir, d.name))
+    .concat(projectDir);
+
+  for (const dir of dirs) {
+    const sitemapPath = path.join(dir, 'sitemap.json');
+    if (!fs.existsSync(sitemapPath)) continue;
+    const sitemap = JSON.parse(fs.readFileSync(sitemapPath, 'utf8'));
+    if (host && sitemap.site !== host) continue;
+
+    const crop = findCrop(sitemap.pages, elementId, { page, viewport });
+    if (!crop) continue;
+    const file = path.resolve(dir, crop.file);
+    if (!file.startsWith(projectDir + path.sep) || !fs.existsSync(file)) return null;
+    return file;
+  }
+  return null;
+}
+
+module.exports = {
+  CROP_FORMATS,
+  MAX_CROPS,
+  normalizeCrops,
+  cropElements,
+  findCrop,
+  locateCrop
+};
@@ -0,0 +1,114 @@
+/**
+ * Flows - scripted multi-step journeys (signup, checkout, search → results
+ * → detail) captured as ordered steps, each with its own URL and screenshot
+ * /workers/flows.js
+ */
+
+const yaml = require('js-yaml');
+const { viewportName } = require('./viewports');
+const { normalizeStep } = require('./interactions');
+
+/**
+ * Steps captured per flow
+ */
+const MAX_FLOW_STEPS = 20;
+
+/**
+ * Parse a flow file (YAML or JSON; JSON is read as YAML)
+ * The document is one flow, a list of flows or { flows: [...] }.
+ */
+function parseFlows(text) {
+  let doc;
+  try {
+    doc = yaml.load(String(text));
+  } catch (error) {
+    throw new Error(`Invalid flow file: ${error.message.split('\n')[0]}`);
+  }
+  if (Array.isArray(doc)) return doc;
+  if (doc && Array.isArray(doc.flows)) return doc.flows;
+  if (doc && typeof doc === 'object') return [doc];
+  throw new Error('Invalid flow file: expected a flow or a list of flows');
+}
+
+/**
+ * Normalize a project's flows
+ *
+ * flows: [{
+ *   name: 'signup',                    // Screenshot prefix and sitemap key
+ *   start: '/pricing',                 // Path on the primary site, or an absolute URL
+ *   viewports: ['desktop'],            // Viewport names; the project's when omitted
+ *   steps: [
+ *     { name: 'Pricing' },             // No actions: the start page as loaded
+ *     { name: 'Sign up', actions: [{ action: 'click', selector: 'a.signup' }] },
+ *     { name: 'Details', actions: [
+ *       { action: 'fill', selector: '#email', value: 'qa@example.com' },
+ *       { action: 'click', selector: 'button[type=submit]' },
+ *       { action: 'wait', selector: '.welcome' }
+ *     ] }
+ *   ]
+ * }]
+ *
+ * Entries may also be flow files as text (see parseFlows). Actions are
+ * interaction steps (interactions.js). Returns [{ name, start, viewports,
+ * steps: [{ name, actions }] }]; throws on invalid entries.
+ */
+function normalizeFlows(flows) {
+  if (!flows) return [];
+  if (typeof flows === 'string') flows = parseFlows(flows);
+  if (!Array.isArray(flows)) {
+    throw new Error('flows must be an array');
+  }
+
+  const normalized = [];
+  for (const entry of flows.flatMap(f => typeof f === 'string' ? parseFlows(f) : [f])) {
+    const name = entry?.name ? viewportName(entry.name) : '';
+    if (!name) {
+      throw new Error('Each flow needs a name');
+    }
+    if (normalized.some(f => f.name === name)) {
+      throw new Error(`Duplicate flow "${name}"`);
+    }
+    if (typeof entry.start !== 'string' || entry.start.trim() === '') {
+      throw new Error(`Flow "${name}" needs a start path or URL`);
+    }
+    if (!Array.isArray(entry.steps) || entry.steps.length === 0) {
+      throw new Error(`Flow "${name}" needs steps`);
+    }
+    if (entry.steps.length > MAX_FLOW_STEPS) {
+      throw new Error(`Flow "${name}" has more than ${MAX_FLOW_STEPS} steps`);
+    }
+
+    const steps = entry.steps.map((step, index) => {
+      const where = `Flow "${name}" step ${index + 1}`;
+      if (step?.actions !== undefined && !Array.isArray(step.actions)) {
+        throw new Error(`${where}: actions must be an array`);
+      }
+      return {
+        name: step?.name ? String(step.name) : `Step ${index + 1}`,
+        actions: (step?.actions || []).map((action, i) => normalizeStep(action, `${where} action ${i + 1}`))
+      };
+    });
+
+    normalized.push({
+      name,
+      start: entry.start.trim(),
+      viewports: entry.viewports ? [].concat(entry.viewports).map(viewportName) : null,
+      steps
+    });
+  }
+  return normalized;
+}
+
+/**
+ * Absolute start URL of a flow on a site
+ */
+function flowStartUrl(flow, site) {
+  return new URL(flow.start, site).href;
+}
+
+module.exports = {
+  MAX_FLOW_STEPS,
+  parseFlows,
+  normalizeFlows,
+  flowStartUrl
+};
@@ -0,0 +1,169 @@
+/**
+ * Focus - Keyboard focus order and focus indicator checks
+ * /workers/focus.js
+ */
+
+const { installIdentity, assignElementIds } = require('./identity');
+
+/**
+ * Tab presses per page
+ */
+const MAX_STOPS = 100;
+
+/**
+ * Pixels around the focused element included in the comparison,
+ * for outlines, offsets and box shadows
+ */
+const FOCUS_PADDING = 6;
+
+/**
+ * Time for focus scrolling and transitions after each Tab
+ */
+const SETTLE_MS = 50;
+
+/**
+ * Runs in the page: the focused element (inside open shadow roots), or
+ * null when focus is back on the document. Elements already visited
+ * return { repeat: index }.
+ */
+function describeFocus(index) {
+  let el = document.activeElement;
+  while (el && el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement;
+  if (!el || el === document.body || el === document.documentElement) return null;
+  if (el.__focusStop !== undefined) return { repeat: el.__focusStop };
+  el.__focusStop = index;
+  window.__focusStopElement = el;
+
+  const { selector: selectorFor, xpath: xpathFor } = window.__sitemapIdentity;
+
+  const rect = el.getBoundingClientRect();
+  const shown = rect.width >= 1 && rect.height >= 1 && getComputedStyle(el).visibility !== 'hidden';
+  return {
+    selector: selectorFor(el),
+    xpath: xpathFor(el),
+    tag: el.tagName.toLowerCase(),
+    role: el.getAttribute('role'),
+    text: (el.innerText || el.getAttribute('aria-label') || el.value || el.getAttribute('title') || '')
+      .replace(/\s+/g, ' ').trim().substring(0, 60),
+    box: shown ? {
+      x: Math.round(rect.left + window.scrollX),
+      y: Math.round(rect.top + window.scrollY),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height)
+    } : null,
+    rect: shown ? { x: rect.left, y: rect.top, width: rect.width, height: rect.height } : null
+  };
+}
+
+/**
+ * Runs in the page: 'start' clears focus and puts the caret at the top of
+ * the page, 'blur' / 'focus' toggle the current stop
+ */
+function focusAction(action) {
+  const el = window.__focusStopElement;
+  if (action === 'blur') {
+    el?.blur();
+  } else if (action === 'focus') {
+    el?.focus({ preventScroll: true });
+  } else {
+    document.activeElement?.blur();
+    window.scrollTo({ left: 0, top: 0, behavior: 'instant' });
+    // Sequential focus navigation starts from the selection
+    const range = document.createRange();
+    range.setStart(document.body, 0);
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+  }
+}
+
+/**
+ * Screenshot region around a viewport rect, or null when it's off screen
+ */
+function clipAround(rect, viewportSize) {
+  if (!rect || !viewportSize) return null;
+  const x = Math.max(0, Math.floor(rect.x - FOCUS_PADDING));
+  const y = Math.max(0, Math.floor(rect.y - FOCUS_PADDING));
+  const right = Math.min(viewportSize.width, Math.ceil(rect.x + rect.width + FOCUS_PADDING));
+  const bottom = Math.min(viewportSize.height, Math.ceil(rect.y + rect.height + FOCUS_PADDING));
+  if (right - x < 1 || bottom - y < 1) return null;
+  return { x, y, width: right - x, height: bottom - y };
+}
+
+/**
+ * Tab through a loaded page
+ * A stop has a visible indicator when its surroundings look different
+ * focused and blurred. focusVisible is null for stops that are hidden
+ * or off screen.
+ *
+ * Returns {
+ *   viewport,
+ *   stops: [{ index, selector, xpath, tag, role, text, box, focusVisible }],
+ *   complete,   // focus left the page or wrapped to the first stop
+ *   trapped,    // focus returned to an earlier stop (WCAG 2.1.2)
+ *   truncated   // MAX_STOPS reached
+ * }
+ */
+async function walkFocusOrder(page, viewport, { maxStops = MAX_STOPS } = {}) {
+  const stops = [];
+  const result = { viewport, stops, complete: false, trapped: false, truncated: false };
+  const shot = (clip) => page.screenshot({ clip, animations: 'disabled', caret: 'hide' });
+
+  await installIdentity(page);
+  await page.evaluate(focusAction, 'start');
+
+  for (let i = 0; i < maxStops; i++) {
+    await page.keyboard.press('Tab');
+    await page.waitForTimeout(SETTLE_MS);
+
+    const focused = await page.evaluate(describeFocus, i);
+    if (!focused || focused.repeat === 0) {
+      result.complete = true;
+      return result;
+    }
+    if (focused.repeat !== undefined) {
+      result.trapped = true;
+      return result;
+    }
+
+    const { rect, ...stop } = focused;
+    let focusVisible = null;
+    const clip = clipAround(rect, page.viewportSize());
+    if (clip) {
+      const withFocus = await shot(clip);
+      await page.evaluate(focusAction, 'blur');
+      const withoutFocus = await shot(clip);
+      await page.evaluate(focusAction, 'focus');
+      focusVisible = !withFocus.equals(withoutFocus);
+    }
+
+    stops.push({ index: i + 1, ...stop, focusVisible });
+  }
+
+  result.truncated = true;
+  return result;
+}
+
+/**
+ * Elements for stops without a visible focus indicator, so insights can
+ * reference them as hotspots (`el_focus_…`, fingerprint-based)
+ */
+function focusElements(focusOrder) {
+  if (!focusOrder) return [];
+  return assignElementIds(focusOrder.stops
+    .filter(stop => stop.box && stop.focusVisible === false)
+    .map(stop => ({
+      id: 'el_focus',
+      type: 'focus',
+      index: stop.index,
+      selector: stop.selector,
+      xpath: stop.xpath,
+      text: stop.text,
+      [focusOrder.viewport]: stop.box
+    })));
+}
+
+module.exports = {
+  MAX_STOPS,
+  walkFocusOrder,
+  focusElements
+};
@@ -0,0 +1,220 @@
+/**
+ * Health - failed requests, console errors and broken links
+ * /workers/health.js
+ */
+
+/**
+ * Entries kept per list, so a noisy page can't bloat sitemap.json
+ */
+const MAX_ENTRIES = 50;
+
+/**
+ * Redirect hops followed before a link is reported as looping
+ */
+const MAX_REDIRECTS = 5;
+
+const LINK_CHECK_DEFAULTS = {
+  concurrency: 4,
+  interval: 0,       // ms between checks (crawl delay); forces one at a time
+  maxChecks: 500,
+  timeout: 15000
+};
+
+/**
+ * Chrome reports CORS failures as a console error naming the URL
+ * ("Access to fetch at 'https://…' from origin … blocked by CORS policy")
+ */
+const CORS_MESSAGE = /Access to \w+ at '([^']+)' from origin .* blocked by CORS policy/;
+
+/**
+ * Reason for a request that never got a response
+ * Aborted requests (navigations, cancelled media ranges) are not failures.
+ */
+function classifyFailure(errorText) {
+  if (/ERR_ABORTED|NS_BINDING_ABORTED/.test(errorText)) return null;
+  if (/BLOCKED/i.test(errorText)) return 'blocked';
+  return 'failed';
+}
+
+/**
+ * Record failed requests, console errors and uncaught exceptions on a page
+ * Call stop() to detach the listeners and get the report:
+ * {
+ *   requests: [{ url, method, resourceType, status, reason: 'http' | 'blocked' | 'cors' | 'failed', error }],
+ *   console: [{ text, url }],
+ *   exceptions: [{ message, stack }],
+ *   errorCount
+ * }
+ */
+function watchPageHealth(page) {
+  const requests = [];
+  const consoleErrors = [];
+  const exceptions = [];
+  const corsUrls = new Set();
+
+  const add = (list, entry, isSame) => {
+    if (list.length >= MAX_ENTRIES || list.some(isSame)) return;
+    list.push(entry);
+  };
+
+  const onResponse = (response) => {
+    const status = response.status();
+    if (status < 400) return;
+    const request = response.request();
+    add(requests, {
+      url: response.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      status,
+      reason: 'http',
+      error: response.statusText() || null
+    }, e => e.url === response.url() && e.status === status);
+  };
+
+  const onRequestFailed = (request) => {
+    const error = request.failure()?.errorText || 'failed';
+    const reason = corsUrls.has(request.url()) ? 'cors' : classifyFailure(error);
+    if (!reason) return;
+    add(requests, {
+      url: request.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      status: null,
+      reason,
+      error
+    }, e => e.url === request.url() && e.status === null);
+  };
+
+  const onConsole = (message) => {
+    if (message.type() !== 'error') return;
+    const text = message.text();
+    add(consoleErrors, { text: text.substring(0, 500), url: message.location()?.url || null }, e => e.text === text.substring(0, 500));
+
+    // The console message may arrive before or after requestfailed
+    const cors = text.match(CORS_MESSAGE);
+    if (cors) {
+      corsUrls.add(cors[1]);
+      const failed = requests.find(e => e.url === cors[1] && e.status === null);
+      if (failed) failed.reason = 'cors';
+    }
+  };
+
+  const onPageError = (error) => {
+    const stack = (error.stack || '').split('\n').slice(1, 4).map(line => line.trim()).join('\n');
+    add(exceptions, { message: error.message, stack: stack || null }, e => e.message === error.message);
+  };
+
+  page.on('response', onResponse);
+  page.on('requestfailed', onRequestFailed);
+  page.on('console', onConsole);
+  page.on('pageerror', onPageError);
+
+  return {
+    stop() {
+      page.off('response', onResponse);
+      page.off('requestfailed', onRequestFailed);
+      page.off('console', onConsole);
+      page.off('pageerror', onPageError);
+      return {
+        requests,
+        console: consoleErrors,
+        exceptions,
+        errorCount: requests.length + consoleErrors.length + exceptions.length
+      };
+    }
+  };
+}
+
+/**
+ * Check one URL without following redirects automatically
+ * request is a Playwright APIRequestContext (shares the browser context's cookies).
+ * Returns { url, status, finalUrl, chain: [{ url, status }], error }
+ */
+async function checkLink(request, url, timeout = LINK_CHECK_DEFAULTS.timeout) {
+  const chain = [];
+  let current = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    let status;
+    let location;
+    try {
+      let response = await request.fetch(current, { method: 'HEAD', maxRedirects: 0, timeout });
+      // Some servers don't implement HEAD
+      if (response.status() === 405 || response.status() === 501) {
+        response = await request.fetch(current, { method: 'GET', maxRedirects: 0, timeout });
+      }
+      status = response.status();
+      location = response.headers().location;
+      await response.dispose();
+    } catch (error) {
+      return { url, status: null, finalUrl: current, chain, error: error.message.split('\n')[0] };
+    }
+
+    if (status >= 300 && status < 400 && location) {
+      chain.push({ url: current, status });
+      current = new URL(location, current).href;
+      continue;
+    }
+    return { url, status, finalUrl: current, chain, error: null };
+  }
+
+  return { url, status: null, finalUrl: current, chain, error: `More than ${MAX_REDIRECTS} redirects` };
+}
+
+/**
+ * Check a list of URLs (deduplicated, capped at maxChecks)
+ * Returns a Map of url -> checkLink() result.
+ */
+async function checkLinks(request, urls, options = {}) {
+  const settings = { ...LINK_CHECK_DEFAULTS };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) settings[key] = value;
+  }
+  const { concurrency, interval, maxChecks, timeout } = settings;
+  const queue = Array.from(new Set(urls)).slice(0, maxChecks);
+  const results = new Map();
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const url = queue.shift();
+      results.set(url, await checkLink(request, url, timeout));
+      if (interval > 0 && queue.length > 0) {
+        await new Promise(resolve => setTimeout(resolve, interval));
+      }
+    }
+  };
+
+  const workers = interval > 0 ? 1 : Math.min(concurrency, queue.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+/**
+ * Per-page link summary from checkLinks() results
+ * { checked, broken: [{ url, status, error }], redirects: [{ url, finalUrl, status, chain }] }
+ */
+function linkReport(hrefs, results) {
+  const report = { checked: 0, broken: [], redirects: [] };
+  for (const url of new Set(hrefs)) {
+    const result = results.get(url);
+    if (!result) continue;
+    report.checked++;
+
+    if (result.status === null || result.status >= 400) {
+      report.broken.push({ url, status: result.status, error: result.error });
+    }
+    if (result.chain.length > 0) {
+      report.redirects.push({ url, finalUrl: result.finalUrl, status: result.status, chain: result.chain });
+    }
+  }
+  return report;
+}
+
+module.exports = {
+  MAX_ENTRIES,
+  classifyFailure,
+  watchPageHealth,
+  checkLink,
+  checkLinks,
+  linkReport
+};
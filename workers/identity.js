@@ -0,0 +1,155 @@
+/**
+ * Identity - Element selectors, fingerprints and IDs that stay the same
+ * across viewports and recaptures
+ * /workers/identity.js
+ */
+
+/**
+ * Runs in the page: defines window.__sitemapIdentity with selector(el),
+ * a unique CSS path, and xpath(el). Every in-page collector names
+ * elements with these, so an element gets one selector whichever module
+ * found it.
+ */
+function defineIdentityHelpers() {
+  if (window.__sitemapIdentity) return;
+
+  // Ids and classes that look generated (CSS-in-JS hashes, framework
+  // counters) change between builds, so paths don't use them
+  const isStable = (name) => !/^[0-9]|[0-9]{3}|^(css|sc|jsx|emotion)-|[:"]/.test(name);
+
+  // Nearest ancestor (or the element) with an id that is stable and
+  // unique in its document or shadow root; paths start there
+  const isAnchor = (node) => node.id && isStable(node.id) &&
+    node.getRootNode().querySelectorAll(`#${CSS.escape(node.id)}`).length === 1;
+
+  // Position among siblings with the same tag (1-based), 0 when alone
+  const tagIndex = (node) => {
+    if (!node.parentElement) return 0;
+    const same = Array.from(node.parentElement.children).filter(c => c.tagName === node.tagName);
+    return same.length > 1 ? same.indexOf(node) + 1 : 0;
+  };
+
+  // Unique CSS path: tag, up to two stable classes and :nth-of-type()
+  // where siblings share a tag, from the anchor (or the root of the
+  // document / shadow root) down
+  const selector = (el) => {
+    if (!el || !el.tagName) return null;
+    const parts = [];
+    for (let node = el; node; node = node.parentElement) {
+      if (isAnchor(node)) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      const classes = (typeof node.className === 'string' ? node.className.split(/\s+/) : [])
+        .filter(c => c && isStable(c)).slice(0, 2);
+      const index = tagIndex(node);
+      parts.unshift(node.tagName.toLowerCase() + classes.map(c => `.${CSS.escape(c)}`).join('') +
+        (index ? `:nth-of-type(${index})` : ''));
+    }
+    return parts.join(' > ');
+  };
+
+  // XPath from the same anchor; null inside shadow roots, which XPath can't reach
+  const xpath = (el) => {
+    if (!el || !el.tagName || el.getRootNode().nodeType !== Node.DOCUMENT_NODE) return null;
+    const steps = [];
+    for (let node = el; node; node = node.parentElement) {
+      if (isAnchor(node)) {
+        return `//*[@id="${node.id}"]` + steps.map(step => `/${step}`).join('');
+      }
+      const index = tagIndex(node);
+      steps.unshift(node.tagName.toLowerCase() + (index ? `[${index}]` : ''));
+    }
+    return '/' + steps.join('/');
+  };
+
+  window.__sitemapIdentity = { selector, xpath };
+}
+
+/**
+ * Make the identity helpers available to page.evaluate() callbacks
+ * Navigation clears them, so collectors call this before each run.
+ */
+async function installIdentity(page) {
+  await page.evaluate(defineIdentityHelpers);
+}
+
+/**
+ * 32-bit FNV-1a hash as 8 hex digits
+ */
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * CSS path without its positional parts, so a sibling inserted above an
+ * element doesn't change it
+ * ('#main > section:nth-of-type(2) > a.btn' -> '#main > section > a.btn')
+ */
+function structuralPath(selector) {
+  return (selector || '').replace(/:nth-of-type\(\d+\)/g, '');
+}
+
+/**
+ * What identifies an element apart from its position among look-alikes:
+ * type, frame / shadow host, structural path and normalized text
+ */
+function identityKey(element) {
+  return [
+    element.type,
+    element.frame || '',
+    element.shadowHost || '',
+    structuralPath(element.selector),
+    (element.text || '').replace(/\s+/g, ' ').trim().toLowerCase()
+  ].join('|');
+}
+
+/**
+ * Content-and-position fingerprint; `occurrence` is the element's index
+ * among elements with the same identity key, in document order
+ */
+function elementFingerprint(element, occurrence = 0) {
+  return fnv1a(`${identityKey(element)}|${occurrence}`);
+}
+
+/**
+ * Replace sequential or prefix-only IDs with ones derived from the
+ * fingerprint: `el_007` becomes `el_3f2a9c1e` and `el_text` becomes
+ * `el_text_9b04d2aa`; the fingerprint is kept as `identity` (component
+ * elements already use `fingerprint` for their tag structure). Elements
+ * must be in document order per type, as extractElements() returns them.
+ */
+function assignElementIds(elements) {
+  const occurrences = new Map();
+  const used = new Set();
+
+  for (const element of elements) {
+    const key = identityKey(element);
+    const occurrence = occurrences.get(key) || 0;
+    occurrences.set(key, occurrence + 1);
+
+    element.identity = elementFingerprint(element, occurrence);
+    const prefix = (element.id || 'el').replace(/_\d+$/, '');
+    let id = `${prefix}_${element.identity}`;
+    // Hash collisions within a page are unlikely, but IDs must be unique
+    for (let n = 2; used.has(id); n++) id = `${prefix}_${element.identity}_${n}`;
+    used.add(id);
+    element.id = id;
+  }
+
+  return elements;
+}
+
+module.exports = {
+  defineIdentityHelpers,
+  installIdentity,
+  fnv1a,
+  structuralPath,
+  elementFingerprint,
+  assignElementIds
+};
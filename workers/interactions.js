@@ -0,0 +1,232 @@
+/**
+ * Interactions - scripted page states (open menus, hovered nav items,
+ * expanded accordions, modals) captured as extra passes
+ * /workers/interactions.js
+ */
+
+const { createUrlRules, isIncluded } = require('./urls');
+const { viewportName } = require('./viewports');
+const { MEDIA_VARIANTS } = require('./variants');
+
+/**
+ * Supported step actions
+ */
+const STEP_ACTIONS = ['click', 'hover', 'press', 'wait', 'fill', 'select', 'check', 'goto'];
+
+/**
+ * Actions that target an element
+ */
+const SELECTOR_ACTIONS = ['click', 'hover', 'fill', 'select', 'check'];
+
+/**
+ * Time a step may wait for its element (ms)
+ */
+const STEP_TIMEOUT = 5000;
+
+/**
+ * Time a goto step may take to load (ms)
+ */
+const NAVIGATION_TIMEOUT = 15000;
+
+/**
+ * Time for menus and accordions to animate after a step
+ */
+const SETTLE_DELAY = 300;
+
+/**
+ * Elements clicked by one `all: true` step
+ */
+const MAX_CLICKS = 20;
+
+/**
+ * Validate one step; throws prefixed with `where` (e.g. 'Interaction "menu-open" step 2')
+ */
+function normalizeStep(step, where) {
+  if (!step || !STEP_ACTIONS.includes(step.action)) {
+    throw new Error(`${where}: action must be ${STEP_ACTIONS.join(', ')}`);
+  }
+  const needsSelector = SELECTOR_ACTIONS.includes(step.action);
+  if (step.selector !== undefined && (typeof step.selector !== 'string' || step.selector.trim() === '')) {
+    throw new Error(`${where}: selector must be a non-empty string`);
+  }
+  if (needsSelector && !step.selector) {
+    throw new Error(`${where}: ${step.action} needs a selector`);
+  }
+  if (step.action === 'press' && !step.key) {
+    throw new Error(`${where}: press needs a key`);
+  }
+  if (step.action === 'wait' && !step.selector && !(step.ms > 0)) {
+    throw new Error(`${where}: wait needs ms or a selector`);
+  }
+  if ((step.action === 'fill' || step.action === 'select') && (step.value === undefined || step.value === null)) {
+    throw new Error(`${where}: ${step.action} needs a value`);
+  }
+  if (step.action === 'goto' && (typeof step.url !== 'string' || step.url.trim() === '')) {
+    throw new Error(`${where}: goto needs a url`);
+  }
+
+  return {
+    action: step.action,
+    ...(step.selector && { selector: step.selector.trim() }),
+    ...(step.action === 'click' && step.all === true && { all: true }),
+    ...(step.action === 'press' && { key: String(step.key) }),
+    ...(step.action === 'wait' && !step.selector && { ms: Math.min(Number(step.ms), 10000) }),
+    ...(step.action === 'fill' && { value: String(step.value) }),
+    ...(step.action === 'select' && { value: Array.isArray(step.value) ? step.value.map(String) : String(step.value) }),
+    ...(step.action === 'check' && step.checked === false && { checked: false }),
+    ...(step.action === 'goto' && { url: step.url.trim() })
+  };
+}
+
+/**
+ * Normalize a project's interaction states
+ *
+ * interactions: [{
+ *   name: 'menu-open',                 // Screenshot suffix and sitemap key
+ *   pages: ['/', '/products/**'],      // URL patterns, as for include (urls.js); all pages when empty
+ *   viewports: ['mobile'],             // Viewport names; all when omitted
+ *   steps: [
+ *     { action: 'click', selector: 'button.hamburger' },
+ *     { action: 'click', selector: '.faq summary', all: true },
+ *     { action: 'hover', selector: 'nav > ul > li:first-child' },
+ *     { action: 'press', key: 'Escape' },
+ *     { action: 'wait', selector: 'nav.drawer' }   // or { action: 'wait', ms: 500 }
+ *   ]
+ *   // Form and navigation actions, mostly used by flows (flows.js):
+ *   // { action: 'fill', selector: '#email', value: 'a@b.co' }
+ *   // { action: 'select', selector: '#plan', value: 'pro' }
+ *   // { action: 'check', selector: '#terms' }        // checked: false unchecks
+ *   // { action: 'goto', url: '/cart' }               // relative to the current page
+ * }]
+ *
+ * Returns [{ name, pages, viewports, steps }]; throws on invalid entries.
+ */
+function normalizeInteractions(interactions) {
+  if (!interactions) return [];
+  if (!Array.isArray(interactions)) {
+    throw new Error('interactions must be an array');
+  }
+
+  const states = [];
+  for (const entry of interactions) {
+    const name = entry?.name ? viewportName(entry.name) : '';
+    if (!name) {
+      throw new Error('Each interaction needs a name');
+    }
+    if (MEDIA_VARIANTS[name]) {
+      throw new Error(`Interaction name "${name}" is taken by a variant`);
+    }
+    if (states.some(s => s.name === name)) {
+      throw new Error(`Duplicate interaction "${name}"`);
+    }
+    if (!Array.isArray(entry.steps) || entry.steps.length === 0) {
+      throw new Error(`Interaction "${name}" needs steps`);
+    }
+
+    const pages = entry.pages ? [].concat(entry.pages) : [];
+    createUrlRules({ include: pages });
+    states.push({
+      name,
+      pages,
+      viewports: entry.viewports ? [].concat(entry.viewports).map(viewportName) : null,
+      steps: entry.steps.map((step, index) => normalizeStep(step, `Interaction "${name}" step ${index + 1}`))
+    });
+  }
+  return states;
+}
+
+/**
+ * Interaction states that apply to a page path
+ */
+function interactionsFor(states, pagePath) {
+  return (states || []).filter(state => isIncluded(createUrlRules({ include: state.pages }), pagePath));
+}
+
+/**
+ * Run one step
+ * waitForHost(url) paces `goto` steps on the host (see WorkerPool.waitForHost).
+ */
+async function runStep(page, step, waitForHost) {
+  switch (step.action) {
+    case 'click': {
+      const targets = page.locator(step.selector);
+      if (!step.all) {
+        await targets.first().click({ timeout: STEP_TIMEOUT });
+        break;
+      }
+      // Expand every match (FAQs, accordions); hidden matches are skipped
+      const count = Math.min(await targets.count(), MAX_CLICKS);
+      let clicked = 0;
+      for (let i = 0; i < count; i++) {
+        const target = targets.nth(i);
+        if (!(await target.isVisible())) continue;
+        await target.click({ timeout: STEP_TIMEOUT });
+        clicked++;
+      }
+      if (clicked === 0) throw new Error(`No visible element matches ${step.selector}`);
+      break;
+    }
+    case 'hover':
+      await page.locator(step.selector).first().hover({ timeout: STEP_TIMEOUT });
+      break;
+    case 'press':
+      if (step.selector) {
+        await page.locator(step.selector).first().press(step.key, { timeout: STEP_TIMEOUT });
+      } else {
+        await page.keyboard.press(step.key);
+      }
+      break;
+    case 'fill':
+      await page.locator(step.selector).first().fill(step.value, { timeout: STEP_TIMEOUT });
+      break;
+    case 'select':
+      await page.locator(step.selector).first().selectOption(step.value, { timeout: STEP_TIMEOUT });
+      break;
+    case 'check':
+      await page.locator(step.selector).first().setChecked(step.checked !== false, { timeout: STEP_TIMEOUT });
+      break;
+    case 'goto': {
+      const url = new URL(step.url, page.url()).href;
+      if (waitForHost) await waitForHost(url);
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: NAVIGATION_TIMEOUT });
+      break;
+    }
+    case 'wait':
+      if (step.selector) {
+        await page.waitForSelector(step.selector, { state: 'visible', timeout: STEP_TIMEOUT });
+      } else {
+        await page.waitForTimeout(step.ms);
+      }
+      return;
+  }
+  await page.waitForTimeout(SETTLE_DELAY);
+}
+
+/**
+ * Run a state's steps in order, stopping at the first failure
+ * Returns null when every step ran, otherwise
+ * { step, action, selector, error } for the failed one (1-based step).
+ */
+async function runSteps(page, steps, waitForHost = null) {
+  for (const [index, step] of steps.entries()) {
+    try {
+      await runStep(page, step, waitForHost);
+    } catch (error) {
+      return {
+        step: index + 1,
+        action: step.action,
+        selector: step.selector || null,
+        error: error.message.split('\n')[0]
+      };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  STEP_ACTIONS,
+  normalizeStep,
+  normalizeInteractions,
+  interactionsFor,
+  runSteps
+};
@@ -164,16 +164,21 @@ class LLMProvider {
  * @param {Array} options.elements - Extracted elements with positions
  */
 function buildAnalysisPrompt(pageData, options = {}) {
-  const { rubric, elements } = options;
+  const { rubric, elements, performance, health, accessibility, focusOrder, layoutChanges } = options;
   
-  // Build elements section if provided
+  // Build elements section if provided (text elements only when their contrast
+  // fails, component instances are listed with the components)
   let elementsSection = '';
-  if (elements && elements.length > 0) {
-    const elementsSummary = elements.map(el => ({
+  const listed = (elements || []).filter(el => el.type !== 'component' && (el.type !== 'text' || el.contrast?.aa === false));
+  if (listed.length > 0) {
+    const elementsSummary = listed.map(el => ({
       id: el.id,
       type: el.type,
       text: el.text?.substring(0, 50) || '',
-      prominence: el.prominence || null
+      prominence: el.prominence || null,
+      // Embedded checkouts, forms and web components
+      ...(el.frame && { frame: el.frame }),
+      ...(el.shadowHost && { shadowHost: el.shadowHost })
     }));
     elementsSection = `
 ELEMENTS DETECTED (reference by ID in insights):
@@ -181,6 +186,103 @@ ${JSON.stringify(elementsSummary, null, 2)}
 `;
   }
   
+  // Build performance section if provided
+  let performanceSection = '';
+  if (performance) {
+    const ms = (value) => (value === null || value === undefined ? 'unknown' : `${value}ms`);
+    performanceSection = `
+PERFORMANCE (lab, single load):
+- LCP: ${ms(performance.lcp)}, CLS: ${performance.cls ?? 'unknown'}, TBT: ${ms(performance.tbt)}, TTFB: ${ms(performance.ttfb)}
+- Transfer size: ${performance.transferSize || 0} bytes in ${performance.requestCount || 0} requests
+`;
+  }
+  
+  // Build health section if provided
+  let healthSection = '';
+  if (health) {
+    healthSection = `
+HEALTH:
+- Failed requests: ${(health.requests || []).length}, console errors: ${(health.console || []).length}, uncaught exceptions: ${(health.exceptions || []).length}
+- Broken links: ${(health.links?.broken || []).length}, redirected links: ${(health.links?.redirects || []).length}
+`;
+  }
+  
+  // Build accessibility section if checks ran
+  let accessibilitySection = '';
+  if (accessibility) {
+    const violations = accessibility.violations.map(v => `- ${v.rule} (${v.impact}, WCAG ${v.wcag}): ${v.count}`);
+    accessibilitySection = `
+AUTOMATED WCAG CHECKS (${accessibility.rules.length} rules):
+${violations.length > 0 ? violations.join('\n') : '- No violations'}
+`;
+  }
+  
+  // Build contrast section if text was measured
+  let contrastSection = '';
+  const textElements = (elements || []).filter(el => el.type === 'text' && el.contrast);
+  if (textElements.length > 0) {
+    const failing = textElements.filter(el => !el.contrast.aa)
+      .map(el => `- ${el.id}: ${el.contrast.ratio}:1 (needs ${el.contrast.required}:1), ${el.contrast.foreground} on ${el.contrast.background}`);
+    contrastSection = `
+TEXT CONTRAST (${textElements.length} elements, ${textElements.filter(el => !el.contrast.aaa).length} below AAA):
+${failing.length > 0 ? failing.slice(0, 20).join('\n') : '- All meet AA'}
+`;
+  }
+  
+  // Build keyboard section if the focus walk ran
+  let focusSection = '';
+  if (focusOrder) {
+    const stops = focusOrder.stops;
+    const order = stops.slice(0, 30).map(stop => `${stop.index}. ${stop.selector}${stop.focusVisible === false ? ' (no visible focus)' : ''}`);
+    focusSection = `
+KEYBOARD FOCUS ORDER (${stops.length} stops${focusOrder.trapped ? ', focus trapped' : ''}${focusOrder.truncated ? ', truncated' : ''}):
+${order.length > 0 ? order.join('\n') : '- Nothing focusable'}
+`;
+  }
+  
+  // Build responsive section if more than one viewport was compared
+  let responsiveSection = '';
+  if (layoutChanges) {
+    const lines = layoutChanges.map(change => {
+      const name = `${change.element} ${change.label}${change.text ? ` "${change.text.substring(0, 40)}"` : ''}`;
+      if (change.type === 'hidden') return `- ${name}: hidden at ${change.viewport}`;
+      if (change.type === 'below-fold') return `- ${name}: below the first screen at ${change.viewport} (y ${change.y}, fold ${change.fold})`;
+      return `- ${name}: position ${change.from} -> ${change.to} at ${change.viewport}`;
+    });
+    responsiveSection = `
+RESPONSIVE LAYOUT CHANGES (compared with ${layoutChanges[0]?.reference || 'the widest viewport'}; category "responsive"):
+${lines.length > 0 ? lines.join('\n') : '- None'}
+`;
+  }
+  
+  // Build instances section if components were found by structure
+  let instancesSection = '';
+  const instances = (elements || []).filter(el => el.type === 'component');
+  if (instances.length > 0) {
+    const lines = instances.slice(0, 30).map(el => {
+      const repeat = el.repeat > 1 ? `, ${el.repeat} in a row` : '';
+      return `- ${el.id}: ${el.name} (${el.kind}${repeat})${el.text ? ` "${el.text.substring(0, 40)}"` : ''}`;
+    });
+    instancesSection = `INSTANCES (reference by ID in insights):
+${lines.join('\n')}
+`;
+  }
+  
+  // Build structured data / hreflang / social section if extracted
+  let markupSection = '';
+  const extracted = pageData.extracted || {};
+  if (extracted.structuredData || extracted.hreflang || extracted.social) {
+    const types = (extracted.structuredData || []).flatMap(item => item.types.map(type => `${type} (${item.format})`));
+    const alternates = extracted.hreflang?.alternates || [];
+    markupSection = `
+STRUCTURED DATA & SOCIAL:
+- Schema.org types: ${types.length > 0 ? types.join(', ') : 'none'}
+- hreflang: ${alternates.length > 0 ? alternates.map(a => a.lang).join(', ') : 'none'}
+- Open Graph tags: ${Object.keys(extracted.social?.openGraph || {}).join(', ') || 'none'}
+- Twitter card: ${extracted.social?.twitter?.['twitter:card'] || 'none'}
+`;
+  }
+  
   // Build rubric section if provided
   let rubricSection = '';
   if (rubric && rubric.trim()) {
@@ -213,7 +315,7 @@ ${JSON.stringify(pageData.extracted?.ctas || [], null, 2)}
 
 COMPONENTS DETECTED:
 ${JSON.stringify(pageData.extracted?.components || {}, null, 2)}
-${elementsSection}${rubricSection}
+${instancesSection}${markupSection}${elementsSection}${performanceSection}${healthSection}${accessibilitySection}${contrastSection}${focusSection}${responsiveSection}${rubricSection}
 Provide analysis in this JSON format:
 {
   "scores": {
@@ -228,7 +330,7 @@ Provide analysis in this JSON format:
       "id": "ins_001",
       "elementRef": "<element ID or null if page-level>",
       "severity": "<good|warning|issue>",
-      "category": "<content|structure|ux|seo|conversion|trust|accessibility>",
+      "category": "<content|structure|ux|seo|conversion|trust|accessibility|performance|health|responsive>",
       "message": "<clear description of finding>",
       "suggestion": "<actionable recommendation>",
       "rubricMatch": "<which rubric item this addresses, or null>"
@@ -285,6 +387,27 @@ function buildSynthesisPrompt(siteData) {
     topIssues: p.analysis?.recommendations?.slice(0, 2) || []
   }));
 
+  // Design token counts, so inconsistencies can mention the palette and type scale
+  let tokensSection = '';
+  const tokens = siteData.tokens;
+  if (tokens) {
+    tokensSection = `
+DESIGN TOKENS (${tokens.pages} pages):
+- ${tokens.colors.length} colors (${tokens.greys.length} greys), ${tokens.fontFamilies.length} font families, ${tokens.fontSizes.length} font sizes
+- ${tokens.radii.length} border radii, ${tokens.spacing.length} spacing values, ${tokens.nearDuplicates.length} groups of near-duplicate values
+`;
+  }
+
+  // Component catalog, so patterns can name shared components and their variants
+  let componentsSection = '';
+  const catalog = siteData.components || [];
+  if (catalog.length > 0) {
+    componentsSection = `
+COMPONENT CATALOG (${catalog.length} components):
+${catalog.slice(0, 15).map(c => `- ${c.name} (${c.kind}): ${c.instances} instances on ${c.pages} pages, ${c.variants.length} variant${c.variants.length === 1 ? '' : 's'}`).join('\n')}
+`;
+  }
+
   return `Synthesize insights across all pages of this website.
 
 SITE: ${siteData.site}
@@ -292,7 +415,7 @@ PAGES ANALYZED: ${siteData.pages.length}
 
 PAGE SUMMARIES:
 ${JSON.stringify(pagesSummary, null, 2)}
-
+${tokensSection}${componentsSection}
 Provide site-wide synthesis in this JSON format:
 {
   "siteWide": {
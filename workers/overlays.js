@@ -0,0 +1,230 @@
+/**
+ * Overlays - dismiss cookie banners, chat widgets and modals before capture
+ * /workers/overlays.js
+ */
+
+/**
+ * Accept buttons of common consent managers
+ */
+const CONSENT_SELECTORS = [
+  '#onetrust-accept-btn-handler',                               // OneTrust
+  '#accept-recommended-btn-handler',                            // OneTrust preference center
+  '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll',     // Cookiebot
+  '#CybotCookiebotDialogBodyButtonAccept',                      // Cookiebot (legacy)
+  '#truste-consent-button',                                     // TrustArc
+  '#didomi-notice-agree-button',                                // Didomi
+  '.qc-cmp2-summary-buttons button[mode="primary"]',            // Quantcast
+  '[data-testid="uc-accept-all-button"]',                       // Usercentrics
+  '.osano-cm-accept-all',                                       // Osano
+  '.fc-cta-consent',                                            // Google Funding Choices
+  '[data-cookiefirst-action="accept"]',                         // CookieFirst
+  '.iubenda-cs-accept-btn',                                     // iubenda
+  '.cmplz-accept',                                              // Complianz
+  '#hs-eu-confirmation-button',                                 // HubSpot
+  '#cn-accept-cookie',                                          // Cookie Notice
+  '.cky-btn-accept',                                            // CookieYes
+  '.cc-allow',                                                  // Cookie Consent (Osano OSS)
+  '.cc-dismiss'
+];
+
+/**
+ * Chat launchers and widgets, hidden rather than closed
+ */
+const WIDGET_SELECTORS = [
+  '#intercom-container',
+  '.intercom-lightweight-app',
+  '#hubspot-messages-iframe-container',
+  '#drift-widget-container',
+  '#drift-frame-controller',
+  '#launcher',                        // Zendesk
+  'iframe#webWidget',                 // Zendesk
+  '#fc_frame',                        // Freshchat
+  '.crisp-client',
+  '#tidio-chat',
+  '#chat-widget-container',           // LiveChat
+  '.olark-launch-button',
+  'iframe[title*="chat" i]'
+];
+
+/**
+ * Time for banners to animate out after a click
+ */
+const SETTLE_DELAY = 500;
+
+/**
+ * Click the first visible element matching a selector
+ * Returns true if something was clicked.
+ */
+async function clickVisible(page, selector) {
+  try {
+    const target = page.locator(selector).first();
+    if (!(await target.isVisible())) return false;
+    await target.click({ timeout: 2000 });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Click an accept button inside any visible cookie/consent container
+ * Fallback for consent managers not in CONSENT_SELECTORS.
+ */
+async function clickConsentByText(page) {
+  return await page.evaluate(() => {
+    const acceptText = /^(accept|accept all|accept all cookies|accept cookies|allow all|allow cookies|allow all cookies|i agree|agree|agree and close|got it|ok|okay)$/i;
+    const containerHint = /cookie|consent|gdpr|privacy|cmp/i;
+
+    const isVisible = (el) => {
+      const rect = el.getBoundingClientRect();
+      const style = getComputedStyle(el);
+      return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+    };
+
+    const buttons = Array.from(document.querySelectorAll('button, a[role="button"], [role="button"], input[type="button"], input[type="submit"]'));
+    for (const button of buttons) {
+      const text = (button.textContent || button.value || '').trim().replace(/\s+/g, ' ');
+      if (!acceptText.test(text) || !isVisible(button)) continue;
+
+      // Only buttons that live inside a cookie/consent container
+      let container = button.parentElement;
+      while (container && container !== document.body) {
+        const hint = `${container.id} ${container.className} ${container.getAttribute('aria-label') || ''}`;
+        if (containerHint.test(hint)) {
+          button.click();
+          return text;
+        }
+        container = container.parentElement;
+      }
+    }
+    return null;
+  });
+}
+
+/**
+ * Close a visible modal dialog covering the page (newsletters, promos)
+ * Returns a description of what was done, or null.
+ */
+async function closeModal(page) {
+  const closed = await page.evaluate(() => {
+    const closeText = /^(×|✕|x|close|no thanks|no, thanks|not now|maybe later|dismiss)$/i;
+
+    const dialogs = Array.from(document.querySelectorAll(
+      '[role="dialog"], [aria-modal="true"], .modal, [class*="popup" i], [class*="newsletter" i]'
+    )).filter(el => {
+      const rect = el.getBoundingClientRect();
+      const style = getComputedStyle(el);
+      return style.display !== 'none' && style.visibility !== 'hidden' &&
+        rect.width * rect.height > window.innerWidth * window.innerHeight * 0.1;
+    });
+
+    for (const dialog of dialogs) {
+      const candidates = Array.from(dialog.querySelectorAll('button, a, [role="button"]'));
+      const close = candidates.find(el => {
+        const label = `${el.getAttribute('aria-label') || ''} ${el.className || ''}`;
+        const text = (el.textContent || '').trim();
+        return /close|dismiss/i.test(label) || closeText.test(text);
+      });
+      if (close) {
+        close.click();
+        return { selector: dialog.id ? `#${dialog.id}` : dialog.tagName.toLowerCase(), method: 'click' };
+      }
+    }
+    return dialogs.length > 0 ? { selector: null, method: 'escape' } : null;
+  });
+
+  if (closed?.method === 'escape') {
+    await page.keyboard.press('Escape');
+  }
+  return closed;
+}
+
+/**
+ * Hide elements with an injected stylesheet
+ * Returns the selectors that matched something on the page.
+ */
+async function hideElements(page, selectors) {
+  if (selectors.length === 0) return [];
+
+  const matched = await page.evaluate((list) => list.filter(selector => {
+    try {
+      return document.querySelector(selector) !== null;
+    } catch {
+      return false;
+    }
+  }), selectors);
+
+  if (matched.length > 0) {
+    await page.addStyleTag({
+      content: `${matched.join(',\n')} { display: none !important; }`
+    });
+  }
+  return matched;
+}
+
+/**
+ * Clear banners, widgets and modals before screenshots
+ *
+ * overlays: {
+ *   click: [],       // Project selectors to click (e.g. a custom consent button)
+ *   hide: [],        // Project selectors to hide
+ *   auto: true       // Detect consent managers, chat widgets and modals
+ * }
+ *
+ * Returns the actions taken: [{ action: 'click' | 'hide' | 'escape', selector, reason }]
+ */
+async function dismissOverlays(page, overlays = {}) {
+  const actions = [];
+  const auto = overlays.auto !== false;
+
+  for (const selector of overlays.click || []) {
+    if (await clickVisible(page, selector)) {
+      actions.push({ action: 'click', selector, reason: 'project' });
+    }
+  }
+
+  if (auto) {
+    let consentHandled = false;
+    for (const selector of CONSENT_SELECTORS) {
+      if (await clickVisible(page, selector)) {
+        actions.push({ action: 'click', selector, reason: 'consent' });
+        consentHandled = true;
+        break;
+      }
+    }
+
+    if (!consentHandled) {
+      const text = await clickConsentByText(page);
+      if (text) actions.push({ action: 'click', selector: null, text, reason: 'consent' });
+    }
+
+    if (actions.length > 0) await page.waitForTimeout(SETTLE_DELAY);
+
+    const modal = await closeModal(page);
+    if (modal) {
+      actions.push({
+        action: modal.method === 'escape' ? 'escape' : 'click',
+        selector: modal.selector,
+        reason: 'modal'
+      });
+      await page.waitForTimeout(SETTLE_DELAY);
+    }
+  }
+
+  for (const selector of await hideElements(page, overlays.hide || [])) {
+    actions.push({ action: 'hide', selector, reason: 'project' });
+  }
+  if (auto) {
+    for (const selector of await hideElements(page, WIDGET_SELECTORS)) {
+      actions.push({ action: 'hide', selector, reason: 'chat' });
+    }
+  }
+
+  return actions;
+}
+
+module.exports = {
+  CONSENT_SELECTORS,
+  WIDGET_SELECTORS,
+  dismissOverlays
+};
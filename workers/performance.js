@@ -0,0 +1,225 @@
+/**
+ * Performance - Core Web Vitals and load metrics while a page is open
+ * /workers/performance.js
+ *
+ * Lab numbers from a single headless load: useful for comparing pages
+ * and sites captured the same way, not a substitute for field data.
+ */
+
+const { installIdentity, assignElementIds } = require('./identity');
+
+/**
+ * Number of resources listed in largestResources
+ */
+const LARGEST_RESOURCES = 5;
+
+/**
+ * Number of layout-shift sources listed
+ */
+const MAX_SHIFT_SOURCES = 3;
+
+/**
+ * Thresholds from web.dev: [good up to, poor above]
+ */
+const THRESHOLDS = {
+  lcp: [2500, 4000],
+  cls: [0.1, 0.25],
+  tbt: [200, 600],
+  ttfb: [800, 1800],
+  fcp: [1800, 3000]
+};
+
+/**
+ * Runs in the page before any script: buffers LCP, layout-shift and
+ * long-task entries on window.__sitemapPerf for collectPerformance()
+ */
+function observeVitals() {
+  const perf = { lcp: null, shifts: [], longTasks: [] };
+  window.__sitemapPerf = perf;
+
+  const observe = (type, onEntry) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(onEntry))
+        .observe({ type, buffered: true });
+    } catch {
+      // Entry type not supported
+    }
+  };
+
+  observe('largest-contentful-paint', (entry) => {
+    perf.lcp = { startTime: entry.startTime, element: entry.element || null, url: entry.url || null };
+  });
+  observe('layout-shift', (entry) => {
+    if (entry.hadRecentInput) return;
+    perf.shifts.push({
+      startTime: entry.startTime,
+      value: entry.value,
+      nodes: (entry.sources || []).map(s => s.node).filter(Boolean)
+    });
+  });
+  observe('longtask', (entry) => {
+    perf.longTasks.push({ startTime: entry.startTime, duration: entry.duration });
+  });
+}
+
+/**
+ * Start observing before navigation (init scripts run on every load)
+ */
+async function installVitalsObserver(page) {
+  await page.addInitScript(observeVitals);
+}
+
+/**
+ * Read metrics for the loaded page
+ * Element boxes are document-relative, in the current viewport's CSS pixels.
+ *
+ * Returns {
+ *   ttfb, fcp, lcp, cls, tbt, domContentLoaded, load,  // ms (cls unitless)
+ *   transferSize, requestCount,
+ *   largestResources: [{ url, type, transferSize }],
+ *   lcpElement: { selector, xpath, tag, text, url, box } | null,
+ *   layoutShifts: [{ selector, xpath, value, box }]
+ * }
+ */
+async function collectPerformance(page) {
+  await installIdentity(page);
+  return await page.evaluate(({ largest, maxSources }) => {
+    const perf = window.__sitemapPerf || { lcp: null, shifts: [], longTasks: [] };
+    const round = (n) => (n === null || n === undefined ? null : Math.round(n));
+
+    const { selector: selectorFor, xpath: xpathFor } = window.__sitemapIdentity;
+    const boxFor = (el) => {
+      if (!el || !el.isConnected) return null;
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) return null;
+      return {
+        x: Math.round(rect.left + window.scrollX),
+        y: Math.round(rect.top + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      };
+    };
+
+    const nav = performance.getEntriesByType('navigation')[0];
+    const resources = performance.getEntriesByType('resource');
+    const fcpEntry = performance.getEntriesByName('first-contentful-paint')[0];
+    const fcp = fcpEntry ? fcpEntry.startTime : null;
+
+    // CLS: largest session window (shifts < 1s apart, window <= 5s)
+    let cls = 0;
+    let windowValue = 0;
+    let windowStart = 0;
+    let previous = null;
+    for (const shift of perf.shifts) {
+      if (previous !== null && shift.startTime - previous < 1000 && shift.startTime - windowStart < 5000) {
+        windowValue += shift.value;
+      } else {
+        windowValue = shift.value;
+        windowStart = shift.startTime;
+      }
+      previous = shift.startTime;
+      cls = Math.max(cls, windowValue);
+    }
+
+    // TBT: long-task time over 50ms after first paint (no interactions, so also the INP proxy)
+    const tbt = perf.longTasks
+      .filter(task => fcp === null || task.startTime >= fcp)
+      .reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0);
+
+    // Elements behind the biggest shifts
+    const shiftSources = new Map();
+    for (const shift of perf.shifts) {
+      for (const node of shift.nodes) {
+        const el = node.nodeType === 1 ? node : node.parentElement;
+        if (!el) continue;
+        shiftSources.set(el, (shiftSources.get(el) || 0) + shift.value);
+      }
+    }
+    const layoutShifts = Array.from(shiftSources.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, maxSources)
+      .map(([el, value]) => ({ selector: selectorFor(el), xpath: xpathFor(el), value: Math.round(value * 1000) / 1000, box: boxFor(el) }));
+
+    const lcpEl = perf.lcp?.element;
+    const lcpElement = perf.lcp ? {
+      selector: selectorFor(lcpEl),
+      xpath: xpathFor(lcpEl),
+      tag: lcpEl?.tagName?.toLowerCase() || null,
+      text: (lcpEl?.textContent || '').trim().substring(0, 100),
+      url: perf.lcp.url,
+      box: boxFor(lcpEl)
+    } : null;
+
+    const sized = resources.map(r => ({ url: r.name, type: r.initiatorType, transferSize: r.transferSize || 0 }));
+
+    return {
+      ttfb: round(nav?.responseStart),
+      fcp: round(fcp),
+      lcp: round(perf.lcp?.startTime),
+      cls: Math.round(cls * 1000) / 1000,
+      tbt: round(tbt),
+      domContentLoaded: round(nav?.domContentLoadedEventEnd),
+      load: nav?.loadEventEnd ? round(nav.loadEventEnd) : null,
+      transferSize: (nav?.transferSize || 0) + sized.reduce((sum, r) => sum + r.transferSize, 0),
+      requestCount: resources.length + (nav ? 1 : 0),
+      largestResources: sized.sort((a, b) => b.transferSize - a.transferSize).slice(0, largest),
+      lcpElement,
+      layoutShifts
+    };
+  }, { largest: LARGEST_RESOURCES, maxSources: MAX_SHIFT_SOURCES });
+}
+
+/**
+ * Elements for the LCP element and layout-shift sources, so insights
+ * can reference them as hotspots. Boxes are keyed by `viewport`; IDs are
+ * fingerprint-based (`el_lcp_…`, `el_shift_…`, see identity.js).
+ */
+function performanceElements(metrics, viewport) {
+  if (!metrics) return [];
+  const elements = [];
+
+  if (metrics.lcpElement?.box) {
+    elements.push({
+      id: 'el_lcp',
+      type: 'lcp',
+      selector: metrics.lcpElement.selector,
+      xpath: metrics.lcpElement.xpath,
+      text: metrics.lcpElement.text,
+      lcp: metrics.lcp,
+      [viewport]: metrics.lcpElement.box
+    });
+  }
+
+  metrics.layoutShifts
+    .filter(shift => shift.box)
+    .forEach(shift => {
+      elements.push({
+        id: 'el_shift',
+        type: 'layout-shift',
+        selector: shift.selector,
+        xpath: shift.xpath,
+        text: '',
+        shift: shift.value,
+        [viewport]: shift.box
+      });
+    });
+
+  return assignElementIds(elements);
+}
+
+/**
+ * 'good' | 'warning' | 'issue' for a metric value
+ */
+function rateMetric(metric, value) {
+  const [good, poor] = THRESHOLDS[metric];
+  if (value <= good) return 'good';
+  return value <= poor ? 'warning' : 'issue';
+}
+
+module.exports = {
+  THRESHOLDS,
+  installVitalsObserver,
+  collectPerformance,
+  performanceElements,
+  rateMetric
+};
@@ -17,6 +17,7 @@ const STATUS = {
 const JOB_TYPES = {
   DISCOVER: 'discover',
   SCAN: 'scan',
+  FLOW: 'flow',
   ANALYZE: 'analyze',
   SYNTHESIZE: 'synthesize'
 };
@@ -55,11 +56,15 @@ class JobQueue {
 
   /**
    * Get next pending job
+   * Optional filter skips jobs that cannot start yet
    */
-  getNext() {
-    const jobId = this.pending.shift();
-    if (!jobId) return null;
+  getNext(filter = null) {
+    const index = filter
+      ? this.pending.findIndex(id => filter(this.jobs.get(id)))
+      : 0;
+    if (index < 0 || index >= this.pending.length) return null;
     
+    const [jobId] = this.pending.splice(index, 1);
     const job = this.jobs.get(jobId);
     job.status = STATUS.RUNNING;
     job.startedAt = new Date().toISOString();
@@ -155,11 +160,14 @@ class WorkerPool extends EventEmitter {
     super();
     
     // Default configuration
+    // crawlDelay (seconds) and maxRequestsPerSecond space out requests per host
     this.config = {
-      scan: { concurrency: 4, timeout: 60000, retries: 2 },
+      scan: { concurrency: 4, timeout: 60000, retries: 2, crawlDelay: 0, maxRequestsPerSecond: 0 },
+      // A flow is one job for all of its steps and viewports
+      flow: { concurrency: 2, timeout: 300000, retries: 1 },
       analyze: { concurrency: 2, timeout: 120000, retries: 1 },
       synthesize: { concurrency: 1, timeout: 300000, retries: 1 },
-      discover: { concurrency: 2, timeout: 30000, retries: 1 },
+      discover: { concurrency: 2, timeout: 300000, retries: 1 },
       ...config
     };
     
@@ -167,6 +175,7 @@ class WorkerPool extends EventEmitter {
     this.queues = {
       discover: new JobQueue(),
       scan: new JobQueue(),
+      flow: new JobQueue(),
       analyze: new JobQueue(),
       synthesize: new JobQueue()
     };
@@ -178,12 +187,18 @@ class WorkerPool extends EventEmitter {
     this.activeWorkers = {
       discover: 0,
       scan: 0,
+      flow: 0,
       analyze: 0,
       synthesize: 0
     };
     
     // Processing state
     this.isProcessing = false;
+    
+    // Politeness: when each host may next be requested, timer for throttled work
+    this.hostNextSlot = new Map();
+    this.throttleTimer = null;
+    this.throttleWakeAt = 0;
   }
 
   /**
@@ -235,7 +250,7 @@ class WorkerPool extends EventEmitter {
 
     try {
       // Process each queue type
-      const types = ['discover', 'scan', 'analyze', 'synthesize'];
+      const types = ['discover', 'scan', 'flow', 'analyze', 'synthesize'];
       
       for (const type of types) {
         await this.processQueue(type);
@@ -243,9 +258,8 @@ class WorkerPool extends EventEmitter {
     } finally {
       this.isProcessing = false;
       
-      // Check if more work appeared while processing
-      const hasMoreWork = Object.values(this.queues).some(q => q.hasPending());
-      if (hasMoreWork) {
+      // Check if startable work appeared while processing
+      if (this.hasStartableWork()) {
         setImmediate(() => this.processQueues());
       }
     }
@@ -269,14 +283,19 @@ class WorkerPool extends EventEmitter {
       queue.hasPending() && 
       this.activeWorkers[type] < config.concurrency
     ) {
-      const job = queue.getNext();
-      if (!job) break;
+      const job = queue.getNext(candidate => this.getHostWait(type, candidate) === 0);
+      if (!job) {
+        // Every pending job is waiting on its host's crawl delay
+        this.scheduleThrottled(type);
+        break;
+      }
 
+      const startSlot = this.markHostStart(type, job);
       this.activeWorkers[type]++;
       this.emit('job:started', job);
       
       // Process job (don't await - let it run in parallel)
-      this.processJob(type, job, handler, config)
+      this.processJob(type, job, handler, config, startSlot)
         .finally(() => {
           this.activeWorkers[type]--;
           // Trigger more processing
@@ -285,29 +304,157 @@ class WorkerPool extends EventEmitter {
     }
   }
 
+  /**
+   * Check if any queue has a job that could start right now
+   */
+  hasStartableWork() {
+    return Object.entries(this.queues).some(([type, queue]) =>
+      queue.hasPending() &&
+      this.handlers[type] &&
+      this.activeWorkers[type] < this.config[type].concurrency &&
+      queue.pending.some(id => this.getHostWait(type, queue.get(id)) === 0)
+    );
+  }
+
+  /**
+   * Host a job will request, used for per-host throttling
+   */
+  getJobHost(job) {
+    try {
+      return new URL(job.payload?.page?.url || job.payload?.site).host;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Minimum ms between requests to one host (0 = unthrottled)
+   * Job options (e.g. a robots.txt Crawl-delay) override the pool config
+   */
+  getHostInterval(type, job) {
+    const config = this.config[type] || {};
+    const options = job.payload?.options || {};
+    const crawlDelay = options.crawlDelay ?? config.crawlDelay ?? 0;
+    const maxRps = options.maxRequestsPerSecond ?? config.maxRequestsPerSecond ?? 0;
+    return Math.max(crawlDelay * 1000, maxRps > 0 ? 1000 / maxRps : 0);
+  }
+
+  /**
+   * ms until a job's host may be requested again
+   */
+  getHostWait(type, job) {
+    const interval = this.getHostInterval(type, job);
+    if (interval === 0) return 0;
+    
+    const next = this.hostNextSlot.get(this.getJobHost(job));
+    if (next === undefined) return 0;
+    return Math.max(0, next - Date.now());
+  }
+
+  /**
+   * Claim the job's first request on its host as it starts
+   * Returns the host, so the job's first waitForHost() uses this slot.
+   */
+  markHostStart(type, job) {
+    const host = this.getJobHost(job);
+    const interval = this.getHostInterval(type, job);
+    if (!host || interval === 0) return null;
+    
+    this.hostNextSlot.set(host, Date.now() + interval);
+    return host;
+  }
+
+  /**
+   * Wait for the next free request slot on a URL's host and claim it
+   * Handlers call this (as `controls.waitForHost`) before each navigation
+   * after the first. Time spent waiting is added to the job's deadline, so
+   * a long crawl delay doesn't time scans out; a job that has timed out
+   * gets an error instead of another slot. `interval` overrides the one
+   * from the job options (discovery learns the Crawl-delay as it runs).
+   */
+  async waitForHost(run, url, interval = this.getHostInterval(run.type, run.job)) {
+    if (run.timedOut) throw new Error('Job timeout');
+    let host;
+    try {
+      host = new URL(url).host;
+    } catch {
+      return;
+    }
+    if (!(interval > 0)) return;
+    
+    // The first request on the job's own host was claimed at start
+    if (run.startSlot === host) {
+      run.startSlot = null;
+      return;
+    }
+    
+    const now = Date.now();
+    const slot = Math.max(now, this.hostNextSlot.get(host) || 0);
+    this.hostNextSlot.set(host, slot + interval);
+    if (slot > now) {
+      run.deadline += slot - now;
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+      if (run.timedOut) throw new Error('Job timeout');
+    }
+  }
+
+  /**
+   * Wake up when the earliest throttled job of a type may start
+   */
+  scheduleThrottled(type) {
+    const queue = this.queues[type];
+    const waits = queue.pending.map(id => this.getHostWait(type, queue.get(id)));
+    const wakeAt = Date.now() + Math.min(...waits);
+    
+    // Keep an earlier wake-up if one is already scheduled
+    if (this.throttleTimer && this.throttleWakeAt <= wakeAt) return;
+    if (this.throttleTimer) clearTimeout(this.throttleTimer);
+    
+    this.throttleWakeAt = wakeAt;
+    this.throttleTimer = setTimeout(() => {
+      this.throttleTimer = null;
+      this.processQueues();
+    }, wakeAt - Date.now());
+  }
+
   /**
    * Process a single job
    */
-  async processJob(type, job, handler, config) {
+  async processJob(type, job, handler, config, startSlot = null) {
     const queue = this.queues[type];
+    // Per-run state: waitForHost() pushes the deadline back by its waits
+    const run = { type, job, startSlot, deadline: Date.now() + config.timeout, timedOut: false };
+    const controls = { waitForHost: (url, interval) => this.waitForHost(run, url, interval) };
+    let timer = null;
     
     try {
       // Create timeout promise
       const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Job timeout')), config.timeout);
+        const expire = () => {
+          const left = run.deadline - Date.now();
+          if (left > 0) {
+            timer = setTimeout(expire, left);
+            return;
+          }
+          run.timedOut = true;
+          reject(new Error('Job timeout'));
+        };
+        timer = setTimeout(expire, config.timeout);
       });
 
       // Run handler with timeout
       const result = await Promise.race([
-        handler(job.payload, job),
+        handler(job.payload, job, controls),
         timeoutPromise
       ]);
+      clearTimeout(timer);
 
       // Success
       queue.complete(job.id, result);
       this.emit('job:complete', job);
       
     } catch (error) {
+      clearTimeout(timer);
       // Check for retries
       if (job.retries < job.maxRetries) {
         job.retries++;
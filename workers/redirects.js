@@ -0,0 +1,129 @@
+/**
+ * Redirects - HTTP status, redirect chains, canonical and noindex per page
+ * /workers/redirects.js
+ */
+
+/**
+ * X-Robots-Tag / meta robots values that keep a page out of the index
+ */
+const NOINDEX = /\b(noindex|none)\b/i;
+
+/**
+ * URL used to decide whether two URLs are the same page
+ * Ignores the hash, default ports and a trailing slash.
+ */
+function comparableUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const pathname = parsed.pathname.length > 1 ? parsed.pathname.replace(/\/+$/, '') : parsed.pathname;
+    return `${parsed.protocol}//${parsed.host}${pathname}${parsed.search}`;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * HTTP hops before a response, oldest first: [{ url, status }]
+ */
+async function redirectChain(response) {
+  const chain = [];
+  let request = response.request().redirectedFrom();
+  while (request) {
+    const redirect = await request.response();
+    chain.unshift({ url: request.url(), status: redirect ? redirect.status() : null });
+    request = request.redirectedFrom();
+  }
+  return chain;
+}
+
+/**
+ * Status, redirects and indexing signals for a loaded page
+ * response is what page.goto() returned (null for same-document navigations),
+ * meta is extractContent().meta. finalUrl is the page URL after load, so it
+ * includes script and meta-refresh redirects as well as HTTP ones.
+ *
+ * Returns {
+ *   status, requestedUrl, finalUrl, redirected,
+ *   redirectChain: [{ url, status }],
+ *   canonical, canonicalMismatch,
+ *   noindex, noindexSource: 'meta' | 'header' | null
+ * }
+ */
+async function pageStatus(page, response, requestedUrl, meta) {
+  const finalUrl = page.url();
+  const chain = response ? await redirectChain(response) : [];
+  const header = response ? response.headers()['x-robots-tag'] || '' : '';
+
+  let canonical = null;
+  if (meta?.canonical) {
+    try {
+      canonical = new URL(meta.canonical, finalUrl).href;
+    } catch {
+      canonical = meta.canonical;
+    }
+  }
+
+  let noindexSource = null;
+  if (NOINDEX.test(meta?.robots || '')) noindexSource = 'meta';
+  else if (NOINDEX.test(header)) noindexSource = 'header';
+
+  return {
+    status: response ? response.status() : null,
+    requestedUrl,
+    finalUrl,
+    redirected: comparableUrl(finalUrl) !== comparableUrl(requestedUrl),
+    redirectChain: chain,
+    canonical,
+    canonicalMismatch: !!canonical && comparableUrl(canonical) !== comparableUrl(finalUrl),
+    noindex: !!noindexSource,
+    noindexSource
+  };
+}
+
+/**
+ * Collapse pages that resolve to the same final URL into one entry
+ * The page whose own URL is the final URL is kept (else the first one);
+ * the others are listed on it as `aliases` and their children are moved
+ * to it. Pages without a `http` block are left as they are.
+ * Returns a new array; page objects are updated in place.
+ */
+function mergeRedirectedPages(pages, baseUrl) {
+  const urlOf = (page) => page.http?.requestedUrl || new URL(page.path, baseUrl).href;
+  const groups = new Map();
+  for (const page of pages) {
+    if (!page.http?.finalUrl) continue;
+    const key = comparableUrl(page.http.finalUrl);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(page);
+  }
+
+  // slug of each merged-away page -> { page, kept }
+  const removed = new Map();
+  for (const [key, group] of groups) {
+    if (group.length < 2) continue;
+    const kept = group.find(page => comparableUrl(urlOf(page)) === key) || group[0];
+    kept.aliases = kept.aliases || [];
+    for (const page of group) {
+      if (page === kept) continue;
+      kept.aliases.push({ path: page.path, url: urlOf(page), status: page.http.redirectChain[0]?.status || page.http.status });
+      removed.set(page.slug, { page, kept });
+    }
+  }
+  if (removed.size === 0) return pages;
+
+  const merged = pages.filter(page => !removed.has(page.slug));
+  for (const page of merged) {
+    const parent = removed.get(page.parent);
+    if (!parent) continue;
+    // A page found only through its own redirect takes that link's parent
+    page.parent = parent.kept === page ? parent.page.parent : parent.kept.slug;
+  }
+  return merged;
+}
+
+module.exports = {
+  comparableUrl,
+  redirectChain,
+  pageStatus,
+  mergeRedirectedPages
+};
@@ -0,0 +1,245 @@
+/**
+ * Responsive - Pairs elements across viewports and reports what hides,
+ * drops out of the first screen or changes order on narrower ones
+ * /workers/responsive.js
+ */
+
+const { structuralPath } = require('./identity');
+
+/**
+ * Lowest matchScore() that pairs two elements
+ */
+const MATCH_THRESHOLD = 0.65;
+
+/**
+ * Layout changes reported per page
+ */
+const MAX_CHANGES = 20;
+
+/**
+ * Element types checked for layout changes
+ */
+const LAYOUT_TYPES = ['heading', 'cta', 'form', 'image', 'nav', 'trust'];
+
+/**
+ * Types left out of the hidden check: nav collapsing into a menu is
+ * expected, and images are only extracted in the first 1000px and when
+ * wider than 200px, so one missing from a taller, narrower layout may
+ * still be shown. Both are still checked for reordering.
+ */
+const NOT_HIDDEN = ['nav', 'image'];
+
+/**
+ * Boxes whose tops are this close (CSS px) are on the same row
+ */
+const ROW_TOLERANCE = 8;
+
+const normalizeText = (text) => (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * Dice coefficient of the character bigrams of two strings (0-1),
+ * ignoring case and whitespace
+ */
+function textSimilarity(a, b) {
+  a = normalizeText(a);
+  b = normalizeText(b);
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  let shared = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.slice(i, i + 2);
+    if (bigrams.get(bigram) > 0) {
+      bigrams.set(bigram, bigrams.get(bigram) - 1);
+      shared++;
+    }
+  }
+  return (2 * shared) / (a.length + b.length - 2);
+}
+
+/**
+ * Share of CSS path steps two selectors have in common, in order
+ * (longest common subsequence of the structural paths, 0-1)
+ */
+function pathSimilarity(a, b) {
+  const stepsA = structuralPath(a).split(' > ').filter(Boolean);
+  const stepsB = structuralPath(b).split(' > ').filter(Boolean);
+  if (stepsA.length === 0 && stepsB.length === 0) return 1;
+
+  let previous = new Array(stepsB.length + 1).fill(0);
+  for (const step of stepsA) {
+    const row = [0];
+    stepsB.forEach((other, j) => {
+      row.push(step === other ? previous[j] + 1 : Math.max(previous[j + 1], row[j]));
+    });
+    previous = row;
+  }
+  return previous[stepsB.length] / Math.max(stepsA.length, stepsB.length);
+}
+
+/**
+ * How likely two elements are the same one at different viewports (0-1)
+ * DOM path and text weigh most; position in the element list breaks ties
+ * between look-alikes. Elements of another type, frame or shadow root
+ * score 0.
+ */
+function matchScore(a, b, order = 1) {
+  if (a.type !== b.type || (a.frame || '') !== (b.frame || '') || (a.shadowHost || '') !== (b.shadowHost || '')) {
+    return 0;
+  }
+  return 0.4 * pathSimilarity(a.selector, b.selector) + 0.5 * textSimilarity(a.text, b.text) + 0.1 * order;
+}
+
+/**
+ * Pair elements of one viewport with candidates from the others
+ * Best-scoring pairs first, each element and candidate used once.
+ * Returns a Map of element -> candidate for pairs at or above
+ * MATCH_THRESHOLD.
+ */
+function matchElements(elements, candidates) {
+  const pairs = [];
+  elements.forEach((element, i) => {
+    candidates.forEach((candidate, j) => {
+      const order = 1 - Math.abs(i / Math.max(elements.length - 1, 1) - j / Math.max(candidates.length - 1, 1));
+      const score = matchScore(element, candidate, order);
+      if (score >= MATCH_THRESHOLD) pairs.push({ element, candidate, score });
+    });
+  });
+  pairs.sort((a, b) => b.score - a.score);
+
+  const matches = new Map();
+  const taken = new Set();
+  for (const { element, candidate } of pairs) {
+    if (matches.has(element) || taken.has(candidate)) continue;
+    matches.set(element, candidate);
+    taken.add(candidate);
+  }
+  return matches;
+}
+
+/**
+ * Elements whose place on small screens matters most: primary CTAs,
+ * the H1 and forms
+ */
+function isKeyElement(element) {
+  return (element.type === 'cta' && element.prominence === 'primary') ||
+    (element.type === 'heading' && element.level === 1) ||
+    element.type === 'form';
+}
+
+/**
+ * Short name for an element in reports ('Primary CTA', 'H2', 'Form')
+ */
+function elementLabel(element) {
+  switch (element.type) {
+    case 'cta': return element.prominence === 'primary' ? 'Primary CTA' : 'CTA';
+    case 'heading': return `H${element.level || ''}`;
+    case 'trust': return 'Trust signal';
+    case 'nav': return 'Navigation';
+    default: return element.type.charAt(0).toUpperCase() + element.type.slice(1);
+  }
+}
+
+/**
+ * Compare boxes in reading order: top to bottom, left to right within a row
+ */
+const readingOrder = (viewport) => (a, b) => {
+  const boxA = a[viewport];
+  const boxB = b[viewport];
+  return Math.abs(boxA.y - boxB.y) > ROW_TOLERANCE ? boxA.y - boxB.y : boxA.x - boxB.x;
+};
+
+/**
+ * Indexes of a longest increasing subsequence of numbers
+ */
+function longestIncreasing(values) {
+  const lengths = values.map(() => 1);
+  const previous = values.map(() => -1);
+  let best = -1;
+  values.forEach((value, i) => {
+    for (let j = 0; j < i; j++) {
+      if (values[j] < value && lengths[j] + 1 > lengths[i]) {
+        lengths[i] = lengths[j] + 1;
+        previous[i] = j;
+      }
+    }
+    if (best === -1 || lengths[i] > lengths[best]) best = i;
+  });
+
+  const indexes = new Set();
+  for (let i = best; i !== -1; i = previous[i]) indexes.add(i);
+  return indexes;
+}
+
+/**
+ * Layout changes between the widest viewport and each narrower one
+ * elements are merged elements (boxes keyed by viewport name), viewports
+ * the captured { name, width, height } list. Reports:
+ * - hidden: on the wide layout, missing at the narrow one
+ * - below-fold: key element (isKeyElement) in the first screen of the
+ *   wide layout that is below the first screen of the narrow one
+ * - reordered: element that changes place in reading order (those off
+ *   a longest run that keeps its order)
+ * Returns null with fewer than two viewports to compare.
+ */
+function detectLayoutChanges(elements, viewports) {
+  const sorted = [...(viewports || [])].sort((a, b) => b.width - a.width);
+  const [reference] = sorted;
+  const narrower = sorted.filter(vp => reference && vp.width < reference.width);
+  if (narrower.length === 0) return null;
+
+  const candidates = (elements || []).filter(el => LAYOUT_TYPES.includes(el.type) && el[reference.name]);
+  const changes = { hidden: [], 'below-fold': [], reordered: [] };
+  const finding = (type, element, viewport, details) => ({
+    type,
+    element: element.id,
+    elementType: element.type,
+    label: elementLabel(element),
+    text: element.text ? element.text.substring(0, 60) : '',
+    key: isKeyElement(element),
+    viewport: viewport.name,
+    reference: reference.name,
+    ...details
+  });
+
+  for (const viewport of narrower) {
+    // Nothing was captured at this viewport, so nothing can be missing
+    if (!(elements || []).some(el => el[viewport.name])) continue;
+
+    for (const element of candidates) {
+      const wide = element[reference.name];
+      const narrow = element[viewport.name];
+      if (!narrow) {
+        if (!NOT_HIDDEN.includes(element.type)) changes.hidden.push(finding('hidden', element, viewport));
+      } else if (isKeyElement(element) && wide.y < reference.height && narrow.y >= viewport.height) {
+        changes['below-fold'].push(finding('below-fold', element, viewport, { y: Math.round(narrow.y), fold: viewport.height }));
+      }
+    }
+
+    const shown = candidates.filter(el => el[viewport.name]).sort(readingOrder(reference.name));
+    const narrowOrder = [...shown].sort(readingOrder(viewport.name));
+    const positions = shown.map(el => narrowOrder.indexOf(el));
+    const kept = longestIncreasing(positions);
+    shown.forEach((element, i) => {
+      if (!kept.has(i)) {
+        changes.reordered.push(finding('reordered', element, viewport, { from: i + 1, to: positions[i] + 1 }));
+      }
+    });
+  }
+
+  return [...changes.hidden, ...changes['below-fold'], ...changes.reordered].slice(0, MAX_CHANGES);
+}
+
+module.exports = {
+  MATCH_THRESHOLD,
+  MAX_CHANGES,
+  textSimilarity,
+  pathSimilarity,
+  matchElements,
+  detectLayoutChanges
+};
@@ -0,0 +1,296 @@
+/**
+ * Robots - robots.txt and sitemap.xml helpers for discovery
+ * /workers/robots.js
+ */
+
+const zlib = require('zlib');
+
+/**
+ * Sitemap crawl limits
+ */
+const LIMITS = {
+  maxSitemaps: 50,      // Sitemap files fetched per site (index + children)
+  maxUrls: 5000,        // Page URLs collected per site
+  maxNesting: 3,        // Sitemap index nesting depth
+  timeout: 10000
+};
+
+/**
+ * Fetch a text resource, transparently gunzipping .gz files
+ * Returns null when the resource doesn't exist (4xx); server errors and
+ * 429 throw with the error's `status` set, as the resource may be back later.
+ */
+async function fetchText(url) {
+  const response = await fetch(url, {
+    redirect: 'follow',
+    signal: AbortSignal.timeout(LIMITS.timeout)
+  });
+
+  if (response.status === 429 || response.status >= 500) {
+    const error = new Error(`HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  if (!response.ok) return null;
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+
+  // Gzip magic bytes - servers send .gz sitemaps without Content-Encoding
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return zlib.gunzipSync(buffer).toString('utf-8');
+  }
+  return buffer.toString('utf-8');
+}
+
+/**
+ * Parsed robots.txt files by origin: { robots, expiresAt }
+ * Entries expire after ROBOTS_TTL so a long-running server sees rule changes;
+ * failed fetches are retried after ROBOTS_RETRY.
+ */
+const robotsCache = new Map();
+const ROBOTS_TTL = 60 * 60 * 1000;
+const ROBOTS_RETRY = 60 * 1000;
+
+/**
+ * Parse robots.txt content
+ * Returns { groups: [{ agents, rules, crawlDelay }], sitemaps }
+ */
+function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) continue;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!group || !lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!group) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything
+      if (value) group.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!Number.isNaN(delay) && delay >= 0) group.crawlDelay = delay;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Pick the rules that apply to a user agent
+ * The longest matching agent token wins, '*' is the fallback.
+ * Groups naming the same agent are combined.
+ */
+function selectGroup(robots, userAgent) {
+  const ua = (userAgent || '').toLowerCase();
+  let best = null;
+  let bestLength = 0;
+
+  for (const group of robots?.groups || []) {
+    for (const agent of group.agents) {
+      // '*' scores below any named agent that matches
+      const length = agent === '*' ? 0.5 : (ua.includes(agent) ? agent.length : 0);
+      if (length > bestLength) {
+        best = agent;
+        bestLength = length;
+      }
+    }
+  }
+
+  if (!best) return { rules: [], crawlDelay: null };
+
+  const matching = robots.groups.filter(g => g.agents.includes(best));
+  const delays = matching.map(g => g.crawlDelay).filter(d => d !== null);
+  return {
+    rules: matching.flatMap(g => g.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+/**
+ * Convert a robots.txt path pattern (* and $ wildcards) to a RegExp
+ */
+function rulePattern(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp('^' + body + (anchored ? '$' : ''));
+}
+
+/**
+ * Check whether a path (with query string) may be fetched
+ * The most specific (longest) matching rule wins; Allow wins ties.
+ */
+function isAllowed(robots, userAgent, urlPath) {
+  if (urlPath === '/robots.txt') return true;
+
+  const { rules } = selectGroup(robots, userAgent);
+  let verdict = null;
+
+  for (const rule of rules) {
+    if (!rulePattern(rule.path).test(urlPath)) continue;
+    if (!verdict || rule.path.length > verdict.path.length ||
+        (rule.path.length === verdict.path.length && rule.allow)) {
+      verdict = rule;
+    }
+  }
+
+  return verdict ? verdict.allow : true;
+}
+
+/**
+ * Crawl-delay in seconds for a user agent, or null
+ */
+function getCrawlDelay(robots, userAgent) {
+  return selectGroup(robots, userAgent).crawlDelay;
+}
+
+/**
+ * Fetch and parse robots.txt for an origin (cached for ROBOTS_TTL)
+ * A missing (4xx) or unreachable robots.txt allows everything; a server
+ * error or 429 disallows everything. Either failure is retried after ROBOTS_RETRY.
+ */
+async function getRobots(origin) {
+  const cached = robotsCache.get(origin);
+  if (cached && Date.now() < cached.expiresAt) return cached.robots;
+
+  let robots;
+  let ttl = ROBOTS_TTL;
+  try {
+    robots = parseRobots(await fetchText(`${origin}/robots.txt`));
+  } catch (error) {
+    console.warn(`robots.txt unavailable for ${origin}: ${error.message}`);
+    robots = parseRobots(error.status ? 'User-agent: *\nDisallow: /' : '');
+    ttl = ROBOTS_RETRY;
+  }
+
+  robotsCache.set(origin, { robots, expiresAt: Date.now() + ttl });
+  return robots;
+}
+
+/**
+ * Forget cached robots.txt files
+ */
+function clearRobotsCache() {
+  robotsCache.clear();
+}
+
+/**
+ * Decode XML entities and CDATA in a <loc> value
+ */
+function decodeLoc(value) {
+  return value
+    .replace(/^<!\[CDATA\[|\]\]>$/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .trim();
+}
+
+/**
+ * Parse a sitemap.xml document
+ * Returns { type: 'index' | 'urlset', locs: [] }
+ */
+function parseSitemapXml(xml) {
+  const type = /<(?:\w+:)?sitemapindex[\s>]/i.test(xml || '') ? 'index' : 'urlset';
+  const locs = [];
+  const locPattern = /<(?:\w+:)?loc>([\s\S]*?)<\/(?:\w+:)?loc>/gi;
+
+  let match;
+  while ((match = locPattern.exec(xml || '')) !== null) {
+    const loc = decodeLoc(match[1]);
+    if (loc) locs.push(loc);
+  }
+
+  return { type, locs };
+}
+
+/**
+ * Collect page URLs from a site's sitemaps
+ * Reads Sitemap: entries from /robots.txt (falls back to /sitemap.xml)
+ * and follows nested sitemap index files.
+ */
+async function fetchSitemapUrls(site) {
+  const origin = new URL(site).origin;
+
+  const robots = await getRobots(origin);
+  const queue = (robots.sitemaps.length > 0 ? robots.sitemaps : [`${origin}/sitemap.xml`])
+    .map(url => ({ url, level: 0 }));
+  const seenSitemaps = new Set();
+  const urls = new Set();
+
+  while (queue.length > 0 && seenSitemaps.size < LIMITS.maxSitemaps && urls.size < LIMITS.maxUrls) {
+    const { url, level } = queue.shift();
+    if (seenSitemaps.has(url)) continue;
+    seenSitemaps.add(url);
+
+    let xml;
+    try {
+      xml = await fetchText(url);
+    } catch (error) {
+      console.warn(`Sitemap unavailable ${url}: ${error.message}`);
+      continue;
+    }
+    if (!xml) continue;
+
+    const { type, locs } = parseSitemapXml(xml);
+
+    if (type === 'index') {
+      if (level >= LIMITS.maxNesting) continue;
+      locs.forEach(loc => queue.push({ url: loc, level: level + 1 }));
+    } else {
+      for (const loc of locs) {
+        if (urls.size >= LIMITS.maxUrls) break;
+        urls.add(loc);
+      }
+    }
+  }
+
+  return {
+    urls: Array.from(urls),
+    sitemaps: Array.from(seenSitemaps)
+  };
+}
+
+module.exports = {
+  fetchText,
+  parseRobots,
+  selectGroup,
+  isAllowed,
+  getCrawlDelay,
+  getRobots,
+  clearRobotsCache,
+  parseSitemapXml,
+  fetchSitemapUrls,
+  LIMITS,
+  ROBOTS_TTL,
+  ROBOTS_RETRY
+};
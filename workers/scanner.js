@@ -6,6 +6,35 @@
 const { chromium } = require('playwright');
 const path = require('path');
 const fs = require('fs');
+const { fetchSitemapUrls, getRobots, isAllowed, getCrawlDelay } = require('./robots');
+const { createUrlRules, normalizeUrl, isExcluded, isIncluded, slugify } = require('./urls');
+const { resolveStorageState } = require('./auth');
+const { dismissOverlays } = require('./overlays');
+const { DEFAULT_VIEWPORTS, resolveViewports, groupByContext } = require('./viewports');
+const { resolveVariants } = require('./variants');
+const { installVitalsObserver, collectPerformance, performanceElements } = require('./performance');
+const { watchPageHealth, checkLinks, linkReport } = require('./health');
+const { pageStatus } = require('./redirects');
+const { extractStructuredData } = require('./structured');
+const { auditAccessibility, accessibilityElements } = require('./accessibility');
+const { extractTextContrast } = require('./color');
+const { walkFocusOrder, focusElements } = require('./focus');
+const { extractTokens } = require('./tokens');
+const { extractComponents } = require('./components');
+const { installIdentity, assignElementIds } = require('./identity');
+const { normalizeCrops, cropElements } = require('./crops');
+const { matchElements, detectLayoutChanges } = require('./responsive');
+const { normalizeInteractions, interactionsFor, runSteps } = require('./interactions');
+const { flowStartUrl } = require('./flows');
+const { watchClientRoutes, waitForIdle, clickThroughNav } = require('./spa');
+const {
+  normalizeStabilize,
+  applyClock,
+  stabilizePage,
+  measureMasks,
+  screenshotMaskOptions,
+  mergeMasks
+} = require('./stabilize');
 
 /**
  * Scanner configuration
@@ -16,7 +45,8 @@ const CONFIG = {
   deviceScaleFactor: 2,
   scrollStep: 500,
   scrollDelay: 150,
-  timeout: 15000
+  timeout: 15000,
+  userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
 };
 
 /**
@@ -49,12 +79,30 @@ async function closeBrowser() {
 
 /**
  * Extract content from page using Playwright
+ * Includes structured data, hreflang, social tags and icons (see structured.js).
+ * Headings, CTAs, navigation, images, forms and components are also read
+ * from open shadow roots and same-origin iframes; meta tags and the main
+ * text come from the top document only.
  */
 async function extractContent(page) {
-  return await page.evaluate(() => {
+  const extracted = await page.evaluate(() => {
     const getText = (el) => el?.textContent?.trim() || '';
     const getAttr = (el, attr) => el?.getAttribute(attr) || '';
     
+    // The document plus every open shadow root and same-origin iframe
+    // document below it (cross-origin frames have no contentDocument)
+    const roots = [];
+    const addRoot = (root) => {
+      roots.push(root);
+      root.querySelectorAll('*').forEach(el => {
+        if (el.shadowRoot) addRoot(el.shadowRoot);
+        if (el.tagName === 'IFRAME' && el.contentDocument?.documentElement) addRoot(el.contentDocument);
+      });
+    };
+    addRoot(document);
+    const queryAll = (selector) => roots.flatMap(root => Array.from(root.querySelectorAll(selector)));
+    const query = (selector) => queryAll(selector)[0] || null;
+    
     // Meta tags
     const meta = {
       title: document.title,
@@ -62,17 +110,18 @@ async function extractContent(page) {
       ogTitle: getAttr(document.querySelector('meta[property="og:title"]'), 'content'),
       ogDescription: getAttr(document.querySelector('meta[property="og:description"]'), 'content'),
       ogImage: getAttr(document.querySelector('meta[property="og:image"]'), 'content'),
-      canonical: getAttr(document.querySelector('link[rel="canonical"]'), 'href')
+      canonical: getAttr(document.querySelector('link[rel="canonical"]'), 'href'),
+      robots: getAttr(document.querySelector('meta[name="robots"]'), 'content')
     };
     
     // Headings
     const headings = {
-      h1: Array.from(document.querySelectorAll('h1')).map(getText).filter(Boolean),
-      h2: Array.from(document.querySelectorAll('h2')).map(getText).filter(Boolean),
-      h3: Array.from(document.querySelectorAll('h3')).map(getText).filter(Boolean),
-      h4: Array.from(document.querySelectorAll('h4')).map(getText).filter(Boolean),
-      h5: Array.from(document.querySelectorAll('h5')).map(getText).filter(Boolean),
-      h6: Array.from(document.querySelectorAll('h6')).map(getText).filter(Boolean)
+      h1: queryAll('h1').map(getText).filter(Boolean),
+      h2: queryAll('h2').map(getText).filter(Boolean),
+      h3: queryAll('h3').map(getText).filter(Boolean),
+      h4: queryAll('h4').map(getText).filter(Boolean),
+      h5: queryAll('h5').map(getText).filter(Boolean),
+      h6: queryAll('h6').map(getText).filter(Boolean)
     };
     
     // Main content
@@ -86,14 +135,14 @@ async function extractContent(page) {
     
     const content = {
       wordCount: words.length,
-      paragraphs: document.querySelectorAll('p').length,
+      paragraphs: queryAll('p').length,
       readingTime: Math.ceil(words.length / 200) + ' min',
       mainText: textContent.substring(0, 500) + (textContent.length > 500 ? '...' : '')
     };
     
     // CTAs
     const ctas = [];
-    document.querySelectorAll('button, a.btn, a.button, [role="button"], .cta').forEach(el => {
+    queryAll('button, a.btn, a.button, [role="button"], .cta').forEach(el => {
       const text = getText(el);
       if (text && text.length < 50) {
         const href = getAttr(el, 'href');
@@ -109,26 +158,26 @@ async function extractContent(page) {
     
     // Navigation
     const navigation = { primary: [], footer: [] };
-    const headerNav = document.querySelector('header nav, nav.main-nav, nav.primary');
+    const headerNav = query('header nav, nav.main-nav, nav.primary');
     if (headerNav) {
       navigation.primary = Array.from(headerNav.querySelectorAll('a'))
         .map(getText).filter(t => t && t.length < 30);
     }
-    const footerNav = document.querySelector('footer nav, footer');
+    const footerNav = query('footer nav, footer');
     if (footerNav) {
       navigation.footer = Array.from(footerNav.querySelectorAll('a'))
         .map(getText).filter(t => t && t.length < 30).slice(0, 20);
     }
     
     // Images
-    const images = Array.from(document.querySelectorAll('img')).slice(0, 20).map(img => ({
+    const images = queryAll('img').slice(0, 20).map(img => ({
       src: img.src,
       alt: img.alt || '',
       dimensions: img.naturalWidth ? `${img.naturalWidth}x${img.naturalHeight}` : 'unknown'
     }));
     
     // Forms
-    const forms = Array.from(document.querySelectorAll('form')).slice(0, 10).map(form => ({
+    const forms = queryAll('form').slice(0, 10).map(form => ({
       id: form.id || null,
       action: form.action || null,
       method: form.method || 'get',
@@ -138,37 +187,89 @@ async function extractContent(page) {
     
     // Components
     const components = {
-      hero: !!document.querySelector('.hero, [class*="hero"], section:first-of-type'),
-      testimonials: !!document.querySelector('[class*="testimonial"], [class*="review"], blockquote'),
-      pricing: !!document.querySelector('[class*="pricing"], [class*="plans"], .price'),
-      faq: !!document.querySelector('[class*="faq"], [class*="accordion"], details'),
-      footer: !!document.querySelector('footer'),
-      header: !!document.querySelector('header'),
-      sidebar: !!document.querySelector('aside, [class*="sidebar"]'),
-      carousel: !!document.querySelector('[class*="carousel"], [class*="slider"], .swiper'),
-      video: !!document.querySelector('video, iframe[src*="youtube"], iframe[src*="vimeo"]'),
-      socialProof: !!document.querySelector('[class*="logo"], [class*="client"], [class*="partner"]')
+      hero: !!query('.hero, [class*="hero"], section:first-of-type'),
+      testimonials: !!query('[class*="testimonial"], [class*="review"], blockquote'),
+      pricing: !!query('[class*="pricing"], [class*="plans"], .price'),
+      faq: !!query('[class*="faq"], [class*="accordion"], details'),
+      footer: !!query('footer'),
+      header: !!query('header'),
+      sidebar: !!query('aside, [class*="sidebar"]'),
+      carousel: !!query('[class*="carousel"], [class*="slider"], .swiper'),
+      video: !!query('video, iframe[src*="youtube"], iframe[src*="vimeo"]'),
+      socialProof: !!query('[class*="logo"], [class*="client"], [class*="partner"]')
     };
     
     return { meta, headings, content, ctas: ctas.slice(0, 10), navigation, images, forms, components };
   });
+  
+  if (extracted) {
+    Object.assign(extracted, await extractStructuredData(page));
+  }
+  return extracted;
 }
 
 /**
  * Extract element positions for annotations
- * Returns array of elements with bounding boxes
+ * Returns array of elements with bounding boxes, followed by `text`
+ * elements with their contrast (see color.js) and `component` instances
+ * (see components.js). Open shadow roots and same-origin iframes are
+ * searched too: their boxes are translated to page coordinates, and the
+ * elements are tagged with `shadowHost` / `frame` (selectors of the
+ * innermost host and iframe).
+ * Selectors are unique CSS paths, with an XPath alongside; IDs come from
+ * a content-and-position fingerprint (see identity.js), so the same
+ * element keeps its ID at every viewport and in later captures.
  */
 async function extractElements(page, viewport) {
-  return await page.evaluate((vp) => {
+  await installIdentity(page);
+  const elements = await page.evaluate((vp) => {
     const elements = [];
     let idCounter = 1;
+    const { selector: getSelector, xpath: getXPath } = window.__sitemapIdentity;
     
     // Helper to get unique ID
     const getId = () => `el_${String(idCounter++).padStart(3, '0')}`;
     
+    // Helper to get clean text
+    const getText = (el) => el?.textContent?.trim().substring(0, 100) || '';
+    
+    // Documents and open shadow roots to search, each with the offset of
+    // its viewport in the top one and the frame / shadow host it is in.
+    // Cross-origin iframes have no contentDocument and are skipped.
+    const contexts = new Map();
+    const addRoot = (root, context) => {
+      contexts.set(root, context);
+      root.querySelectorAll('*').forEach(el => {
+        if (el.shadowRoot) {
+          addRoot(el.shadowRoot, { ...context, shadowHost: getSelector(el) });
+        }
+        if (el.tagName === 'IFRAME' && el.contentDocument?.documentElement) {
+          // Frame content starts inside the iframe's border and padding
+          const rect = el.getBoundingClientRect();
+          const style = el.ownerDocument.defaultView.getComputedStyle(el);
+          addRoot(el.contentDocument, {
+            offsetX: context.offsetX + rect.left + el.clientLeft + parseFloat(style.paddingLeft),
+            offsetY: context.offsetY + rect.top + el.clientTop + parseFloat(style.paddingTop),
+            frame: getSelector(el),
+            shadowHost: null
+          });
+        }
+      });
+    };
+    addRoot(document, { offsetX: 0, offsetY: 0, frame: null, shadowHost: null });
+    const queryAll = (selector) => Array.from(contexts.keys()).flatMap(root => Array.from(root.querySelectorAll(selector)));
+    const contextOf = (el) => contexts.get(el.getRootNode()) || contexts.get(document);
+    
+    // Helper to get the bounding box relative to the top viewport
+    const getRect = (el) => {
+      const rect = el.getBoundingClientRect();
+      const { offsetX, offsetY } = contextOf(el);
+      return { left: rect.left + offsetX, top: rect.top + offsetY, width: rect.width, height: rect.height };
+    };
+    
     // Helper to get bounding box
     const getBox = (el) => {
-      const rect = el.getBoundingClientRect();
+      const rect = getRect(el);
       const scrollY = window.scrollY || document.documentElement.scrollTop;
       const scrollX = window.scrollX || document.documentElement.scrollLeft;
       return {
@@ -179,32 +280,24 @@ async function extractElements(page, viewport) {
       };
     };
     
+    // Helper to tag elements outside the top document
+    const getContext = (el) => {
+      const { frame, shadowHost } = contextOf(el);
+      return { ...(frame && { frame }), ...(shadowHost && { shadowHost }) };
+    };
+    
     // Helper to check if visible
     const isVisible = (el) => {
       const rect = el.getBoundingClientRect();
-      const style = window.getComputedStyle(el);
+      const style = el.ownerDocument.defaultView.getComputedStyle(el);
       return rect.width > 0 && rect.height > 0 && 
              style.display !== 'none' && 
              style.visibility !== 'hidden' &&
              style.opacity !== '0';
     };
     
-    // Helper to get clean text
-    const getText = (el) => el?.textContent?.trim().substring(0, 100) || '';
-    
-    // Helper to build selector
-    const getSelector = (el) => {
-      if (el.id) return `#${el.id}`;
-      let selector = el.tagName.toLowerCase();
-      if (el.className && typeof el.className === 'string') {
-        const classes = el.className.split(' ').filter(c => c && !c.match(/^[0-9]/)).slice(0, 2);
-        if (classes.length) selector += '.' + classes.join('.');
-      }
-      return selector;
-    };
-    
     // Extract headings (h1-h3)
-    document.querySelectorAll('h1, h2, h3').forEach(el => {
+    queryAll('h1, h2, h3').forEach(el => {
       if (!isVisible(el)) return;
       const text = getText(el);
       if (!text) return;
@@ -214,12 +307,14 @@ async function extractElements(page, viewport) {
         level: parseInt(el.tagName[1]),
         text,
         selector: getSelector(el),
+        xpath: getXPath(el),
+        ...getContext(el),
         [vp]: getBox(el)
       });
     });
     
     // Extract CTAs (buttons and link buttons)
-    document.querySelectorAll('button, a.btn, a.button, [role="button"], .cta, a[class*="btn"]').forEach(el => {
+    queryAll('button, a.btn, a.button, [role="button"], .cta, a[class*="btn"]').forEach(el => {
       if (!isVisible(el)) return;
       const text = getText(el);
       if (!text || text.length > 50) return;
@@ -238,12 +333,14 @@ async function extractElements(page, viewport) {
         prominence,
         href: el.href || null,
         selector: getSelector(el),
+        xpath: getXPath(el),
+        ...getContext(el),
         [vp]: getBox(el)
       });
     });
     
     // Extract forms
-    document.querySelectorAll('form').forEach(el => {
+    queryAll('form').forEach(el => {
       if (!isVisible(el)) return;
       const fields = Array.from(el.querySelectorAll('input, select, textarea'))
         .map(f => f.name || f.placeholder || f.type)
@@ -254,12 +351,14 @@ async function extractElements(page, viewport) {
         fields,
         action: el.action || null,
         selector: getSelector(el),
+        xpath: getXPath(el),
+        ...getContext(el),
         [vp]: getBox(el)
       });
     });
     
     // Extract navigation
-    document.querySelectorAll('nav, [role="navigation"]').forEach(el => {
+    queryAll('nav, [role="navigation"]').forEach(el => {
       if (!isVisible(el)) return;
       const links = Array.from(el.querySelectorAll('a')).map(a => getText(a)).filter(Boolean);
       if (links.length === 0) return;
@@ -270,14 +369,16 @@ async function extractElements(page, viewport) {
         location: inHeader ? 'header' : 'other',
         links: links.slice(0, 10),
         selector: getSelector(el),
+        xpath: getXPath(el),
+        ...getContext(el),
         [vp]: getBox(el)
       });
     });
     
     // Extract hero images (large images in first viewport)
-    document.querySelectorAll('img').forEach(el => {
+    queryAll('img').forEach(el => {
       if (!isVisible(el)) return;
-      const rect = el.getBoundingClientRect();
+      const rect = getRect(el);
       // Only capture significant images (> 200px wide, in first 1000px)
       if (rect.width < 200 || rect.top > 1000) return;
       elements.push({
@@ -286,12 +387,14 @@ async function extractElements(page, viewport) {
         alt: el.alt || '',
         src: el.src?.substring(0, 100) || '',
         selector: getSelector(el),
+        xpath: getXPath(el),
+        ...getContext(el),
         [vp]: getBox(el)
       });
     });
     
     // Extract trust signals (logos, badges)
-    document.querySelectorAll('[class*="logo"], [class*="client"], [class*="partner"], [class*="trust"], [class*="badge"]').forEach(el => {
+    queryAll('[class*="logo"], [class*="client"], [class*="partner"], [class*="trust"], [class*="badge"]').forEach(el => {
       if (!isVisible(el)) return;
       const rect = el.getBoundingClientRect();
       if (rect.width < 30 || rect.height < 30) return;
@@ -300,45 +403,70 @@ async function extractElements(page, viewport) {
         type: 'trust',
         text: getText(el).substring(0, 50),
         selector: getSelector(el),
+        xpath: getXPath(el),
+        ...getContext(el),
         [vp]: getBox(el)
       });
     });
     
     return elements;
   }, viewport);
+  
+  // Text and component elements get their IDs in color.js / components.js
+  return assignElementIds(elements).concat(await extractTextContrast(page, viewport), await extractComponents(page, viewport));
 }
 
 /**
- * Merge element arrays from desktop and mobile
- * Matches by selector, combines viewport data
+ * Merge element arrays captured at each viewport
+ * elementSets: { viewportName: [elements] } in capture order, or the
+ * legacy (desktopEls, mobileEls) pair. Matches by fingerprint (`identity`),
+ * or for elements without one by type + selector + text within the same
+ * frame / shadow host. Elements left over are paired by DOM path, text
+ * similarity and order (matchElements), so a CTA that is shortened or
+ * moved into another container on mobile is still one element. Combines
+ * the per-viewport boxes and crops. Elements without a fingerprint that
+ * are missing from the first viewport get IDs prefixed with their
+ * viewport name.
  */
-function mergeElements(desktopEls, mobileEls) {
-  const merged = [];
-  const mobileMap = new Map();
+function mergeElements(elementSets, mobileEls) {
+  if (Array.isArray(elementSets)) {
+    elementSets = { desktop: elementSets, mobile: mobileEls || [] };
+  }
   
-  // Index mobile elements by selector+type+text for matching
-  mobileEls.forEach(el => {
-    const key = `${el.type}|${el.selector}|${el.text || ''}`;
-    mobileMap.set(key, el);
-  });
+  const merged = [];
+  const byKey = new Map();
+  const combine = (match, el, name) => {
+    match[name] = el[name];
+    if (el.crops) match.crops = { ...match.crops, ...el.crops };
+  };
   
-  // Start with desktop elements, add mobile data
-  desktopEls.forEach(el => {
-    const key = `${el.type}|${el.selector}|${el.text || ''}`;
-    const mobileMatch = mobileMap.get(key);
+  Object.entries(elementSets).forEach(([name, elements], index) => {
+    const unmatched = [];
+    elements.forEach(el => {
+      const key = el.identity || `${el.type}|${el.frame || ''}|${el.shadowHost || ''}|${el.selector}|${el.text || ''}`;
+      const match = (byKey.get(key) || []).find(c => !c[name]);
+      if (match) {
+        combine(match, el, name);
+      } else {
+        unmatched.push({ el, key });
+      }
+    });
     
-    if (mobileMatch && mobileMatch.mobile) {
-      el.mobile = mobileMatch.mobile;
-      mobileMap.delete(key); // Mark as used
-    }
-    merged.push(el);
-  });
-  
-  // Add remaining mobile-only elements
-  mobileMap.forEach(el => {
-    // Generate new ID for mobile-only elements
-    el.id = `el_m${el.id.slice(3)}`;
-    merged.push(el);
+    const fuzzy = index > 0
+      ? matchElements(unmatched.map(({ el }) => el), merged.filter(c => !c[name]))
+      : new Map();
+    unmatched.forEach(({ el, key }) => {
+      if (fuzzy.has(el)) {
+        combine(fuzzy.get(el), el, name);
+        return;
+      }
+      
+      if (index > 0 && !el.identity) {
+        el.id = `el_${name}_${el.id.slice(3)}`;
+      }
+      merged.push(el);
+      byKey.set(key, [...(byKey.get(key) || []), el]);
+    });
   });
   
   return merged;
@@ -359,216 +487,742 @@ async function warmUpScroll(page, scrollDelay) {
   await page.waitForTimeout(200);
 }
 
+/**
+ * Space out a handler's page loads on a host
+ * In the pool this is the shared per-host slot (WorkerPool.waitForHost);
+ * called directly (POST /api/discover) only the handler's own loads are
+ * spaced, by `interval` ms. Returns waitForHost(url).
+ */
+function hostPacer(controls, interval) {
+  if (controls?.waitForHost) return (url) => controls.waitForHost(url, interval);
+  
+  let next = 0;
+  return async () => {
+    const wait = next - Date.now();
+    next = Math.max(Date.now(), next) + (interval || 0);
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+  };
+}
+
+/**
+ * Navigate and give the page a moment to render
+ * Waits for the host's crawl delay first (see hostPacer).
+ * Returns the main resource response (null for same-document navigations).
+ */
+async function loadPage(page, url, waitForHost) {
+  await waitForHost(url);
+  const response = await page.goto(url, {
+    waitUntil: 'domcontentloaded',
+    timeout: CONFIG.timeout
+  });
+  await page.waitForTimeout(1000);
+  return response;
+}
+
+/**
+ * Clear overlays, warm up lazy content and freeze motion
+ * Overlay actions are added to `overlays` once each.
+ */
+async function preparePage(page, options, overlays) {
+  // Clear consent banners, chat widgets and modals (recorded for reviewers)
+  for (const action of await dismissOverlays(page, options?.overlays)) {
+    const seen = overlays.some(a => a.action === action.action && a.selector === action.selector);
+    if (!seen) overlays.push(action);
+  }
+  
+  // Warm-up scroll
+  await warmUpScroll(page, options?.scrollDelay || CONFIG.scrollDelay);
+  
+  // Freeze motion after lazy content has loaded
+  await stabilizePage(page, options?.stabilize);
+}
+
+/**
+ * Screenshot + element extraction per viewport
+ * fileFor(viewport) gives the screenshot path; results go into
+ * captured.screenshots / elementSets / maskSets by viewport name.
+ * With crops ({ format, fileFor(viewport, element, format) }), each
+ * element is also saved on its own (see crops.js).
+ */
+async function captureViewports(page, viewports, fileFor, captured, stabilize, crops = null) {
+  for (const vp of viewports) {
+    const screenshotPath = fileFor(vp);
+    await page.setViewportSize({ width: vp.width, height: vp.height });
+    await page.waitForTimeout(300);
+    
+    captured.elementSets[vp.name] = await extractElements(page, vp.name);
+    captured.maskSets[vp.name] = await measureMasks(page, stabilize);
+    
+    const screenshotOptions = {
+      animations: stabilize?.freezeAnimations ? 'disabled' : 'allow',
+      ...(await screenshotMaskOptions(page, stabilize))
+    };
+    await page.screenshot({
+      path: screenshotPath,
+      fullPage: true,
+      type: 'png',
+      ...screenshotOptions
+    });
+    captured.screenshots[vp.name] = screenshotPath;
+    
+    if (crops) {
+      await cropElements(page, captured.elementSets[vp.name], vp.name,
+        (element, format) => crops.fileFor(vp, element, format), crops, screenshotOptions);
+    }
+  }
+}
+
 /**
  * Main scan handler
  */
-async function scanPage(payload, job) {
+async function scanPage(payload, job, controls) {
   const { projectId, site, page: pageInfo, options } = payload;
+  const userAgent = options?.userAgent || CONFIG.userAgent;
+  
+  // Disallowed pages are reported as skipped, not failed
+  if (options?.respectRobots !== false) {
+    const robots = await getRobots(new URL(pageInfo.url).origin);
+    if (!isAllowed(robots, userAgent, pathWithQuery(pageInfo.url))) {
+      return {
+        page: pageInfo,
+        skipped: 'robots.txt',
+        screenshots: {},
+        extracted: null,
+        elements: [],
+        timing: {}
+      };
+    }
+  }
+  
+  // Every load in this scan (viewports, variants, states) waits its turn on the host
+  const waitForHost = hostPacer(controls);
+  
   const browser = await getBrowser();
   
-  const context = await browser.newContext({
-    viewport: CONFIG.desktopViewport,
-    deviceScaleFactor: CONFIG.deviceScaleFactor,
-    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-  });
+  // Logged-in session from the project's auth config
+  const storageState = await resolveStorageState(browser, options?.authFile, { userAgent });
+  
+  const viewports = getScanViewports(options);
+  const groups = groupByContext(viewports, userAgent);
+  // Content is extracted even when no screenshots are requested
+  if (groups.length === 0) {
+    groups.push({ contextOptions: { viewport: CONFIG.desktopViewport, userAgent }, viewports: [] });
+  }
   
-  const page = await context.newPage();
   const results = {
     page: pageInfo,
+    viewports: viewports.map(({ userAgent: ua, ...vp }) => vp),
     screenshots: {},
     extracted: null,
     elements: [],
+    masks: [],
+    performance: null,
+    health: null,
+    http: null,
+    accessibility: null,
+    focusOrder: null,
+    layoutChanges: null,
+    tokens: null,
+    variants: {},
+    states: {},
+    overlays: [],
     timing: {}
   };
   
-  let desktopElements = [];
-  let mobileElements = [];
+  const stabilize = options?.stabilize ? normalizeStabilize(options.stabilize) : null;
+  const cropOptions = normalizeCrops(options?.crops);
+  const variants = resolveVariants(options?.variants);
+  const base = { screenshots: results.screenshots, elementSets: {}, maskSets: {} };
+  const variantSets = Object.fromEntries(variants.map(v => [v.name, { screenshots: {}, elementSets: {}, maskSets: {} }]));
+  // Open menus, hovered nav, expanded accordions... configured for this page
+  const states = interactionsFor(normalizeInteractions(options?.interactions), pageInfo.path);
+  const stateSets = Object.fromEntries(states.map(s => [s.name, { screenshots: {}, elementSets: {}, maskSets: {}, errors: [] }]));
+  const startTime = Date.now();
   
-  try {
-    const startTime = Date.now();
-    
-    // Navigate
-    await page.goto(pageInfo.url, {
-      waitUntil: 'domcontentloaded',
-      timeout: CONFIG.timeout
-    });
-    await page.waitForTimeout(1000);
-    
-    // Warm-up scroll
-    const scrollDelay = options?.scrollDelay || CONFIG.scrollDelay;
-    await warmUpScroll(page, scrollDelay);
-    
-    // Extract content
-    results.extracted = await extractContent(page);
-    results.timing.extraction = Date.now() - startTime;
-    
-    // Generate file paths
-    const hostname = new URL(site).hostname;
-    const pageSlug = pageInfo.path === '/' ? 'home' : 
-      pageInfo.path.replace(/^\/|\/$/g, '').replace(/\//g, '_').replace(/[^a-z0-9_-]/gi, '');
-    
-    const basePath = path.join(__dirname, '..', 'captures', projectId, `site_${hostname}`, 'screenshots');
+  // Generate file paths
+  const hostname = new URL(site).hostname;
+  const pageSlug = pageInfo.path === '/' ? 'home' : 
+    pageInfo.path.replace(/^\/|\/$/g, '').replace(/\//g, '_').replace(/[^a-z0-9_-]/gi, '');
+  
+  const basePath = path.join(__dirname, '..', 'captures', projectId, `site_${hostname}`, 'screenshots');
+  
+  // Ensure directory exists
+  if (!fs.existsSync(basePath)) {
+    fs.mkdirSync(basePath, { recursive: true });
+  }
+  
+  // Element crops for the default pass, in a crops/ folder next to the screenshots
+  let crops = null;
+  if (cropOptions) {
+    const cropsPath = path.join(basePath, 'crops');
+    fs.mkdirSync(cropsPath, { recursive: true });
+    crops = {
+      ...cropOptions,
+      fileFor: (vp, element, format) => path.join(cropsPath, `${pageSlug}_${vp.name}_${element.id}.${format}`)
+    };
+  }
+  
+  // One context per user agent / scale / touch combination,
+  // viewports within a context are captured by resizing
+  for (const [index, group] of groups.entries()) {
+    const context = await browser.newContext({ ...group.contextOptions, storageState });
+    await applyClock(context, stabilize);
+    const page = await context.newPage();
     
-    // Ensure directory exists
-    if (!fs.existsSync(basePath)) {
-      fs.mkdirSync(basePath, { recursive: true });
-    }
+    // Failed requests, console errors and exceptions during the default pass
+    const watcher = index === 0 ? watchPageHealth(page) : null;
     
-    // Desktop capture + element extraction
-    if (options?.captureDesktop !== false) {
-      const desktopPath = path.join(basePath, `${pageSlug}_desktop.png`);
-      await page.setViewportSize(CONFIG.desktopViewport);
-      await page.waitForTimeout(300);
+    try {
+      if (index === 0) await installVitalsObserver(page);
+      const response = await loadPage(page, pageInfo.url, waitForHost);
       
-      // Extract element positions for desktop
-      desktopElements = await extractElements(page, 'desktop');
+      // Vitals before any clicks or scrolling (input ends LCP, scrolling adds candidates)
+      if (index === 0) {
+        results.performance = await collectPerformance(page);
+      }
       
-      await page.screenshot({ path: desktopPath, fullPage: true, type: 'png' });
-      results.screenshots.desktop = desktopPath;
-    }
-    
-    // Mobile capture + element extraction
-    if (options?.captureMobile !== false) {
-      const mobilePath = path.join(basePath, `${pageSlug}_mobile.png`);
-      await page.setViewportSize(CONFIG.mobileViewport);
-      await page.waitForTimeout(300);
+      await preparePage(page, { ...options, stabilize }, results.overlays);
+      
+      // Extract content
+      if (index === 0) {
+        results.extracted = await extractContent(page);
+        results.timing.extraction = Date.now() - startTime;
+        results.http = await pageStatus(page, response, pageInfo.url, results.extracted?.meta);
+        // WCAG checks after overlays are gone, at the first viewport
+        results.accessibility = await auditAccessibility(page);
+        // Colors, type, radii and spacing in use, for the design token inventory
+        results.tokens = await extractTokens(page);
+      }
+      
+      await captureViewports(page, group.viewports, (vp) => path.join(basePath, `${pageSlug}_${vp.name}.png`),
+        base, stabilize, crops);
+      if (watcher) results.health = watcher.stop();
+      
+      // Keyboard walk after the screenshots, so focus rings don't show in them
+      if (index === 0 && options?.focusOrder && group.viewports.length > 0) {
+        const [vp] = group.viewports;
+        await page.setViewportSize({ width: vp.width, height: vp.height });
+        results.focusOrder = await walkFocusOrder(page, vp.name);
+      }
+      
+      // Interaction states: a fresh load per viewport (a resize can close a
+      // menu), then the steps, then the capture. A failed step skips it.
+      for (const state of states) {
+        for (const vp of group.viewports.filter(v => !state.viewports || state.viewports.includes(v.name))) {
+          await page.setViewportSize({ width: vp.width, height: vp.height });
+          await loadPage(page, pageInfo.url, waitForHost);
+          await preparePage(page, { ...options, stabilize }, results.overlays);
+          
+          const failed = await runSteps(page, state.steps, waitForHost);
+          if (failed) {
+            stateSets[state.name].errors.push({ viewport: vp.name, ...failed });
+            continue;
+          }
+          await captureViewports(page, [vp],
+            (v) => path.join(basePath, `${pageSlug}_${v.name}_${state.name}.png`),
+            stateSets[state.name], stabilize);
+        }
+      }
       
-      // Extract element positions for mobile
-      mobileElements = await extractElements(page, 'mobile');
+      // Reload under each emulated media setting, so themes picked by
+      // script on load are applied as well as CSS media queries
+      for (const variant of variants) {
+        await page.emulateMedia(variant.media);
+        await loadPage(page, pageInfo.url, waitForHost);
+        await preparePage(page, { ...options, stabilize }, results.overlays);
+        
+        await captureViewports(page, group.viewports,
+          (vp) => path.join(basePath, `${pageSlug}_${vp.name}_${variant.name}.png`),
+          variantSets[variant.name], stabilize);
+      }
+    } finally {
+      await page.close();
+      await context.close();
+    }
+  }
+  
+  // Merge element data across viewports (in viewport order)
+  const inViewportOrder = (sets) => Object.fromEntries(
+    viewports.filter(vp => sets[vp.name]).map(vp => [vp.name, sets[vp.name]])
+  );
+  results.elements = mergeElements(inViewportOrder(base.elementSets));
+  // Hidden, pushed below the first screen or reordered on narrower viewports
+  results.layoutChanges = detectLayoutChanges(results.elements, results.viewports.filter(vp => base.elementSets[vp.name]));
+  // LCP / layout-shift / WCAG elements were measured in the first context's initial viewport
+  const loadViewport = groups[0].viewports[0]?.name || 'desktop';
+  results.elements.push(...performanceElements(results.performance, loadViewport));
+  results.elements.push(...accessibilityElements(results.accessibility, loadViewport));
+  results.elements.push(...focusElements(results.focusOrder));
+  results.masks = mergeMasks(inViewportOrder(base.maskSets));
+  for (const variant of variants) {
+    const captured = variantSets[variant.name];
+    results.variants[variant.name] = {
+      screenshots: captured.screenshots,
+      elements: mergeElements(inViewportOrder(captured.elementSets)),
+      masks: mergeMasks(inViewportOrder(captured.maskSets))
+    };
+  }
+  for (const state of states) {
+    const captured = stateSets[state.name];
+    if (Object.keys(captured.screenshots).length === 0 && captured.errors.length === 0) continue;
+    results.states[state.name] = {
+      steps: state.steps,
+      screenshots: captured.screenshots,
+      elements: mergeElements(inViewportOrder(captured.elementSets)),
+      masks: mergeMasks(inViewportOrder(captured.maskSets)),
+      errors: captured.errors
+    };
+  }
+  
+  results.timing.total = Date.now() - startTime;
+  
+  return results;
+}
+
+/**
+ * Flow handler - one scripted journey, captured step by step
+ * Each viewport runs the whole flow in a fresh context, so carts, forms
+ * and logins from one run don't leak into the next. A failed action
+ * stops that viewport's run; steps captured before it are kept.
+ */
+async function scanFlow(payload, job, controls) {
+  const { projectId, site, flow, options } = payload;
+  const userAgent = options?.userAgent || CONFIG.userAgent;
+  const startUrl = flowStartUrl(flow, site);
+  
+  // Same robots.txt rule as page scans, for the start page
+  if (options?.respectRobots !== false) {
+    const robots = await getRobots(new URL(startUrl).origin);
+    if (!isAllowed(robots, userAgent, pathWithQuery(startUrl))) {
+      return { flow: { name: flow.name, start: startUrl }, skipped: 'robots.txt', viewports: [], steps: [], errors: [], timing: {} };
+    }
+  }
+  const waitForHost = hostPacer(controls);
+  
+  const browser = await getBrowser();
+  const storageState = await resolveStorageState(browser, options?.authFile, { userAgent });
+  
+  const viewports = getScanViewports(options)
+    .filter(vp => !flow.viewports || flow.viewports.includes(vp.name));
+  const stabilize = options?.stabilize ? normalizeStabilize(options.stabilize) : null;
+  const stepSets = flow.steps.map(() => ({ screenshots: {}, elementSets: {}, maskSets: {}, urls: {} }));
+  const errors = [];
+  const overlays = [];
+  const startTime = Date.now();
+  
+  const hostname = new URL(site).hostname;
+  const basePath = path.join(__dirname, '..', 'captures', projectId, `site_${hostname}`, 'screenshots', 'flows');
+  fs.mkdirSync(basePath, { recursive: true });
+  
+  for (const group of groupByContext(viewports, userAgent)) {
+    for (const vp of group.viewports) {
+      const context = await browser.newContext({
+        ...group.contextOptions,
+        viewport: { width: vp.width, height: vp.height },
+        storageState
+      });
+      await applyClock(context, stabilize);
+      const page = await context.newPage();
       
-      await page.screenshot({ path: mobilePath, fullPage: true, type: 'png' });
-      results.screenshots.mobile = mobilePath;
+      try {
+        await loadPage(page, startUrl, waitForHost);
+        await preparePage(page, { ...options, stabilize }, overlays);
+        
+        for (const [index, step] of flow.steps.entries()) {
+          const failed = await runSteps(page, step.actions, waitForHost);
+          if (failed) {
+            errors.push({
+              viewport: vp.name,
+              step: index + 1,
+              name: step.name,
+              action: failed.action,
+              selector: failed.selector,
+              error: failed.error
+            });
+            break;
+          }
+          
+          // Actions may have navigated; overlays are only dismissed on the
+          // start page, so a modal the flow opened stays open
+          if (step.actions.length > 0) {
+            await page.waitForLoadState('load', { timeout: CONFIG.timeout }).catch(() => {});
+            await warmUpScroll(page, options?.scrollDelay || CONFIG.scrollDelay);
+            await stabilizePage(page, stabilize);
+          }
+          
+          stepSets[index].urls[vp.name] = page.url();
+          await captureViewports(page, [vp],
+            (v) => path.join(basePath, `${flow.name}_${index + 1}_${v.name}.png`),
+            stepSets[index], stabilize);
+        }
+      } finally {
+        await page.close();
+        await context.close();
+      }
     }
+  }
+  
+  // Steps in flow order, each merged across the viewports that reached it
+  const inViewportOrder = (sets) => Object.fromEntries(
+    viewports.filter(vp => sets[vp.name]).map(vp => [vp.name, sets[vp.name]])
+  );
+  const steps = [];
+  for (const [index, step] of flow.steps.entries()) {
+    const captured = stepSets[index];
+    if (Object.keys(captured.screenshots).length === 0) break;
+    const urls = inViewportOrder(captured.urls);
+    steps.push({
+      index: index + 1,
+      name: step.name,
+      url: Object.values(urls)[0],
+      urls,
+      actions: step.actions,
+      screenshots: captured.screenshots,
+      elements: mergeElements(inViewportOrder(captured.elementSets)),
+      masks: mergeMasks(inViewportOrder(captured.maskSets))
+    });
+  }
+  
+  return {
+    flow: { name: flow.name, start: startUrl },
+    viewports: viewports.map(({ userAgent: ua, ...vp }) => vp),
+    steps,
+    errors,
+    overlays,
+    timing: { total: Date.now() - startTime }
+  };
+}
+
+/**
+ * Viewports to capture for a scan
+ * Projects without a viewport list get desktop + mobile, honoring the
+ * captureDesktop / captureMobile flags.
+ */
+function getScanViewports(options) {
+  if (options?.viewports?.length > 0) {
+    return resolveViewports(options.viewports);
+  }
+  return resolveViewports(DEFAULT_VIEWPORTS.filter(name =>
+    !(name === 'desktop' && options?.captureDesktop === false) &&
+    !(name === 'mobile' && options?.captureMobile === false)
+  ));
+}
+
+/**
+ * Path plus query string of a URL, as matched by robots.txt rules
+ */
+function pathWithQuery(href) {
+  const url = new URL(href);
+  return url.pathname + url.search;
+}
+
+/**
+ * Collect same-host page links from the current page
+ */
+async function extractLinks(page, baseHost) {
+  return await page.evaluate((host) => {
+    const allLinks = Array.from(document.querySelectorAll('a[href]'));
     
-    // Merge desktop and mobile element data
-    results.elements = mergeElements(desktopElements, mobileElements);
-    
-    results.timing.total = Date.now() - startTime;
-    
-  } finally {
-    await page.close();
-    await context.close();
+    return allLinks.map(a => {
+      try {
+        const url = new URL(a.href, window.location.origin);
+        if (url.hostname !== host) return null;
+        if (url.hash) return null;
+        
+        return {
+          url: url.href,
+          path: url.pathname,
+          text: a.textContent?.trim() || '',
+          inNav: !!a.closest('nav, header, [role="navigation"]'),
+          // Downloads are link-checked but not crawled
+          file: /\.(pdf|jpg|png|gif|zip|doc)$/i.test(url.pathname)
+        };
+      } catch { return null; }
+    }).filter(Boolean);
+  }, baseHost);
+}
+
+/**
+ * Same-host links for client-side routes found by clicking (see spa.js)
+ */
+function routeLinks(routes, baseHost) {
+  return routes.map(route => {
+    try {
+      const url = new URL(route.url);
+      if (url.hostname !== baseHost) return null;
+      return { url: url.href, path: url.pathname, text: route.text, inNav: true, source: 'spa', file: false };
+    } catch {
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+/**
+ * Dedupe links by path, nav links first, then shortest paths
+ */
+function prioritizeLinks(links) {
+  const seen = new Set();
+  const uniqueLinks = links.filter(link => {
+    if (seen.has(link.path)) return false;
+    seen.add(link.path);
+    return true;
+  });
+  
+  return uniqueLinks.sort((a, b) => {
+    if (a.inNav && !b.inNav) return -1;
+    if (!a.inNav && b.inNav) return 1;
+    return a.path.length - b.path.length;
+  });
+}
+
+/**
+ * Turn sitemap.xml URLs into same-host page links, shallowest paths first
+ */
+function sitemapLinks(urls, baseHost, rules) {
+  const links = [];
+  for (const href of urls) {
+    try {
+      const url = new URL(href);
+      if (url.hostname !== baseHost) continue;
+      if (url.pathname.match(/\.(pdf|jpg|png|gif|zip|doc)$/i)) continue;
+      links.push(normalizeUrl(url.href, rules));
+    } catch {
+      // Ignore malformed <loc> entries
+    }
   }
   
-  return results;
+  const seen = new Set();
+  return links
+    .filter(link => {
+      if (seen.has(link.path)) return false;
+      seen.add(link.path);
+      return true;
+    })
+    .sort((a, b) => a.path.split('/').length - b.path.split('/').length || a.path.localeCompare(b.path));
 }
 
 /**
  * Discover pages on a site
+ * Breadth-first crawl from the homepage: depth is the number of clicks
+ * from the homepage and parent is the page the link was first found on.
+ * URLs listed in sitemap.xml but never linked are appended afterwards.
+ * Each page is tagged with its source: 'nav', 'crawl' or 'sitemap.xml'.
+ *
+ * With spa: true, each page also waits for network idle, and its
+ * navigational elements without a usable href are clicked (spa.js).
+ * Routes they push or navigate to are tagged 'spa'.
+ *
+ * URLs are deduped by path plus the query params named in keepParams.
+ * Excluded pages are neither listed nor crawled. Pages outside the
+ * include list are still crawled for links but not listed; the
+ * homepage is always listed as the crawl root.
  */
-async function discoverPages(payload, job) {
+async function discoverPages(payload, job, controls) {
   const { site, options } = payload;
+  const userAgent = options?.userAgent || CONFIG.userAgent;
+  const rules = createUrlRules(options);
   const browser = await getBrowser();
+  const storageState = await resolveStorageState(browser, options?.authFile, { userAgent });
   
   const context = await browser.newContext({
     viewport: CONFIG.desktopViewport,
-    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+    userAgent,
+    storageState
   });
   
   const page = await context.newPage();
+  const spa = options?.spa === true;
+  if (spa) await watchClientRoutes(context, page);
   const pages = [];
   const visited = new Set();
+  const unlisted = new Set();
+  // Every same-origin href seen on each visited page, for link checking
+  const hrefsByPage = new Map();
+  
+  const maxPages = options?.maxPages || 50;
+  const maxDepth = options?.maxDepth || 3;
+  // Bounds crawling through pages outside the include list
+  const maxVisits = maxPages * 4;
+  let visits = 0;
+  let crawlDelay = null;
   
   try {
     const baseUrl = new URL(site);
     
-    await page.goto(site, {
-      waitUntil: 'domcontentloaded',
-      timeout: CONFIG.timeout
-    });
+    // robots.txt rules for our user agent
+    const robots = options?.respectRobots !== false ? await getRobots(baseUrl.origin) : null;
+    const allowed = (urlPath) => !robots || isAllowed(robots, userAgent, urlPath);
+    if (!allowed(pathWithQuery(site))) {
+      throw new Error(`Disallowed by robots.txt: ${site}`);
+    }
+    crawlDelay = robots ? getCrawlDelay(robots, userAgent) : null;
     
-    // Extract navigation links
-    const links = await page.evaluate((baseHost) => {
-      const allLinks = Array.from(document.querySelectorAll('a[href]'));
-      
-      return allLinks.map(a => {
-        try {
-          const url = new URL(a.href, window.location.origin);
-          if (url.hostname !== baseHost) return null;
-          if (url.hash || url.pathname.match(/\.(pdf|jpg|png|gif|zip|doc)$/i)) return null;
-          
-          return {
-            url: url.href,
-            path: url.pathname,
-            text: a.textContent?.trim() || '',
-            inNav: !!a.closest('nav, header, [role="navigation"]')
-          };
-        } catch { return null; }
-      }).filter(Boolean);
-    }, baseUrl.hostname);
-    
-    // Dedupe and prioritize
-    const seen = new Set();
-    const uniqueLinks = links.filter(link => {
-      if (seen.has(link.path)) return false;
-      seen.add(link.path);
-      return true;
-    });
+    // Wait between page loads on this host
+    const interval = Math.max(
+      (options?.crawlDelay || crawlDelay || 0) * 1000,
+      options?.maxRequestsPerSecond > 0 ? 1000 / options.maxRequestsPerSecond : 0
+    );
+    const waitForHost = hostPacer(controls, interval);
     
-    uniqueLinks.sort((a, b) => {
-      if (a.inNav && !b.inNav) return -1;
-      if (!a.inNav && b.inNav) return 1;
-      return a.path.length - b.path.length;
-    });
+    // Seed from robots.txt / sitemap.xml before crawling the DOM
+    let listed = [];
+    if (options?.useSitemap !== false) {
+      try {
+        const { urls } = await fetchSitemapUrls(site);
+        listed = sitemapLinks(urls, baseUrl.hostname, rules);
+      } catch (error) {
+        console.warn(`Discover: sitemap seeding failed for ${site}: ${error.message}`);
+      }
+    }
+    const listedPaths = new Set(listed.map(link => link.path));
     
-    // Add homepage
-    pages.push({
+    // Homepage is the crawl root
+    const home = {
       url: site,
       path: '/',
-      title: await page.title(),
+      title: site,
       slug: 'home',
       depth: 0,
       parent: null,
+      foundOn: null,
+      source: 'crawl',
+      inSitemap: listedPaths.has(baseUrl.pathname),
       status: 'pending'
-    });
+    };
+    pages.push(home);
     visited.add('/');
     
-    const maxPages = options?.maxPages || 50;
-    const maxDepth = options?.maxDepth || 3;
+    const queue = [home];
+    
+    while (queue.length > 0 && pages.length < maxPages && visits < maxVisits) {
+      const current = queue.shift();
+      
+      // Links on pages at maxDepth would exceed it, no need to visit
+      if (current.depth >= maxDepth) continue;
+      visits++;
+      
+      let links;
+      try {
+        await waitForHost(current.url);
+        await page.goto(current.url, {
+          waitUntil: 'domcontentloaded',
+          timeout: CONFIG.timeout
+        });
+        if (spa) await waitForIdle(page);
+        const found = await extractLinks(page, baseUrl.hostname);
+        let routes = [];
+        if (spa) {
+          const clicked = await clickThroughNav(page, page.url(), () => extractLinks(page, baseUrl.hostname), waitForHost);
+          found.push(...clicked.links);
+          routes = routeLinks(clicked.routes, baseUrl.hostname);
+        }
+        hrefsByPage.set(current, found.map(link => link.url).filter(url => allowed(pathWithQuery(url))));
+        links = [...found, ...routes]
+          .filter(link => !link.file)
+          .map(link => ({ ...link, ...normalizeUrl(link.url, rules) }));
+      } catch (error) {
+        // The homepage must load, deeper pages are skipped
+        if (current === home) throw error;
+        console.warn(`Discover: skipping ${current.url}: ${error.message}`);
+        continue;
+      }
+      
+      if (current === home) {
+        home.title = await page.title();
+      }
+      
+      for (const link of prioritizeLinks(links)) {
+        if (pages.length >= maxPages) break;
+        if (visited.has(link.path)) continue;
+        if (isExcluded(rules, link.path)) continue;
+        if (!allowed(pathWithQuery(link.url))) continue;
+        
+        const discovered = {
+          url: link.url,
+          path: link.path,
+          title: link.text || link.path,
+          slug: slugify(link.path),
+          depth: current.depth + 1,
+          // Unlisted pages hand their own parent down
+          parent: unlisted.has(current) ? current.parent : current.slug,
+          foundOn: current.url,
+          source: link.source || (link.inNav ? 'nav' : 'crawl'),
+          inSitemap: listedPaths.has(link.path),
+          status: 'pending'
+        };
+        if (isIncluded(rules, link.path)) {
+          pages.push(discovered);
+        } else {
+          unlisted.add(discovered);
+        }
+        queue.push(discovered);
+        visited.add(link.path);
+      }
+    }
     
-    for (const link of uniqueLinks) {
+    // Pages only reachable through sitemap.xml (hidden from nav and links)
+    for (const link of listed) {
       if (pages.length >= maxPages) break;
       if (visited.has(link.path)) continue;
+      if (!isIncluded(rules, link.path)) continue;
+      if (!allowed(pathWithQuery(link.url))) continue;
       
-      const depth = link.path.split('/').filter(Boolean).length;
-      if (depth > maxDepth) continue;
+      const pathParts = link.path.split('?')[0].split('/').filter(Boolean);
+      if (pathParts.length > maxDepth) continue;
       
-      const pathParts = link.path.split('/').filter(Boolean);
+      // No click path exists, so fall back to the URL structure
       let parent = 'home';
-      if (pathParts.length > 1) {
-        const parentPath = '/' + pathParts.slice(0, -1).join('/');
-        const parentPage = pages.find(p => p.path === parentPath);
-        if (parentPage) parent = parentPage.slug;
+      for (let i = pathParts.length - 1; i > 0; i--) {
+        const ancestor = pages.find(p => p.path === '/' + pathParts.slice(0, i).join('/'));
+        if (ancestor) {
+          parent = ancestor.slug;
+          break;
+        }
       }
       
-      const slug = pathParts.join('-') || link.path.replace(/[^a-z0-9]/gi, '-');
-      
       pages.push({
         url: link.url,
         path: link.path,
-        title: link.text || link.path,
-        slug,
-        depth,
+        title: link.path,
+        slug: slugify(link.path),
+        depth: pathParts.length,
         parent,
+        foundOn: null,
+        source: 'sitemap.xml',
+        inSitemap: true,
         status: 'pending'
       });
       visited.add(link.path);
     }
     
+    // Broken links and redirect chains, with the crawl's session and politeness
+    if (options?.checkLinks !== false && hrefsByPage.size > 0) {
+      const allHrefs = Array.from(hrefsByPage.values()).flat();
+      const results = await checkLinks(context.request, allHrefs, {
+        interval,
+        maxChecks: options?.maxLinkChecks
+      });
+      for (const [visitedPage, hrefs] of hrefsByPage) {
+        visitedPage.health = { links: linkReport(hrefs, results) };
+      }
+    }
+    
   } finally {
     await page.close();
     await context.close();
   }
   
-  return { pages };
+  return { pages, crawlDelay };
 }
 
 module.exports = {
   scanPage,
+  scanFlow,
   discoverPages,
   extractContent,
   extractElements,
   mergeElements,
+  prioritizeLinks,
   closeBrowser,
   CONFIG
 };
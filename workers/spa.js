@@ -0,0 +1,183 @@
+/**
+ * SPA - client-side route discovery for single-page apps: waits for the
+ * network to go idle, records history.pushState routes and clicks through
+ * navigational elements that have no usable href
+ * /workers/spa.js
+ */
+
+/**
+ * Time to wait for network idle after a load (ms)
+ */
+const IDLE_TIMEOUT = 5000;
+
+/**
+ * Time a click, and the requests it starts, may take (ms)
+ */
+const CLICK_TIMEOUT = 3000;
+
+/**
+ * Elements clicked per page
+ */
+const MAX_CLICKS = 15;
+
+/**
+ * Elements that can navigate without an href a crawler could follow
+ */
+const CLICK_TARGETS = [
+  'a:not([href])',
+  'a[href^="#"]',
+  'a[href^="javascript:"]',
+  'button:not([type="submit"])',
+  '[role="link"]',
+  '[role="menuitem"]',
+  '[role="tab"]',
+  '[onclick]',
+  '[data-href]',
+  '[routerlink]'
+].join(', ');
+
+/**
+ * Containers whose clickable children are treated as navigation
+ */
+const NAV_CONTAINERS = 'nav, header, aside, [role="navigation"], [role="menu"], [role="menubar"], [role="tablist"]';
+
+/**
+ * Labels of elements never clicked: they end the session, change data or pay
+ */
+const UNSAFE_LABEL = /\b(log ?out|sign ?out|delete|remove|unsubscribe|cancel|buy|pay|checkout|add to (cart|bag|basket))\b/i;
+
+/**
+ * Record pushState / replaceState URLs in every document of the context,
+ * close popups opened by clicks and dismiss dialogs on the page
+ */
+async function watchClientRoutes(context, page) {
+  await context.addInitScript(() => {
+    window.__sitemapRoutes = [];
+    for (const method of ['pushState', 'replaceState']) {
+      const original = history[method];
+      history[method] = function (state, title, url) {
+        if (url !== undefined && url !== null) {
+          try {
+            window.__sitemapRoutes.push(new URL(url, location.href).href);
+          } catch {
+            // Ignore URLs the browser would reject too
+          }
+        }
+        return original.apply(this, arguments);
+      };
+    }
+  });
+  context.on('page', (popup) => popup.close().catch(() => {}));
+  page.on('dialog', (dialog) => dialog.dismiss().catch(() => {}));
+}
+
+/**
+ * Wait for client-side rendering; apps that never go idle just time out
+ */
+async function waitForIdle(page, timeout = IDLE_TIMEOUT) {
+  await page.waitForLoadState('networkidle', { timeout }).catch(() => {});
+}
+
+/**
+ * Routes pushed since the last call
+ */
+async function takeRoutes(page) {
+  return page.evaluate(() => {
+    const routes = window.__sitemapRoutes || [];
+    window.__sitemapRoutes = [];
+    return routes;
+  }).catch(() => []);
+}
+
+/**
+ * Tag the visible click targets with data-sitemap-target="N"
+ * Returns [{ index, text }] in document order. Positions move when a menu
+ * opens or the page reloads, so callers match on text as well.
+ */
+async function markTargets(page) {
+  return page.evaluate(({ targets, containers, unsafe, max }) => {
+    const unsafeLabel = new RegExp(unsafe, 'i');
+    for (const el of document.querySelectorAll('[data-sitemap-target]')) {
+      el.removeAttribute('data-sitemap-target');
+    }
+
+    const marked = [];
+    for (const el of document.querySelectorAll(targets)) {
+      if (marked.length >= max) break;
+      const text = (el.getAttribute('aria-label') || el.textContent || '').trim().replace(/\s+/g, ' ').slice(0, 80);
+      const rect = el.getBoundingClientRect();
+      if (!text || rect.width === 0 || rect.height === 0) continue;
+      if (el.closest('form') || el.disabled || el.getAttribute('aria-disabled') === 'true') continue;
+      if (unsafeLabel.test(text)) continue;
+      // Buttons and tabs only count inside navigation; link-like elements anywhere
+      if (!el.closest(containers) && !el.matches('a, [role="link"], [data-href], [routerlink]')) continue;
+
+      el.setAttribute('data-sitemap-target', String(marked.length));
+      marked.push({ index: marked.length, text });
+    }
+    return marked;
+  }, { targets: CLICK_TARGETS, containers: NAV_CONTAINERS, unsafe: UNSAFE_LABEL.source, max: MAX_CLICKS });
+}
+
+/**
+ * Get back to the page the clicks start from
+ * History back keeps the app's state; a fresh load is the fallback.
+ */
+async function returnTo(page, url, waitForHost) {
+  if (page.url() === url) return;
+  await page.goBack({ waitUntil: 'domcontentloaded', timeout: CLICK_TIMEOUT }).catch(() => null);
+  if (page.url() !== url) {
+    if (waitForHost) await waitForHost(url);
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: IDLE_TIMEOUT * 3 });
+  }
+  await waitForIdle(page);
+}
+
+/**
+ * Click through a page's navigational elements, returning to `url` after each
+ * collectLinks() reads the page's a[href] links; it runs after clicks that
+ * stay on the page, so menus that render on open are included.
+ * Returns { routes: [{ url, text }], links: [...collectLinks() results] };
+ * routes are pushState calls and URL changes, text is the clicked label.
+ * waitForHost(url) paces reloads on the host when going back fails.
+ */
+async function clickThroughNav(page, url, collectLinks, waitForHost = null) {
+  const routes = (await takeRoutes(page)).map(href => ({ url: href, text: '' }));
+  const links = [];
+
+  for (const target of await markTargets(page)) {
+    try {
+      await returnTo(page, url, waitForHost);
+      const current = await markTargets(page);
+      const match = current.find(t => t.index === target.index && t.text === target.text) ||
+        current.find(t => t.text === target.text);
+      if (!match) continue;
+
+      await takeRoutes(page);
+      await page.locator(`[data-sitemap-target="${match.index}"]`).first().click({ timeout: CLICK_TIMEOUT });
+      await waitForIdle(page, CLICK_TIMEOUT);
+
+      const pushed = await takeRoutes(page);
+      for (const href of pushed) routes.push({ url: href, text: target.text });
+      // A new URL is crawled on its own; otherwise a menu may have opened
+      if (page.url() !== url) {
+        if (!pushed.includes(page.url())) routes.push({ url: page.url(), text: target.text });
+      } else {
+        links.push(...await collectLinks());
+      }
+    } catch (error) {
+      // Targets that detach, hide or time out are skipped
+    }
+  }
+
+  await returnTo(page, url, waitForHost).catch(() => {});
+  return { routes, links };
+}
+
+module.exports = {
+  MAX_CLICKS,
+  UNSAFE_LABEL,
+  watchClientRoutes,
+  waitForIdle,
+  clickThroughNav
+};
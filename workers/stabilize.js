@@ -0,0 +1,232 @@
+/**
+ * Stabilize - freeze animations, fix the clock and mask dynamic regions
+ * /workers/stabilize.js
+ *
+ * Carousels, videos, timestamps and ad slots change between captures.
+ * These helpers make repeated screenshots of the same page comparable.
+ */
+
+/**
+ * Stops CSS animations/transitions and hides the text caret
+ */
+const FREEZE_CSS = `*, *::before, *::after {
+  animation-duration: 0s !important;
+  animation-delay: 0s !important;
+  animation-iteration-count: 1 !important;
+  transition: none !important;
+  caret-color: transparent !important;
+}`;
+
+/**
+ * Default fill Playwright paints over masked regions
+ */
+const MASK_COLOR = '#FF00FF';
+
+/**
+ * Selector -> parse error, or null when the browser accepts it
+ * Syntax doesn't depend on the page, so each selector is checked once.
+ */
+const selectorErrors = new Map();
+
+/**
+ * Normalize a project's stabilize config, throwing on an invalid clock
+ * or selector list. Selector syntax is checked in the browser on first use
+ * (see validSelectors).
+ *
+ * stabilize: {
+ *   freezeAnimations: false,  // Disable CSS animations and transitions, finish Web Animations
+ *   pauseVideos: false,       // Pause <video> elements at their first frame
+ *   clock: null,              // Fixed Date.now() for the page (ISO string or epoch ms)
+ *   mask: [],                 // Selectors painted over in screenshots (layout kept)
+ *   hide: [],                 // Selectors made invisible (visibility: hidden, layout kept)
+ *   maskColor: '#FF00FF'
+ * }
+ */
+function normalizeStabilize(stabilize = {}) {
+  const config = stabilize || {};
+
+  let clock = null;
+  if (config.clock !== undefined && config.clock !== null && config.clock !== '') {
+    const time = new Date(config.clock);
+    if (Number.isNaN(time.getTime())) {
+      throw new Error(`stabilize.clock must be a date or timestamp, got "${config.clock}"`);
+    }
+    clock = time.toISOString();
+  }
+
+  for (const key of ['mask', 'hide']) {
+    if (config[key] === undefined) continue;
+    if (!Array.isArray(config[key])) {
+      throw new Error(`stabilize.${key} must be an array of selectors`);
+    }
+    config[key].forEach((selector, index) => {
+      if (typeof selector !== 'string' || !selector.trim()) {
+        throw new Error(`stabilize.${key}[${index}] must be a non-empty selector`);
+      }
+    });
+  }
+
+  return {
+    freezeAnimations: !!config.freezeAnimations,
+    pauseVideos: !!config.pauseVideos,
+    clock,
+    mask: config.mask || [],
+    hide: config.hide || [],
+    maskColor: config.maskColor || MASK_COLOR
+  };
+}
+
+/**
+ * Fix the page clock before navigation
+ * Timers keep running so the page still loads; only Date is frozen.
+ */
+async function applyClock(context, stabilize) {
+  if (!stabilize?.clock) return;
+  await context.clock.setFixedTime(new Date(stabilize.clock));
+}
+
+/**
+ * The selectors the browser can parse, warning once about each invalid one
+ * An invalid selector would void a combined CSS rule and make
+ * page.screenshot() fail as a mask, so it is skipped instead.
+ */
+async function validSelectors(page, selectors) {
+  const unchecked = [...new Set(selectors.filter(selector => !selectorErrors.has(selector)))];
+  if (unchecked.length > 0) {
+    const errors = await page.evaluate((list) => list.map(selector => {
+      try {
+        document.querySelector(selector);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    }), unchecked);
+    unchecked.forEach((selector, i) => {
+      const error = errors?.[i] || null;
+      selectorErrors.set(selector, error);
+      if (error) console.warn(`Skipping invalid stabilize selector "${selector}": ${error}`);
+    });
+  }
+  return selectors.filter(selector => !selectorErrors.get(selector));
+}
+
+/**
+ * Freeze motion and hide selectors on a loaded page
+ */
+async function stabilizePage(page, stabilize) {
+  if (!stabilize) return;
+
+  if (stabilize.freezeAnimations) {
+    await page.addStyleTag({ content: FREEZE_CSS });
+    await page.evaluate(() => {
+      for (const animation of document.getAnimations()) {
+        try {
+          animation.finish();
+        } catch {
+          // Infinite animations can't finish
+          animation.pause();
+          animation.currentTime = 0;
+        }
+      }
+    });
+  }
+
+  if (stabilize.pauseVideos) {
+    await page.evaluate(() => {
+      for (const video of document.querySelectorAll('video')) {
+        video.autoplay = false;
+        video.pause();
+        video.currentTime = 0;
+      }
+    });
+  }
+
+  const hide = stabilize.hide.length > 0 ? await validSelectors(page, stabilize.hide) : [];
+  if (hide.length > 0) {
+    await page.addStyleTag({
+      content: `${hide.join(',\n')} { visibility: hidden !important; }`
+    });
+  }
+}
+
+/**
+ * Document-relative boxes of masked and hidden elements at the current viewport
+ * Returns [{ selector, mode: 'mask' | 'hide', index, box }]
+ */
+async function measureMasks(page, stabilize) {
+  if (!stabilize || (stabilize.mask.length === 0 && stabilize.hide.length === 0)) return [];
+
+  const targets = [
+    ...stabilize.mask.map(selector => ({ selector, mode: 'mask' })),
+    ...stabilize.hide.map(selector => ({ selector, mode: 'hide' }))
+  ];
+
+  return await page.evaluate((list) => {
+    const regions = [];
+    for (const { selector, mode } of list) {
+      let matches;
+      try {
+        matches = Array.from(document.querySelectorAll(selector));
+      } catch {
+        continue;
+      }
+      matches.forEach((el, index) => {
+        const rect = el.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+        regions.push({
+          selector,
+          mode,
+          index,
+          box: {
+            x: Math.round(rect.left + window.scrollX),
+            y: Math.round(rect.top + window.scrollY),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height)
+          }
+        });
+      });
+    }
+    return regions;
+  }, targets);
+}
+
+/**
+ * page.screenshot() options for masked selectors
+ */
+async function screenshotMaskOptions(page, stabilize) {
+  if (!stabilize || stabilize.mask.length === 0) return {};
+  const mask = await validSelectors(page, stabilize.mask);
+  if (mask.length === 0) return {};
+  return {
+    mask: mask.map(selector => page.locator(selector)),
+    maskColor: stabilize.maskColor
+  };
+}
+
+/**
+ * Combine per-viewport mask measurements into one list
+ * regionSets: { viewportName: [{ selector, mode, index, box }] }
+ * Returns [{ selector, mode, [viewportName]: box }], like elements[].
+ */
+function mergeMasks(regionSets) {
+  const merged = new Map();
+  for (const [viewport, regions] of Object.entries(regionSets)) {
+    for (const { selector, mode, index, box } of regions) {
+      const key = `${mode}|${selector}|${index}`;
+      if (!merged.has(key)) merged.set(key, { selector, mode });
+      merged.get(key)[viewport] = box;
+    }
+  }
+  return Array.from(merged.values());
+}
+
+module.exports = {
+  FREEZE_CSS,
+  MASK_COLOR,
+  normalizeStabilize,
+  applyClock,
+  stabilizePage,
+  measureMasks,
+  screenshotMaskOptions,
+  mergeMasks
+};
@@ -0,0 +1,274 @@
+/**
+ * Structured - JSON-LD, microdata, RDFa, hreflang, social tags and icons
+ * /workers/structured.js
+ */
+
+const { comparableUrl } = require('./redirects');
+
+/**
+ * Structured data items kept per page
+ */
+const MAX_ITEMS = 20;
+
+/**
+ * schema.org properties per type, after Google's rich result guidelines
+ * An array inside `required` means any one of those properties.
+ */
+const SCHEMA_RULES = {
+  Product: { required: ['name', ['offers', 'review', 'aggregateRating']], recommended: ['image', 'description', 'brand'] },
+  Offer: { required: ['price', 'priceCurrency'], recommended: ['availability'] },
+  Article: { required: ['headline'], recommended: ['image', 'datePublished', 'author'] },
+  NewsArticle: { required: ['headline'], recommended: ['image', 'datePublished', 'author'] },
+  BlogPosting: { required: ['headline'], recommended: ['image', 'datePublished', 'author'] },
+  Organization: { required: ['name'], recommended: ['url', 'logo'] },
+  LocalBusiness: { required: ['name', 'address'], recommended: ['telephone', 'openingHours'] },
+  WebSite: { required: ['name', 'url'], recommended: [] },
+  BreadcrumbList: { required: ['itemListElement'], recommended: [] },
+  FAQPage: { required: ['mainEntity'], recommended: [] },
+  Event: { required: ['name', 'startDate', 'location'], recommended: ['endDate', 'image', 'offers'] },
+  Recipe: { required: ['name', 'image'], recommended: ['recipeIngredient', 'recipeInstructions'] },
+  VideoObject: { required: ['name', 'thumbnailUrl', 'uploadDate'], recommended: ['description', 'duration'] },
+  Review: { required: ['itemReviewed', 'author'], recommended: ['reviewRating'] },
+  Person: { required: ['name'], recommended: [] }
+};
+
+/**
+ * BCP 47 language (+ script, + region) as used by hreflang, or x-default
+ */
+const HREFLANG_CODE = /^([a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?|x-default)$/i;
+
+/**
+ * Timeout for the favicon and manifest requests (ms)
+ */
+const ICON_TIMEOUT = 3000;
+
+/**
+ * Runs in the page: collects structured data, alternates, social tags and icons
+ * Icons are read from the markup only; fetchIcons() requests them.
+ */
+function collectStructuredData({ maxItems }) {
+  const text = (value) => (value || '').replace(/\s+/g, ' ').trim().substring(0, 200);
+  const typeName = (type) => String(type).replace(/^.*[/#:]/, '');
+  const typesOf = (value) => (value ? String(value).split(/\s+/).filter(Boolean).map(typeName) : []);
+
+  // Plain copy of a JSON-LD value: short strings, few array entries, shallow nesting
+  const clean = (value, depth = 0) => {
+    if (typeof value === 'string') return value.substring(0, 200);
+    if (Array.isArray(value)) return value.slice(0, 10).map(v => clean(v, depth));
+    if (!value || typeof value !== 'object') return value;
+    if (depth >= 3) return {};
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, clean(v, depth + 1)]));
+  };
+
+  const items = [];
+  const addItem = (item) => {
+    if (items.length < maxItems) items.push(item);
+  };
+
+  // JSON-LD (arrays and @graph flattened)
+  document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    let data;
+    try {
+      data = JSON.parse(script.textContent);
+    } catch (error) {
+      addItem({ format: 'json-ld', types: [], properties: {}, error: error.message });
+      return;
+    }
+    const nodes = [].concat(data).flatMap(node => (node && node['@graph'] ? [].concat(node['@graph']) : [node]));
+    for (const node of nodes) {
+      if (!node || typeof node !== 'object') continue;
+      const properties = {};
+      for (const [key, value] of Object.entries(node)) {
+        if (!key.startsWith('@')) properties[key] = clean(value);
+      }
+      addItem({ format: 'json-ld', types: [].concat(node['@type'] || []).map(typeName), properties });
+    }
+  });
+
+  // Microdata and RDFa share a shape: a scope element, typed, with property descendants
+  const readScope = (root, scopeAttr, propAttr, typeAttr, depth = 0) => {
+    const properties = {};
+    root.querySelectorAll(`[${propAttr}]`).forEach(el => {
+      // Only properties whose nearest scope is this one
+      if (el.parentElement.closest(`[${scopeAttr}]`) !== root) return;
+      let value;
+      if (el.hasAttribute(scopeAttr) && el !== root) {
+        value = depth < 2
+          ? { types: typesOf(el.getAttribute(typeAttr)), properties: readScope(el, scopeAttr, propAttr, typeAttr, depth + 1) }
+          : {};
+      } else {
+        value = el.getAttribute('content') || el.getAttribute('datetime') || el.getAttribute('resource') ||
+          el.getAttribute('href') || el.getAttribute('src') || text(el.textContent);
+      }
+      for (const name of el.getAttribute(propAttr).split(/\s+/).filter(Boolean).map(typeName)) {
+        properties[name] = name in properties ? [].concat(properties[name], value) : value;
+      }
+    });
+    return properties;
+  };
+
+  document.querySelectorAll('[itemscope]:not([itemprop])').forEach(el => {
+    addItem({ format: 'microdata', types: typesOf(el.getAttribute('itemtype')), properties: readScope(el, 'itemscope', 'itemprop', 'itemtype') });
+  });
+  document.querySelectorAll('[typeof]:not([property])').forEach(el => {
+    addItem({ format: 'rdfa', types: typesOf(el.getAttribute('typeof')), properties: readScope(el, 'typeof', 'property', 'typeof') });
+  });
+
+  // hreflang alternates
+  const alternates = Array.from(document.querySelectorAll('link[rel="alternate"][hreflang]'))
+    .map(link => ({ lang: link.getAttribute('hreflang'), href: link.href }));
+
+  // Open Graph and Twitter card tags
+  const tags = (pattern) => Object.fromEntries(
+    Array.from(document.querySelectorAll('meta[property], meta[name]'))
+      .map(m => [m.getAttribute('property') || m.getAttribute('name'), m.getAttribute('content') || ''])
+      .filter(([name]) => pattern.test(name))
+  );
+
+  const manifestLink = document.querySelector('link[rel="manifest"]');
+
+  return {
+    structuredData: items,
+    hreflang: { url: location.href, alternates },
+    social: {
+      openGraph: tags(/^og:/),
+      twitter: tags(/^twitter:/)
+    },
+    icons: {
+      favicon: document.querySelector('link[rel~="icon"]')?.href || null,
+      appleTouchIcon: document.querySelector('link[rel="apple-touch-icon"]')?.href || null,
+      themeColor: document.querySelector('meta[name="theme-color"]')?.getAttribute('content') || null,
+      manifest: manifestLink ? { url: manifestLink.href, error: null } : null
+    }
+  };
+}
+
+/**
+ * Look for /favicon.ico when none is declared and read the web app manifest
+ * Requests go through the context's API client (same cookies), not the page,
+ * so they don't show up in the page's health data.
+ */
+async function fetchIcons(request, pageUrl, icons) {
+  if (!icons.favicon) {
+    const url = new URL('/favicon.ico', pageUrl).href;
+    try {
+      const response = await request.fetch(url, { method: 'HEAD', timeout: ICON_TIMEOUT });
+      if (response.ok()) icons.favicon = url;
+    } catch {
+      // Offline or blocked
+    }
+  }
+
+  if (icons.manifest) {
+    try {
+      const response = await request.get(icons.manifest.url, { timeout: ICON_TIMEOUT });
+      if (!response.ok()) throw new Error(`HTTP ${response.status()}`);
+      const data = await response.json();
+      Object.assign(icons.manifest, {
+        name: data.name || null,
+        shortName: data.short_name || null,
+        startUrl: data.start_url || null,
+        display: data.display || null,
+        themeColor: data.theme_color || null,
+        icons: Array.isArray(data.icons) ? data.icons.length : 0
+      });
+    } catch (error) {
+      icons.manifest.error = error.message;
+    }
+  }
+  return icons;
+}
+
+/**
+ * Structured data, hreflang, Open Graph / Twitter tags and icons for a loaded page
+ */
+async function extractStructuredData(page) {
+  const data = await page.evaluate(collectStructuredData, { maxItems: MAX_ITEMS });
+  if (data?.icons && page.request) {
+    await fetchIcons(page.request, data.hreflang.url, data.icons);
+  }
+  return data;
+}
+
+/**
+ * Check structured data items against SCHEMA_RULES
+ * Returns [{ format, type, error, missing: [...], missingRecommended: [...] }],
+ * one entry per item and known type. Alternatives are joined with '|'.
+ */
+function validateStructuredData(items) {
+  const results = [];
+  for (const item of items || []) {
+    if (item.error) {
+      results.push({ format: item.format, type: null, error: item.error, missing: [], missingRecommended: [] });
+      continue;
+    }
+    for (const type of item.types) {
+      const rules = SCHEMA_RULES[type];
+      if (!rules) continue;
+      const has = (name) => {
+        const value = item.properties[name];
+        return value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+      };
+      results.push({
+        format: item.format,
+        type,
+        error: null,
+        missing: rules.required
+          .filter(rule => (Array.isArray(rule) ? !rule.some(has) : !has(rule)))
+          .map(rule => [].concat(rule).join('|')),
+        missingRecommended: rules.recommended.filter(name => !has(name))
+      });
+    }
+  }
+  return results;
+}
+
+/**
+ * Page URL -> alternates for every captured page with hreflang
+ * pages are sitemap pages (or anything with extracted.hreflang).
+ */
+function hreflangIndex(pages) {
+  const index = new Map();
+  for (const page of pages || []) {
+    const hreflang = page.extracted?.hreflang;
+    if (hreflang?.alternates?.length > 0) {
+      index.set(comparableUrl(hreflang.url), hreflang.alternates);
+    }
+  }
+  return index;
+}
+
+/**
+ * Problems with a page's hreflang alternates
+ * Return links can only be checked for alternates that were captured too
+ * (pass hreflangIndex() of the capture as `index`).
+ * Returns { invalid: [lang], duplicates: [lang], missingSelf, missingXDefault, missingReturn: [href] }
+ */
+function validateHreflang(hreflang, index = new Map()) {
+  const alternates = hreflang?.alternates || [];
+  const self = comparableUrl(hreflang?.url || '');
+  const langs = alternates.map(a => a.lang.toLowerCase());
+
+  const missingReturn = [];
+  for (const { href } of alternates) {
+    const target = comparableUrl(href);
+    if (target === self || !index.has(target)) continue;
+    if (!index.get(target).some(a => comparableUrl(a.href) === self)) missingReturn.push(href);
+  }
+
+  return {
+    invalid: alternates.filter(a => !HREFLANG_CODE.test(a.lang)).map(a => a.lang),
+    duplicates: [...new Set(langs.filter((lang, i) => langs.indexOf(lang) !== i))],
+    missingSelf: alternates.length > 0 && !alternates.some(a => comparableUrl(a.href) === self),
+    missingXDefault: alternates.length > 0 && !langs.includes('x-default'),
+    missingReturn
+  };
+}
+
+module.exports = {
+  SCHEMA_RULES,
+  extractStructuredData,
+  validateStructuredData,
+  hreflangIndex,
+  validateHreflang
+};
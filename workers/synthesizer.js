@@ -5,6 +5,8 @@
 
 const { LLMProvider, buildSynthesisPrompt, buildComparisonPrompt, parseResponse } = require('./llm');
 const { getLLMConfig } = require('./analyzer');
+const { MAX_GREYS, mergeTokens, nearDuplicates, greys } = require('./tokens');
+const { buildCatalog } = require('./components');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -103,7 +105,9 @@ async function synthesize(payload, job) {
         site: hostname,
         url: siteUrl,
         role: sitesData.length === 0 ? 'primary' : 'competitor',
-        pages
+        pages,
+        tokens: synthesizeTokens(pages),
+        components: buildCatalog(pages)
       });
     } catch (error) {
       console.error(`Failed to load site data for ${siteUrl}:`, error.message);
@@ -130,6 +134,8 @@ async function synthesize(payload, job) {
     }
     
     analysis.siteWide = synthesis.siteWide;
+    analysis.tokens = siteData.tokens;
+    analysis.components = siteData.components;
     analysis.synthesized_at = new Date().toISOString();
     
     await fs.writeFile(analysisPath, JSON.stringify(analysis, null, 2));
@@ -158,6 +164,49 @@ async function synthesize(payload, job) {
   return synthesis;
 }
 
+/**
+ * Site-wide design token inventory
+ * Merges the pages' inventories and flags near-duplicate values and
+ * oversized grey palettes. Returns null when no page has tokens.
+ */
+function synthesizeTokens(pages) {
+  const inventories = (pages || []).map(p => p.tokens).filter(Boolean);
+  if (inventories.length === 0) return null;
+  
+  const merged = mergeTokens(inventories);
+  return {
+    ...merged,
+    nearDuplicates: nearDuplicates(merged),
+    greys: greys(merged)
+  };
+}
+
+/**
+ * Token problems as short sentences, largest groups first
+ */
+function tokenInconsistencies(tokens, limit = 5) {
+  if (!tokens) return [];
+  const labels = {
+    colors: 'colors',
+    fontSizes: 'font sizes',
+    lineHeights: 'line heights',
+    radii: 'border radii',
+    spacing: 'spacing values'
+  };
+  const format = (value) => (typeof value === 'number' ? `${value}px` : value);
+  
+  const findings = [];
+  if (tokens.greys.length > MAX_GREYS) {
+    findings.push(`${tokens.greys.length} different greys (a palette rarely needs more than ${MAX_GREYS})`);
+  }
+  const groups = [...tokens.nearDuplicates].sort((a, b) => b.similar.length - a.similar.length);
+  for (const group of groups.slice(0, limit)) {
+    findings.push(`${group.similar.length + 1} near-duplicate ${labels[group.kind]} around ${format(group.value)}: ` +
+      group.similar.map(s => format(s.value)).join(', '));
+  }
+  return findings;
+}
+
 /**
  * Basic synthesis without LLM
  */
@@ -188,6 +237,11 @@ function createBasicSynthesis(siteData) {
     .filter(([_, count]) => count > pages.length / 2)
     .map(([name]) => name);
   
+  // Plus catalog components (detected by structure) on most pages
+  (siteData.components || [])
+    .filter(component => component.pages > pages.length / 2 && !commonComponents.includes(component.name))
+    .forEach(component => commonComponents.push(component.name));
+  
   // Collect issues
   const allIssues = pages.flatMap(p => 
     p.analysis?.recommendations?.map(r => r.issue) || []
@@ -212,7 +266,7 @@ function createBasicSynthesis(siteData) {
       patterns: {
         commonComponents,
         missingComponents: [],
-        inconsistencies: []
+        inconsistencies: tokenInconsistencies(siteData.tokens)
       },
       overallScore: avgScore,
       topPriority: topIssues[0] || 'Continue monitoring'
@@ -275,5 +329,7 @@ module.exports = {
   synthesizeSite,
   compareSites,
   createBasicSynthesis,
-  createBasicComparison
+  createBasicComparison,
+  synthesizeTokens,
+  tokenInconsistencies
 };
@@ -0,0 +1,244 @@
+/**
+ * Tokens - Colors, typography, radii and spacing used on a page
+ * /workers/tokens.js
+ */
+
+/**
+ * Rendered elements inspected per page
+ */
+const MAX_ELEMENTS = 5000;
+
+/**
+ * Inventory categories holding { value, count } entries
+ */
+const TOKEN_KINDS = ['colors', 'fontFamilies', 'fontSizes', 'fontWeights', 'lineHeights', 'radii', 'spacing'];
+
+/**
+ * Largest CIE76 distance at which two colors count as near-duplicates
+ * (about 2.3 is just noticeable side by side)
+ */
+const COLOR_DISTANCE = 5;
+
+/**
+ * Distinct greys before a palette is flagged
+ */
+const MAX_GREYS = 8;
+
+/**
+ * Runs in the page: usage counts of computed values
+ * Text properties only count elements with their own text, so inherited
+ * fonts on wrappers don't inflate them.
+ */
+function collectTokens({ maxElements }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = 1;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const hexCache = new Map();
+  // Any CSS color to #rrggbb (#rrggbbaa when translucent), null when transparent
+  const toHex = (value) => {
+    if (!hexCache.has(value)) {
+      ctx.clearRect(0, 0, 1, 1);
+      ctx.fillStyle = '#000';
+      ctx.fillStyle = value;
+      ctx.fillRect(0, 0, 1, 1);
+      const [r, g, b, a] = ctx.getImageData(0, 0, 1, 1).data;
+      const hex = '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+      hexCache.set(value, a === 0 ? null : a === 255 ? hex : hex + a.toString(16).padStart(2, '0'));
+    }
+    return hexCache.get(value);
+  };
+
+  const tallies = {};
+  const tally = (kind, value, extra) => {
+    if (value === null || value === undefined || value === '') return;
+    tallies[kind] = tallies[kind] || new Map();
+    const key = typeof value === 'object' ? JSON.stringify(value) : value;
+    const entry = tallies[kind].get(key) || { ...(typeof value === 'object' ? value : { value }), count: 0 };
+    entry.count++;
+    if (extra) entry[extra] = (entry[extra] || 0) + 1;
+    tallies[kind].set(key, entry);
+  };
+  const px = (value) => {
+    const n = parseFloat(value);
+    return Number.isFinite(n) && n > 0 && /px$/.test(value) ? Math.round(n * 10) / 10 : null;
+  };
+
+  let inspected = 0;
+  for (const el of document.body.querySelectorAll('*')) {
+    if (inspected >= maxElements) break;
+    if (el.closest('svg, script, style, noscript, template') || el.getClientRects().length === 0) continue;
+    const style = getComputedStyle(el);
+    if (style.visibility === 'hidden') continue;
+    inspected++;
+
+    const hasText = Array.from(el.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+    if (hasText) {
+      tally('colors', toHex(style.color), 'text');
+      const fontFamily = style.fontFamily.split(',')[0].trim().replace(/^["']|["']$/g, '');
+      const fontSize = px(style.fontSize);
+      const fontWeight = parseInt(style.fontWeight, 10) || 400;
+      const lineHeight = style.lineHeight === 'normal' ? 'normal' : px(style.lineHeight);
+      tally('fontFamilies', fontFamily);
+      tally('fontSizes', fontSize);
+      tally('fontWeights', fontWeight);
+      tally('lineHeights', lineHeight);
+      tally('textStyles', { fontFamily, fontSize, fontWeight, lineHeight });
+    }
+
+    tally('colors', toHex(style.backgroundColor), 'background');
+    if (parseFloat(style.borderTopWidth) > 0 && style.borderTopStyle !== 'none') {
+      tally('colors', toHex(style.borderTopColor), 'border');
+    }
+
+    const corners = new Set(['borderTopLeftRadius', 'borderTopRightRadius', 'borderBottomRightRadius', 'borderBottomLeftRadius']
+      .map(corner => px(style[corner])).filter(Boolean));
+    corners.forEach(radius => tally('radii', radius));
+
+    const spacing = new Set(['marginTop', 'marginRight', 'marginBottom', 'marginLeft',
+      'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft', 'rowGap', 'columnGap']
+      .map(prop => px(style[prop])).filter(Boolean));
+    spacing.forEach(space => tally('spacing', space));
+  }
+
+  const inventory = { elements: inspected };
+  for (const [kind, entries] of Object.entries(tallies)) {
+    inventory[kind] = Array.from(entries.values()).sort((a, b) => b.count - a.count);
+  }
+  return inventory;
+}
+
+/**
+ * Design token inventory for a loaded page
+ * Returns { elements, colors: [{ value, count, text, background, border }],
+ * fontFamilies, fontSizes, fontWeights, lineHeights, radii, spacing: [{ value, count }],
+ * textStyles: [{ fontFamily, fontSize, fontWeight, lineHeight, count }] }
+ */
+async function extractTokens(page) {
+  return await page.evaluate(collectTokens, { maxElements: MAX_ELEMENTS });
+}
+
+/**
+ * Combine page inventories, adding counts and `pages` (pages using a value)
+ */
+function mergeTokens(inventories) {
+  const merged = { pages: 0, textStyles: [] };
+  const maps = { textStyles: new Map() };
+  TOKEN_KINDS.forEach(kind => {
+    merged[kind] = [];
+    maps[kind] = new Map();
+  });
+
+  for (const inventory of inventories) {
+    if (!inventory) continue;
+    merged.pages++;
+    for (const kind of [...TOKEN_KINDS, 'textStyles']) {
+      for (const entry of inventory[kind] || []) {
+        const key = kind === 'textStyles'
+          ? [entry.fontFamily, entry.fontSize, entry.fontWeight, entry.lineHeight].join('|')
+          : entry.value;
+        const target = maps[kind].get(key);
+        if (!target) {
+          maps[kind].set(key, { ...entry, pages: 1 });
+          continue;
+        }
+        for (const [field, value] of Object.entries(entry)) {
+          if (typeof value === 'number' && ['count', 'text', 'background', 'border'].includes(field)) {
+            target[field] = (target[field] || 0) + value;
+          }
+        }
+        target.pages++;
+      }
+    }
+  }
+
+  for (const [kind, map] of Object.entries(maps)) {
+    merged[kind] = Array.from(map.values()).sort((a, b) => b.count - a.count);
+  }
+  return merged;
+}
+
+/**
+ * Hex color to CIE L*a*b* (D65), with alpha
+ */
+function hexToLab(hex) {
+  const channels = hex.replace('#', '').match(/../g).map(h => parseInt(h, 16) / 255);
+  const [r, g, b] = channels.slice(0, 3).map(c => (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4)));
+  const xyz = [
+    (r * 0.4124 + g * 0.3576 + b * 0.1805) / 0.95047,
+    r * 0.2126 + g * 0.7152 + b * 0.0722,
+    (r * 0.0193 + g * 0.1192 + b * 0.9505) / 1.08883
+  ].map(t => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116));
+  return {
+    l: 116 * xyz[1] - 16,
+    a: 500 * (xyz[0] - xyz[1]),
+    b: 200 * (xyz[1] - xyz[2]),
+    alpha: channels[3] ?? 1
+  };
+}
+
+/**
+ * Perceptual distance between two hex colors (CIE76); colors with
+ * different opacity are never close
+ */
+function colorDistance(hexA, hexB) {
+  const a = hexToLab(hexA);
+  const b = hexToLab(hexB);
+  if (Math.abs(a.alpha - b.alpha) > 0.05) return Infinity;
+  return Math.sqrt((a.l - b.l) ** 2 + (a.a - b.a) ** 2 + (a.b - b.b) ** 2);
+}
+
+/**
+ * Neutral (low-chroma) opaque color
+ */
+function isGrey(hex) {
+  const { a, b, alpha } = hexToLab(hex);
+  return alpha === 1 && Math.sqrt(a * a + b * b) < 5;
+}
+
+/**
+ * Groups of values close to a more-used one
+ * Returns [{ kind, value, count, similar: [{ value, count }] }]; colors
+ * within COLOR_DISTANCE, lengths within 1px or 5%.
+ */
+function nearDuplicates(inventory) {
+  const close = {
+    colors: (a, b) => colorDistance(a, b) < COLOR_DISTANCE,
+    length: (a, b) => typeof a === 'number' && typeof b === 'number' && a !== b &&
+      Math.abs(a - b) <= Math.max(1, Math.max(a, b) * 0.05)
+  };
+
+  const groups = [];
+  for (const kind of ['colors', 'fontSizes', 'lineHeights', 'radii', 'spacing']) {
+    const isClose = kind === 'colors' ? close.colors : close.length;
+    const clusters = [];
+    // Most-used values first, so they become the reference for their cluster
+    for (const entry of inventory?.[kind] || []) {
+      const cluster = clusters.find(c => isClose(c.value, entry.value));
+      if (cluster) {
+        cluster.similar.push({ value: entry.value, count: entry.count });
+        cluster.count += entry.count;
+      } else {
+        clusters.push({ kind, value: entry.value, count: entry.count, similar: [] });
+      }
+    }
+    groups.push(...clusters.filter(c => c.similar.length > 0));
+  }
+  return groups;
+}
+
+/**
+ * Distinct greys in an inventory, most used first
+ */
+function greys(inventory) {
+  return (inventory?.colors || []).filter(entry => isGrey(entry.value)).map(entry => entry.value);
+}
+
+module.exports = {
+  TOKEN_KINDS,
+  MAX_GREYS,
+  extractTokens,
+  mergeTokens,
+  colorDistance,
+  nearDuplicates,
+  greys
+};
@@ -0,0 +1,178 @@
+/**
+ * URLs - include/exclude patterns and query-parameter rules for discovery
+ * /workers/urls.js
+ */
+
+/**
+ * Query parameters that never identify a distinct page
+ */
+const TRACKING_PARAMS = [
+  'utm_*',
+  'gclid',
+  'gbraid',
+  'wbraid',
+  'dclid',
+  'fbclid',
+  'msclkid',
+  'yclid',
+  'twclid',
+  'igshid',
+  'mc_cid',
+  'mc_eid',
+  '_ga',
+  '_gl',
+  '_hsenc',
+  '_hsmi'
+];
+
+/**
+ * Escape a string for use inside a RegExp
+ */
+function escapeRegex(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a URL pattern to a RegExp
+ * - 'regex:<source>' is used as a regular expression
+ * - Anything else is a glob: '*' matches within one path segment,
+ *   '**' matches across segments, and a trailing '/**' also matches
+ *   the parent path ('/blog/**' matches '/blog')
+ * Throws on invalid patterns.
+ */
+function compilePattern(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  if (typeof pattern !== 'string' || pattern.trim() === '') {
+    throw new Error(`Invalid URL pattern: ${JSON.stringify(pattern)}`);
+  }
+
+  const trimmed = pattern.trim();
+  if (trimmed.startsWith('regex:')) {
+    try {
+      return new RegExp(trimmed.slice('regex:'.length));
+    } catch (error) {
+      throw new Error(`Invalid URL pattern "${trimmed}": ${error.message}`);
+    }
+  }
+
+  let glob = trimmed.startsWith('/') ? trimmed : '/' + trimmed;
+  let suffix = '';
+  if (glob.endsWith('/**')) {
+    glob = glob.slice(0, -3);
+    suffix = '(?:/.*)?';
+  }
+
+  const body = glob
+    .split('**')
+    .map(part => part.split('*').map(escapeRegex).join('[^/]*'))
+    .join('.*');
+  return new RegExp('^' + body + suffix + '$');
+}
+
+/**
+ * Compile a list of patterns (a single string is accepted too)
+ */
+function compilePatterns(patterns) {
+  if (!patterns) return [];
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  return list.filter(p => p !== '' && p !== null && p !== undefined).map(compilePattern);
+}
+
+/**
+ * Match a query parameter name against names and globs ('utm_*')
+ */
+function paramMatcher(names) {
+  const patterns = [].concat(names || []).map(name =>
+    new RegExp('^' + String(name).split('*').map(escapeRegex).join('.*') + '$', 'i')
+  );
+  return (param) => patterns.some(p => p.test(param));
+}
+
+/**
+ * Build discovery URL rules from request options
+ * {
+ *   include: [],      // Only list pages matching one of these
+ *   exclude: [],      // Never list or crawl pages matching these
+ *   keepParams: [],   // Query params that make a distinct page ('*' for all)
+ *   stripParams: []   // Extra params to drop, on top of TRACKING_PARAMS
+ * }
+ * Throws on invalid patterns.
+ */
+function createUrlRules(options = {}) {
+  return {
+    include: compilePatterns(options.include),
+    exclude: compilePatterns(options.exclude),
+    isKept: paramMatcher(options.keepParams),
+    isStripped: paramMatcher(TRACKING_PARAMS.concat(options.stripParams || []))
+  };
+}
+
+/**
+ * Normalize a URL for deduplication
+ * Drops the hash and tracking params, keeps only keepParams (sorted).
+ * Returns { url, path } where path includes the kept query string.
+ */
+function normalizeUrl(href, rules = createUrlRules()) {
+  const url = new URL(href);
+  url.hash = '';
+
+  const kept = [...url.searchParams.entries()]
+    .filter(([name]) => !rules.isStripped(name) && rules.isKept(name))
+    .sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+  url.search = new URLSearchParams(kept).toString();
+
+  return {
+    url: url.href,
+    path: url.pathname + url.search
+  };
+}
+
+/**
+ * Test a path (with optional query string) against a pattern list
+ * Patterns are tried against the pathname and the full path.
+ */
+function matchesAny(patterns, urlPath) {
+  const pathname = urlPath.split('?')[0];
+  return patterns.some(p => p.test(pathname) || p.test(urlPath));
+}
+
+/**
+ * Whether a page should be crawled at all (exclude rules)
+ */
+function isExcluded(rules, urlPath) {
+  return matchesAny(rules.exclude, urlPath);
+}
+
+/**
+ * Whether a page should be listed (include and exclude rules)
+ */
+function isIncluded(rules, urlPath) {
+  if (isExcluded(rules, urlPath)) return false;
+  return rules.include.length === 0 || matchesAny(rules.include, urlPath);
+}
+
+/**
+ * Slug for a path, with kept query params appended
+ * '/products/shoes?color=red' -> 'products-shoes_color-red'
+ */
+function slugify(urlPath) {
+  const [pathname, query] = urlPath.split('?');
+  const base = pathname.split('/').filter(Boolean).join('-') || 'home';
+  if (!query) return base;
+
+  const params = [...new URLSearchParams(query).entries()]
+    .map(([name, value]) => `${name}-${value}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''))
+    .filter(Boolean)
+    .join('_');
+  return params ? `${base}_${params}` : base;
+}
+
+module.exports = {
+  TRACKING_PARAMS,
+  compilePattern,
+  createUrlRules,
+  normalizeUrl,
+  isExcluded,
+  isIncluded,
+  slugify
+};
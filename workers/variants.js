@@ -0,0 +1,62 @@
+/**
+ * Variants - media emulation for extra capture passes (dark mode, reduced motion)
+ * /workers/variants.js
+ */
+
+/**
+ * page.emulateMedia() settings per variant
+ * Names are used as screenshot suffixes and sitemap keys.
+ */
+const MEDIA_VARIANTS = {
+  dark: { colorScheme: 'dark' },
+  'reduced-motion': { reducedMotion: 'reduce' },
+  'forced-colors': { forcedColors: 'active' }
+};
+
+/**
+ * Cleared before each variant so passes don't stack
+ * (null restores the browser default)
+ */
+const MEDIA_DEFAULTS = {
+  colorScheme: null,
+  reducedMotion: null,
+  forcedColors: null
+};
+
+/**
+ * Accepted spellings of variant names
+ */
+const ALIASES = {
+  reducedmotion: 'reduced-motion',
+  forcedcolors: 'forced-colors'
+};
+
+/**
+ * Normalize a project's variant list
+ * Accepts 'dark', 'reduced-motion' / 'reducedMotion', 'forced-colors' / 'forcedColors'.
+ * Returns [{ name, media }] in the given order; throws on unknown names.
+ */
+function resolveVariants(names) {
+  if (!names) return [];
+  if (!Array.isArray(names)) {
+    throw new Error('variants must be an array');
+  }
+
+  const variants = [];
+  for (const raw of names) {
+    const key = String(raw).replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase();
+    const name = MEDIA_VARIANTS[key] ? key : ALIASES[key.replace(/-/g, '')];
+    if (!name) {
+      throw new Error(`Unknown variant "${raw}": use ${Object.keys(MEDIA_VARIANTS).join(', ')}`);
+    }
+    if (!variants.some(v => v.name === name)) {
+      variants.push({ name, media: { ...MEDIA_DEFAULTS, ...MEDIA_VARIANTS[name] } });
+    }
+  }
+  return variants;
+}
+
+module.exports = {
+  MEDIA_VARIANTS,
+  resolveVariants
+};
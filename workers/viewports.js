@@ -0,0 +1,138 @@
+/**
+ * Viewports - named viewport presets and Playwright device descriptors
+ * /workers/viewports.js
+ */
+
+const { devices } = require('playwright');
+
+/**
+ * Built-in viewport presets
+ * desktop and mobile match the original two-viewport capture.
+ */
+const VIEWPORT_PRESETS = {
+  desktop: { width: 1920, height: 1080, deviceScaleFactor: 2 },
+  laptop: { width: 1280, height: 800, deviceScaleFactor: 2 },
+  tablet: { width: 820, height: 1180, deviceScaleFactor: 2, isMobile: true, hasTouch: true },
+  mobile: { width: 390, height: 844, deviceScaleFactor: 2 },
+  '4k': { width: 3840, height: 2160, deviceScaleFactor: 1 }
+};
+
+/**
+ * Viewports captured when a project does not define any
+ */
+const DEFAULT_VIEWPORTS = ['desktop', 'mobile'];
+
+/**
+ * Viewport name usable in element keys and filenames
+ * 'iPhone 15 Pro Max' -> 'iphone-15-pro-max'
+ */
+function viewportName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Look up a Playwright device descriptor by name (case-insensitive)
+ */
+function findDevice(name) {
+  const all = devices || {};
+  if (all[name]) return all[name];
+  const key = Object.keys(all).find(k => k.toLowerCase() === String(name).toLowerCase());
+  return key ? all[key] : null;
+}
+
+/**
+ * Normalize one viewport definition
+ * Accepts a preset name, a device name ('iPhone 15') or an object:
+ * { name, width, height, deviceScaleFactor, userAgent, isMobile, hasTouch, device }
+ */
+function resolveViewport(definition) {
+  const spec = typeof definition === 'string' ? { name: definition } : { ...definition };
+  if (!spec.name && !spec.device) {
+    throw new Error('Viewport needs a name or device');
+  }
+
+  const presetKey = spec.name && viewportName(spec.name);
+  const preset = spec.device ? null : VIEWPORT_PRESETS[presetKey];
+  const device = preset ? null : findDevice(spec.device || spec.name);
+
+  if (!preset && !device && !(spec.width && spec.height)) {
+    throw new Error(`Unknown viewport "${spec.device || spec.name}": use a preset (${Object.keys(VIEWPORT_PRESETS).join(', ')}), a Playwright device name or width and height`);
+  }
+
+  const base = preset || (device ? {
+    width: device.viewport.width,
+    height: device.viewport.height,
+    deviceScaleFactor: device.deviceScaleFactor,
+    userAgent: device.userAgent,
+    isMobile: device.isMobile,
+    hasTouch: device.hasTouch
+  } : {});
+
+  const width = spec.width || base.width;
+  const height = spec.height || base.height;
+  if (!(width > 0 && height > 0)) {
+    throw new Error(`Viewport "${spec.name}" needs a positive width and height`);
+  }
+
+  return {
+    name: viewportName(spec.name || spec.device),
+    width,
+    height,
+    deviceScaleFactor: spec.deviceScaleFactor || base.deviceScaleFactor || 1,
+    userAgent: spec.userAgent || base.userAgent || null,
+    isMobile: spec.isMobile ?? base.isMobile ?? false,
+    hasTouch: spec.hasTouch ?? base.hasTouch ?? false
+  };
+}
+
+/**
+ * Normalize a project's viewport list (DEFAULT_VIEWPORTS when not given)
+ * Throws on unknown names and duplicates.
+ */
+function resolveViewports(definitions) {
+  const list = definitions || DEFAULT_VIEWPORTS;
+  const viewports = list.map(resolveViewport);
+
+  const seen = new Set();
+  for (const vp of viewports) {
+    if (seen.has(vp.name)) throw new Error(`Duplicate viewport name "${vp.name}"`);
+    seen.add(vp.name);
+  }
+  return viewports;
+}
+
+/**
+ * Group viewports that can share one browser context
+ * User agent, scale factor, touch and mobile mode are fixed per context;
+ * only the window size can change on a live page.
+ */
+function groupByContext(viewports, defaultUserAgent) {
+  const groups = new Map();
+  for (const vp of viewports) {
+    const userAgent = vp.userAgent || defaultUserAgent;
+    const key = [userAgent, vp.deviceScaleFactor, vp.isMobile, vp.hasTouch].join('|');
+    if (!groups.has(key)) {
+      groups.set(key, {
+        contextOptions: {
+          viewport: { width: vp.width, height: vp.height },
+          deviceScaleFactor: vp.deviceScaleFactor,
+          userAgent,
+          isMobile: vp.isMobile,
+          hasTouch: vp.hasTouch
+        },
+        viewports: []
+      });
+    }
+    groups.get(key).viewports.push(vp);
+  }
+  return Array.from(groups.values());
+}
+
+module.exports = {
+  VIEWPORT_PRESETS,
+  DEFAULT_VIEWPORTS,
+  viewportName,
+  resolveViewport,
+  resolveViewports,
+  groupByContext
+};